@@ -0,0 +1,264 @@
+/* A storage backend which keeps a log of changes in a file
+ *
+ * The statements are kept in another backend, by default in memory, and each
+ * addition and removal is also appended to a log file, as a line of N-Quads
+ * after '+ ' or '- '. When a store is made over the file, the log is replayed
+ * into it, so that it comes back as it was when the last process stopped.
+ *
+ * The log grows with every change. When it has grown a given number of lines
+ * longer than the statements it leaves, it is compacted: written afresh with
+ * just the statements in the store.
+ */
+
+/** @module append-log-backend */
+
+import * as fs from 'fs'
+// @ts-ignore n3 has no types
+import { Parser as N3jsParser, Writer as N3jsWriter } from 'n3'
+import { IndexView, Journal, MemoryBackend, StorageBackend, UndoLog } from './storage-backend'
+import IndexedFormula from './store'
+import { Quad, Quad_Graph, Quad_Object, Quad_Predicate, Quad_Subject, Term } from './tf-types'
+
+/** By default, the number of lines by which the log may outgrow the statements before it is compacted */
+export const defaultCompactAfter = 10000
+
+/** The term types which can be written to the log */
+const loggableTermTypes = ['NamedNode', 'BlankNode', 'Literal', 'DefaultGraph']
+
+/** The options for an AppendLogBackend */
+export interface AppendLogOptions {
+  /** The backend to keep the statements in, by default a new MemoryBackend */
+  backend?: StorageBackend
+  /** The number of lines by which the log may outgrow the statements before it is compacted */
+  compactAfter?: number
+}
+
+/**
+ * Keeps statements in another backend and a log of changes in a file
+ */
+export default class AppendLogBackend implements StorageBackend {
+  /** The path of the log file */
+  path: string
+  /** The backend the statements are kept in */
+  inner: StorageBackend
+  /** The number of lines by which the log may outgrow the statements before it is compacted */
+  compactAfter: number
+  /** Moves the statements about one node to another, if the inner backend can */
+  merge?: (big: Term, small: Term) => void
+
+  /** The store the backend is under */
+  private store!: IndexedFormula
+  /** The file descriptor of the log, while it is open */
+  private fd?: number
+  /** The number of lines in the log */
+  private lines = 0
+  /** Whether the log is being replayed, when changes are not logged again */
+  private replaying = false
+  /** Lines of the open transaction, which are written on commit */
+  private pending?: string[]
+  private writer = new N3jsWriter({ format: 'N-Quads' })
+
+  /**
+   * @param path - The path of the log file, which is made if it does not exist
+   * @param opts - The options
+   * @param [opts.backend] - The backend to keep the statements in, by default a new MemoryBackend
+   * @param [opts.compactAfter] - The number of lines by which the log may outgrow
+   *  the statements before it is compacted, by default 10000
+   */
+  constructor (path: string, opts: AppendLogOptions = {}) {
+    this.path = path
+    this.inner = opts.backend || new MemoryBackend()
+    this.compactAfter = opts.compactAfter !== undefined ? opts.compactAfter : defaultCompactAfter
+    if (this.inner.merge) {
+      this.merge = (big, small) => this.inner.merge!(big, small)
+    }
+  }
+
+  get statements (): Quad[] {
+    return this.inner.statements
+  }
+
+  get index (): [IndexView, IndexView, IndexView, IndexView] {
+    return this.inner.index
+  }
+
+  get compositeIndex () {
+    return this.inner.compositeIndex
+  }
+
+  get length (): number {
+    return this.inner.length
+  }
+
+  attach (store: IndexedFormula, journal: Journal, undoLog: UndoLog): void {
+    this.store = store
+    this.inner.attach(store, journal, undoLog)
+  }
+
+  /**
+   * Replays the log into the store, and opens it to append to
+   */
+  load (): void {
+    let lines: string[] = []
+    let cutShort = false
+    if (fs.existsSync(this.path)) {
+      lines = fs.readFileSync(this.path, 'utf8').split('\n')
+      // After the last newline is nothing, or a line cut short as it was written
+      cutShort = lines.pop() !== ''
+    }
+    this.replaying = true
+    try {
+      this.replay(lines)
+    } finally {
+      this.replaying = false
+    }
+    this.lines = lines.length
+    this.fd = fs.openSync(this.path, 'a')
+    if (cutShort || this.lines > this.length + this.compactAfter) {
+      this.compact()
+    }
+  }
+
+  add (st: Quad): void {
+    const line = this.line('+', st)
+    this.inner.add(st)
+    this.log(line)
+  }
+
+  remove (st: Quad): void {
+    const line = this.line('-', st)
+    this.inner.remove(st)
+    this.log(line)
+  }
+
+  match (
+    subject?: Quad_Subject | null,
+    predicate?: Quad_Predicate | null,
+    object?: Quad_Object | null,
+    graph?: Quad_Graph | null,
+    justOne?: boolean
+  ): Quad[] {
+    return this.inner.match(subject, predicate, object, graph, justOne)
+  }
+
+  begin (): void {
+    if (this.inner.begin) {
+      this.inner.begin()
+    }
+    this.pending = []
+  }
+
+  commit (): void {
+    const lines = this.pending || []
+    this.pending = undefined
+    if (this.inner.commit) {
+      this.inner.commit()
+    }
+    this.write(lines)
+  }
+
+  rollback (): void {
+    this.pending = undefined
+    if (this.inner.rollback) {
+      this.inner.rollback()
+    }
+  }
+
+  /**
+   * Writes the log afresh, with just the statements there are now
+   */
+  compact (): void {
+    const temporary = this.path + '.tmp'
+    fs.writeFileSync(temporary, this.inner.statements.map(st => this.line('+', st)).join(''))
+    this.close()
+    fs.renameSync(temporary, this.path)
+    this.fd = fs.openSync(this.path, 'a')
+    this.lines = this.inner.length
+  }
+
+  /**
+   * Closes the log file. Changes to the store after this throw.
+   */
+  close (): void {
+    if (this.fd !== undefined) {
+      fs.closeSync(this.fd)
+      this.fd = undefined
+    }
+  }
+
+  /**
+   * Makes the line of the log for a change
+   * @param op - '+' for an addition, '-' for a removal
+   * @param st - The statement added or removed
+   */
+  private line (op: string, st: Quad): string {
+    if (this.fd === undefined && !this.replaying) {
+      throw new Error(`The log ${this.path} is not open`)
+    }
+    for (const term of [st.subject, st.predicate, st.object, st.graph]) {
+      if (loggableTermTypes.indexOf(term.termType) < 0) {
+        throw new Error(`A ${term.termType} cannot be written to the log ${this.path}`)
+      }
+    }
+    // The writer takes the id of a blank node, which in rdflib lacks the _: of N-Quads
+    const term = (t: Term) => t.termType === 'BlankNode' ? { termType: t.termType, value: t.value } : t
+    return op + ' ' + this.writer.quadToString(term(st.subject), st.predicate, term(st.object), term(st.graph))
+  }
+
+  /**
+   * Appends a line to the log, or holds it back until the open transaction is committed
+   */
+  private log (line: string): void {
+    if (this.replaying) {
+      return
+    }
+    if (this.pending) {
+      this.pending.push(line)
+      return
+    }
+    this.write([line])
+  }
+
+  /**
+   * Appends lines to the log, and compacts it if it is due
+   */
+  private write (lines: string[]): void {
+    if (!lines.length) {
+      return
+    }
+    fs.writeSync(this.fd!, lines.join(''))
+    this.lines += lines.length
+    if (this.lines > this.length + this.compactAfter) {
+      this.compact()
+    }
+  }
+
+  /**
+   * Makes the changes in lines of the log to the store
+   */
+  private replay (lines: string[]): void {
+    const store = this.store
+    let start = 0
+    while (start < lines.length) {
+      // A run of additions or removals is parsed at once
+      const op = lines[start].slice(0, 2)
+      if (op !== '+ ' && op !== '- ') {
+        throw new Error(`Line ${start + 1} of the log ${this.path} is not a change`)
+      }
+      let end = start + 1
+      while (end < lines.length && lines[end].slice(0, 2) === op) {
+        end++
+      }
+      const parser = new N3jsParser({ format: 'N-Quads', factory: store.rdfFactory, blankNodePrefix: '_:' })
+      const quads: Quad[] = parser.parse(lines.slice(start, end).map(line => line.slice(2)).join('\n'))
+      for (const quad of quads) {
+        if (op === '+ ') {
+          store.add(quad.subject, quad.predicate, quad.object, quad.graph)
+        } else if (store.holds(quad.subject, quad.predicate, quad.object, quad.graph)) {
+          store.remove(quad)
+        }
+      }
+      start = end
+    }
+  }
+}
@@ -0,0 +1,412 @@
+/* RDF Dataset Canonicalization
+ *
+ * An implementation of the W3C RDFC-1.0 algorithm, which gives blank nodes
+ * labels that depend only on the structure of the data, so that two datasets
+ * which differ only in their blank node labels get the same canonical N-Quads.
+ *
+ * See https://www.w3.org/TR/rdf-canon/
+ *
+ * Any blank node in the store's default graph (chrome:theSession) is treated as
+ * being in the RDF default graph.
+ */
+
+/** @module canonicalize */
+
+import Formula from './formula'
+import { isStore } from './utils/terms'
+import { defaultGraphNode, defaultGraphURI } from './utils/default-graph-uri'
+import hash from './utils/hash'
+import { Literal, Quad, Quad_Graph, Term } from './tf-types'
+
+export interface CanonicalizeOptions {
+  /**
+   * The most times the N-degree hashing step may run before giving up, which
+   * guards against graphs designed to make canonicalization take forever
+   */
+  maxCalls?: number
+}
+
+/** Default for CanonicalizeOptions.maxCalls */
+const defaultMaxCalls = 10000
+
+const xsdString = 'http://www.w3.org/2001/XMLSchema#string'
+const rdfLangString = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString'
+
+type Position = 'subject' | 'object' | 'graph'
+const positions: Position[] = ['subject', 'object', 'graph']
+
+function sha256 (data: string): string {
+  return hash('sha256', data)
+}
+
+/**
+ * Issues identifiers with a prefix and a counter, remembering what was issued
+ * in order
+ */
+class IdentifierIssuer {
+  prefix: string
+  counter: number
+  issued: Map<string, string>
+
+  constructor (prefix: string, counter = 0, issued?: Map<string, string>) {
+    this.prefix = prefix
+    this.counter = counter
+    this.issued = issued || new Map()
+  }
+
+  copy (): IdentifierIssuer {
+    return new IdentifierIssuer(this.prefix, this.counter, new Map(this.issued))
+  }
+
+  getId (existing: string): string {
+    let issued = this.issued.get(existing)
+    if (!issued) {
+      issued = this.prefix + this.counter++
+      this.issued.set(existing, issued)
+    }
+    return issued
+  }
+
+  hasId (existing: string): boolean {
+    return this.issued.has(existing)
+  }
+}
+
+/** Whether a graph term stands for the default graph */
+function isDefaultGraph (graph?: Term | null): boolean {
+  return !graph || graph.termType === 'DefaultGraph' || graph.value === defaultGraphURI
+}
+
+/** Escapes a string as in canonical N-Quads */
+function escapeString (value: string): string {
+  return value.replace(/[\u0000-\u001f\u007f"\\]/g, (c) => {
+    switch (c) {
+      case '\b': return '\\b'
+      case '\t': return '\\t'
+      case '\n': return '\\n'
+      case '\f': return '\\f'
+      case '\r': return '\\r'
+      case '"': return '\\"'
+      case '\\': return '\\\\'
+    }
+    return '\\u' + ('000' + c.charCodeAt(0).toString(16).toUpperCase()).slice(-4)
+  })
+}
+
+/**
+ * Serializes a term in canonical N-Quads
+ * @param term - The term
+ * @param label - The label to use if the term is a blank node
+ */
+function termToNQ (term: Term, label?: string): string {
+  switch (term.termType) {
+    case 'NamedNode':
+      return '<' + term.value + '>'
+    case 'BlankNode':
+      return '_:' + (label || term.value)
+    case 'Literal':
+      const literal = term as Literal
+      let str = '"' + escapeString(literal.value) + '"'
+      if (literal.language) {
+        str += '@' + literal.language
+      } else if (literal.datatype && literal.datatype.value !== xsdString &&
+        literal.datatype.value !== rdfLangString) {
+        str += '^^<' + literal.datatype.value + '>'
+      }
+      return str
+  }
+  throw new Error(`Can't canonicalize term of type '${term.termType}'`)
+}
+
+/**
+ * Serializes a quad in canonical N-Quads, with a line ending
+ * @param quad - The quad
+ * @param label - Maps a blank node to the label to use for it
+ */
+function quadToNQ (quad: Quad, label: (term: Term) => string | undefined): string {
+  const parts = [
+    termToNQ(quad.subject, label(quad.subject)),
+    termToNQ(quad.predicate),
+    termToNQ(quad.object, label(quad.object))
+  ]
+  if (!isDefaultGraph(quad.graph)) {
+    parts.push(termToNQ(quad.graph, label(quad.graph)))
+  }
+  return parts.join(' ') + ' .\n'
+}
+
+/** Gets the quads to canonicalize from a formula or an array */
+function quadsOf (source: Formula | ReadonlyArray<Quad>, graph?: Quad_Graph | null): ReadonlyArray<Quad> {
+  if (isStore(source)) {
+    return graph ? (source as Formula).statementsMatching(null, null, null, graph) : source.statements
+  }
+  if (graph) {
+    return (source as ReadonlyArray<Quad>).filter(q => q.graph.equals(graph))
+  }
+  return source as ReadonlyArray<Quad>
+}
+
+/**
+ * The state of one run of the canonicalization algorithm
+ */
+class Canonicalizer {
+  quads: ReadonlyArray<Quad>
+  blankNodeToQuads: Map<string, Quad[]> = new Map()
+  canonicalIssuer = new IdentifierIssuer('c14n')
+  maxCalls: number
+  calls = 0
+
+  constructor (quads: ReadonlyArray<Quad>, maxCalls: number) {
+    this.quads = quads
+    this.maxCalls = maxCalls
+  }
+
+  /** Runs the algorithm, and returns the canonical labels by blank node label */
+  run (): Map<string, string> {
+    for (const quad of this.quads) {
+      for (const position of positions) {
+        const term = quad[position]
+        if (term.termType === 'BlankNode') {
+          const list = this.blankNodeToQuads.get(term.value)
+          if (!list) {
+            this.blankNodeToQuads.set(term.value, [quad])
+          } else if (list[list.length - 1] !== quad) {
+            list.push(quad)
+          }
+        }
+      }
+    }
+
+    const hashToBlankNodes: Map<string, string[]> = new Map()
+    this.blankNodeToQuads.forEach((_quads, id) => {
+      const hash = this.hashFirstDegreeQuads(id)
+      const list = hashToBlankNodes.get(hash)
+      if (list) {
+        list.push(id)
+      } else {
+        hashToBlankNodes.set(hash, [id])
+      }
+    })
+
+    // Blank nodes with a unique first degree hash are labelled straight away
+    const hashes = Array.from(hashToBlankNodes.keys()).sort()
+    const shared: string[] = []
+    for (const hash of hashes) {
+      const ids = hashToBlankNodes.get(hash)!
+      if (ids.length > 1) {
+        shared.push(hash)
+        continue
+      }
+      this.canonicalIssuer.getId(ids[0])
+    }
+
+    // The others are told apart by the paths to their neighbours
+    for (const hash of shared) {
+      const results: Array<{ hash: string, issuer: IdentifierIssuer }> = []
+      for (const id of hashToBlankNodes.get(hash)!) {
+        if (this.canonicalIssuer.hasId(id)) {
+          continue
+        }
+        const issuer = new IdentifierIssuer('b')
+        issuer.getId(id)
+        results.push(this.hashNDegreeQuads(id, issuer))
+      }
+      results.sort((a, b) => a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0)
+      for (const result of results) {
+        result.issuer.issued.forEach((_issued, existing) => {
+          this.canonicalIssuer.getId(existing)
+        })
+      }
+    }
+
+    return this.canonicalIssuer.issued
+  }
+
+  hashFirstDegreeQuads (id: string): string {
+    const label = (term: Term) => term.termType === 'BlankNode'
+      ? (term.value === id ? 'a' : 'z')
+      : undefined
+    const nquads = this.blankNodeToQuads.get(id)!.map(quad => quadToNQ(quad, label))
+    nquads.sort()
+    return sha256(nquads.join(''))
+  }
+
+  hashRelatedBlankNode (related: string, quad: Quad, issuer: IdentifierIssuer, position: string): string {
+    let id: string
+    if (this.canonicalIssuer.hasId(related)) {
+      id = '_:' + this.canonicalIssuer.getId(related)
+    } else if (issuer.hasId(related)) {
+      id = '_:' + issuer.getId(related)
+    } else {
+      id = this.hashFirstDegreeQuads(related)
+    }
+    let input = position
+    if (position !== 'g') {
+      input += '<' + quad.predicate.value + '>'
+    }
+    return sha256(input + id)
+  }
+
+  hashNDegreeQuads (id: string, issuer: IdentifierIssuer): { hash: string, issuer: IdentifierIssuer } {
+    if (++this.calls > this.maxCalls) {
+      throw new Error(`Canonicalization gave up after ${this.maxCalls} steps`)
+    }
+    const hashToRelated: Map<string, string[]> = new Map()
+    for (const quad of this.blankNodeToQuads.get(id)!) {
+      for (const position of positions) {
+        const term = quad[position]
+        if (term.termType !== 'BlankNode' || term.value === id) {
+          continue
+        }
+        const hash = this.hashRelatedBlankNode(term.value, quad, issuer, position[0])
+        const list = hashToRelated.get(hash)
+        if (list) {
+          list.push(term.value)
+        } else {
+          hashToRelated.set(hash, [term.value])
+        }
+      }
+    }
+
+    let dataToHash = ''
+    for (const relatedHash of Array.from(hashToRelated.keys()).sort()) {
+      dataToHash += relatedHash
+      let chosenPath = ''
+      let chosenIssuer: IdentifierIssuer | null = null
+      for (const permutation of permutations(hashToRelated.get(relatedHash)!)) {
+        let issuerCopy = issuer.copy()
+        let path = ''
+        const recursionList: string[] = []
+        let skip = false
+        for (const related of permutation) {
+          if (this.canonicalIssuer.hasId(related)) {
+            path += '_:' + this.canonicalIssuer.getId(related)
+          } else {
+            if (!issuerCopy.hasId(related)) {
+              recursionList.push(related)
+            }
+            path += '_:' + issuerCopy.getId(related)
+          }
+          if (chosenPath && path.length >= chosenPath.length && path > chosenPath) {
+            skip = true
+            break
+          }
+        }
+        if (skip) {
+          continue
+        }
+        for (const related of recursionList) {
+          const result = this.hashNDegreeQuads(related, issuerCopy)
+          path += '_:' + issuerCopy.getId(related) + '<' + result.hash + '>'
+          issuerCopy = result.issuer
+          if (chosenPath && path.length >= chosenPath.length && path > chosenPath) {
+            skip = true
+            break
+          }
+        }
+        if (skip) {
+          continue
+        }
+        if (!chosenPath || path < chosenPath) {
+          chosenPath = path
+          chosenIssuer = issuerCopy
+        }
+      }
+      dataToHash += chosenPath
+      issuer = chosenIssuer!
+    }
+    return { hash: sha256(dataToHash), issuer }
+  }
+}
+
+/** All the orderings of a list */
+function permutations<T> (list: T[]): T[][] {
+  if (list.length <= 1) {
+    return [list.slice()]
+  }
+  const result: T[][] = []
+  list.forEach((item, i) => {
+    const rest = list.slice(0, i).concat(list.slice(i + 1))
+    for (const tail of permutations(rest)) {
+      result.push([item].concat(tail))
+    }
+  })
+  return result
+}
+
+/**
+ * Works out the canonical labels for the blank nodes in some quads
+ * @param quads - The quads
+ * @param options - Limits on the work done
+ * @returns The canonical label (c14n0, c14n1, ...) for each blank node label
+ */
+export function canonicalBlankNodeLabels (
+  quads: ReadonlyArray<Quad>,
+  options: CanonicalizeOptions = {}
+): Map<string, string> {
+  return new Canonicalizer(quads, options.maxCalls || defaultMaxCalls).run()
+}
+
+/**
+ * Canonicalizes a dataset, or a single graph of it, with RDFC-1.0
+ *
+ * @param source - A formula or an array of quads
+ * @param graph - If given, only the statements in this graph, as a plain graph
+ *  (the graph names are left out)
+ * @param options - Limits on the work done
+ * @returns The canonical N-Quads document
+ */
+export function canonicalize (
+  source: Formula | ReadonlyArray<Quad>,
+  graph?: Quad_Graph | null,
+  options: CanonicalizeOptions = {}
+): string {
+  let quads = quadsOf(source, graph)
+  if (graph) {
+    // Canonicalized as a plain graph, without its name
+    quads = quads.map(q => ({
+      subject: q.subject,
+      predicate: q.predicate,
+      object: q.object,
+      graph: defaultGraphNode
+    }))
+  }
+  const labels = canonicalBlankNodeLabels(quads, options)
+  const label = (term: Term) => term.termType === 'BlankNode' ? labels.get(term.value) : undefined
+  const lines = Array.from(new Set(quads.map(quad => quadToNQ(quad, label))))
+  lines.sort()
+  return lines.join('')
+}
+
+/**
+ * Whether two datasets, or two graphs, are the same up to the labels of their
+ * blank nodes
+ *
+ * @param a - A formula or an array of quads
+ * @param b - Another formula or array of quads
+ * @param graphA - If given, compare only this graph of a
+ * @param graphB - If given, compare only this graph of b. Defaults to graphA.
+ */
+export function isomorphic (
+  a: Formula | ReadonlyArray<Quad>,
+  b: Formula | ReadonlyArray<Quad>,
+  graphA?: Quad_Graph | null,
+  graphB?: Quad_Graph | null
+): boolean {
+  return canonicalize(a, graphA) === canonicalize(b, graphB || graphA)
+}
+
+/**
+ * A SHA-256 digest of the canonical form of a dataset, or of a single graph,
+ * which is the same for any two isomorphic ones
+ *
+ * @param source - A formula or an array of quads
+ * @param graph - If given, only the statements in this graph
+ * @returns The digest, as lower case hexadecimal
+ */
+export function canonicalDigest (
+  source: Formula | ReadonlyArray<Quad>,
+  graph?: Quad_Graph | null
+): string {
+  return sha256(canonicalize(source, graph))
+}
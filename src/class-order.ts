@@ -9,7 +9,8 @@ const ClassOrder: {
   'Graph': 4,
   'NamedNode': 5,
   'BlankNode': 6,
-  'Variable': 7
+  'Variable': 7,
+  'Quad': 8
 }
 
 export default ClassOrder
@@ -0,0 +1,248 @@
+/* Compact storage of statements as integer tuples
+ *
+ * A storage backend, used by an IndexedFormula made with the `compact` option.
+ * Each term is interned by the store's data factory into an integer id, and each
+ * statement is kept as a row of four ids in one typed array. The indexes map a
+ * term id to the numbers of the rows which have the term in that position.
+ * Statement objects are only made when statements are asked for.
+ */
+
+/** @module compact-storage */
+
+import { Feature } from './factories/factory-types'
+import { InterningDataFactory } from './factories/interning-data-factory'
+import Node from './node'
+import { IndexView, StorageBackend } from './storage-backend'
+import IndexedFormula from './store'
+import { Quad, Quad_Graph, Quad_Object, Quad_Predicate, Quad_Subject, Term } from './tf-types'
+
+/** The capacity, in statements, of new storage */
+const initialCapacity = 1024
+
+/** Marks a removed row, in its subject column */
+const freeRow = -1
+
+/**
+ * Gives a copy of an array with twice the room
+ */
+function grown (array: Int32Array): Int32Array {
+  const copy = new Int32Array(array.length * 2)
+  copy.set(array)
+  return copy
+}
+
+/**
+ * Statements stored as rows of four term ids, with an index on each position.
+ *
+ * The data factory of the store must be an interning one. Statements are made
+ * afresh when asked for, so `statements` and the indexes, where an id may be the
+ * integer id or the key of a term, e.g. '<http://example.com/>', are read-only
+ * copies. Nodes cannot be smushed, and transactions are not supported.
+ */
+export default class CompactStorage implements StorageBackend {
+  /** The factory whose ids the rows hold, that of the store */
+  factory!: InterningDataFactory
+  /** Read-only views of the statements by subject, predicate, object and graph */
+  index: [IndexView, IndexView, IndexView, IndexView]
+
+  /** Four ids per row: subject, predicate, object and graph */
+  private rows: Int32Array
+  /** The number of rows in use or freed */
+  private used = 0
+  /** The rows freed by removals, to be used again */
+  private free: number[] = []
+  /** For each position, the rows by term id, in no order */
+  private indexes: Array<Map<number, number[]>> = [new Map(), new Map(), new Map(), new Map()]
+  /** Four per row: where the row is in the index list of its term in each position */
+  private positions: Int32Array
+
+  constructor () {
+    this.rows = new Int32Array(initialCapacity * 4)
+    this.positions = new Int32Array(initialCapacity * 4)
+    this.index = [this.view(0), this.view(1), this.view(2), this.view(3)]
+  }
+
+  /**
+   * The number of statements stored
+   */
+  get length (): number {
+    return this.used - this.free.length
+  }
+
+  /**
+   * All the statements, made afresh in a new array
+   */
+  get statements (): Quad[] {
+    return this.find([]).map(row => this.statement(row))
+  }
+
+  attach (store: IndexedFormula): void {
+    const supports = store.rdfFactory.supports || {}
+    if (!supports[Feature.identity] || !supports[Feature.reversibleId]) {
+      throw new Error('Compact storage needs a data factory with identity and reversible ids')
+    }
+    this.factory = store.rdfFactory
+  }
+
+  add (st: Quad): void {
+    const factory = this.factory
+    const ids = [st.subject, st.predicate, st.object, st.graph].map(term => factory.termId(term))
+    if (this.find(ids, true).length) {
+      return
+    }
+    let row = this.free.pop()
+    if (row === undefined) {
+      row = this.used++
+      if (this.used * 4 > this.rows.length) {
+        this.rows = grown(this.rows)
+        this.positions = grown(this.positions)
+      }
+    }
+    for (let p = 0; p < 4; p++) {
+      this.rows[row * 4 + p] = ids[p]
+      const index = this.indexes[p]
+      let list = index.get(ids[p])
+      if (!list) {
+        list = []
+        index.set(ids[p], list)
+      }
+      this.positions[row * 4 + p] = list.length
+      list.push(row)
+    }
+  }
+
+  remove (st: Quad): void {
+    const ids = [st.subject, st.predicate, st.object, st.graph].map(term => this.factory.lookup(term))
+    const [row] = ids.indexOf(undefined) < 0 ? this.find(ids, true) : []
+    if (row === undefined) {
+      return
+    }
+    for (let p = 0; p < 4; p++) {
+      const index = this.indexes[p]
+      const list = index.get(ids[p]!)!
+      // The last row in the list takes the place of the one removed
+      const at = this.positions[row * 4 + p]
+      const last = list.pop()!
+      if (at < list.length) {
+        list[at] = last
+        this.positions[last * 4 + p] = at
+      }
+      if (!list.length) {
+        index.delete(ids[p]!)
+      }
+    }
+    this.rows[row * 4] = freeRow
+    this.free.push(row)
+  }
+
+  match (
+    subject?: Quad_Subject | null,
+    predicate?: Quad_Predicate | null,
+    object?: Quad_Object | null,
+    graph?: Quad_Graph | null,
+    justOne?: boolean
+  ): Quad[] {
+    const pattern = [subject, predicate, object, graph]
+    const ids: Array<number | undefined> = []
+    for (let p = 0; p < 4; p++) {
+      const term = Node.fromValue(pattern[p]) as Term
+      if (term) {
+        ids[p] = this.factory.lookup(term)
+        if (ids[p] === undefined) {
+          return [] // Never seen, so in no statement
+        }
+      }
+    }
+    return this.find(ids, justOne).map(row => this.statement(row))
+  }
+
+  /**
+   * Makes the statement in a row
+   * @param row - The number of the row
+   */
+  statement (row: number): Quad {
+    const factory = this.factory
+    const at = row * 4
+    return factory.quad(
+      factory.fromId(this.rows[at]),
+      factory.fromId(this.rows[at + 1]),
+      factory.fromId(this.rows[at + 2]),
+      factory.fromId(this.rows[at + 3])
+    )
+  }
+
+  begin (): void {
+    throw new Error('Transactions are not supported with compact storage')
+  }
+
+  /**
+   * Makes a read-only view of the statements by the term in a position
+   * @param position - 0 subject, 1 predicate, 2 object or 3 graph
+   */
+  private view (position: number): IndexView {
+    const index = this.indexes[position]
+    const rowsOf = (key: PropertyKey): number[] | undefined => {
+      if (typeof key !== 'string') {
+        return undefined
+      }
+      const id = /^\d+$/.test(key) ? Number(key) : this.factory.lookupKey(key)
+      return id === undefined ? undefined : index.get(id)
+    }
+    const statementsOf = (key: PropertyKey): Quad[] | undefined => {
+      const rows = rowsOf(key)
+      return rows && rows.map(row => this.statement(row))
+    }
+    return new Proxy({}, {
+      get: (target, key) => statementsOf(key),
+      has: (target, key) => !!rowsOf(key),
+      ownKeys: () => Array.from(index.keys()).map(id => this.factory.keyOf(id)),
+      getOwnPropertyDescriptor: (target, key) => {
+        const value = statementsOf(key)
+        return value && { value, writable: false, enumerable: true, configurable: true }
+      },
+      set: () => {
+        throw new Error('The indexes of compact storage are read-only')
+      },
+      deleteProperty: () => {
+        throw new Error('The indexes of compact storage are read-only')
+      }
+    })
+  }
+
+  /**
+   * Finds the rows matching a pattern of ids, using the shortest index
+   * @param ids - The ids of the subject, predicate, object and graph, where a missing one is a wildcard
+   * @param justOne - Whether to stop at the first match
+   */
+  private find (ids: ReadonlyArray<number | undefined>, justOne?: boolean): number[] {
+    const given = [0, 1, 2, 3].filter(p => ids[p] !== undefined)
+    let candidates: ArrayLike<number> | undefined
+    let covered = -1
+    for (const p of given) {
+      const list = this.indexes[p].get(ids[p]!)
+      if (!list) {
+        return []
+      }
+      if (!candidates || list.length < candidates.length) {
+        candidates = list
+        covered = p
+      }
+    }
+    const check = given.filter(p => p !== covered)
+    const results: number[] = []
+    const count = candidates ? candidates.length : this.used
+    for (let i = 0; i < count; i++) {
+      const row = candidates ? candidates[i] : i
+      if (this.rows[row * 4] === freeRow) {
+        continue
+      }
+      if (check.every(p => this.rows[row * 4 + p] === ids[p])) {
+        results.push(row)
+        if (justOne) {
+          break
+        }
+      }
+    }
+    return results
+  }
+}
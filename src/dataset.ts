@@ -0,0 +1,226 @@
+/* RDF/JS Dataset and Stream interfaces for the store
+ *
+ * IndexedFormula.match() returns an array, which it has always done, so these
+ * thin wrappers give the RDF/JS spec methods over a store, for use with other
+ * RDF/JS libraries such as validators, query engines and writers.
+ *
+ * Quads and terms from other factories are converted with the store's
+ * rdfFactory as they come in.
+ */
+
+/** @module dataset */
+
+import { EventEmitter } from 'events'
+import { Readable } from 'stream'
+import Node from './node-internal'
+import IndexedFormula from './store'
+import {
+  DatasetCore,
+  Literal,
+  Quad,
+  Sink,
+  Source,
+  Stream,
+  Term
+} from './tf-types'
+
+/**
+ * Converts a term from any RDF/JS factory to one from the store's factory.
+ * Wildcards (null and undefined) are passed through.
+ */
+function importTerm (store: IndexedFormula, term?: Term | null): any {
+  if (!term || term instanceof Node) {
+    return term
+  }
+  const factory = store.rdfFactory
+  switch (term.termType) {
+    case 'NamedNode':
+      return factory.namedNode(term.value)
+    case 'BlankNode':
+      return factory.blankNode(term.value)
+    case 'Literal':
+      return factory.literal(
+        term.value,
+        (term as Literal).language || importTerm(store, (term as Literal).datatype)
+      )
+    case 'DefaultGraph':
+      return factory.defaultGraph()
+    case 'Variable':
+      return factory.variable(term.value)
+  }
+  return term
+}
+
+/**
+ * Finds the statements in the store matching a pattern of RDF/JS terms
+ */
+function matchStatements (
+  store: IndexedFormula,
+  subject?: Term | null,
+  predicate?: Term | null,
+  object?: Term | null,
+  graph?: Term | null
+): Quad[] {
+  return store.statementsMatching(
+    importTerm(store, subject),
+    importTerm(store, predicate),
+    importTerm(store, object),
+    importTerm(store, graph)
+  )
+}
+
+/**
+ * Adds the quads of a stream to the store
+ * @returns An emitter of 'end' when the stream has been consumed, or 'error'
+ */
+function importStream (store: IndexedFormula, stream: Stream): EventEmitter {
+  const result = new EventEmitter()
+  stream.on('data', (quad: Quad) => {
+    store.add(
+      importTerm(store, quad.subject),
+      importTerm(store, quad.predicate),
+      importTerm(store, quad.object),
+      importTerm(store, quad.graph)
+    )
+  })
+  stream.on('end', () => result.emit('end'))
+  stream.on('error', (err) => result.emit('error', err))
+  return result
+}
+
+/**
+ * An RDF/JS DatasetCore backed by an IndexedFormula, which is also a Sink
+ */
+export default class Dataset implements DatasetCore<Quad>, Sink<Stream, EventEmitter> {
+  /** The store which holds the quads */
+  store: IndexedFormula
+
+  /**
+   * @param store - The store to wrap. By default a new store which does not smush
+   *  nodes, so that each quad added is kept as it is.
+   */
+  constructor (store?: IndexedFormula) {
+    this.store = store || new IndexedFormula([])
+  }
+
+  /** The number of quads in the dataset */
+  get size (): number {
+    return this.store.length
+  }
+
+  /**
+   * Adds a quad to the dataset, unless it is already there
+   * @param quad - The quad to add
+   */
+  add (quad: Quad): this {
+    this.store.add(
+      importTerm(this.store, quad.subject),
+      importTerm(this.store, quad.predicate),
+      importTerm(this.store, quad.object),
+      importTerm(this.store, quad.graph)
+    )
+    return this
+  }
+
+  /**
+   * Removes a quad from the dataset, if it is there
+   * @param quad - The quad to remove
+   */
+  delete (quad: Quad): this {
+    const sts = matchStatements(this.store, quad.subject, quad.predicate, quad.object, quad.graph)
+    if (sts.length) {
+      this.store.removeStatement(sts[0])
+    }
+    return this
+  }
+
+  /**
+   * Whether the dataset includes a quad
+   * @param quad - The quad to look for
+   */
+  has (quad: Quad): boolean {
+    return matchStatements(this.store, quad.subject, quad.predicate, quad.object, quad.graph).length > 0
+  }
+
+  /**
+   * Returns a new dataset with the quads matching the pattern, where null is a wildcard
+   * @param subject - The subject
+   * @param predicate - The predicate
+   * @param object - The object
+   * @param graph - The graph
+   */
+  match (
+    subject?: Term | null,
+    predicate?: Term | null,
+    object?: Term | null,
+    graph?: Term | null
+  ): Dataset {
+    const result = new Dataset(new IndexedFormula([], { rdfFactory: this.store.rdfFactory }))
+    for (const st of matchStatements(this.store, subject, predicate, object, graph)) {
+      result.store.add(st.subject, st.predicate, st.object, st.graph)
+    }
+    return result
+  }
+
+  /**
+   * Adds the quads of a stream to the dataset
+   * @param stream - The stream of quads
+   * @returns An emitter of 'end' when the stream has been consumed, or 'error'
+   */
+  import (stream: Stream): EventEmitter {
+    return importStream(this.store, stream)
+  }
+
+  [Symbol.iterator] (): Iterator<Quad> {
+    // A copy, so that quads can be deleted while iterating
+    return this.store.statements.slice()[Symbol.iterator]()
+  }
+}
+
+/**
+ * An RDF/JS Source (and Sink) backed by an IndexedFormula
+ */
+export class StoreSource implements Source<Quad>, Sink<Stream, EventEmitter> {
+  /** The store which holds the quads */
+  store: IndexedFormula
+
+  /**
+   * @param store - The store to read from and write to
+   */
+  constructor (store: IndexedFormula) {
+    this.store = store
+  }
+
+  /**
+   * Returns a stream of the quads matching the pattern, where null is a wildcard.
+   * The matches are those in the store at the time of the call.
+   * @param subject - The subject
+   * @param predicate - The predicate
+   * @param object - The object
+   * @param graph - The graph
+   */
+  match (
+    subject?: Term | null,
+    predicate?: Term | null,
+    object?: Term | null,
+    graph?: Term | null
+  ): Stream<Quad> {
+    const quads = matchStatements(this.store, subject, predicate, object, graph).slice()
+    let next = 0
+    return new Readable({
+      objectMode: true,
+      read () {
+        this.push(next < quads.length ? quads[next++] : null)
+      }
+    })
+  }
+
+  /**
+   * Adds the quads of a stream to the store
+   * @param stream - The stream of quads
+   * @returns An emitter of 'end' when the stream has been consumed, or 'error'
+   */
+  import (stream: Stream): EventEmitter {
+    return importStream(this.store, stream)
+  }
+}
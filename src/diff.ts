@@ -0,0 +1,132 @@
+/* Differences between two graphs
+ *
+ * Compares two formulas, or two graphs in formulas, and gives the statements
+ * to delete from the first and insert into it to make it the same as the second.
+ *
+ * Statements with blank nodes are compared as whole subgraphs: the statements
+ * connected by shared blank nodes. A subgraph which is the same in both apart
+ * from the blank node labels is no change, whatever the labels. One which is
+ * different in any way is deleted and inserted as a whole, which is what a
+ * SPARQL update needs to identify the blank nodes in it.
+ */
+
+/** @module diff */
+
+import { canonicalize } from './canonicalize'
+import Formula from './formula'
+import Statement from './statement'
+import { defaultGraphNode } from './utils/default-graph-uri'
+import { Quad, Quad_Graph, Term } from './tf-types'
+
+/**
+ * The changes from one graph to another, in the form UpdateManager.update()
+ * takes them. IndexedFormula.applyPatch() takes this too.
+ */
+export interface GraphDiff {
+  /** The statements of the first graph which are not in the second */
+  deletions: Statement[]
+  /** The statements of the second graph which are not in the first */
+  insertions: Statement[]
+}
+
+/**
+ * Splits statements into those without blank nodes, and subgraphs of those
+ * connected by blank nodes
+ */
+function partition (quads: ReadonlyArray<Quad>): { ground: Quad[], subgraphs: Quad[][] } {
+  // Union-find over blank node labels
+  const parent: { [label: string]: string } = {}
+  const find = (label: string): string => {
+    while (parent[label] !== label) {
+      label = parent[label] = parent[parent[label]]
+    }
+    return label
+  }
+  const blanks = (quad: Quad): string[] => [quad.subject, quad.object, quad.graph]
+    .filter(term => term.termType === 'BlankNode')
+    .map(term => term.value)
+
+  const ground: Quad[] = []
+  for (const quad of quads) {
+    const labels = blanks(quad)
+    if (!labels.length) {
+      ground.push(quad)
+      continue
+    }
+    labels.forEach(label => {
+      if (!(label in parent)) {
+        parent[label] = label
+      }
+    })
+    labels.slice(1).forEach(label => {
+      parent[find(label)] = find(labels[0])
+    })
+  }
+  const byRoot: { [root: string]: Quad[] } = {}
+  for (const quad of quads) {
+    const labels = blanks(quad)
+    if (labels.length) {
+      const root = find(labels[0])
+      ;(byRoot[root] = byRoot[root] || []).push(quad)
+    }
+  }
+  return { ground, subgraphs: Object.keys(byRoot).map(root => byRoot[root]) }
+}
+
+/**
+ * Compares two graphs
+ *
+ * The two may be formulas, or graphs in them, or two graphs in the same store.
+ * When graphs are given, their statements are compared without the graph
+ * names, and the insertions are put in the first graph.
+ *
+ * @param from - The formula with the graph as it was
+ * @param to - The formula with the graph as it is to be
+ * @param fromGraph - The graph in `from` to compare, or all of it
+ * @param toGraph - The graph in `to` to compare, by default fromGraph
+ * @returns New statements, to delete from `from` and insert into it
+ */
+export default function diff (
+  from: Formula,
+  to: Formula,
+  fromGraph?: Quad_Graph | null,
+  toGraph?: Quad_Graph | null
+): GraphDiff {
+  toGraph = toGraph || fromGraph
+  const fromQuads = fromGraph ? from.statementsMatching(null, null, null, fromGraph) : from.statements
+  const toQuads = toGraph ? to.statementsMatching(null, null, null, toGraph) : to.statements
+  // The key of some statements, ignoring their graph if graphs were given
+  const key = (quads: Quad[]): string => canonicalize(fromGraph
+    ? quads.map(q => ({ subject: q.subject, predicate: q.predicate, object: q.object, graph: defaultGraphNode as Term }) as Quad)
+    : quads)
+
+  const a = partition(fromQuads)
+  const b = partition(toQuads)
+
+  // Each statement without blank nodes is its own part
+  const partsA = a.ground.map(quad => [quad]).concat(a.subgraphs)
+  const partsB = b.ground.map(quad => [quad]).concat(b.subgraphs)
+  const keysA = partsA.map(key)
+  const keysB = partsB.map(key)
+  // The parts of one side with no match on the other, where each part matches at most once
+  const unmatched = (parts: Quad[][], keys: string[], otherKeys: string[]): Quad[] => {
+    const counts: { [key: string]: number } = {}
+    otherKeys.forEach(k => { counts[k] = (counts[k] || 0) + 1 })
+    const result: Quad[] = []
+    parts.forEach((part, i) => {
+      if (counts[keys[i]]) {
+        counts[keys[i]]--
+      } else {
+        result.push(...part)
+      }
+    })
+    return result
+  }
+
+  // New statements, so that changing them leaves the formulas as they are
+  const copy = (quad: Quad, graph: Quad_Graph) =>
+    from.rdfFactory.quad(quad.subject, quad.predicate, quad.object, graph) as Statement
+  const deletions = unmatched(partsA, keysA, keysB).map(quad => copy(quad, quad.graph))
+  const insertions = unmatched(partsB, keysB, keysA).map(quad => copy(quad, fromGraph || quad.graph))
+  return { deletions, insertions }
+}
@@ -0,0 +1,420 @@
+/* Incremental entailment for the store
+ *
+ * Keeps the triples which follow from the data in a store, according to a set
+ * of rules, materialized in a separate inference graph of the same store.
+ *
+ * Triples are inferred as statements are added, by forward chaining: each
+ * inferred triple is added to the store, and so is itself a premise for more.
+ * When a statement is removed, everything inferred which might depend on it is
+ * removed too, and then whatever can still be inferred another way is put back
+ * (the "delete and rederive" method).
+ *
+ * A triple is not inferred when the store already holds it in some graph.
+ */
+
+/** @module entailment */
+
+import IndexedFormula from './store'
+import { isPredicate, isSubject } from './utils/terms'
+import { Quad, Quad_Graph, RdfJsDataFactory, Quad_Object, Quad_Predicate, Quad_Subject, Term } from './tf-types'
+
+/** The default graph for inferred triples */
+export const inferenceGraphURI = 'chrome:theInferences'
+
+const rdfType = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+const rdfsNamespace = 'http://www.w3.org/2000/01/rdf-schema#'
+const owlNamespace = 'http://www.w3.org/2002/07/owl#'
+
+/** The OWL features of the store which are done by entailment */
+export type OwlFeature = 'inverseOf' | 'SymmetricProperty' | 'TransitiveProperty' |
+  'equivalentClass' | 'equivalentProperty'
+
+/** A triple as [subject, predicate, object] */
+export type Triple = [Term, Term, Term]
+
+/**
+ * A rule of entailment, used in both directions
+ */
+export interface EntailmentRule {
+  /**
+   * The triples which follow from the triple (s p o) together with what else
+   * is in the store
+   */
+  consequences (store: IndexedFormula, s: Term, p: Term, o: Term): Triple[]
+
+  /**
+   * Whether the triple (s p o) follows in a single step from what is in the store
+   */
+  derivable (store: IndexedFormula, s: Term, p: Term, o: Term): boolean
+
+  /**
+   * The triples to infer when (s p o) is added, if not all of its consequences.
+   * Rules whose other consequences are inferred by the store's property actions
+   * leave those out here.
+   */
+  addedConsequences? (store: IndexedFormula, s: Term, p: Term, o: Term): Triple[]
+}
+
+/**
+ * The rules of RDFS entailment for subClassOf, subPropertyOf, domain and range,
+ * with the transitive closure of subClassOf and subPropertyOf.
+ * Axiomatic and reflexive triples are not inferred.
+ */
+export function rdfsRules (factory: RdfJsDataFactory): EntailmentRule[] {
+  const type = factory.namedNode(rdfType)
+  const subClassOf = factory.namedNode(rdfsNamespace + 'subClassOf')
+  const subPropertyOf = factory.namedNode(rdfsNamespace + 'subPropertyOf')
+  const domain = factory.namedNode(rdfsNamespace + 'domain')
+  const range = factory.namedNode(rdfsNamespace + 'range')
+
+  return [
+    { // Transitivity of subClassOf and subPropertyOf
+      consequences (store, s, p, o) {
+        const result: Triple[] = []
+        for (const rel of [subClassOf, subPropertyOf]) {
+          if (p.equals(rel)) {
+            store.each(o as Quad_Subject, rel).forEach(sup => result.push([s, rel, sup]))
+            store.each(null, rel, s).forEach(sub => result.push([sub, rel, o]))
+          }
+        }
+        return result
+      },
+      derivable (store, s, p, o) {
+        for (const rel of [subClassOf, subPropertyOf]) {
+          if (p.equals(rel) && store.each(s as Quad_Subject, rel).some(mid => store.holds(mid, rel, o))) {
+            return true
+          }
+        }
+        return false
+      }
+    },
+    { // rdfs9: instances of a class are instances of its superclasses
+      consequences (store, s, p, o) {
+        const result: Triple[] = []
+        if (p.equals(type)) {
+          store.each(o as Quad_Subject, subClassOf).forEach(sup => result.push([s, type, sup]))
+        }
+        if (p.equals(subClassOf)) {
+          store.each(null, type, s).forEach(x => result.push([x, type, o]))
+        }
+        return result
+      },
+      derivable (store, s, p, o) {
+        return p.equals(type) && store.each(s as Quad_Subject, type).some(c => store.holds(c, subClassOf, o))
+      }
+    },
+    { // rdfs7: statements with a property are statements with its superproperties
+      consequences (store, s, p, o) {
+        const result: Triple[] = store.each(p as Quad_Subject, subPropertyOf).map(sup => [s, sup, o] as Triple)
+        if (p.equals(subPropertyOf)) {
+          store.statementsMatching(null, s as Quad_Predicate).forEach(st => {
+            result.push([st.subject, o, st.object])
+          })
+        }
+        return result
+      },
+      derivable (store, s, p, o) {
+        return store.each(null, subPropertyOf, p).some(sub => store.holds(s, sub, o))
+      }
+    },
+    { // rdfs2 and rdfs3: the domain and range of properties
+      consequences (store, s, p, o) {
+        const result: Triple[] = store.each(p as Quad_Subject, domain).map(c => [s, type, c] as Triple)
+        if (isSubject(o)) {
+          store.each(p as Quad_Subject, range).forEach(c => result.push([o, type, c]))
+        }
+        if (p.equals(domain)) {
+          store.statementsMatching(null, s as Quad_Predicate).forEach(st => {
+            result.push([st.subject, type, o])
+          })
+        }
+        if (p.equals(range)) {
+          store.statementsMatching(null, s as Quad_Predicate).forEach(st => {
+            result.push([st.object, type, o])
+          })
+        }
+        return result
+      },
+      derivable (store, s, p, o) {
+        return p.equals(type) && (
+          store.each(null, domain, o).some(prop => !!store.any(s as Quad_Subject, prop as Quad_Predicate)) ||
+          store.each(null, range, o).some(prop => !!store.any(null, prop as Quad_Predicate, s))
+        )
+      }
+    }
+  ]
+}
+
+/**
+ * Makes a rule from the consequences of schema statements, such as { p a owl:SymmetricProperty },
+ * and those of other statements given the schema. The store's property actions
+ * infer the latter as statements are added.
+ */
+function owlRule (
+  schema: (store: IndexedFormula, s: Term, p: Term, o: Term) => Triple[],
+  instance: (store: IndexedFormula, s: Term, p: Term, o: Term) => Triple[],
+  derivable: (store: IndexedFormula, s: Term, p: Term, o: Term) => boolean
+): EntailmentRule {
+  return {
+    consequences: (store, s, p, o) => schema(store, s, p, o).concat(instance(store, s, p, o)),
+    addedConsequences: schema,
+    derivable
+  }
+}
+
+/**
+ * The rules for owl:inverseOf, owl:SymmetricProperty, owl:TransitiveProperty,
+ * owl:equivalentClass and owl:equivalentProperty, by the feature of the store
+ * which turns each on
+ */
+export function owlRules (factory: RdfJsDataFactory): { [feature in OwlFeature]: EntailmentRule } {
+  const type = factory.namedNode(rdfType)
+  const inverseOf = factory.namedNode(owlNamespace + 'inverseOf')
+  const symmetric = factory.namedNode(owlNamespace + 'SymmetricProperty')
+  const transitive = factory.namedNode(owlNamespace + 'TransitiveProperty')
+  const equivalentClass = factory.namedNode(owlNamespace + 'equivalentClass')
+  const equivalentProperty = factory.namedNode(owlNamespace + 'equivalentProperty')
+  // The terms related to x by a symmetric relation
+  const either = (store: IndexedFormula, x: Term, rel: Quad_Predicate): Term[] =>
+    store.each(x as Quad_Subject, rel).concat(store.each(null, rel, x as Quad_Object))
+  const statementsWith = (store: IndexedFormula, p: Term) =>
+    isPredicate(p) ? store.statementsMatching(null, p) : []
+
+  return {
+    inverseOf: owlRule(
+      (store, s, p, o) => {
+        const result: Triple[] = []
+        if (p.equals(inverseOf)) {
+          statementsWith(store, s).forEach(st => result.push([st.object, o, st.subject]))
+          statementsWith(store, o).forEach(st => result.push([st.object, s, st.subject]))
+        }
+        return result
+      },
+      (store, s, p, o) => either(store, p, inverseOf).map(q => [o, q, s] as Triple),
+      (store, s, p, o) => either(store, p, inverseOf).some(q => store.holds(o, q, s))
+    ),
+    SymmetricProperty: owlRule(
+      (store, s, p, o) => p.equals(type) && o.equals(symmetric)
+        ? statementsWith(store, s).map(st => [st.object, s, st.subject] as Triple)
+        : [],
+      (store, s, p, o) => store.holds(p, type, symmetric) ? [[o, p, s]] : [],
+      (store, s, p, o) => store.holds(p, type, symmetric) && store.holds(o, p, s)
+    ),
+    TransitiveProperty: owlRule(
+      (store, s, p, o) => {
+        const result: Triple[] = []
+        if (p.equals(type) && o.equals(transitive)) {
+          statementsWith(store, s).forEach(st => {
+            store.each(st.object as Quad_Subject, s as Quad_Predicate)
+              .forEach(x => result.push([st.subject, s, x]))
+          })
+        }
+        return result
+      },
+      (store, s, p, o) => {
+        const result: Triple[] = []
+        if (store.holds(p, type, transitive)) {
+          store.each(o as Quad_Subject, p as Quad_Predicate).forEach(x => result.push([s, p, x]))
+          store.each(null, p as Quad_Predicate, s as Quad_Object).forEach(x => result.push([x, p, o]))
+        }
+        return result
+      },
+      (store, s, p, o) => store.holds(p, type, transitive) &&
+        store.each(s as Quad_Subject, p as Quad_Predicate).some(mid => store.holds(mid, p, o))
+    ),
+    equivalentClass: owlRule(
+      (store, s, p, o) => {
+        const result: Triple[] = []
+        if (p.equals(equivalentClass)) {
+          store.each(null, type, s as Quad_Object).forEach(x => result.push([x, type, o]))
+          store.each(null, type, o as Quad_Object).forEach(x => result.push([x, type, s]))
+        }
+        return result
+      },
+      (store, s, p, o) => p.equals(type)
+        ? either(store, o, equivalentClass).map(c => [s, type, c] as Triple)
+        : [],
+      (store, s, p, o) => p.equals(type) &&
+        either(store, o, equivalentClass).some(c => store.holds(s, type, c))
+    ),
+    equivalentProperty: owlRule(
+      (store, s, p, o) => {
+        const result: Triple[] = []
+        if (p.equals(equivalentProperty)) {
+          statementsWith(store, s).forEach(st => result.push([st.subject, o, st.object]))
+          statementsWith(store, o).forEach(st => result.push([st.subject, s, st.object]))
+        }
+        return result
+      },
+      (store, s, p, o) => either(store, p, equivalentProperty).map(q => [s, q, o] as Triple),
+      (store, s, p, o) => either(store, p, equivalentProperty).some(q => store.holds(s, q, o))
+    )
+  }
+}
+
+/**
+ * Materializes the consequences of a set of rules in an inference graph of a
+ * store, and keeps them up to date as the store changes.
+ */
+export default class Entailment {
+  /** The store */
+  store: IndexedFormula
+  /** The graph in which the inferred triples are stored */
+  graph: Quad_Graph
+  /** The rules in use */
+  rules: EntailmentRule[]
+
+  /** True while removing inferences, whose own removal needs no processing */
+  private retracting = false
+  private unsubscribe: Array<() => void> = []
+  /** The statements being added while property actions infer from them */
+  private adding: Triple[] = []
+
+  /**
+   * @param store - The store to reason over
+   * @param graph - The graph for the inferred triples
+   * @param rules - The rules of entailment
+   */
+  constructor (store: IndexedFormula, graph: Quad_Graph, rules: EntailmentRule[] = []) {
+    this.store = store
+    this.graph = graph
+    this.rules = rules
+    this.unsubscribe.push(
+      store.on('added', st => this.added(st)),
+      store.on('removed', st => this.removed(st))
+    )
+    this.inferFromAll()
+  }
+
+  /**
+   * Adds more rules, and infers what follows from them and the data so far
+   * @param rules - The rules
+   */
+  addRules (rules: EntailmentRule[]): void {
+    this.rules = this.rules.concat(rules)
+    this.inferFromAll()
+  }
+
+  /**
+   * Stops keeping the inferences up to date. Those made so far stay in the store.
+   */
+  detach (): void {
+    this.unsubscribe.forEach(unsubscribe => unsubscribe())
+    this.unsubscribe = []
+  }
+
+  /**
+   * Whether a statement is one of the inferred ones
+   */
+  isInferred (st: Quad): boolean {
+    return st.graph.equals(this.graph)
+  }
+
+  /**
+   * Adds a triple to the inference graph, unless the store holds it already.
+   * Adding it infers whatever follows from it in turn.
+   */
+  infer (s: Term, p: Term, o: Term): void {
+    if (!isSubject(s) || !isPredicate(p)) {
+      return // eg a literal as subject
+    }
+    if (this.store.holds(s, p, o)) {
+      return
+    }
+    this.store.add(s, p, o as Quad_Object, this.graph)
+  }
+
+  /**
+   * Infers the consequences of a statement which is about to be added, for the
+   * store's property actions. Any which are the statement itself, or another
+   * one on its way into the store, are left to be added as they are.
+   * @param premise - The statement being added
+   * @param consequences - What follows from it
+   */
+  inferBeforeAdding (premise: Triple, consequences: Triple[]): void {
+    const adding = (s: Term, p: Term, o: Term) =>
+      this.adding.some(([as, ap, ao]) => as.equals(s) && ap.equals(p) && ao.equals(o))
+    this.adding.push(premise)
+    try {
+      for (const [s, p, o] of consequences) {
+        if (!adding(s, p, o)) {
+          this.infer(s, p, o)
+        }
+      }
+    } finally {
+      this.adding.pop()
+    }
+  }
+
+  private consequences (s: Term, p: Term, o: Term): Triple[] {
+    let result: Triple[] = []
+    for (const rule of this.rules) {
+      result = result.concat(rule.consequences(this.store, s, p, o))
+    }
+    return result
+  }
+
+  private derivable (s: Term, p: Term, o: Term): boolean {
+    return this.rules.some(rule => rule.derivable(this.store, s, p, o))
+  }
+
+  private inferFromAll (): void {
+    for (const st of this.store.statements.slice()) {
+      this.added(st)
+    }
+  }
+
+  private added (st: Quad): void {
+    for (const rule of this.rules) {
+      const consequences = rule.addedConsequences
+        ? rule.addedConsequences(this.store, st.subject, st.predicate, st.object)
+        : rule.consequences(this.store, st.subject, st.predicate, st.object)
+      for (const [s, p, o] of consequences) {
+        this.infer(s, p, o)
+      }
+    }
+  }
+
+  private removed (st: Quad): void {
+    if (this.retracting) {
+      return
+    }
+    // Find every inference which might have depended on the statement
+    const overdeleted: Quad[] = []
+    const seen = new Set<string>()
+    const agenda: Triple[] = [[st.subject, st.predicate, st.object]]
+    while (agenda.length) {
+      const [s, p, o] = agenda.shift()!
+      for (const [cs, cp, co] of this.consequences(s, p, o)) {
+        if (!isSubject(cs) || !isPredicate(cp)) {
+          continue
+        }
+        for (const inferred of this.store.statementsMatching(cs, cp, co as Quad_Object, this.graph)) {
+          const key = (inferred as any).toNT()
+          if (!seen.has(key)) {
+            seen.add(key)
+            overdeleted.push(inferred)
+            agenda.push([cs, cp, co])
+          }
+        }
+      }
+    }
+    this.retracting = true
+    try {
+      for (const inferred of overdeleted) {
+        this.store.removeStatement(inferred)
+      }
+    } finally {
+      this.retracting = false
+    }
+    // Put back what still follows another way, and with it what follows from that.
+    // The statement removed may itself still be entailed.
+    const candidates: Triple[] = overdeleted.map(inferred => [inferred.subject, inferred.predicate, inferred.object] as Triple)
+    candidates.push([st.subject, st.predicate, st.object])
+    for (const [s, p, o] of candidates) {
+      if (isSubject(s) && isPredicate(p) && !this.store.holds(s, p, o) && this.derivable(s, p, o)) {
+        this.infer(s, p, o)
+      }
+    }
+  }
+}
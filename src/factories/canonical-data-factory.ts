@@ -10,10 +10,12 @@ import {
   GraphType,
   EmptyTermType,
   DefaultGraphTermType,
+  GraphTermType,
   VariableTermType,
   BlankNodeTermType,
   LiteralTermType,
   NamedNodeTermType,
+  QuadTermType,
 } from '../types'
 import { defaultGraphNode } from '../utils/default-graph-uri'
 import {
@@ -107,6 +109,9 @@ const CanonicalDataFactory: DataFactory = {
         return 'defaultGraph'
       case VariableTermType:
         return Variable.toString(term)
+      case GraphTermType:
+        // A formula in N3, such as either side of a rule
+        return (term as any).toNT()
       default:
         const nq = this.termToNQ(term)
         if (nq) {
@@ -175,9 +180,12 @@ const CanonicalDataFactory: DataFactory = {
     return `${this.termToNQ(q.subject)} ${this.termToNQ(q.predicate)} ${this.termToNQ(q.object)} ${this.termToNQ(q.graph)} .`;
   },
 
-  /** Stringify a {term} to n-quads serialization. */
+  /** Stringify a {term} to n-quads serialization, or n-quads-star for a quoted triple. */
   termToNQ(term: Term): string {
     switch (term.termType) {
+      case QuadTermType:
+        const triple = term as unknown as Quad
+        return `<< ${this.termToNQ(triple.subject)} ${this.termToNQ(triple.predicate)} ${this.termToNQ(triple.object)} >>`
       case BlankNodeTermType:
         return '_:' + term.value
       case DefaultGraphTermType:
@@ -188,6 +196,9 @@ const CanonicalDataFactory: DataFactory = {
         return Literal.toNT(term as Literal)
       case NamedNodeTermType:
         return '<' + term.value + '>'
+      case VariableTermType:
+        // Not n-quads, but found in quoted triples of patterns
+        return Variable.toString(term)
       default:
         throw new Error(`Can't serialize nonstandard term type (was '${term.termType}')`)
     }
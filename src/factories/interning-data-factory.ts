@@ -0,0 +1,146 @@
+import ExtendedTermFactory from './extended-term-factory'
+import { DataFactory, DefaultFactoryTypes, Feature, Indexable } from './factory-types'
+import { isQuad } from '../utils/terms'
+import { Term } from '../tf-types'
+
+/**
+ * A data factory which interns the terms it makes or is given an id for.
+ *
+ * Each term is made once: asking for the same term again gives the same instance,
+ * and its id is a small integer from which the term can be got back with fromId().
+ * Statements are not interned, and their ids are n-quads strings as usual,
+ * unless they are quoted triples in other statements: see termId().
+ */
+export interface InterningDataFactory extends DataFactory {
+  /** The number of terms interned so far */
+  readonly size: number
+
+  /**
+   * Gets the term with an id
+   * @param id - An id given by this factory
+   */
+  fromId (id: number): Term
+
+  /**
+   * Gets the integer id of a term, interning it if it is new. Unlike id(),
+   * this takes a statement as a term, a quoted triple, and interns it too.
+   * @param term - The term
+   */
+  termId (term: Term): number
+
+  /**
+   * Gets the id of a term, without interning the term if it has none yet
+   * @param term - The term
+   * @returns The id, or undefined if the term was never interned
+   */
+  lookup (term: Term): number | undefined
+
+  /**
+   * Gets the id of a term from its key, as ExtendedTermFactory.id() gives
+   * @param key - The key, e.g. '<http://example.com/>'
+   * @returns The id, or undefined if no term with the key was interned
+   */
+  lookupKey (key: string): number | undefined
+
+  /**
+   * Gets the key of the term with an id, as ExtendedTermFactory.id() gives
+   * @param id - An id given by this factory
+   */
+  keyOf (id: number): string
+}
+
+/**
+ * Creates a new interning data factory, with its own dictionary of terms.
+ *
+ * The dictionary only grows, so a factory is best shared by the stores over the
+ * same data, and dropped with them.
+ */
+export default function createInterningDataFactory (): InterningDataFactory {
+  const ids = new Map<string, number>()
+  const terms: Term[] = []
+
+  const internId = (term: Term): number => {
+    const key = ExtendedTermFactory.id(term) as string
+    let id = ids.get(key)
+    if (id === undefined) {
+      id = terms.length
+      terms.push(term)
+      ids.set(key, id)
+    }
+    return id
+  }
+  const intern = <T extends Term>(term: T): T => terms[internId(term)] as T
+
+  return {
+    ...ExtendedTermFactory,
+
+    supports: {
+      ...ExtendedTermFactory.supports,
+      [Feature.identity]: true,
+      [Feature.reversibleId]: true,
+    },
+
+    get size (): number {
+      return terms.length
+    },
+
+    blankNode (value?: string) {
+      return intern(ExtendedTermFactory.blankNode(value))
+    },
+
+    literal (value: string, languageOrDatatype?) {
+      // Made with this factory, so that a datatype given as a string is interned too
+      return intern(ExtendedTermFactory.literal.call(this, value, languageOrDatatype))
+    },
+
+    namedNode (value: string) {
+      return intern(ExtendedTermFactory.namedNode(value))
+    },
+
+    variable (name: string) {
+      return intern(ExtendedTermFactory.variable!(name))
+    },
+
+    /**
+     * Compares terms or statements, without interning them
+     */
+    equals (a, b): boolean {
+      return ExtendedTermFactory.equals(a, b)
+    },
+
+    /**
+     * Gets the integer id of a term, interning it if it is new, or the
+     * n-quads string of a statement
+     */
+    id (term: Term | DefaultFactoryTypes): Indexable {
+      if (isQuad(term)) {
+        return ExtendedTermFactory.id(term)
+      }
+      return internId(term)
+    },
+
+    termId (term: Term): number {
+      return internId(term)
+    },
+
+    fromId (id: number): Term {
+      const term = terms[id]
+      if (!term) {
+        throw new Error(`No term has the id ${id}`)
+      }
+      return term
+    },
+
+    lookup (term: Term): number | undefined {
+      return ids.get(ExtendedTermFactory.id(term) as string)
+    },
+
+    lookupKey (key: string): number | undefined {
+      return ids.get(key)
+    },
+
+    keyOf (id: number): string {
+      return ExtendedTermFactory.id(this.fromId(id)) as string
+    },
+  }
+}
@@ -141,6 +141,12 @@ type Options = Partial<AutoInitOptions>
 interface AutoInitOptions extends RequestInit{
   /** The used Fetch function */
   fetch?: Fetch
+  /**
+   * (For the constructor) The greatest number of statements of fetched
+   * documents to keep in the store, beyond which the documents least recently
+   * loaded or touched are unloaded
+   */
+  memoryBudget?: number
   /**
    * Referring term, the resource which
    * referred to this (for tracking bad links).
@@ -708,6 +714,13 @@ export default class Fetcher implements CallbackifyInterface {
   lookedUp: BooleanMap
   handlers: Array<typeof Handler>
   ns: { [k: string]: (ln: string) => Quad_Predicate }
+  /** The greatest number of statements of fetched documents to keep in the store, if any */
+  memoryBudget?: number
+  /**
+   * The documents fetched, least recently loaded or touched first, with the
+   * number of statements each had when it was loaded
+   */
+  recentlyUsed: Map<string, number>
   static HANDLERS: {
     [handlerName: number]: Handler
   }
@@ -739,6 +752,8 @@ export default class Fetcher implements CallbackifyInterface {
     this.nonexistent = {}
     this.lookedUp = {}
     this.handlers = []
+    this.memoryBudget = options.memoryBudget
+    this.recentlyUsed = new Map()
     this.mediatypes = {
       'image/*': { 'q': 0.9 },
       '*/*': { 'q': 0.1 }  // Must allow access to random content
@@ -878,6 +893,10 @@ export default class Fetcher implements CallbackifyInterface {
    * By default, the HTTP headers are recorded also, in the same store, in a separate graph.
    * This allows code like editable() for example to test things about the resource.
    *
+   * If the fetcher has a memoryBudget, loading a document marks it as recently used,
+   * and the documents loaded or touched least recently are unloaded when the store
+   * is over budget.
+   *
    * @param uri {Array<RDFlibNamedNode>|Array<string>|RDFlibNamedNode|string}
    *
    * @param [options={}] {Object}
@@ -929,6 +948,9 @@ export default class Fetcher implements CallbackifyInterface {
 
     let docuri = termValue(uriIn)
     docuri = docuri.split('#')[0]
+    if (this.recentlyUsed.has(docuri)) {
+      this.touch(docuri)
+    }
 
     options = this.initFetchOptions(docuri, options)
 
@@ -1355,6 +1377,9 @@ export default class Fetcher implements CallbackifyInterface {
   ): Response {
     this.addStatus(options.req, 'Done.')
     this.requested[options.original.value] = 'done'
+    this.recentlyUsed.delete(options.original.value) // To count its statements afresh
+    this.touch(options.original.value)
+    this.evict()
 
     this.fireCallbacks('done', [options.original.value])
 
@@ -1759,6 +1784,76 @@ export default class Fetcher implements CallbackifyInterface {
   unload (term: NamedNode) {
     this.store.removeDocument(term)
     delete this.requested[term.value] // So it can be load2ed again
+    delete this.fetchQueue[term.value]
+    this.recentlyUsed.delete(term.value)
+  }
+
+  /**
+   * Notes that a fetched document has been used, so that it is kept in the
+   * store rather than documents used less recently. Loading a document notes
+   * it, even if it was loaded already, but reading its statements from the
+   * store does not, so documents are unloaded in the order they were last
+   * loaded unless the application touches those it uses.
+   * @param doc - The document
+   */
+  touch (doc: NamedNode | string): void {
+    const docuri = termValue(doc).split('#')[0]
+    const size = this.recentlyUsed.has(docuri)
+      ? this.recentlyUsed.get(docuri)!
+      : this.statementCount(docuri)
+    this.recentlyUsed.delete(docuri)
+    this.recentlyUsed.set(docuri, size)
+  }
+
+  /**
+   * The number of statements a document has in the store
+   */
+  private statementCount (docuri: string): number {
+    const doc = this.store.rdfFactory.namedNode(docuri)
+    return this.store.statistics
+      ? this.store.statistics.graphTriples(doc)
+      : this.store.statementsMatching(null, null, null, doc).length
+  }
+
+  /**
+   * Tests whether a document must be kept in the store, as the UpdateManager
+   * has patches to it pending or a live subscription to its changes.
+   * @param docuri - The document
+   */
+  isPinned (docuri: string): boolean {
+    const updater = this.store.updater
+    return !!updater && updater.isPinned(this.store.rdfFactory.namedNode(docuri))
+  }
+
+  /**
+   * Unloads the documents loaded or touched least recently, until the
+   * statements of the documents fetched are within the memory budget. The
+   * statements of a document are counted when it is loaded, not as it changes
+   * after. An unloaded document is fetched again when it is next loaded.
+   * Documents being fetched, those which are pinned, and the one used last are
+   * kept.
+   * @returns The documents unloaded
+   */
+  evict (): string[] {
+    const evicted: string[] = []
+    if (this.memoryBudget === undefined) {
+      return evicted
+    }
+    let total = 0
+    this.recentlyUsed.forEach(size => { total += size })
+    const docs = Array.from(this.recentlyUsed.keys())
+    for (const docuri of docs.slice(0, -1)) {
+      if (total <= this.memoryBudget) {
+        break
+      }
+      if (this.isPending(docuri) || this.isPinned(docuri)) {
+        continue
+      }
+      total -= this.recentlyUsed.get(docuri)!
+      this.unload(this.store.rdfFactory.namedNode(docuri) as NamedNode)
+      evicted.push(docuri)
+    }
+    return evicted
   }
 
   addHandler (handler: typeof Handler) {
@@ -30,11 +30,35 @@ import {
   NamedNode,
 } from './tf-types'
 import Fetcher from './fetcher'
+import { StorageBackend } from './storage-backend'
+
+/**
+ * Names of the composite two-position indexes an IndexedFormula can keep.
+ * Letters are the positions of a statement: Subject, Predicate, Object, Graph.
+ */
+export type CompositeIndexName = 'SP' | 'PO' | 'OS' | 'SG' | 'PG' | 'OG'
 
 export interface FormulaOpts {
+  /** Where an IndexedFormula keeps its statements, by default in memory */
+  backend?: StorageBackend
+  /**
+   * Keep the statements of an IndexedFormula as integer tuples in compact storage,
+   * with the terms interned by an interning data factory
+   */
+  compact?: boolean
+  /** Composite indexes to maintain in an IndexedFormula, or true for all of them */
+  compositeIndexes?: boolean | CompositeIndexName[]
   dataCallback?: (q: Quad) => void
+  /** The graph in which an IndexedFormula puts the triples it infers */
+  inferenceGraph?: Quad_Graph
   rdfArrayRemove?: (arr: Quad[], q: Quad) => void
   rdfFactory?: RdfJsDataFactory
+  /** Keep counts of the statements by predicate, class and graph in an IndexedFormula, for estimate() */
+  statistics?: boolean
+  /** Keep an ordered index of the numeric and time literals in an IndexedFormula, for range() */
+  rangeIndex?: boolean
+  /** Keep a full-text index of the literals in an IndexedFormula, for search() */
+  textIndex?: boolean
 }
 
 interface BooleanMap {
@@ -563,7 +587,7 @@ export default class Formula extends Node {
    */
   connectedStatements(
     subject: Quad_Subject,
-    doc: Quad_Graph,
+    doc: Quad_Graph | null,
     excludePredicateURIs?: ReadonlyArray<string>
   ): Quad[] {
     excludePredicateURIs = excludePredicateURIs || []
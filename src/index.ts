@@ -3,6 +3,7 @@ import { IRDFlibDataFactory } from './types'
 import BlankNode from './blank-node'
 import Collection from './collection'
 import * as convert from './convert'
+import Dataset, { StoreSource } from './dataset'
 import Empty from './empty'
 import Fetcher from './fetcher'
 import Formula from './formula'
@@ -19,6 +20,7 @@ import { Query } from './query'
 import queryToSPARQL from './query-to-sparql'
 import RDFaProcessor from './rdfaparser'
 import RDFParser from './rdfxmlparser'
+import Reasoner from './reasoner'
 import serialize from './serialize'
 import Serializer from './serializer'
 import SPARQLToQuery from './sparql-to-query'
@@ -67,10 +69,12 @@ export {
   Collection,
   convert,
   DataFactory,
+  Dataset,
   Empty,
   Fetcher,
   Formula,
   Store,
+  StoreSource,
   jsonParser,
   Literal,
   log,
@@ -83,6 +87,7 @@ export {
   queryToSPARQL,
   RDFaProcessor,
   RDFParser,
+  Reasoner,
   serialize,
   Serializer,
   SPARQLToQuery,
@@ -117,3 +122,18 @@ export {
   variable,
 }
 export { termValue } from './utils/termValue'
+export { canonicalize, canonicalDigest, isomorphic } from './canonicalize'
+export { setHashFunction } from './utils/hash'
+export { default as ShaclValidator } from './shacl'
+export { default as diff } from './diff'
+export { MemoryBackend } from './storage-backend'
+export { default as CompactStorage } from './compact-storage'
+export { default as AppendLogBackend } from './append-log-backend'
+export { default as Snapshot } from './snapshot'
+export { default as Skolemizer, genidPath, isSkolemIRI } from './skolem'
+export { default as Statistics } from './statistics'
+export { default as TextIndex, tokenize } from './text-index'
+export { default as RangeIndex, RangeConstraint, rangeValue } from './range-index'
+export { default as UnionFormula } from './union-formula'
+export { default as parseSPARQL, parsePropertyPath, SPARQLSyntaxError } from './sparql-parser'
+export { inScopeVariables } from './sparql-algebra'
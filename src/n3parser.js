@@ -839,6 +839,29 @@ __SinkParser.prototype.node = function(str, i, res, subjectAlready) {
         res.push(thing_type(mylist, this._context));
         return j;
     }
+    if ((str.slice( i,  ( i + 2 ) ) == "<<")) {
+        // An RDF-star quoted triple: << subject predicate object >>
+        var parts = new pyjslib_List([]);
+        var j = this.item(str,  ( i + 2 ) , parts);
+        if ((j < 0)) {
+            throw BadSyntax(this._thisDoc, this.lines, str, i, "expected subject of quoted triple after '<<'");
+        }
+        var v = new pyjslib_List([]);
+        var k = this.verb(str, j, v);
+        if ((k < 0) || (v[0][0] != "->")) {
+            throw BadSyntax(this._thisDoc, this.lines, str, j, "expected predicate of quoted triple");
+        }
+        var j = this.object(str, k, parts);
+        if ((j < 0)) {
+            throw BadSyntax(this._thisDoc, this.lines, str, k, "expected object of quoted triple");
+        }
+        var j = this.skipSpace(str, j);
+        if ((str.slice( j,  ( j + 2 ) ) != ">>")) {
+            throw BadSyntax(this._thisDoc, this.lines, str, j, "'>>' expected at end of quoted triple");
+        }
+        res.push(this._store.quad(parts[0], v[0][1], parts[1]));
+        return  ( j + 2 ) ;
+    }
     var j = this.tok("this", str, i);
     if ((j >= 0)) {
         throw BadSyntax(this._thisDoc, this.lines, str, i, "Keyword 'this' was ancient N3. Now use @forSome and @forAll keywords.");
@@ -892,7 +915,7 @@ __SinkParser.prototype.property_list = function(str, i, subj) {
             return i;
         }
         var objs = new pyjslib_List([]);
-        var i = this.objectList(str, j, objs);
+        var i = this.objectList(str, j, objs, this.annotator(subj, v[0]));
         if ((i < 0)) {
             throw BadSyntax(this._thisDoc, this.lines, str, j, "objectList expected");
         }
@@ -981,7 +1004,25 @@ __SinkParser.prototype.commaSeparatedList = function(str, j, res, ofUris) {
         }
     }
 };
-__SinkParser.prototype.objectList = function(str, i, res) {
+__SinkParser.prototype.annotator = function(subj, pairFudge) {
+    /*
+    Make the function which parses an RDF-star annotation {| ... |} after an
+    object, whose subject is the triple of the subject, verb and object*/
+
+    var parser = this;
+    return function(str, i, obj) {
+        var dir = pairFudge[0];
+        var sym = pairFudge[1];
+        var triple = (dir == "->") ? parser._store.quad(subj, sym, obj) : parser._store.quad(obj, sym, subj);
+        var j = parser.property_list(str, i, triple);
+        var j = parser.skipSpace(str, j);
+        if ((str.slice( j,  ( j + 2 ) ) != "|}")) {
+            throw BadSyntax(parser._thisDoc, parser.lines, str, j, "'|}' expected at end of annotation");
+        }
+        return  ( j + 2 ) ;
+    };
+};
+__SinkParser.prototype.objectList = function(str, i, res, annotate) {
     var i = this.object(str, i, res);
     if ((i < 0)) {
         return -1;
@@ -992,6 +1033,10 @@ __SinkParser.prototype.objectList = function(str, i, res) {
             throw BadSyntax(this._thisDoc, this.lines, str, j, "EOF found after object");
             return j;
         }
+        if (annotate && (str.slice( j,  ( j + 2 ) ) == "{|")) {
+            var i = annotate(str,  ( j + 2 ) , res[res.length - 1]);
+            continue;
+        }
         if ((str.slice( j,  ( j + 1 ) ) != ",")) {
             return j;
         }
@@ -8,7 +8,7 @@ import RDFParser from './rdfxmlparser'
 import sparqlUpdateParser from './patch-parser'
 import * as Util from './utils-js'
 import Formula from './formula'
-import { ContentType, TurtleContentType, N3ContentType, RDFXMLContentType, XHTMLContentType, HTMLContentType, SPARQLUpdateContentType, JSONLDContentType, NQuadsContentType, NQuadsAltContentType } from './types'
+import { ContentType, TurtleContentType, N3ContentType, RDFXMLContentType, XHTMLContentType, HTMLContentType, SPARQLUpdateContentType, JSONLDContentType, NQuadsContentType, NQuadsAltContentType, NTriplesContentType } from './types'
 import { Quad } from './tf-types'
 
 type CallbackFunc = (error: any, kb: Formula | null) => void
@@ -34,7 +34,8 @@ export default function parse (
   contentType = contentType || TurtleContentType
   contentType = contentType.split(';')[0] as ContentType
   try {
-    if (contentType === N3ContentType || contentType === TurtleContentType) {
+    // N-Triples, and N-Triples-star, are a subset of Turtle, and Turtle-star
+    if (contentType === N3ContentType || contentType === TurtleContentType || contentType === NTriplesContentType) {
       var p = N3Parser(kb, kb, base, base, null, null, '', null)
       p.loadBuf(str)
       executeCallback()
@@ -69,6 +70,7 @@ export default function parse (
   (parse as any).handled= {
     'text/n3': true,
     'text/turtle': true,
+    'application/n-triples': true,
     'application/rdf+xml': true,
     'application/xhtml+xml': true,
     'text/html': true,
@@ -21,6 +21,7 @@ import IndexedFormula  from './store'
 import { defaultGraphURI as defaultDocumentURI } from './utils/default-graph-uri'
 import log from './log'
 import { docpart } from './uri'
+import { RangeConstraint } from './range-index'
 
 /**
  * Query class, for tracking queries the user has in the UI.
@@ -30,6 +31,13 @@ export class Query {
     this.pat = new IndexedFormula() // The pattern to search for
     this.vars = [] // Used by UI code but not in query.js
     //    this.orderBy = [] // Not used yet
+    this.algebra = undefined // The algebra of a SPARQL query, evaluated in place of the pattern if given
+    this.base = undefined // The base IRI of a SPARQL query
+    this.queryType = 'SELECT' // The form of a SPARQL query: SELECT, CONSTRUCT, ASK or DESCRIBE
+    this.template = undefined // The triples a CONSTRUCT query makes for each solution
+    this.describe = undefined // The resources and variables a DESCRIBE query describes
+    this.wholePattern = false // Whether the pattern has the whole of the algebra, so may be matched in its place
+    this.followLinks = true // Whether matching fetches the documents of the terms matched, if the store has a fetcher
     this.name = name
     this.id = id
   }
@@ -43,6 +51,12 @@ export class Query {
  * currently not in the kb. The fetcher function needs to be defined manualy and
  * should call $rdf.Util.AJAR_handleNewTerm to process the requested resource.
  *
+ * A query with the algebra of a SPARQL query, as from SPARQLToQuery, is
+ * evaluated as SPARQL instead, without fetching. When the store has a fetcher
+ * and the pattern has the whole of the query, the pattern is matched, so that
+ * links to more data are followed as before. A query with followLinks false
+ * is matched without fetching anything.
+ *
  * @param myQuery - a knowledgebase containing a pattern to use as query
  * @param callback - whenever the pattern in myQuery is met this is called with
  *  the new bindings as parameter
@@ -90,6 +104,13 @@ export function indexedFormulaQuery (myQuery, callback, fetcher, onDone) {
       }
       actual = self
     }
+    if (actual.termType === 'Quad') { // A quoted triple, which may have variables in it
+      if (other.termType !== 'Quad') {
+        return []
+      }
+      return unifyContents([actual.subject, actual.predicate, actual.object],
+        [other.subject, other.predicate, other.object], bindings, formula)
+    }
     if (!actual.complexType) {
       if (formula.redirections[actual]) {
         actual = formula.redirections[actual]
@@ -285,10 +306,11 @@ export function indexedFormulaQuery (myQuery, callback, fetcher, onDone) {
    * @param f - formula
    * @param item - an Statement, possibly w/ vars in it
    * @param bindings - Bindings so far
+   * @param constraints - Constraints on the values of variables, by variable
    * @returns false if the query fails -- there are no items that match
   */
-  function prepare (f, item, bindings) {
-    var terms, termIndex, i, ind
+  function prepare (f, item, bindings, constraints) {
+    var terms, termIndex, i, pattern
     item.nvars = 0
     item.index = null
     // if (!f.statements) log.warn("@@@ prepare: f is "+f)
@@ -296,7 +318,6 @@ export function indexedFormulaQuery (myQuery, callback, fetcher, onDone) {
     // log.debug("Prepare: Kb size "+f.statements.length+" Preparing "+item)
 
     terms = [item.subject, item.predicate, item.object, item.why]
-    ind = [f.subjectIndex, f.predicateIndex, f.objectIndex, f.whyIndex]
     for (i = 0; i < 4; i++) {
       let t = terms[i]
       // console.log("  Prepare (" + t + ") "+(t in bindings))
@@ -310,9 +331,11 @@ export function indexedFormulaQuery (myQuery, callback, fetcher, onDone) {
         if (f.redirections[f.id(t)]) {
           t = f.redirections[f.id(t)] // redirect
         }
-        termIndex = ind[i][f.id(t)]
+        pattern = [null, null, null, null]
+        pattern[i] = t
+        termIndex = f.statementsMatching.apply(f, pattern) // The index for the term, in a store
 
-        if (!termIndex) {
+        if (!termIndex.length) {
           item.index = []
           return false // Query line cannot match
         }
@@ -322,6 +345,26 @@ export function indexedFormulaQuery (myQuery, callback, fetcher, onDone) {
       }
     }
 
+    // A range on the object, as from a FILTER comparison, may narrow the matches down further
+    var constraint = constraints && item.object.isVar && bindings[item.object] === undefined &&
+      constraints[item.object]
+    if (constraint instanceof RangeConstraint && f.rangeIndex) {
+      var predicate = bind(item.predicate, bindings)
+      if (!predicate.isVar) {
+        if (f.redirections[f.id(predicate)]) {
+          predicate = f.redirections[f.id(predicate)]
+        }
+        termIndex = f.range(predicate, constraint.min, constraint.max, constraint.options)
+        if (!termIndex.length) {
+          item.index = []
+          return false
+        }
+        if ((item.index === null) || (item.index.length > termIndex.length)) {
+          item.index = termIndex
+        }
+      }
+    }
+
     if (item.index === null) { // All 4 are variables?
       item.index = f.statements
     }
@@ -353,7 +396,7 @@ export function indexedFormulaQuery (myQuery, callback, fetcher, onDone) {
   ***/
   var match = function (f, g, bindingsSoFar, level, fetcher, localCallback, branch) {
     log.debug('Match begins, Branch count now: ' + branch.count + ' for ' + branch.pattern_debug)
-    var sf = f.fetcher ? f.fetcher : null
+    var sf = f.fetcher && myQuery.followLinks !== false ? f.fetcher : null
     // log.debug("match: f has "+f.statements.length+", g has "+g.statements.length)
     var pattern = g.statements
     if (pattern.length === 0) { // when it's satisfied all the pattern triples
@@ -425,7 +468,7 @@ export function indexedFormulaQuery (myQuery, callback, fetcher, onDone) {
       if (bindings.hasOwnProperty(x)) {
         if (constraints[x]) {
           test = constraints[x].test
-          if (test && !test(bindings[x])) {
+          if (test && !constraints[x].test(bindings[x])) {
             res = false
           }
         }
@@ -448,7 +491,7 @@ export function indexedFormulaQuery (myQuery, callback, fetcher, onDone) {
     for (i = 0; i < n; i++) { // For each statement left in the query, run prepare
       item = pattern[i]
       // log.info('match2: item=' + item + ', bindingsSoFar=' + bindingDebug(bindingsSoFar))
-      prepare(f, item, bindingsSoFar)
+      prepare(f, item, bindingsSoFar, g.constraints)
       // if (item.index) console.log('     item.index.length ' + item.index.length)
     }
     pattern.sort(easiestQuery)
@@ -512,7 +555,23 @@ export function indexedFormulaQuery (myQuery, callback, fetcher, onDone) {
   } // match2
   // ////////////////////////// Body of query()  ///////////////////////
   var f = this
-  log.debug('Query on ' + this.statements.length)
+  if (myQuery.algebra && !(myQuery.wholePattern && f.fetcher && myQuery.followLinks !== false)) {
+    var evaluate = function () {
+      // Loaded here rather than imported, so that the store need not load it
+      var evaluateAlgebra = require('./sparql-evaluator').default
+      evaluateAlgebra(f, myQuery.algebra, { base: myQuery.base }).forEach(function (bindings) {
+        callback(bindings)
+      })
+      if (onDone) onDone()
+    }
+    if (myQuery.sync) {
+      evaluate()
+    } else {
+      setTimeout(evaluate, 0)
+    }
+    return
+  }
+  log.debug('Query on ' + this.length)
   var trunck = new MandatoryBranch(callback, onDone)
   trunck.count++ // count one branch to complete at the moment
   if (myQuery.sync) {
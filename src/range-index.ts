@@ -0,0 +1,322 @@
+/* Ordered index of the typed values of literals
+ *
+ * Keeps, for each predicate, the statements whose object is a numeric, date
+ * or dateTime literal in the order of their values, so that the statements
+ * with a value in a range are found by binary search rather than by scanning.
+ *
+ * Numbers are compared with numbers, and dates and dateTimes with each other,
+ * as instants: a date is the instant it starts, and a dateTime without a time
+ * zone is taken to be in UTC.
+ */
+
+/** @module range-index */
+
+import { Indexable } from './factories/factory-types'
+import { Literal, Quad, Quad_Graph, Quad_Predicate, Term } from './tf-types'
+
+const xsd = 'http://www.w3.org/2001/XMLSchema#'
+const numericTypes = ['integer', 'decimal', 'double', 'float', 'long', 'int', 'short', 'byte',
+  'nonNegativeInteger', 'nonPositiveInteger', 'negativeInteger', 'positiveInteger',
+  'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'].map(name => xsd + name)
+const datePattern = /^(-?\d{4,}-\d{2}-\d{2})(Z|[+-]\d{2}:\d{2})?$/
+const dateTimePattern = /^(-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?)(Z|[+-]\d{2}:\d{2})?$/
+
+/** The kinds of values, of which only values of the same kind are compared */
+export type ValueKind = 'number' | 'time'
+
+/** A value to compare literals with */
+export interface RangeValue {
+  kind: ValueKind
+  /** The number, or the time in milliseconds since 1970 */
+  value: number
+}
+
+/** A bound of a range: a literal, a number or a time */
+export type RangeBound = Literal | number | Date
+
+/** The options of a range lookup */
+export interface RangeOptions {
+  /** Whether to leave out values equal to the minimum */
+  minExclusive?: boolean
+  /** Whether to leave out values equal to the maximum */
+  maxExclusive?: boolean
+  /** The graph of the statements, by default any */
+  graph?: Quad_Graph
+}
+
+interface Entry {
+  value: number
+  key: string
+  statement: Quad
+}
+
+/**
+ * Gives the value of a numeric, date or dateTime literal, or undefined for
+ * other terms and for literals which are not valid
+ * @param term - The term
+ */
+export function rangeValue (term: Term): RangeValue | undefined {
+  if (term.termType !== 'Literal') {
+    return undefined
+  }
+  const { value, datatype } = term as Literal
+  if (!datatype) {
+    return undefined
+  }
+  if (numericTypes.indexOf(datatype.value) >= 0) {
+    const number = value.trim() === 'INF' ? Infinity : value.trim() === '-INF' ? -Infinity : Number(value)
+    return isNaN(number) || value.trim() === '' ? undefined : { kind: 'number', value: number }
+  }
+  let match: RegExpExecArray | null = null
+  if (datatype.value === xsd + 'date') {
+    match = datePattern.exec(value)
+    if (match) {
+      match[1] += 'T00:00:00'
+    }
+  } else if (datatype.value === xsd + 'dateTime') {
+    match = dateTimePattern.exec(value)
+  }
+  if (match) {
+    const time = Date.parse(match[1] + (match[2] || 'Z'))
+    return isNaN(time) ? undefined : { kind: 'time', value: time }
+  }
+  return undefined
+}
+
+/**
+ * Gives the value of a bound of a range
+ * @param bound - The bound
+ */
+export function boundValue (bound: RangeBound): RangeValue | undefined {
+  if (typeof bound === 'number') {
+    return { kind: 'number', value: bound }
+  }
+  if (bound instanceof Date) {
+    return { kind: 'time', value: bound.getTime() }
+  }
+  return rangeValue(bound)
+}
+
+/**
+ * Whether a value is within a range
+ * @param value - The value
+ * @param min - The least value, or undefined for no least
+ * @param max - The greatest value, or undefined for no greatest
+ * @param options - Whether the bounds are exclusive
+ */
+export function inRange (value: RangeValue, min?: RangeValue, max?: RangeValue, options: RangeOptions = {}): boolean {
+  if (min && (min.kind !== value.kind || value.value < min.value || (options.minExclusive && value.value === min.value))) {
+    return false
+  }
+  if (max && (max.kind !== value.kind || value.value > max.value || (options.maxExclusive && value.value === max.value))) {
+    return false
+  }
+  return true
+}
+
+/**
+ * A constraint on the value of a variable in a query, that it is in a range,
+ * as from a FILTER comparison. The query engine finds the statements which
+ * may match with the range index of the store, if it has one.
+ */
+export class RangeConstraint {
+  min?: RangeBound
+  max?: RangeBound
+  options: RangeOptions
+
+  /**
+   * @param min - The least value, or null for no least
+   * @param max - The greatest value, or null for no greatest
+   * @param options - Whether the bounds are exclusive
+   */
+  constructor (min: RangeBound | null, max: RangeBound | null, options: RangeOptions = {}) {
+    this.min = min === null ? undefined : min
+    this.max = max === null ? undefined : max
+    this.options = options
+  }
+
+  /**
+   * Whether a term is a literal with a value in the range
+   * @param term - The value of the variable
+   */
+  test (term: Term): boolean {
+    const value = rangeValue(term)
+    return !!value && (this.min !== undefined || this.max !== undefined) && inRange(value,
+      this.min !== undefined ? boundValue(this.min) : undefined,
+      this.max !== undefined ? boundValue(this.max) : undefined,
+      this.options)
+  }
+
+  /**
+   * Describes the constraint in SPARQL
+   * @param varstr - The variable, as in SPARQL
+   */
+  describe (varstr: string): string {
+    const toNT = bound => typeof bound === 'number' ? String(bound)
+      : bound instanceof Date ? `"${bound.toISOString()}"^^<${xsd}dateTime>`
+      : bound.toNT()
+    const parts: string[] = []
+    if (this.min !== undefined) {
+      parts.push(varstr + (this.options.minExclusive ? ' > ' : ' >= ') + toNT(this.min))
+    }
+    if (this.max !== undefined) {
+      parts.push(varstr + (this.options.maxExclusive ? ' < ' : ' <= ') + toNT(this.max))
+    }
+    return parts.join(' && ')
+  }
+}
+
+/**
+ * An ordered index of the numeric, date and dateTime literal objects of
+ * statements, by predicate.
+ *
+ * An IndexedFormula made with the rangeIndex option keeps one of all of its statements.
+ */
+export default class RangeIndex {
+  /** The entries by predicate and kind of value, in order of value unless unsorted */
+  private entries = new Map<Indexable, { [kind: string]: Entry[] }>()
+  /** The lists of entries added to since they were last sorted */
+  private unsorted = new Set<Entry[]>()
+  /** The keys of the statements indexed */
+  private keys = new Set<string>()
+  private id: (term: Term) => Indexable
+
+  /**
+   * @param id - Gives the id of a term, by which statements are told apart
+   */
+  constructor (id: (term: Term) => Indexable) {
+    this.id = id
+  }
+
+  /**
+   * Gives an index of some statements
+   * @param statements - The statements
+   * @param id - Gives the id of a term, by which statements are told apart
+   */
+  static of (statements: ReadonlyArray<Quad>, id: (term: Term) => Indexable): RangeIndex {
+    const index = new RangeIndex(id)
+    statements.forEach(st => index.add(st))
+    return index
+  }
+
+  /**
+   * Indexes a statement, if it has a numeric or time literal as object.
+   * Statements added are sorted into place when the index is next searched,
+   * all at once rather than one by one.
+   * @param st - The statement
+   */
+  add (st: Quad): void {
+    const value = rangeValue(st.object)
+    if (!value) {
+      return
+    }
+    const key = this.key(st)
+    if (this.keys.has(key)) {
+      return
+    }
+    this.keys.add(key)
+    const predicate = this.id(st.predicate)
+    let byKind = this.entries.get(predicate)
+    if (!byKind) {
+      byKind = {}
+      this.entries.set(predicate, byKind)
+    }
+    const entries = byKind[value.kind] = byKind[value.kind] || []
+    entries.push({ value: value.value, key, statement: st })
+    this.unsorted.add(entries)
+  }
+
+  /**
+   * Takes a statement out of the index
+   * @param st - The statement
+   */
+  remove (st: Quad): void {
+    const value = rangeValue(st.object)
+    const key = this.key(st)
+    if (!value || !this.keys.delete(key)) {
+      return
+    }
+    const entries = this.entries.get(this.id(st.predicate))![value.kind]
+    // Unsorted entries are searched from the end, where those added last are
+    const unsorted = this.unsorted.has(entries)
+    let i = unsorted ? entries.length - 1 : this.first(entries, value.value)
+    while (entries[i].key !== key) {
+      i += unsorted ? -1 : 1
+    }
+    entries.splice(i, 1)
+  }
+
+  /**
+   * Finds the statements with a predicate whose object has a value in a range
+   * @param predicate - The predicate
+   * @param min - The least value, or null for no least
+   * @param max - The greatest value, or null for no greatest
+   * @param options - Whether the bounds are exclusive, and the graph
+   * @returns The statements, in order of value
+   */
+  range (predicate: Quad_Predicate, min?: RangeBound | null, max?: RangeBound | null, options: RangeOptions = {}): Quad[] {
+    const given = (bound?: RangeBound | null): bound is RangeBound => bound !== undefined && bound !== null
+    const minValue = given(min) ? boundValue(min) : undefined
+    const maxValue = given(max) ? boundValue(max) : undefined
+    if ((given(min) && !minValue) || (given(max) && !maxValue)) {
+      return [] // Bounds which are not values are in no range
+    }
+    const kind = minValue ? minValue.kind : maxValue ? maxValue.kind : undefined
+    const byKind = this.entries.get(this.id(predicate)) || {}
+    const graph = options.graph && this.id(options.graph)
+    const results: Quad[] = []
+    const kinds = kind ? [kind] : Object.keys(byKind).sort().reverse() // Numbers before times
+    for (const k of kinds) {
+      const entries = this.sorted(byKind[k] || [])
+      const start = minValue ? this.first(entries, minValue.value) : 0
+      for (let i = start; i < entries.length; i++) {
+        const entry = entries[i]
+        if (maxValue && (entry.value > maxValue.value || (options.maxExclusive && entry.value === maxValue.value))) {
+          break
+        }
+        if (minValue && options.minExclusive && entry.value === minValue.value) {
+          continue
+        }
+        if (graph !== undefined && this.id(entry.statement.graph) !== graph) {
+          continue
+        }
+        results.push(entry.statement)
+      }
+    }
+    return results
+  }
+
+  /**
+   * Sorts entries by value, if any were added since they were last sorted
+   */
+  private sorted (entries: Entry[]): Entry[] {
+    if (this.unsorted.delete(entries)) {
+      entries.sort((a, b) => a.value - b.value)
+    }
+    return entries
+  }
+
+  /**
+   * Gives the position of the first entry with a value not less than a value
+   */
+  private first (entries: Entry[], value: number): number {
+    let low = 0
+    let high = entries.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (entries[middle].value < value) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    return low
+  }
+
+  /**
+   * The key of a statement, by the ids of its terms
+   */
+  private key (st: Quad): string {
+    return [st.subject, st.predicate, st.object, st.graph].map(term => this.id(term)).join(' ')
+  }
+}
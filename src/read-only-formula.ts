@@ -0,0 +1,101 @@
+/* Read-only views of formulas
+ *
+ * The base of formulas whose statements are worked out from other formulas
+ * when they are searched, such as snapshots and unions, rather than held.
+ */
+
+/** @module read-only-formula */
+
+import Formula, { FormulaOpts } from './formula'
+import { Query } from './query'
+import { Bindings } from './types'
+import Fetcher from './fetcher'
+
+/**
+ * The query engine, which is loaded when a formula is first queried rather
+ * than with this module, as it loads the store, whose snapshots are read-only
+ */
+function queryEngine (): typeof import('./query') {
+  return require('./query')
+}
+
+/**
+ * A formula which can be searched and queried, but not changed.
+ *
+ * Subclasses give the statements by statementsMatching(), which the
+ * statements, the length and queries all use.
+ */
+export default class ReadOnlyFormula extends Formula {
+  /** What the formula is, to say that it is read-only */
+  private description: string
+
+  /**
+   * @param description - What the formula is, such as 'A snapshot of a store'
+   * @param opts - The options, such as the rdfFactory
+   */
+  constructor (description: string, opts: FormulaOpts = {}) {
+    super(undefined, undefined, undefined, undefined, opts)
+    this.description = description
+    Object.defineProperty(this, 'statements', {
+      get: () => this.statementsMatching(),
+      set: () => { this.readOnly() },
+      enumerable: true,
+      configurable: true
+    })
+  }
+
+  /**
+   * The number of statements in the formula
+   */
+  get length (): number {
+    return this.statementsMatching().length
+  }
+
+  /**
+   * Query the formula asynchronously, return bindings in callback
+   * @param myQuery The query to be run
+   * @param callback Function to call when bindings
+   * @param dummy OBSOLETE - do not use this
+   * @param onDone OBSOLETE - do not use this
+   */
+  query (
+    myQuery: Query,
+    callback: (bindings: Bindings) => void,
+    dummy?: Fetcher | null,
+    onDone?: () => void
+  ): void {
+    return queryEngine().indexedFormulaQuery.call(this, myQuery, callback, dummy, onDone)
+  }
+
+  /**
+   * Query the formula synchronously and return bindings
+   * @param myQuery The query to be run
+   */
+  querySync (myQuery: Query): Bindings[] {
+    const results: Bindings[] = []
+    let done = false
+    // @ts-ignore TODO: Add .sync to Query
+    myQuery.sync = true
+    queryEngine().indexedFormulaQuery.call(this, myQuery, bindings => results.push(bindings), null, () => { done = true })
+    if (!done) {
+      throw new Error('Sync query should have called done function')
+    }
+    return results
+  }
+
+  // @ts-ignore differs from signature in Formula
+  add (): number {
+    return this.readOnly()
+  }
+
+  addStatement (): number {
+    return this.readOnly()
+  }
+
+  /**
+   * @throws {Error} Always, as the formula cannot be changed
+   */
+  protected readOnly (): never {
+    throw new Error(`${this.description} is read-only`)
+  }
+}
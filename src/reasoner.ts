@@ -0,0 +1,199 @@
+/* Forward chaining of N3 rules
+ *
+ * A rule is a statement { antecedent } log:implies { consequent } in the store,
+ * as the N3 parser makes from { ... } => { ... }. The antecedent is matched
+ * against the store with the query engine, and the consequent, with the
+ * bindings found, is added to the store. This is repeated until nothing new is
+ * added, or a limit on the number of rounds is reached.
+ *
+ * In the antecedent, ?variables, blank nodes and names declared with @forAll
+ * match anything. In the consequent, blank nodes stand for new blank nodes,
+ * made afresh each time the rule fires.
+ */
+
+/** @module reasoner */
+
+import Formula from './formula'
+import { Query } from './query'
+import IndexedFormula from './store'
+import { Bindings } from './types'
+import { isFormula, isPredicate, isSubject } from './utils/terms'
+import Variable from './variable'
+import { Quad, Quad_Graph, Quad_Object, Quad_Predicate, Quad_Subject, Term } from './tf-types'
+
+const logImplies = 'http://www.w3.org/2000/10/swap/log#implies'
+
+/** The default limit on the number of rounds of rule firing */
+export const defaultMaxIterations = 100
+
+/** The options for a Reasoner */
+export interface ReasonerOptions {
+  /** The graph to put inferred statements in, by default the store's inference graph */
+  graph?: Quad_Graph
+  /** The most rounds of rule firing before stopping short of a fixpoint */
+  maxIterations?: number
+}
+
+/** What a run of the rules did */
+export interface ReasonerResult {
+  /** The statements added */
+  added: Quad[]
+  /** The number of rounds, including the last in which nothing was added */
+  iterations: number
+  /** Whether the rules were run until nothing more followed */
+  fixpoint: boolean
+}
+
+/** A rule, as { antecedent } => { consequent } */
+export interface Rule {
+  antecedent: Formula
+  consequent: Formula
+}
+
+/**
+ * Runs the N3 rules in a store forwards, adding what follows to the store
+ */
+export default class Reasoner {
+  /** The store with the rules and the data */
+  store: IndexedFormula
+  /** The graph the inferred statements are put in */
+  graph: Quad_Graph
+  /** The most rounds of rule firing in a run */
+  maxIterations: number
+
+  /**
+   * The rules, by their formulas, and bindings which have fired, so that new
+   * blank nodes are only made once
+   */
+  private fired = new Set<string>()
+
+  /**
+   * @param store - The store with the rules and the data
+   * @param opts - The options
+   * @param [opts.graph] - The graph for inferred statements, by default store.inferenceGraph
+   * @param [opts.maxIterations] - The most rounds of rule firing, by default 100
+   */
+  constructor (store: IndexedFormula, opts: ReasonerOptions = {}) {
+    this.store = store
+    this.graph = opts.graph || store.inferenceGraph
+    this.maxIterations = opts.maxIterations !== undefined ? opts.maxIterations : defaultMaxIterations
+  }
+
+  /**
+   * The log:implies rules in the store
+   */
+  rules (): Rule[] {
+    const implies = this.store.rdfFactory.namedNode(logImplies)
+    return this.store.statementsMatching(null, implies)
+      .filter(st => isFormula(st.subject) && isFormula(st.object))
+      .map(st => ({
+        antecedent: st.subject as unknown as Formula,
+        consequent: st.object as unknown as Formula
+      }))
+  }
+
+  /**
+   * Fires the rules until nothing more follows, or maxIterations rounds have been run
+   */
+  run (): ReasonerResult {
+    const rules = this.rules()
+    const added: Quad[] = []
+    for (let iteration = 1; iteration <= this.maxIterations; iteration++) {
+      const before = added.length
+      rules.forEach(rule => {
+        const ruleKey = this.store.id(rule.antecedent) + ' => ' + this.store.id(rule.consequent)
+        for (const bindings of this.match(rule.antecedent)) {
+          const key = ruleKey + ' ' + Object.keys(bindings).sort()
+            .map(v => v + '=' + this.store.id(bindings[v])).join(' ')
+          if (this.fired.has(key)) {
+            continue
+          }
+          this.fired.add(key)
+          added.push(...this.assert(rule.consequent, bindings))
+        }
+      })
+      if (added.length === before) {
+        return { added, iterations: iteration, fixpoint: true }
+      }
+    }
+    return { added, iterations: this.maxIterations, fixpoint: false }
+  }
+
+  /**
+   * Finds the ways in which the antecedent of a rule matches the store
+   */
+  private match (antecedent: Formula): Bindings[] {
+    if (!antecedent.statements.length) {
+      return [{}] // { } => { ... } always holds
+    }
+    const universals = (antecedent as any)._universalVariables || []
+    const variables: { [id: string]: Variable } = {}
+    const pattern = (term: Term): Term => {
+      if (term.termType === 'BlankNode' ||
+        universals.concat(this.store._universalVariables || []).some(u => u.equals(term))) {
+        const id = this.store.id(term)
+        return variables[id] || (variables[id] = new Variable('v' + Object.keys(variables).length))
+      }
+      return term
+    }
+    const query = new Query('rule')
+    for (const st of antecedent.statements) {
+      query.pat.add(
+        pattern(st.subject) as Quad_Subject,
+        pattern(st.predicate) as Quad_Predicate,
+        pattern(st.object) as Quad_Object,
+        this.store.rdfFactory.defaultGraph() // Any graph
+      )
+    }
+    query.followLinks = false // Match only what is in the store
+    const results = this.store.querySync(query)
+    // Put the bindings back in terms of the rule's own nodes
+    return results.map(bindings => {
+      const result: Bindings = {}
+      for (const v in bindings) {
+        result[v] = bindings[v]
+      }
+      for (const id in variables) {
+        result[id] = bindings[variables[id].toNT()]
+      }
+      return result
+    })
+  }
+
+  /**
+   * Adds the consequent of a rule, with the bindings, to the store
+   * @returns The statements added
+   */
+  private assert (consequent: Formula, bindings: Bindings): Quad[] {
+    const store = this.store
+    const universals = (consequent as any)._universalVariables || []
+    const fresh: { [id: string]: Term } = {}
+    const value = (term: Term): Term | undefined => {
+      if (term.termType === 'BlankNode') {
+        const id = store.id(term)
+        return fresh[id] || (fresh[id] = store.rdfFactory.blankNode())
+      }
+      const id = store.id(term)
+      if (term.termType === 'Variable' ||
+        universals.concat(store._universalVariables || []).some(u => u.equals(term))) {
+        return bindings[id]
+      }
+      return term
+    }
+    const added: Quad[] = []
+    for (const st of consequent.statements) {
+      const [s, p, o] = [value(st.subject), value(st.predicate), value(st.object)]
+      if (!isSubject(s) || !isPredicate(p) || !o) {
+        continue // A variable not bound by the antecedent, or a literal as subject
+      }
+      if (store.holds(s, p, o)) {
+        continue
+      }
+      const result = store.add(s, p, o as Quad_Object, this.graph)
+      if (result) {
+        added.push(result as Quad)
+      }
+    }
+    return added
+  }
+}
@@ -38,6 +38,11 @@ export default (function () {
   __Serializer.prototype.setFlags = function (flags) { this.flags = flags || ''; return this }
 
   __Serializer.prototype.toStr = function (x) {
+    if (x.termType === 'Quad') { // A quoted triple
+      var q = CanonicalDataFactory.termToNQ(x)
+      this.formulas[q] = x // remember as reverse does not work
+      return q
+    }
     var s = x.toNT()
     if (x.termType === 'Graph') {
       this.formulas[s] = x // remember as reverse does not work
@@ -46,7 +51,7 @@ export default (function () {
   }
 
   __Serializer.prototype.fromStr = function (s) {
-    if (s[0] === '{') {
+    if (s[0] === '{' || s.slice(0, 2) === '<<') {
       var x = this.formulas[s]
       if (!x) console.log('No formula object for ' + s)
       return x
@@ -133,6 +138,7 @@ export default (function () {
     var incoming = {}
     var subjects = {}
     var allBnodes = {}
+    var quotedBnodes = {} // Written by their ids inside quoted triples, so they must be roots
 
     /* This scan is to find out which nodes will have to be the roots of trees
     ** in the serialized form. This will be any symbols, and any bnodes
@@ -147,6 +153,17 @@ export default (function () {
         if (!incoming.hasOwnProperty(x)) incoming[x] = []
         incoming[x].push(st.subject) // List of things which will cause this to be printed
       }
+      var checkQuoted = function (x) {
+        [x.subject, x.object].forEach(function (z) {
+          if (z.termType === 'BlankNode') {
+            allBnodes[z.toNT()] = true
+            quotedBnodes[z.toNT()] = true
+            checkMentions(z)
+          } else if (z.termType === 'Quad') {
+            checkQuoted(z)
+          }
+        })
+      }
       var st2 = [st.subject, st.predicate, st.object]
       st2.map(function (y) {
         if (y.termType === 'BlankNode') {
@@ -155,6 +172,8 @@ export default (function () {
           y.elements.forEach(function (z) {
             checkMentions(z) // bnodes in collections important
           })
+        } else if (y.termType === 'Quad') {
+          checkQuoted(y)
         }
       })
       checkMentions(sts[i].object)
@@ -168,7 +187,7 @@ export default (function () {
     for (var xNT in subjects) {
       if (!subjects.hasOwnProperty(xNT)) continue
       var y = this.fromStr(xNT)
-      if ((y.termType !== 'BlankNode') || !incoming[y] || (incoming[y].length !== 1)) {
+      if ((y.termType !== 'BlankNode') || !incoming[y] || (incoming[y].length !== 1) || quotedBnodes[xNT]) {
         roots.push(y)
         continue
       }
@@ -205,7 +224,14 @@ export default (function () {
     return '<' + uri + '>'
   }
 
+  // Skolem IRIs minted by the store are written as the blank nodes they stand for
+  __Serializer.prototype.deskolemize = function (sts) {
+    var skolemizer = this.store && this.store.skolemizer
+    return skolemizer ? skolemizer.deskolemizeStatements(sts) : sts
+  }
+
   __Serializer.prototype.statementsToNTriples = function (sts) {
+    sts = this.deskolemize(sts)
     var sorted = sts.slice()
     sorted.sort()
     var str = ''
@@ -243,6 +269,7 @@ export default (function () {
   }
 
   __Serializer.prototype.statementsToN3 = function (sts) {
+    sts = this.deskolemize(sts)
     var indent = 4
     var width = 80
     var kb = this.store
@@ -490,6 +517,10 @@ export default (function () {
         return str
       case 'NamedNode':
         return this.symbolToN3(expr)
+      case 'Quad': // A quoted triple of RDF-star
+        return '<< ' + this.atomicTermToN3(expr.subject, stats) + ' ' +
+          this.atomicTermToN3(expr.predicate, stats) + ' ' +
+          this.atomicTermToN3(expr.object, stats) + ' >>'
       default:
         throw new Error('Internal: atomicTermToN3 cannot handle ' + expr + ' of termType: ' + expr.termType)
     }
@@ -661,6 +692,7 @@ export default (function () {
   // ////////////////////////////////////////////// XML serialization
 
   __Serializer.prototype.statementsToXML = function (sts) {
+    sts = this.deskolemize(sts)
     var indent = 4
     var width = 80
 
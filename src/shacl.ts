@@ -0,0 +1,623 @@
+/* SHACL Core validation
+ *
+ * Validates the data in a store against SHACL shapes, which may be in the same
+ * store or another one, and writes an sh:ValidationReport into a formula.
+ *
+ * Supported: node and property shapes, all the target types, property paths,
+ * and the SHACL Core constraint components except sh:qualifiedValueShapesDisjoint.
+ * SHACL-SPARQL is not supported.
+ *
+ * The data graph is the whole store, whatever graph the statements are in.
+ * Lists may be either Collections or rdf:first/rdf:rest chains.
+ *
+ * @see https://www.w3.org/TR/shacl/
+ */
+
+/** @module shacl */
+
+import Formula from './formula'
+import Literal from './literal'
+import Namespace from './namespace'
+import IndexedFormula from './store'
+import { isLiteral } from './utils/terms'
+import { Quad_Graph, Quad_Object, Quad_Predicate, Quad_Subject, Term } from './tf-types'
+
+const sh = Namespace('http://www.w3.org/ns/shacl#')
+const rdf = Namespace('http://www.w3.org/1999/02/22-rdf-syntax-ns#')
+const rdfs = Namespace('http://www.w3.org/2000/01/rdf-schema#')
+const xsd = Namespace('http://www.w3.org/2001/XMLSchema#')
+
+const numericTypes = [
+  'decimal', 'integer', 'float', 'double', 'long', 'int', 'short', 'byte',
+  'nonNegativeInteger', 'positiveInteger', 'nonPositiveInteger', 'negativeInteger',
+  'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'
+].map(name => xsd(name).value)
+
+/** Lexical forms of the commoner datatypes, for sh:datatype */
+const lexicalForms: { [datatype: string]: RegExp } = {
+  [xsd('boolean').value]: /^(true|false|0|1)$/,
+  [xsd('integer').value]: /^[+-]?\d+$/,
+  [xsd('decimal').value]: /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+  [xsd('double').value]: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/,
+  [xsd('float').value]: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/,
+  [xsd('date').value]: /^-?\d{4,}-\d\d-\d\d(Z|[+-]\d\d:\d\d)?$/,
+  [xsd('dateTime').value]: /^-?\d{4,}-\d\d-\d\dT\d\d:\d\d:\d\d(\.\d+)?(Z|[+-]\d\d:\d\d)?$/
+}
+
+/** One result of validation */
+export interface ValidationResult {
+  /** The node which was validated */
+  focusNode: Term
+  /** The path of the property shape, if any */
+  resultPath?: Term
+  /** The value which did not conform, if any */
+  value?: Term
+  /** The shape the node did not conform to */
+  sourceShape: Term
+  /** The constraint component which found the problem, e.g. sh:MinCountConstraintComponent */
+  sourceConstraintComponent: Term
+  /** sh:Violation, sh:Warning or sh:Info */
+  resultSeverity: Term
+  /** The shape's sh:message, or a description of the problem */
+  resultMessage: string
+}
+
+/** The outcome of validation */
+export interface ValidationReport {
+  /** Whether the data conforms to the shapes, that is, there are no results */
+  conforms: boolean
+  /** The results */
+  results: ValidationResult[]
+  /** The sh:ValidationReport node in the report formula */
+  node: Term
+  /** The formula the report was written into */
+  formula: Formula | IndexedFormula
+}
+
+/** The options for Validator.validate() */
+export interface ValidateOptions {
+  /** The formula to write the report into, by default a new store */
+  report?: Formula | IndexedFormula
+  /** The graph to write the report statements in */
+  graph?: Quad_Graph
+}
+
+/** A problem found by a constraint component */
+interface Problem {
+  component: string
+  message: string
+  value?: Term
+  path?: Term
+}
+
+/** Whether a term is the boolean true, which the parsers may give as "true" or "1" */
+function isTrue (term: Term | null | undefined): boolean {
+  return !!term && (term.value === 'true' || term.value === '1')
+}
+
+/** Compares two literals, or returns undefined if they cannot be compared */
+function compareLiterals (a: Term, b: Term): number | undefined {
+  if (!isLiteral(a) || !isLiteral(b)) {
+    return undefined
+  }
+  const numeric = (l: Literal) => numericTypes.indexOf(l.datatype.value) >= 0
+  if (numeric(a as Literal) && numeric(b as Literal)) {
+    const x = Number(a.value)
+    const y = Number(b.value)
+    return isNaN(x) || isNaN(y) ? undefined : x - y
+  }
+  if (!(a as Literal).datatype.equals((b as Literal).datatype)) {
+    return undefined
+  }
+  const type = (a as Literal).datatype.value
+  if (type === xsd('dateTime').value || type === xsd('date').value) {
+    const x = Date.parse(a.value)
+    const y = Date.parse(b.value)
+    return isNaN(x) || isNaN(y) ? undefined : x - y
+  }
+  return a.value < b.value ? -1 : a.value > b.value ? 1 : 0
+}
+
+/**
+ * Validates data against a set of SHACL shapes
+ */
+export default class Validator {
+  /** The store with the shapes */
+  shapes: IndexedFormula
+
+  /** The data being validated */
+  private data!: IndexedFormula
+  /** The shapes and focus nodes being validated, to stop recursive shapes looping */
+  private validating: string[] = []
+
+  /**
+   * @param shapes - The store with the shapes graph
+   */
+  constructor (shapes: IndexedFormula) {
+    this.shapes = shapes
+  }
+
+  /**
+   * Validates data against the shapes, writing a report into a formula
+   * @param data - The store with the data graph
+   * @param opts - The options
+   * @param [opts.report] - The formula to write the report into, by default a new store
+   * @param [opts.graph] - The graph to write the report in
+   */
+  validate (data: IndexedFormula, opts: ValidateOptions = {}): ValidationReport {
+    this.data = data
+    const results: ValidationResult[] = []
+    for (const shape of this.shapesWithTargets()) {
+      for (const focus of this.targets(shape)) {
+        results.push(...this.validateNode(focus, shape))
+      }
+    }
+    const formula = opts.report || new IndexedFormula()
+    const node = this.writeReport(formula, results, opts.graph)
+    return { conforms: results.length === 0, results, node, formula }
+  }
+
+  /**
+   * Whether a node conforms to a shape
+   * @param data - The store with the data graph
+   * @param node - The node
+   * @param shape - The shape
+   */
+  conforms (data: IndexedFormula, node: Term, shape: Term): boolean {
+    this.data = data
+    return this.validateNode(node, shape).length === 0
+  }
+
+  private shapesWithTargets (): Term[] {
+    const found: { [id: string]: Term } = {}
+    for (const p of ['targetNode', 'targetClass', 'targetSubjectsOf', 'targetObjectsOf']) {
+      for (const st of this.shapes.statementsMatching(null, sh(p))) {
+        found[this.shapes.id(st.subject)] = st.subject
+      }
+    }
+    // Implicit class targets
+    for (const type of [sh('NodeShape'), sh('PropertyShape')]) {
+      for (const shape of this.shapes.each(null, rdf('type'), type)) {
+        if (this.shapes.holds(shape, rdf('type'), rdfs('Class'))) {
+          found[this.shapes.id(shape)] = shape
+        }
+      }
+    }
+    return Object.keys(found).map(id => found[id])
+  }
+
+  /** The focus nodes of a shape */
+  private targets (shape: Term): Term[] {
+    const s = shape as Quad_Subject
+    const data = this.data
+    let nodes: Term[] = this.shapes.each(s, sh('targetNode'))
+    const classes = this.shapes.each(s, sh('targetClass'))
+    if (this.shapes.holds(s, rdf('type'), rdfs('Class'))) {
+      classes.push(shape)
+    }
+    for (const cls of classes) {
+      for (const sub of this.subClasses(cls)) {
+        nodes = nodes.concat(data.each(null, rdf('type'), sub as Quad_Object))
+      }
+    }
+    for (const p of this.shapes.each(s, sh('targetSubjectsOf'))) {
+      nodes = nodes.concat(data.statementsMatching(null, p as Quad_Predicate).map(st => st.subject))
+    }
+    for (const p of this.shapes.each(s, sh('targetObjectsOf'))) {
+      nodes = nodes.concat(data.statementsMatching(null, p as Quad_Predicate).map(st => st.object))
+    }
+    return this.distinct(nodes)
+  }
+
+  /** A class and its subclasses in the data */
+  private subClasses (cls: Term): Term[] {
+    const result = [cls]
+    for (let i = 0; i < result.length; i++) {
+      for (const sub of this.data.each(null, rdfs('subClassOf'), result[i] as Quad_Object)) {
+        if (!result.some(c => c.equals(sub))) {
+          result.push(sub)
+        }
+      }
+    }
+    return result
+  }
+
+  /** Whether a node is an instance of a class or one of its subclasses, in the data */
+  private isInstance (node: Term, cls: Term): boolean {
+    return this.subClasses(cls).some(c => this.data.holds(node, rdf('type'), c))
+  }
+
+  private distinct (nodes: Term[]): Term[] {
+    const seen: { [id: string]: boolean } = {}
+    return nodes.filter(node => {
+      const id = this.data.id(node)
+      return seen[id] ? false : (seen[id] = true)
+    })
+  }
+
+  /** The members of an RDF list in the shapes graph */
+  private list (node: Term | undefined): Term[] {
+    if (!node) {
+      return []
+    }
+    if (node.termType === 'Collection') {
+      return (node as any).elements
+    }
+    const result: Term[] = []
+    while (node && !node.equals(rdf('nil'))) {
+      const first = this.shapes.any(node as Quad_Subject, rdf('first'))
+      if (!first) {
+        break
+      }
+      result.push(first)
+      node = this.shapes.any(node as Quad_Subject, rdf('rest')) || undefined
+    }
+    return result
+  }
+
+  /** The nodes reached from a node by a SHACL property path */
+  private pathValues (focus: Term, path: Term): Term[] {
+    const data = this.data
+    const shapes = this.shapes
+    if (path.termType === 'NamedNode') {
+      return this.distinct(data.each(focus as Quad_Subject, path as Quad_Predicate))
+    }
+    const p = path as Quad_Subject
+    const inverse = shapes.any(p, sh('inversePath'))
+    if (inverse) {
+      if (inverse.termType === 'NamedNode') {
+        return this.distinct(data.each(null, inverse as Quad_Predicate, focus as Quad_Object))
+      }
+      // The inverse of a complex path: whatever has focus as a value
+      return this.distinct(data.statements.map(st => st.subject))
+        .filter(node => this.pathValues(node, inverse).some(v => v.equals(focus)))
+    }
+    const alternatives = shapes.any(p, sh('alternativePath'))
+    if (alternatives) {
+      return this.distinct(([] as Term[]).concat(
+        ...this.list(alternatives).map(alt => this.pathValues(focus, alt))))
+    }
+    const repeated = (sub: Term, atLeastOne: boolean, atMostOne: boolean): Term[] => {
+      const result = atLeastOne ? [] : [focus]
+      let frontier = [focus]
+      while (frontier.length) {
+        const next: Term[] = []
+        for (const node of frontier) {
+          for (const value of this.pathValues(node, sub)) {
+            if (!result.some(r => r.equals(value))) {
+              result.push(value)
+              next.push(value)
+            }
+          }
+        }
+        frontier = atMostOne ? [] : next
+      }
+      return result
+    }
+    const zeroOrMore = shapes.any(p, sh('zeroOrMorePath'))
+    if (zeroOrMore) {
+      return repeated(zeroOrMore, false, false)
+    }
+    const oneOrMore = shapes.any(p, sh('oneOrMorePath'))
+    if (oneOrMore) {
+      return repeated(oneOrMore, true, false)
+    }
+    const zeroOrOne = shapes.any(p, sh('zeroOrOnePath'))
+    if (zeroOrOne) {
+      return repeated(zeroOrOne, false, true)
+    }
+    // A sequence path
+    let nodes = [focus]
+    for (const step of this.list(path)) {
+      nodes = this.distinct(([] as Term[]).concat(...nodes.map(node => this.pathValues(node, step))))
+    }
+    return nodes
+  }
+
+  /**
+   * Validates one focus node against a shape
+   */
+  private validateNode (focus: Term, shape: Term): ValidationResult[] {
+    const s = shape as Quad_Subject
+    const shapes = this.shapes
+    if (isTrue(shapes.any(s, sh('deactivated')))) {
+      return []
+    }
+    const key = shapes.id(shape) + ' ' + this.data.id(focus)
+    if (this.validating.indexOf(key) >= 0) {
+      return [] // A recursive shape, which SHACL leaves undefined
+    }
+    this.validating.push(key)
+    try {
+      const path = shapes.any(s, sh('path')) || undefined
+      const values = path ? this.pathValues(focus, path) : [focus]
+      const severity = shapes.any(s, sh('severity')) || sh('Violation')
+      const message = shapes.any(s, sh('message'))
+      const results: ValidationResult[] = []
+      for (const problem of this.check(focus, shape, path, values)) {
+        results.push({
+          focusNode: focus,
+          resultPath: problem.path || path,
+          value: problem.value,
+          sourceShape: shape,
+          sourceConstraintComponent: sh(problem.component + 'ConstraintComponent'),
+          resultSeverity: severity,
+          resultMessage: message ? message.value : problem.message
+        })
+      }
+      // Property shapes of this one report their own results
+      for (const property of shapes.each(s, sh('property'))) {
+        for (const value of values) {
+          results.push(...this.validateNode(value, property))
+        }
+      }
+      return results
+    } finally {
+      this.validating.pop()
+    }
+  }
+
+  /**
+   * Checks the value nodes of a focus node against the constraints of a shape
+   */
+  private check (focus: Term, shape: Term, path: Term | undefined, values: Term[]): Problem[] {
+    const s = shape as Quad_Subject
+    const shapes = this.shapes
+    const data = this.data
+    const problems: Problem[] = []
+    const each = (name: string) => shapes.each(s, sh(name))
+    const one = (name: string) => shapes.any(s, sh(name))
+    const forEachValue = (component: string, ok: (v: Term) => boolean, message: (v: Term) => string) => {
+      for (const value of values) {
+        if (!ok(value)) {
+          problems.push({ component, value, message: message(value) })
+        }
+      }
+    }
+    const conforms = (node: Term, other: Term) => this.validateNode(node, other).length === 0
+
+    // Value type
+    for (const cls of each('class')) {
+      forEachValue('Class', v => this.isInstance(v, cls), v => `${v} is not a ${cls}`)
+    }
+    for (const datatype of each('datatype')) {
+      forEachValue('Datatype', v => {
+        if (!isLiteral(v) || !(v as Literal).datatype.equals(datatype)) {
+          return false
+        }
+        const form = lexicalForms[datatype.value]
+        return !form || form.test(v.value)
+      }, v => `${v} is not a valid ${datatype}`)
+    }
+    const nodeKind = one('nodeKind')
+    if (nodeKind) {
+      const kinds = nodeKind.value.slice(sh('').value.length)
+      forEachValue('NodeKind', v => {
+        const kind = v.termType === 'NamedNode' ? 'IRI' : v.termType === 'BlankNode' ? 'BlankNode' : 'Literal'
+        return kinds.split('Or').indexOf(kind) >= 0
+      }, v => `${v} is not of kind ${nodeKind}`)
+    }
+
+    // Cardinality
+    const minCount = one('minCount')
+    if (minCount && values.length < Number(minCount.value)) {
+      problems.push({ component: 'MinCount', message: `Fewer than ${minCount.value} values` })
+    }
+    const maxCount = one('maxCount')
+    if (maxCount && values.length > Number(maxCount.value)) {
+      problems.push({ component: 'MaxCount', message: `More than ${maxCount.value} values` })
+    }
+
+    // Value range
+    const ranges: Array<[string, (c: number) => boolean, string]> = [
+      ['minExclusive', c => c > 0, 'greater than'],
+      ['minInclusive', c => c >= 0, 'at least'],
+      ['maxExclusive', c => c < 0, 'less than'],
+      ['maxInclusive', c => c <= 0, 'at most']
+    ]
+    for (const [name, test, words] of ranges) {
+      const bound = one(name)
+      if (bound) {
+        const component = name.charAt(0).toUpperCase() + name.slice(1)
+        forEachValue(component, v => {
+          const c = compareLiterals(v, bound)
+          return c !== undefined && test(c)
+        }, v => `${v} is not ${words} ${bound}`)
+      }
+    }
+
+    // String based
+    const minLength = one('minLength')
+    if (minLength) {
+      forEachValue('MinLength', v => v.termType !== 'BlankNode' && v.value.length >= Number(minLength.value),
+        v => `${v} is shorter than ${minLength.value}`)
+    }
+    const maxLength = one('maxLength')
+    if (maxLength) {
+      forEachValue('MaxLength', v => v.termType !== 'BlankNode' && v.value.length <= Number(maxLength.value),
+        v => `${v} is longer than ${maxLength.value}`)
+    }
+    for (const pattern of each('pattern')) {
+      const flags = one('flags')
+      const regexp = new RegExp(pattern.value, flags ? flags.value : '')
+      forEachValue('Pattern', v => v.termType !== 'BlankNode' && regexp.test(v.value),
+        v => `${v} does not match ${pattern.value}`)
+    }
+    const languageIn = one('languageIn')
+    if (languageIn) {
+      const ranges = this.list(languageIn).map(l => l.value.toLowerCase())
+      forEachValue('LanguageIn', v => {
+        const lang = isLiteral(v) ? ((v as Literal).language || '').toLowerCase() : ''
+        return !!lang && ranges.some(r => lang === r || lang.indexOf(r + '-') === 0)
+      }, v => `${v} is not in one of the languages ${ranges.join(', ')}`)
+    }
+    if (isTrue(one('uniqueLang'))) {
+      const counts: { [lang: string]: number } = {}
+      for (const v of values) {
+        const lang = isLiteral(v) ? ((v as Literal).language || '').toLowerCase() : ''
+        if (lang) {
+          counts[lang] = (counts[lang] || 0) + 1
+        }
+      }
+      for (const lang in counts) {
+        if (counts[lang] > 1) {
+          problems.push({ component: 'UniqueLang', message: `More than one value in language ${lang}` })
+        }
+      }
+    }
+
+    // Property pairs
+    const others = (p: Term) => data.each(focus as Quad_Subject, p as Quad_Predicate)
+    const includes = (nodes: Term[], node: Term) => nodes.some(n => n.equals(node))
+    for (const p of each('equals')) {
+      const pValues = others(p)
+      for (const v of values.filter(v => !includes(pValues, v))) {
+        problems.push({ component: 'Equals', value: v, message: `${v} is not a value of ${p}` })
+      }
+      for (const v of this.distinct(pValues).filter(v => !includes(values, v))) {
+        problems.push({ component: 'Equals', value: v, message: `${v} of ${p} is not a value` })
+      }
+    }
+    for (const p of each('disjoint')) {
+      const pValues = others(p)
+      forEachValue('Disjoint', v => !includes(pValues, v), v => `${v} is also a value of ${p}`)
+    }
+    for (const [name, test] of [['lessThan', (c: number) => c < 0], ['lessThanOrEquals', (c: number) => c <= 0]] as Array<[string, (c: number) => boolean]>) {
+      for (const p of each(name)) {
+        const pValues = others(p)
+        const component = name.charAt(0).toUpperCase() + name.slice(1)
+        forEachValue(component, v => pValues.every(w => {
+          const c = compareLiterals(v, w)
+          return c !== undefined && test(c)
+        }), v => `${v} is not ${name === 'lessThan' ? 'less than' : 'at most'} the values of ${p}`)
+      }
+    }
+
+    // Logical
+    for (const not of each('not')) {
+      forEachValue('Not', v => !conforms(v, not), v => `${v} conforms to ${not}`)
+    }
+    for (const and of each('and')) {
+      const members = this.list(and)
+      forEachValue('And', v => members.every(m => conforms(v, m)), v => `${v} does not conform to all the shapes`)
+    }
+    for (const or of each('or')) {
+      const members = this.list(or)
+      forEachValue('Or', v => members.some(m => conforms(v, m)), v => `${v} conforms to none of the shapes`)
+    }
+    for (const xone of each('xone')) {
+      const members = this.list(xone)
+      forEachValue('Xone', v => members.filter(m => conforms(v, m)).length === 1,
+        v => `${v} does not conform to exactly one of the shapes`)
+    }
+
+    // Shape based
+    for (const node of each('node')) {
+      forEachValue('Node', v => conforms(v, node), v => `${v} does not conform to ${node}`)
+    }
+    const qualified = one('qualifiedValueShape')
+    if (qualified) {
+      const count = values.filter(v => conforms(v, qualified)).length
+      const min = one('qualifiedMinCount')
+      if (min && count < Number(min.value)) {
+        problems.push({ component: 'QualifiedMinCount', message: `Fewer than ${min.value} values conform to ${qualified}` })
+      }
+      const max = one('qualifiedMaxCount')
+      if (max && count > Number(max.value)) {
+        problems.push({ component: 'QualifiedMaxCount', message: `More than ${max.value} values conform to ${qualified}` })
+      }
+    }
+
+    // Other
+    if (isTrue(one('closed'))) {
+      const allowed = this.list(one('ignoredProperties') || undefined)
+      for (const property of each('property')) {
+        const p = shapes.any(property as Quad_Subject, sh('path'))
+        if (p && p.termType === 'NamedNode') {
+          allowed.push(p)
+        }
+      }
+      for (const v of values) {
+        if (v.termType === 'Literal') {
+          continue
+        }
+        for (const st of data.statementsMatching(v as Quad_Subject)) {
+          if (!includes(allowed, st.predicate)) {
+            problems.push({
+              component: 'Closed',
+              value: st.object,
+              path: st.predicate,
+              message: `${st.predicate} is not allowed on ${v}`
+            })
+          }
+        }
+      }
+    }
+    for (const hasValue of each('hasValue')) {
+      if (!includes(values, hasValue)) {
+        problems.push({ component: 'HasValue', message: `${hasValue} is missing` })
+      }
+    }
+    const allowedValues = one('in')
+    if (allowedValues) {
+      const members = this.list(allowedValues)
+      forEachValue('In', v => includes(members, v), v => `${v} is not one of the allowed values`)
+    }
+    return problems
+  }
+
+  /**
+   * Writes a report into a formula
+   * @returns The report node
+   */
+  private writeReport (formula: Formula | IndexedFormula, results: ValidationResult[], graph?: Quad_Graph): Term {
+    const factory = formula.rdfFactory
+    const report = factory.blankNode()
+    formula.add(report, rdf('type'), sh('ValidationReport'), graph)
+    formula.add(report, sh('conforms'), factory.literal(String(results.length === 0), xsd('boolean')), graph)
+    for (const result of results) {
+      const r = factory.blankNode()
+      formula.add(report, sh('result'), r, graph)
+      formula.add(r, rdf('type'), sh('ValidationResult'), graph)
+      formula.add(r, sh('focusNode'), result.focusNode as Quad_Object, graph)
+      if (result.resultPath) {
+        formula.add(r, sh('resultPath'), this.copy(result.resultPath, formula, graph) as Quad_Object, graph)
+      }
+      if (result.value) {
+        formula.add(r, sh('value'), result.value as Quad_Object, graph)
+      }
+      formula.add(r, sh('sourceShape'), result.sourceShape as Quad_Object, graph)
+      formula.add(r, sh('sourceConstraintComponent'), result.sourceConstraintComponent as Quad_Object, graph)
+      formula.add(r, sh('resultSeverity'), result.resultSeverity as Quad_Object, graph)
+      formula.add(r, sh('resultMessage'), factory.literal(result.resultMessage), graph)
+    }
+    return report
+  }
+
+  /**
+   * Copies a node of the shapes graph, with what hangs off it if it is a blank node,
+   * such as a complex path, into a formula
+   */
+  private copy (node: Term, formula: Formula | IndexedFormula, graph?: Quad_Graph): Term {
+    if (node.termType === 'BlankNode') {
+      for (const st of this.shapes.statementsMatching(node as Quad_Subject)) {
+        formula.add(st.subject, st.predicate, this.copy(st.object, formula, graph) as Quad_Object, graph)
+      }
+    }
+    return node
+  }
+}
+
+/**
+ * Validates data against SHACL shapes
+ * @param data - The store with the data graph
+ * @param shapes - The store with the shapes graph, by default the data store
+ * @param opts - The options, as for Validator.validate()
+ */
+export function validate (
+  data: IndexedFormula,
+  shapes: IndexedFormula = data,
+  opts: ValidateOptions = {}
+): ValidationReport {
+  return new Validator(shapes).validate(data, opts)
+}
@@ -0,0 +1,225 @@
+/* Skolemization of blank nodes
+ *
+ * Replaces the blank nodes of a document in a store with IRIs minted under
+ * /.well-known/genid/ on the host of the document, as RDF 1.1 describes, so
+ * that they can be named in a patch like any other node. The store keeps the
+ * blank node each IRI stands for, and the serializer writes the blank nodes
+ * back in place of the IRIs.
+ *
+ * The IRIs are scoped to the document: their path is the path of the document
+ * under /.well-known/genid/, and a blank node used in two documents gets a
+ * different IRI in each.
+ *
+ * The copy of a document on its server has the blank nodes, as the serializer
+ * writes them, unless the document is skolemized with serverHasIRIs, as when
+ * the server minted the IRIs or the document was written with them. Only then
+ * are the IRIs written and sent in patches; otherwise patches identify the
+ * blank nodes they stand for as they would without skolemization.
+ */
+
+/** @module skolem */
+
+import { join } from './uri'
+import IndexedFormula from './store'
+import { BlankNode, NamedNode, Quad, Quad_Graph, Term } from './tf-types'
+
+/** The path under which skolem IRIs are minted */
+export const genidPath = '/.well-known/genid/'
+
+/**
+ * Whether a term is a skolem IRI, minted by this store or elsewhere
+ * @param term - An RDF term
+ */
+export function isSkolemIRI (term: Term): boolean {
+  return term.termType === 'NamedNode' && term.value.indexOf(genidPath) > 0
+}
+
+/**
+ * The skolem IRIs of the blank nodes of the documents in a store
+ */
+export default class Skolemizer {
+  store: IndexedFormula
+  /** The blank node of each skolem IRI minted */
+  private blankNodes: { [iri: string]: BlankNode } = {}
+  /** For each document skolemized, the skolem IRI of each blank node by its label */
+  private iris: { [doc: string]: { [label: string]: NamedNode } } = {}
+  /** The document of each skolem IRI minted */
+  private docs: { [iri: string]: string } = {}
+  /** The documents whose copies on their servers have the skolem IRIs */
+  private onServer: { [doc: string]: boolean } = {}
+
+  /**
+   * @param store - The store whose blank nodes are skolemized
+   */
+  constructor (store: IndexedFormula) {
+    this.store = store
+  }
+
+  /**
+   * Whether a document has been skolemized, and not removed since
+   * @param doc - The document
+   */
+  isSkolemized (doc: Quad_Graph): boolean {
+    return doc.value in this.iris
+  }
+
+  /**
+   * Whether the copy of a skolemized document on its server has the skolem IRIs
+   * in place of the blank nodes
+   * @param doc - The document
+   */
+  serverHasIRIs (doc: Quad_Graph): boolean {
+    return !!this.onServer[doc.value]
+  }
+
+  /**
+   * Replaces the blank nodes in the statements of a document with skolem IRIs
+   * @param doc - The document
+   * @param serverHasIRIs - Whether the copy of the document on its server has
+   *   the skolem IRIs, so that they are written and sent in patches
+   * @returns The number of blank nodes replaced
+   */
+  skolemize (doc: Quad_Graph, serverHasIRIs?: boolean): number {
+    const before = Object.keys(this.iris[doc.value] || {}).length
+    this.iris[doc.value] = this.iris[doc.value] || {}
+    if (serverHasIRIs) {
+      this.onServer[doc.value] = true
+    }
+    const sts = this.store.statementsMatching(null, null, null, doc).slice()
+    for (const st of sts) {
+      const skolemized = this.skolemizeStatement(st, true)
+      if (skolemized !== st) {
+        this.store.remove(st)
+        this.store.add(skolemized)
+      }
+    }
+    return Object.keys(this.iris[doc.value]).length - before
+  }
+
+  /**
+   * Puts the blank nodes back in place of the skolem IRIs in a document
+   * @param doc - The document
+   */
+  deskolemize (doc: Quad_Graph): void {
+    const sts = this.store.statementsMatching(null, null, null, doc).slice()
+    for (const st of sts) {
+      const deskolemized = this.deskolemizeStatement(st)
+      if (deskolemized !== st) {
+        this.store.remove(st)
+        this.store.add(deskolemized)
+      }
+    }
+    this.forget(doc)
+  }
+
+  /**
+   * Forgets the skolem IRIs minted for a document, as when it is removed from the store
+   * @param doc - The document
+   */
+  forget (doc: Quad_Graph): void {
+    const iris = this.iris[doc.value]
+    if (iris) {
+      Object.keys(iris).forEach(label => {
+        delete this.blankNodes[iris[label].value]
+        delete this.docs[iris[label].value]
+      })
+      delete this.iris[doc.value]
+    }
+    delete this.onServer[doc.value]
+  }
+
+  /**
+   * Gives the skolem IRI of a blank node in a document
+   * @param node - The blank node
+   * @param doc - The document
+   * @param mint - Whether to mint an IRI for a blank node which has none yet
+   */
+  skolemIRI (node: BlankNode, doc: Quad_Graph, mint?: boolean): NamedNode | undefined {
+    const iris = this.iris[doc.value]
+    if (!iris) {
+      return undefined
+    }
+    if (!iris[node.value] && mint) {
+      const scope = genidPath + doc.value
+        .replace(/^[^\/]*\/\/[^\/]*\//, '')
+        .replace(/[#?]/g, c => encodeURIComponent(c))
+      for (let i = 0; ; i++) {
+        const iri = join(scope + '/b' + i, doc.value)
+        if (!this.blankNodes[iri] && !this.store.mentionsURI(iri)) {
+          iris[node.value] = this.store.rdfFactory.namedNode(iri)
+          this.blankNodes[iri] = node
+          this.docs[iri] = doc.value
+          break
+        }
+      }
+    }
+    return iris[node.value]
+  }
+
+  /**
+   * Gives the blank node a skolem IRI stands for, if minted by this store
+   * @param iri - The skolem IRI
+   */
+  blankNode (iri: NamedNode): BlankNode | undefined {
+    return this.blankNodes[iri.value]
+  }
+
+  /**
+   * Gives the blank node a skolem IRI minted by this store stands for in the
+   * copy of its document on the server, unless that copy has the IRI
+   * @param iri - The skolem IRI
+   */
+  serverBlankNode (iri: NamedNode): BlankNode | undefined {
+    return this.onServer[this.docs[iri.value]] ? undefined : this.blankNodes[iri.value]
+  }
+
+  /**
+   * Gives a statement with the blank nodes replaced by their skolem IRIs in
+   * the document of the statement, or the statement itself if none are
+   * @param st - The statement
+   * @param mint - Whether to mint IRIs for blank nodes which have none yet
+   */
+  skolemizeStatement (st: Quad, mint?: boolean): Quad {
+    return this.replace(st, term => term.termType === 'BlankNode'
+      ? this.skolemIRI(term as BlankNode, st.graph, mint)
+      : undefined)
+  }
+
+  /**
+   * Gives a statement with the skolem IRIs minted by this store replaced by
+   * their blank nodes, or the statement itself if none are
+   * @param st - The statement
+   */
+  deskolemizeStatement (st: Quad): Quad {
+    return this.replace(st, term => term.termType === 'NamedNode'
+      ? this.blankNode(term as NamedNode)
+      : undefined)
+  }
+
+  /**
+   * Gives statements with the skolem IRIs minted by this store replaced by
+   * their blank nodes, as the server has them, so leaving those of documents
+   * whose servers have the IRIs
+   * @param sts - The statements
+   */
+  deskolemizeStatements (sts: ReadonlyArray<Quad>): Quad[] {
+    return sts.map(st => this.serverHasIRIs(st.graph) ? st : this.deskolemizeStatement(st))
+  }
+
+  /**
+   * Replaces the subject and object of a statement, and those of quoted triples in it
+   * @param st - The statement
+   * @param replacement - Gives the term to replace a term with, or undefined to keep it
+   */
+  private replace (st: Quad, replacement: (term: Term) => Term | undefined): Quad {
+    const part = (term: Term): Term => term.termType === 'Quad'
+      ? this.replace(term as unknown as Quad, replacement) as unknown as Term
+      : replacement(term) || term
+    const subject = part(st.subject)
+    const object = part(st.object)
+    if (subject === st.subject && object === st.object) {
+      return st
+    }
+    return this.store.rdfFactory.quad(subject, st.predicate, object, st.graph)
+  }
+}
@@ -0,0 +1,143 @@
+/* Read-only snapshots of a store
+ *
+ * A snapshot is the store as it was when the snapshot was taken. Nothing is
+ * copied: while any snapshot is held, the store keeps a log of the statements
+ * added and removed, and a snapshot answers from the live store, leaving out
+ * what was added since and putting back what was removed since. The log is
+ * dropped once the snapshots are released.
+ */
+
+/** @module snapshot */
+
+import Node from './node'
+import ReadOnlyFormula from './read-only-formula'
+import IndexedFormula from './store'
+import { Quad, Quad_Graph, Quad_Object, Quad_Predicate, Quad_Subject, Term } from './tf-types'
+
+/** A statement added to or removed from a store */
+export interface StatementChange {
+  /** The version of the store the change made */
+  version: number
+  /** Whether the statement was added, or else removed */
+  added: boolean
+  statement: Quad
+}
+
+/**
+ * The statements of an IndexedFormula as they were at a version of it.
+ *
+ * Made with store.snapshot(). A snapshot can be searched and queried as the
+ * store can, but not changed. The smushing of nodes is not undone: nodes are
+ * smushed in a snapshot as they are in the live store.
+ */
+export default class Snapshot extends ReadOnlyFormula {
+  /** The live store */
+  store: IndexedFormula
+  /** The version of the store the snapshot is of */
+  version: number
+  /** Whether release() has been called */
+  released = false
+
+  /**
+   * @param store - The live store
+   * @param version - The version of the store the snapshot is of
+   */
+  constructor (store: IndexedFormula, version: number) {
+    super('A snapshot of a store', { rdfFactory: store.rdfFactory })
+    this.store = store
+    this.version = version
+  }
+
+  /** The redirections of smushed nodes, those of the store */
+  get redirections (): any[] {
+    return this.store.redirections
+  }
+
+  /**
+   * Returns the symbol with canonical URI as smushed in the store
+   * @param term - An RDF node
+   */
+  canon (term: Term): Term {
+    return this.store.canon(term)
+  }
+
+  /**
+   * Searches the snapshot
+   * @param subj - A node to search for as subject, or if null, a wildcard
+   * @param pred - A node to search for as predicate, or if null, a wildcard
+   * @param obj - A node to search for as object, or if null, a wildcard
+   * @param why - A node to search for as graph, or if null, a wildcard
+   * @param justOne - flag - stop when found one rather than get all of them?
+   * @returns A new array of the statements which match
+   */
+  statementsMatching (
+    subj?: Quad_Subject | null,
+    pred?: Quad_Predicate | null,
+    obj?: Quad_Object | null,
+    why?: Quad_Graph | null,
+    justOne?: boolean
+  ): Quad[] {
+    if (this.released) {
+      throw new Error('The snapshot has been released')
+    }
+    const changes = this.store.changesSince(this.version)
+    if (!changes.length) {
+      const live = this.store.statementsMatching(subj, pred, obj, why, justOne)
+      return live.slice()
+    }
+    // Only the first change to a statement since the snapshot tells whether it was in it
+    const first = new Map<string, StatementChange>()
+    for (const change of changes) {
+      const key = this.key(change.statement)
+      if (!first.has(key)) {
+        first.set(key, change)
+      }
+    }
+    const results: Quad[] = []
+    const seen = new Set<string>()
+    for (const st of this.store.statementsMatching(subj, pred, obj, why)) {
+      const key = this.key(st)
+      const change = first.get(key)
+      if (change && change.added) {
+        continue // Added since
+      }
+      results.push(st)
+      seen.add(key)
+    }
+    const pattern = [subj, pred, obj, why].map(term => term ? this.canon(Node.fromValue(term)) : null)
+    first.forEach((change, key) => {
+      if (!change.added && !seen.has(key) && this.matches(change.statement, pattern)) {
+        results.push(change.statement) // Removed since
+      }
+    })
+    return justOne ? results.slice(0, 1) : results
+  }
+
+  /**
+   * Lets the store stop keeping the changes the snapshot needs.
+   * The snapshot cannot be used after this.
+   */
+  release (): void {
+    if (!this.released) {
+      this.released = true
+      this.store.releaseSnapshot(this)
+    }
+  }
+
+  /**
+   * The key of a statement, by the ids of its canonical terms
+   */
+  private key (st: Quad): string {
+    return [st.subject, st.predicate, st.object, st.graph]
+      .map(term => this.store.id(this.canon(term)))
+      .join(' ')
+  }
+
+  /**
+   * Whether a statement matches a pattern of canonical terms, where null is a wildcard
+   */
+  private matches (st: Quad, pattern: Array<Term | null>): boolean {
+    const terms = [st.subject, st.predicate, st.object, st.graph]
+    return pattern.every((term, p) => !term || this.store.id(term) === this.store.id(this.canon(terms[p])))
+  }
+}
@@ -0,0 +1,331 @@
+/* SPARQL algebra
+ *
+ * The types of a parsed SPARQL query: its form, its dataset and the algebra
+ * expression of its pattern and solution modifiers, as in section 18 of the
+ * SPARQL 1.1 Query Language recommendation, and of the expressions in it.
+ *
+ * Blank nodes in patterns stand for variables which are not returned, as in
+ * SPARQL, and are left as blank nodes. Bindings are keyed by the variable as
+ * a string, '?name', as in the results of IndexedFormula.query.
+ */
+
+/** @module sparql-algebra */
+
+import { BlankNode, Literal, NamedNode, Quad, Term, Variable } from './tf-types'
+
+/** The position of something in the text of a query, from line 1 and column 1 */
+export interface Location {
+  line: number
+  column: number
+}
+
+interface OperationBase {
+  /** Where the operation is in the text of the query, if it is from a part of the text */
+  location?: Location
+}
+
+/** A basic graph pattern: triple patterns, which are all to match */
+export interface Bgp extends OperationBase {
+  type: 'bgp'
+  patterns: Quad[]
+}
+
+/** A triple pattern with a property path as its predicate */
+export interface Path extends OperationBase {
+  type: 'path'
+  subject: Term
+  path: PropertyPath
+  object: Term
+}
+
+export interface Join extends OperationBase {
+  type: 'join'
+  left: Operation
+  right: Operation
+}
+
+/** The solutions of the left operation, extended by those of the right (OPTIONAL) */
+export interface LeftJoin extends OperationBase {
+  type: 'leftJoin'
+  left: Operation
+  right: Operation
+  /** The filter of the optional part, which is tested on the joined solutions */
+  expression?: Expression
+}
+
+export interface Filter extends OperationBase {
+  type: 'filter'
+  input: Operation
+  expression: Expression
+}
+
+export interface Union extends OperationBase {
+  type: 'union'
+  left: Operation
+  right: Operation
+}
+
+/** The solutions of the left operation which are not compatible with any of the right */
+export interface Minus extends OperationBase {
+  type: 'minus'
+  left: Operation
+  right: Operation
+}
+
+/** A pattern matched in a named graph, or in each of them for a variable */
+export interface Graph extends OperationBase {
+  type: 'graph'
+  name: NamedNode | Variable
+  input: Operation
+}
+
+/** The solutions with a variable bound to the value of an expression (BIND, or AS in SELECT) */
+export interface Extend extends OperationBase {
+  type: 'extend'
+  input: Operation
+  variable: Variable
+  expression: Expression
+}
+
+/** Inline solutions (VALUES), with the variables undefined left out */
+export interface Values extends OperationBase {
+  type: 'values'
+  variables: Variable[]
+  bindings: Array<{ [variable: string]: Term }>
+}
+
+/** A pattern matched at a remote SPARQL endpoint */
+export interface Service extends OperationBase {
+  type: 'service'
+  name: NamedNode | Variable
+  silent: boolean
+  input: Operation
+}
+
+/** A key of a GROUP BY, with the variable bound to it if any */
+export interface GroupCondition {
+  expression: Expression
+  variable?: Variable
+}
+
+/**
+ * The solutions in groups by some keys, with the aggregates of each group.
+ * Each group gives one solution, of its keys and its aggregates.
+ */
+export interface Group extends OperationBase {
+  type: 'group'
+  input: Operation
+  /** The keys, none for a single group of all the solutions */
+  conditions: GroupCondition[]
+  /** The aggregates, each bound to a variable */
+  aggregates: Array<{ variable: Variable, aggregate: AggregateExpression }>
+}
+
+export interface OrderCondition {
+  expression: Expression
+  descending: boolean
+}
+
+export interface OrderBy extends OperationBase {
+  type: 'orderBy'
+  input: Operation
+  conditions: OrderCondition[]
+}
+
+export interface Project extends OperationBase {
+  type: 'project'
+  input: Operation
+  variables: Variable[]
+}
+
+export interface Distinct extends OperationBase {
+  type: 'distinct'
+  input: Operation
+}
+
+/** The solutions, of which duplicates may be left out */
+export interface Reduced extends OperationBase {
+  type: 'reduced'
+  input: Operation
+}
+
+/** Some of the solutions, from OFFSET and up to LIMIT of them */
+export interface Slice extends OperationBase {
+  type: 'slice'
+  input: Operation
+  start: number
+  length?: number
+}
+
+export type Operation = Bgp | Path | Join | LeftJoin | Filter | Union | Minus | Graph | Extend | Values |
+  Service | Group | OrderBy | Project | Distinct | Reduced | Slice
+
+/**
+ * A property path of more than a plain IRI. Sequences and inverses of IRIs are
+ * made triple patterns, as in the algebra, but may be in other paths.
+ */
+export type PropertyPath = NamedNode | InversePath | SequencePath | AlternativePath | RepeatedPath | NegatedPath
+
+export interface InversePath {
+  type: 'inverse'
+  path: PropertyPath
+}
+
+export interface SequencePath {
+  type: 'sequence'
+  items: PropertyPath[]
+}
+
+export interface AlternativePath {
+  type: 'alternative'
+  items: PropertyPath[]
+}
+
+export interface RepeatedPath {
+  type: 'zeroOrMore' | 'oneOrMore' | 'zeroOrOne'
+  path: PropertyPath
+}
+
+/** Any property but some, forwards or inverse (!) */
+export interface NegatedPath {
+  type: 'negated'
+  /** The properties not followed forwards */
+  iris: NamedNode[]
+  /** The properties not followed inverse */
+  inverseIris: NamedNode[]
+}
+
+/**
+ * An operator or built-in function. Symbols stand for operators, with '-'
+ * and '+' for both unary and binary ones, and the names of built-in functions
+ * are lower case, with uri as iri and isuri as isiri. 'in' and 'notin' have
+ * the value tested first, then the list.
+ */
+export interface OperatorExpression {
+  type: 'operator'
+  operator: string
+  args: Expression[]
+}
+
+/** A call of a function named by an IRI, such as an XSD cast */
+export interface FunctionCall {
+  type: 'functionCall'
+  function: NamedNode
+  args: Expression[]
+}
+
+export interface AggregateExpression {
+  type: 'aggregate'
+  /** count, sum, min, max, avg, sample or group_concat */
+  aggregator: string
+  distinct: boolean
+  /** The expression aggregated, or null for COUNT(*) */
+  expression: Expression | null
+  /** The separator of GROUP_CONCAT */
+  separator?: string
+}
+
+/** EXISTS or NOT EXISTS of a pattern with the bindings of the solution */
+export interface ExistsExpression {
+  type: 'exists'
+  not: boolean
+  input: Operation
+}
+
+export type Expression = Variable | NamedNode | Literal | BlankNode |
+  OperatorExpression | FunctionCall | AggregateExpression | ExistsExpression
+
+/** The dataset of a query, from FROM and FROM NAMED */
+export interface Dataset {
+  default: NamedNode[]
+  named: NamedNode[]
+}
+
+/** A parsed query */
+export interface SparqlQuery {
+  queryType: 'SELECT' | 'CONSTRUCT' | 'ASK' | 'DESCRIBE'
+  /** Where the query form is in the text of the query */
+  location: Location
+  base?: string
+  prefixes: { [prefix: string]: string }
+  dataset?: Dataset
+  /** The algebra expression of the pattern and solution modifiers */
+  algebra: Operation
+  /** The variables selected, in order, for SELECT */
+  variables?: Variable[]
+  /** The triples made for each solution, for CONSTRUCT */
+  template?: Quad[]
+  /** The resources or variables described, for DESCRIBE */
+  describe?: Array<NamedNode | Variable>
+}
+
+/**
+ * Gives the variables which are in scope in the solutions of an operation, in
+ * the order they are first in it, as in section 18.2.1 of SPARQL 1.1
+ * @param op - The operation
+ */
+export function inScopeVariables (op: Operation): Variable[] {
+  const found: Variable[] = []
+  const names = new Set<string>()
+  const add = (term: Term) => {
+    if (term.termType === 'Variable' && !names.has(term.value)) {
+      names.add(term.value)
+      found.push(term as Variable)
+    } else if (term.termType === 'Quad') {
+      const quad = term as unknown as Quad
+      ;[quad.subject, quad.predicate, quad.object].forEach(add)
+    }
+  }
+  const visit = (op: Operation) => {
+    switch (op.type) {
+      case 'bgp':
+        op.patterns.forEach(pattern => [pattern.subject, pattern.predicate, pattern.object].forEach(add))
+        break
+      case 'path':
+        add(op.subject)
+        add(op.object)
+        break
+      case 'join':
+      case 'leftJoin':
+      case 'union':
+        visit(op.left)
+        visit(op.right)
+        break
+      case 'minus':
+        visit(op.left)
+        break
+      case 'graph':
+        add(op.name)
+        visit(op.input)
+        break
+      case 'service':
+        add(op.name)
+        visit(op.input)
+        break
+      case 'extend':
+        visit(op.input)
+        add(op.variable)
+        break
+      case 'values':
+        op.variables.forEach(add)
+        break
+      case 'group':
+        op.conditions.forEach(condition => {
+          if (condition.variable) {
+            add(condition.variable)
+          } else if ((condition.expression as Term).termType === 'Variable') {
+            add(condition.expression as Variable)
+          }
+        })
+        op.aggregates.forEach(aggregate => add(aggregate.variable))
+        break
+      case 'project':
+        op.variables.forEach(add)
+        break
+      default:
+        visit(op.input)
+    }
+  }
+  visit(op)
+  return found
+}
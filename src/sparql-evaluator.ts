@@ -0,0 +1,842 @@
+/* SPARQL algebra evaluation
+ *
+ * Evaluates the algebra of a parsed SPARQL query over a formula, such as a
+ * store, giving its solutions as bindings keyed by '?name', as the results of
+ * IndexedFormula.query are.
+ *
+ * The default graph is the union of all the graphs of the formula, and GRAPH
+ * matches in each of its named graphs. Blank nodes in patterns are matched as
+ * variables which are not returned. The triple patterns of a basic graph
+ * pattern are matched with the bindings of the solutions they are joined
+ * with, fewest statements first by the estimates of a store, and with the
+ * range index of a store for FILTER comparisons of objects with values.
+ * Property paths are followed from whichever end is bound, and the repeated
+ * ones give each pair of nodes they connect once.
+ * CONSTRUCT and DESCRIBE queries give new formulas of the statements they
+ * make or find.
+ */
+
+/** @module sparql-evaluator */
+
+import Formula from './formula'
+import { DataFactory } from './factories/factory-types'
+import { rangeValue } from './range-index'
+import {
+  AggregateExpression,
+  Expression,
+  Graph,
+  Group,
+  LeftJoin,
+  NegatedPath,
+  Operation,
+  OrderBy,
+  Path,
+  PropertyPath,
+  RepeatedPath
+} from './sparql-algebra'
+import {
+  evaluateExpression,
+  ExpressionContext,
+  ExpressionError,
+  orderTerms,
+  testExpression
+} from './sparql-expressions'
+import IndexedFormula from './store'
+import { Bindings } from './types'
+import { Literal, Quad, Quad_Graph, Quad_Object, Quad_Predicate, Quad_Subject, Term } from './tf-types'
+
+/** The options of evaluating a query */
+export interface EvaluationOptions {
+  /** The IRI which IRI() resolves relative IRIs against */
+  base?: string
+}
+
+/** A formula searched, with the estimates and range index of a store if it is one */
+type SearchedFormula = Formula & Partial<Pick<IndexedFormula, 'estimate' | 'range' | 'rangeIndex' | 'statistics'>>
+
+/** The ranges of the values of variables, from the comparisons of a FILTER */
+type Ranges = Map<string, { min?: Literal, max?: Literal, minExclusive?: boolean, maxExclusive?: boolean }>
+
+/**
+ * Evaluates the algebra of a query over a formula
+ * @param formula - The formula, such as a store
+ * @param algebra - The algebra of the query, as from parseSPARQL
+ * @param options - The base IRI of the query
+ * @returns The solutions, keyed by '?name'
+ */
+export default function evaluateAlgebra (
+  formula: Formula,
+  algebra: Operation,
+  options: EvaluationOptions = {}
+): Bindings[] {
+  return new AlgebraEvaluator(formula, options).evaluate(algebra, null)
+}
+
+/**
+ * Evaluates a CONSTRUCT query over a formula
+ * @param formula - The formula, such as a store
+ * @param algebra - The algebra of the query, as from parseSPARQL
+ * @param template - The triples made for each solution
+ * @param options - The base IRI of the query
+ * @returns A new formula of the triples made, with new blank nodes for those
+ *   of the template in each solution. Triples with unbound variables, or with
+ *   terms where RDF does not allow them, are left out.
+ */
+export function construct (
+  formula: Formula,
+  algebra: Operation,
+  template: Quad[],
+  options: EvaluationOptions = {}
+): Formula {
+  const result = formula.formula()
+  for (const solution of evaluateAlgebra(formula, algebra, options)) {
+    const blankNodes = new Map<string, Term>()
+    const instantiate = (term: Term): Term | undefined => {
+      if (term.termType === 'Variable') {
+        return solution[keyOf(term)]
+      }
+      if (term.termType === 'BlankNode') {
+        if (!blankNodes.has(term.value)) {
+          blankNodes.set(term.value, formula.rdfFactory.blankNode())
+        }
+        return blankNodes.get(term.value)
+      }
+      return term
+    }
+    for (const pattern of template) {
+      const [subject, predicate, object] = [pattern.subject, pattern.predicate, pattern.object].map(instantiate)
+      if (!subject || !predicate || !object || subject.termType === 'Literal' || predicate.termType !== 'NamedNode') {
+        continue
+      }
+      if (!result.holds(subject as Quad_Subject, predicate as Quad_Predicate, object as Quad_Object)) {
+        result.add(subject as Quad_Subject, predicate as Quad_Predicate, object as Quad_Object)
+      }
+    }
+  }
+  return result
+}
+
+/**
+ * Evaluates a DESCRIBE query over a formula
+ * @param formula - The formula, such as a store
+ * @param algebra - The algebra of the query, as from parseSPARQL
+ * @param resources - The resources described, and the variables whose values are
+ * @param options - The base IRI of the query
+ * @returns A new formula of the statements about each resource, as given by
+ *   connectedStatements in all the graphs of the formula
+ */
+export function describe (
+  formula: Formula,
+  algebra: Operation,
+  resources: Term[],
+  options: EvaluationOptions = {}
+): Formula {
+  const described = new Map<string, Quad_Subject>()
+  const solutions = resources.some(isVariable) ? evaluateAlgebra(formula, algebra, options) : []
+  for (const resource of resources) {
+    const values = isVariable(resource) ? solutions.map(solution => solution[keyOf(resource)]) : [resource]
+    for (const value of values) {
+      if (value && (value.termType === 'NamedNode' || value.termType === 'BlankNode')) {
+        described.set(formula.rdfFactory.id(value), value as Quad_Subject)
+      }
+    }
+  }
+  const result = formula.formula()
+  described.forEach(resource => {
+    for (const st of formula.connectedStatements(resource, null)) {
+      if (!result.holds(st.subject, st.predicate, st.object)) {
+        result.add(st.subject, st.predicate, st.object)
+      }
+    }
+  })
+  return result
+}
+
+class AlgebraEvaluator {
+  private formula: SearchedFormula
+  private factory: DataFactory
+  private base?: string
+  /** The time of the query, which NOW() gives throughout it */
+  private now = new Date()
+
+  constructor (formula: Formula, options: EvaluationOptions) {
+    this.formula = formula
+    this.factory = formula.rdfFactory
+    this.base = options.base
+  }
+
+  /**
+   * Gives the solutions of an operation
+   * @param op - The operation
+   * @param graph - The graph matched in, or null for the default graph
+   */
+  evaluate (op: Operation, graph: Quad_Graph | null): Bindings[] {
+    switch (op.type) {
+      case 'bgp':
+        return this.bgp(op.patterns, graph, [{}])
+      case 'path':
+        return this.path(op, graph, [{}])
+      case 'join':
+        return this.join(this.evaluate(op.left, graph), op.right, graph)
+      case 'leftJoin':
+        return this.leftJoin(op, graph)
+      case 'filter': {
+        const context = this.context(graph)
+        const input = op.input.type === 'bgp'
+          ? this.bgp(op.input.patterns, graph, [{}], rangesOf(op.expression))
+          : this.evaluate(op.input, graph)
+        return input.filter(solution => testExpression(op.expression, solution, context))
+      }
+      case 'union':
+        return this.evaluate(op.left, graph).concat(this.evaluate(op.right, graph))
+      case 'minus': {
+        const right = this.evaluate(op.right, graph)
+        return this.evaluate(op.left, graph).filter(solution =>
+          !right.some(other => sharesVariables(solution, other) && compatible(solution, other)))
+      }
+      case 'graph':
+        return this.graph(op)
+      case 'extend': {
+        const context = this.context(graph)
+        const key = '?' + op.variable.value
+        return this.evaluate(op.input, graph).map(solution => {
+          try {
+            return Object.assign({}, solution, { [key]: evaluateExpression(op.expression, solution, context) })
+          } catch (e) {
+            if (e instanceof ExpressionError) {
+              return solution
+            }
+            throw e
+          }
+        })
+      }
+      case 'values':
+        return op.bindings.map(bindings => Object.assign({}, bindings))
+      case 'service':
+        if (op.silent) {
+          return [{}]
+        }
+        throw new Error(`SERVICE <${op.name.value}> is not supported`)
+      case 'project': {
+        const keys = op.variables.map(variable => '?' + variable.value)
+        return this.evaluate(op.input, graph).map(solution => {
+          const projected: Bindings = {}
+          keys.forEach(key => {
+            if (solution[key]) {
+              projected[key] = solution[key]
+            }
+          })
+          return projected
+        })
+      }
+      case 'group':
+        return this.group(op, graph)
+      case 'orderBy':
+        return this.orderBy(op, graph)
+      case 'distinct':
+      case 'reduced':
+        return this.distinct(this.evaluate(op.input, graph))
+      case 'slice':
+        return this.evaluate(op.input, graph)
+          .slice(op.start, op.length === undefined ? undefined : op.start + op.length)
+    }
+  }
+
+  /**
+   * Joins solutions with those of an operation. A basic graph pattern or a
+   * property path is matched with the bindings of each of the solutions.
+   */
+  private join (solutions: Bindings[], right: Operation, graph: Quad_Graph | null): Bindings[] {
+    if (!solutions.length) {
+      return []
+    }
+    if (right.type === 'bgp') {
+      return this.bgp(right.patterns, graph, solutions)
+    }
+    if (right.type === 'path') {
+      return this.path(right, graph, solutions)
+    }
+    const others = this.evaluate(right, graph)
+    const joined: Bindings[] = []
+    for (const solution of solutions) {
+      joined.push(...merged(solution, others))
+    }
+    return joined
+  }
+
+  /**
+   * Extends each solution of the left of an OPTIONAL by those of the right
+   * which it is compatible with and which pass the filter, or else keeps it
+   */
+  private leftJoin (op: LeftJoin, graph: Quad_Graph | null): Bindings[] {
+    const context = this.context(graph)
+    const right = op.right
+    const others = right.type === 'bgp' || right.type === 'path' ? null : this.evaluate(right, graph)
+    const results: Bindings[] = []
+    for (const solution of this.evaluate(op.left, graph)) {
+      let joined = others ? merged(solution, others) : this.join([solution], right, graph)
+      if (op.expression) {
+        const expression = op.expression
+        joined = joined.filter(extended => testExpression(expression, extended, context))
+      }
+      results.push(...(joined.length ? joined : [solution]))
+    }
+    return results
+  }
+
+  /**
+   * Matches a pattern in a named graph, or in each of them for a variable
+   */
+  private graph (op: Graph): Bindings[] {
+    if (op.name.termType === 'NamedNode') {
+      return this.evaluate(op.input, op.name)
+    }
+    const key = '?' + op.name.value
+    const results: Bindings[] = []
+    for (const name of this.graphs()) {
+      for (const solution of this.evaluate(op.input, name)) {
+        if (!solution[key]) {
+          results.push(Object.assign({}, solution, { [key]: name }))
+        } else if (solution[key].equals(name)) {
+          results.push(solution)
+        }
+      }
+    }
+    return results
+  }
+
+  /**
+   * Matches a triple pattern with a property path, with the bindings of each
+   * of the solutions
+   */
+  private path (op: Path, graph: Quad_Graph | null, inputs: Bindings[]): Bindings[] {
+    const results: Bindings[] = []
+    for (const input of inputs) {
+      const subject = isVariable(op.subject) ? input[keyOf(op.subject)] || null : op.subject
+      const object = isVariable(op.object) ? input[keyOf(op.object)] || null : op.object
+      for (const [s, o] of this.pairs(op.path, subject, object, graph)) {
+        const extended = Object.assign({}, input)
+        if (!subject) {
+          extended[keyOf(op.subject)] = s
+        }
+        if (!object) {
+          const key = keyOf(op.object)
+          // The subject and the object may be the same variable
+          if (extended[key] && !extended[key].equals(o)) {
+            continue
+          }
+          extended[key] = o
+        }
+        results.push(extended)
+      }
+    }
+    return results
+  }
+
+  /**
+   * Gives the pairs of nodes which a property path connects, from a subject to
+   * an object, either of which may be given
+   */
+  private pairs (path: PropertyPath, subject: Term | null, object: Term | null, graph: Quad_Graph | null): Array<[Term, Term]> {
+    if ('termType' in path) {
+      return this.formula.statementsMatching(subject as Quad_Subject | null, path, object as Quad_Object | null, graph)
+        .map(st => [st.subject, st.object] as [Term, Term])
+    }
+    switch (path.type) {
+      case 'inverse':
+        return this.pairs(path.path, object, subject, graph).map(([o, s]) => [s, o] as [Term, Term])
+      case 'alternative':
+        return ([] as Array<[Term, Term]>).concat(...path.items.map(item => this.pairs(item, subject, object, graph)))
+      case 'sequence': {
+        if (!subject && object) {
+          // Follow the sequence back from the object
+          const items: PropertyPath[] = path.items.map(item => ({ type: 'inverse' as const, path: item })).reverse()
+          return this.pairs({ type: 'sequence', items }, object, null, graph).map(([o, s]) => [s, o] as [Term, Term])
+        }
+        let pairs = this.pairs(path.items[0], subject, null, graph)
+        path.items.slice(1).forEach((item, i) => {
+          const last = i === path.items.length - 2
+          const next: Array<[Term, Term]> = []
+          for (const [s, middle] of pairs) {
+            this.pairs(item, middle, last ? object : null, graph).forEach(([, o]) => next.push([s, o]))
+          }
+          pairs = next
+        })
+        return pairs
+      }
+      case 'negated':
+        return this.negated(path, subject, object, graph)
+      default:
+        return this.repeated(path, subject, object, graph)
+    }
+  }
+
+  /**
+   * Gives the distinct pairs of nodes which a path repeated connects. Zero
+   * repetitions connect a given node, or else each node of the graph, to itself.
+   */
+  private repeated (path: RepeatedPath, subject: Term | null, object: Term | null, graph: Quad_Graph | null): Array<[Term, Term]> {
+    if (!subject && object) {
+      const inverse: RepeatedPath = { type: path.type, path: { type: 'inverse', path: path.path } }
+      return this.repeated(inverse, object, null, graph).map(([o, s]) => [s, o] as [Term, Term])
+    }
+    const starts = subject ? [subject]
+      : path.type === 'oneOrMore' ? this.distinctTerms(this.pairs(path.path, null, null, graph).map(([s]) => s))
+        : this.nodes(graph)
+    const pairs: Array<[Term, Term]> = []
+    for (const start of starts) {
+      for (const end of this.reachable(path, start, graph)) {
+        if (!object || end.equals(object)) {
+          pairs.push([start, end])
+        }
+      }
+    }
+    return pairs
+  }
+
+  /** The distinct nodes which a path repeated leads to from a node */
+  private reachable (path: RepeatedPath, start: Term, graph: Quad_Graph | null): Term[] {
+    const found = new Map<string | number, Term>()
+    if (path.type !== 'oneOrMore') {
+      found.set(this.factory.id(start), start)
+    }
+    let frontier = [start]
+    for (let steps = 0; frontier.length && (path.type !== 'zeroOrOne' || steps < 1); steps++) {
+      const next: Term[] = []
+      for (const node of frontier) {
+        for (const [, end] of this.pairs(path.path, node, null, graph)) {
+          const id = this.factory.id(end)
+          if (!found.has(id)) {
+            found.set(id, end)
+            next.push(end)
+          }
+        }
+      }
+      frontier = next
+    }
+    return Array.from(found.values())
+  }
+
+  /**
+   * Gives the pairs of nodes which statements of other properties than those
+   * of a negated property set connect, forwards unless only inverse
+   * properties are negated, and inverse if any are
+   */
+  private negated (path: NegatedPath, subject: Term | null, object: Term | null, graph: Quad_Graph | null): Array<[Term, Term]> {
+    const pairs: Array<[Term, Term]> = []
+    if (path.iris.length || !path.inverseIris.length) {
+      this.formula.statementsMatching(subject as Quad_Subject | null, null, object as Quad_Object | null, graph)
+        .filter(st => !path.iris.some(iri => iri.equals(st.predicate)))
+        .forEach(st => pairs.push([st.subject, st.object]))
+    }
+    if (path.inverseIris.length) {
+      this.formula.statementsMatching(object as Quad_Subject | null, null, subject as Quad_Object | null, graph)
+        .filter(st => !path.inverseIris.some(iri => iri.equals(st.predicate)))
+        .forEach(st => pairs.push([st.object, st.subject]))
+    }
+    return pairs
+  }
+
+  private distinctTerms (terms: Term[]): Term[] {
+    const found = new Map<string | number, Term>()
+    terms.forEach(term => found.set(this.factory.id(term), term))
+    return Array.from(found.values())
+  }
+
+  /** The distinct subjects and objects of the statements in a graph, or in all */
+  private nodes (graph: Quad_Graph | null): Term[] {
+    const found = new Map<string | number, Term>()
+    for (const st of this.formula.statementsMatching(null, null, null, graph)) {
+      found.set(this.factory.id(st.subject), st.subject)
+      found.set(this.factory.id(st.object), st.object)
+    }
+    return Array.from(found.values())
+  }
+
+  /**
+   * Gives a solution for each group of the solutions with the same keys, of
+   * the keys and the aggregates of the group. Without keys, all the solutions
+   * are one group, even if there are none.
+   */
+  private group (op: Group, graph: Quad_Graph | null): Bindings[] {
+    const context = this.context(graph)
+    const solutions = this.evaluate(op.input, graph)
+    const groups = new Map<string, { keys: Bindings, members: Bindings[] }>()
+    if (!op.conditions.length) {
+      groups.set('', { keys: {}, members: solutions })
+    }
+    for (const solution of op.conditions.length ? solutions : []) {
+      const keys: Bindings = {}
+      const values = op.conditions.map(condition => {
+        const value = this.value(condition.expression, solution, context)
+        const variable = condition.variable ||
+          ('termType' in condition.expression && condition.expression.termType === 'Variable'
+            ? condition.expression : undefined)
+        if (value && variable) {
+          keys['?' + variable.value] = value
+        }
+        return value ? this.factory.id(value) : ''
+      })
+      const id = values.join(' ')
+      if (!groups.has(id)) {
+        groups.set(id, { keys, members: [] })
+      }
+      groups.get(id)!.members.push(solution)
+    }
+    return Array.from(groups.values()).map(({ keys, members }) => {
+      const solution = Object.assign({}, keys)
+      for (const { variable, aggregate } of op.aggregates) {
+        try {
+          solution['?' + variable.value] = this.aggregate(aggregate, members, context)
+        } catch (e) {
+          if (!(e instanceof ExpressionError)) {
+            throw e
+          }
+        }
+      }
+      return solution
+    })
+  }
+
+  /**
+   * Gives the aggregate of the solutions of a group. The values of the
+   * expression in solutions which have none are left out.
+   */
+  private aggregate (aggregate: AggregateExpression, members: Bindings[], context: ExpressionContext): Term {
+    const expression = aggregate.expression
+    if (!expression) {
+      return this.integer(aggregate.distinct ? this.distinct(members).length : members.length)
+    }
+    let values = members.map(solution => this.value(expression, solution, context)).filter(Boolean) as Term[]
+    if (aggregate.distinct) {
+      const ids = new Set<string>()
+      values = values.filter(value => {
+        const id = String(this.factory.id(value))
+        return !ids.has(id) && !!ids.add(id)
+      })
+    }
+    const arithmetic = (operator: string, a: Term, b: Term) =>
+      evaluateExpression({ type: 'operator', operator, args: [a, b] as Expression[] }, {}, context)
+    const sum = () => values.reduce((total, value) => arithmetic('+', total, value), this.integer(0) as Term)
+    switch (aggregate.aggregator) {
+      case 'count':
+        return this.integer(values.length)
+      case 'sum':
+        return sum()
+      case 'avg':
+        return values.length
+          ? arithmetic('/', sum(), this.integer(values.length))
+          : this.integer(0)
+      case 'min':
+      case 'max': {
+        if (!values.length) {
+          throw new ExpressionError(`${aggregate.aggregator} of no values`)
+        }
+        const sign = aggregate.aggregator === 'min' ? 1 : -1
+        return values.reduce((best, value) => sign * orderTerms(value, best) < 0 ? value : best)
+      }
+      case 'sample':
+        if (!values.length) {
+          throw new ExpressionError('sample of no values')
+        }
+        return values[0]
+      case 'group_concat':
+        return this.factory.literal(values.map(value => value.value)
+          .join(aggregate.separator === undefined ? ' ' : aggregate.separator))
+    }
+    throw new Error(`The aggregate ${aggregate.aggregator} is not known`)
+  }
+
+  /** Orders solutions by the values of the conditions, keeping the order of those the same */
+  private orderBy (op: OrderBy, graph: Quad_Graph | null): Bindings[] {
+    const context = this.context(graph)
+    const keyed = this.evaluate(op.input, graph).map(solution => ({
+      solution,
+      keys: op.conditions.map(condition => this.value(condition.expression, solution, context))
+    }))
+    keyed.sort((a, b) => {
+      for (let i = 0; i < op.conditions.length; i++) {
+        const order = orderTerms(a.keys[i], b.keys[i])
+        if (order) {
+          return op.conditions[i].descending ? -order : order
+        }
+      }
+      return 0
+    })
+    return keyed.map(({ solution }) => solution)
+  }
+
+  /** Leaves out the solutions which are the same as one before them */
+  private distinct (solutions: Bindings[]): Bindings[] {
+    const seen = new Set<string>()
+    return solutions.filter(solution => {
+      const id = Object.keys(solution).sort().map(key => key + ' ' + this.factory.id(solution[key])).join(' ')
+      return !seen.has(id) && !!seen.add(id)
+    })
+  }
+
+  /** The value of an expression in a solution, or undefined if it has none */
+  private value (expression: Expression, solution: Bindings, context: ExpressionContext): Term | undefined {
+    try {
+      return evaluateExpression(expression, solution, context)
+    } catch (e) {
+      if (e instanceof ExpressionError) {
+        return undefined
+      }
+      throw e
+    }
+  }
+
+  private integer (value: number): Literal {
+    return this.factory.literal(String(value), this.factory.namedNode('http://www.w3.org/2001/XMLSchema#integer'))
+  }
+
+  /** The named graphs of the formula */
+  private graphs (): Quad_Graph[] {
+    let graphs: Term[]
+    if (this.formula.statistics) {
+      graphs = this.formula.statistics.graphs()
+    } else {
+      const found = new Map<string, Term>()
+      this.formula.statementsMatching().forEach(st => found.set(st.graph.termType + st.graph.value, st.graph))
+      graphs = Array.from(found.values())
+    }
+    return graphs.filter(graph => graph.termType === 'NamedNode') as Quad_Graph[]
+  }
+
+  /**
+   * Matches a basic graph pattern with the bindings of each of some solutions
+   * @param patterns - The triple patterns
+   * @param graph - The graph matched in, or null for all of them
+   * @param inputs - The solutions extended by the matches
+   * @param ranges - The ranges of values which FILTERs of the pattern allow
+   */
+  private bgp (patterns: Quad[], graph: Quad_Graph | null, inputs: Bindings[], ranges?: Ranges): Bindings[] {
+    const results: Bindings[] = []
+    for (const input of inputs) {
+      this.match(patterns, graph, input, results, ranges)
+    }
+    return results
+  }
+
+  private match (patterns: Quad[], graph: Quad_Graph | null, solution: Bindings, results: Bindings[], ranges?: Ranges) {
+    if (!patterns.length) {
+      results.push(solution)
+      return
+    }
+    let best = 0
+    let bestCost = Infinity
+    patterns.forEach((pattern, i) => {
+      const cost = this.cost(pattern, graph, solution, ranges)
+      if (cost < bestCost) {
+        best = i
+        bestCost = cost
+      }
+    })
+    const pattern = patterns[best]
+    const rest = patterns.filter((_, i) => i !== best)
+    for (const st of this.candidates(pattern, graph, solution, ranges)) {
+      const extended = unify(pattern, st, solution)
+      if (extended) {
+        this.match(rest, graph, extended, results, ranges)
+      }
+    }
+  }
+
+  /** Estimates the number of statements a triple pattern matches, with the bindings of a solution */
+  private cost (pattern: Quad, graph: Quad_Graph | null, solution: Bindings, ranges?: Ranges): number {
+    const [s, p, o] = resolve(pattern, solution)
+    if (!this.formula.estimate) {
+      return [s, p, o].filter(term => !term).length
+    }
+    const estimate = this.formula.estimate(s, p, o, graph)
+    // A range is taken to leave half the statements
+    return this.rangeOf(pattern, solution, ranges) ? estimate / 2 : estimate
+  }
+
+  /** The statements which may match a triple pattern, with the bindings of a solution */
+  private candidates (pattern: Quad, graph: Quad_Graph | null, solution: Bindings, ranges?: Ranges): Quad[] {
+    const [s, p, o] = resolve(pattern, solution)
+    const range = this.rangeOf(pattern, solution, ranges)
+    if (range) {
+      const found = this.formula.range!(p!, range.min, range.max, {
+        minExclusive: range.minExclusive,
+        maxExclusive: range.maxExclusive,
+        graph: graph || undefined
+      })
+      return s ? found.filter(st => st.subject.equals(s)) : found
+    }
+    return this.formula.statementsMatching(s, p, o, graph)
+  }
+
+  /** The range of the object of a triple pattern, if it is looked up with the range index */
+  private rangeOf (pattern: Quad, solution: Bindings, ranges?: Ranges) {
+    if (!ranges || !this.formula.rangeIndex || pattern.object.termType !== 'Variable') {
+      return undefined
+    }
+    const [, p, o] = resolve(pattern, solution)
+    return p && !o ? ranges.get('?' + pattern.object.value) : undefined
+  }
+
+  /** What expressions are evaluated with in a graph */
+  private context (graph: Quad_Graph | null): ExpressionContext {
+    return {
+      factory: this.factory,
+      base: this.base,
+      now: this.now,
+      exists: (input, bindings) => this.evaluate(substitute(input, bindings), graph).length > 0
+    }
+  }
+}
+
+/** The key of a variable, or a blank node matched as one, in solutions */
+function keyOf (term: Term): string {
+  return (term.termType === 'Variable' ? '?' : '_:') + term.value
+}
+
+function isVariable (term: Term): boolean {
+  return term.termType === 'Variable' || term.termType === 'BlankNode'
+}
+
+/** Gives the terms of a triple pattern with the bindings of a solution, null for those not bound */
+function resolve (pattern: Quad, solution: Bindings): [Quad_Subject | null, Quad_Predicate | null, Quad_Object | null] {
+  return [pattern.subject, pattern.predicate, pattern.object]
+    .map(term => isVariable(term) ? solution[keyOf(term)] || null : term) as any
+}
+
+/** Extends a solution by the match of a triple pattern with a statement, or gives null if they differ */
+function unify (pattern: Quad, st: Quad, solution: Bindings): Bindings | null {
+  const extended = Object.assign({}, solution)
+  const pairs: Array<[Term, Term]> = [[pattern.subject, st.subject], [pattern.predicate, st.predicate], [pattern.object, st.object]]
+  for (const [term, value] of pairs) {
+    if (isVariable(term)) {
+      const key = keyOf(term)
+      if (!extended[key]) {
+        extended[key] = value
+      } else if (!extended[key].equals(value)) {
+        return null
+      }
+    }
+  }
+  return extended
+}
+
+/** Whether two solutions have the same terms for the variables they both bind */
+function compatible (a: Bindings, b: Bindings): boolean {
+  return Object.keys(a).every(key => !b[key] || b[key].equals(a[key]))
+}
+
+function sharesVariables (a: Bindings, b: Bindings): boolean {
+  return Object.keys(a).some(key => !!b[key])
+}
+
+/** The merges of a solution with those of others which it is compatible with */
+function merged (solution: Bindings, others: Bindings[]): Bindings[] {
+  return others.filter(other => compatible(solution, other)).map(other => Object.assign({}, solution, other))
+}
+
+/**
+ * Gives the ranges of the values of variables which a FILTER expression
+ * allows, from its comparisons with numeric and time literals. Each is found
+ * from only part of the expression, so the expression is tested as well.
+ */
+function rangesOf (expression: Expression, ranges: Ranges = new Map()): Ranges {
+  if ('termType' in expression || expression.type !== 'operator') {
+    return ranges
+  }
+  const { operator, args } = expression
+  if (operator === '&&') {
+    args.forEach(arg => rangesOf(arg, ranges))
+  } else if (['<', '<=', '>', '>='].indexOf(operator) >= 0 && args.every(arg => 'termType' in arg)) {
+    let [variable, bound] = args as Term[]
+    let comparison = operator
+    if (variable.termType === 'Literal') {
+      [variable, bound] = [bound, variable]
+      comparison = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' }[operator]
+    }
+    if (variable.termType === 'Variable' && bound.termType === 'Literal' && rangeValue(bound)) {
+      const range = ranges.get('?' + variable.value) || {}
+      if (comparison[0] === '>') {
+        range.min = bound as Literal
+        range.minExclusive = comparison === '>'
+      } else {
+        range.max = bound as Literal
+        range.maxExclusive = comparison === '<'
+      }
+      ranges.set('?' + variable.value, range)
+    }
+  }
+  return ranges
+}
+
+/**
+ * Gives an operation with the variables bound in a solution replaced by their
+ * terms, for EXISTS, as in section 18.6. Variables inside a subquery are only
+ * replaced if it selects them.
+ */
+function substitute (op: Operation, bindings: Bindings): Operation {
+  const term = <T extends Term>(t: T): T => (t.termType === 'Variable' && bindings['?' + t.value] as T) || t
+  const quad = (pattern: Quad) => ({
+    subject: term(pattern.subject),
+    predicate: term(pattern.predicate),
+    object: term(pattern.object),
+    graph: pattern.graph
+  }) as Quad
+  const expression = (e: Expression): Expression => {
+    if ('termType' in e) {
+      return term(e)
+    }
+    switch (e.type) {
+      case 'operator':
+        if (e.operator === 'bound' && bindings['?' + (e.args[0] as Term).value]) {
+          // A term in place of the variable is bound, so this is true
+          const value = bindings['?' + (e.args[0] as Term).value]
+          return { type: 'operator', operator: 'sameterm', args: [value, value] as Expression[] }
+        }
+        return { ...e, args: e.args.map(expression) }
+      case 'functionCall':
+        return { ...e, args: e.args.map(expression) }
+      case 'exists':
+        return { ...e, input: substitute(e.input, bindings) }
+      default:
+        return e
+    }
+  }
+  switch (op.type) {
+    case 'bgp':
+      return { ...op, patterns: op.patterns.map(quad) }
+    case 'path':
+      return { ...op, subject: term(op.subject), object: term(op.object) }
+    case 'join':
+    case 'union':
+    case 'minus':
+      return { ...op, left: substitute(op.left, bindings), right: substitute(op.right, bindings) }
+    case 'leftJoin':
+      return {
+        ...op,
+        left: substitute(op.left, bindings),
+        right: substitute(op.right, bindings),
+        expression: op.expression && expression(op.expression)
+      }
+    case 'filter':
+      return { ...op, input: substitute(op.input, bindings), expression: expression(op.expression) }
+    case 'graph':
+    case 'service':
+      return { ...op, name: term(op.name), input: substitute(op.input, bindings) }
+    case 'extend':
+      return { ...op, input: substitute(op.input, bindings), expression: expression(op.expression) }
+    case 'values':
+      return { ...op, bindings: op.bindings.filter(row => compatible(row, bindings)) }
+    case 'project': {
+      const selected: Bindings = {}
+      op.variables.forEach(variable => {
+        if (bindings['?' + variable.value]) {
+          selected['?' + variable.value] = bindings['?' + variable.value]
+        }
+      })
+      return { ...op, input: substitute(op.input, selected) }
+    }
+    default:
+      return { ...op, input: substitute(op.input, bindings) } as Operation
+  }
+}
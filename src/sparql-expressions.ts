@@ -0,0 +1,715 @@
+/* SPARQL expressions
+ *
+ * The evaluation of the expressions of SPARQL 1.1 queries on the terms of a
+ * solution: the operators, the built-in functions and the XSD casts of
+ * section 17 of the recommendation.
+ *
+ * An expression which has no value, such as one with a variable not bound or
+ * with operands of the wrong types, throws an ExpressionError, which a FILTER
+ * takes as false and a BIND as leaving its variable not bound.
+ */
+
+/** @module sparql-expressions */
+
+import { DataFactory } from './factories/factory-types'
+import { rangeValue } from './range-index'
+import { Expression, Operation } from './sparql-algebra'
+import { Bindings } from './types'
+import { BlankNode, Literal, NamedNode, Term } from './tf-types'
+import * as Uri from './uri'
+import hash, { HashAlgorithm } from './utils/hash'
+
+const xsd = 'http://www.w3.org/2001/XMLSchema#'
+const rdfLangString = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString'
+const integerTypes = ['integer', 'long', 'int', 'short', 'byte', 'nonNegativeInteger', 'nonPositiveInteger',
+  'negativeInteger', 'positiveInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte']
+/** The numeric types an operation may give, from the least to the most general */
+const numericTypes = ['integer', 'decimal', 'float', 'double']
+const integerPattern = /^[+-]?\d+$/
+const decimalPattern = /^[+-]?(\d+(\.\d*)?|\.\d+)$/
+const doublePattern = /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/
+const dateTimePattern = /^(-?\d{4,})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?))?(Z|[+-]\d{2}:\d{2})?$/
+
+/**
+ * An expression which has no value, as from a type error
+ */
+export class ExpressionError extends Error {
+  constructor (message: string) {
+    super(message)
+    this.name = 'ExpressionError'
+  }
+}
+
+/** What an expression is evaluated with, other than the terms of the solution */
+export interface ExpressionContext {
+  factory: DataFactory
+  /** The IRI which IRI() resolves relative IRIs against */
+  base?: string
+  /** The time of the query, for NOW() */
+  now: Date
+  /** Tests whether a pattern has a solution with the bindings of a solution, for EXISTS */
+  exists: (input: Operation, bindings: Bindings) => boolean
+}
+
+/**
+ * Gives the value of an expression in a solution
+ * @param expression - The expression
+ * @param bindings - The solution, keyed by '?name'
+ * @param context - The factory of terms and the tests of EXISTS
+ * @throws {ExpressionError} If the expression has no value
+ */
+export function evaluateExpression (expression: Expression, bindings: Bindings, context: ExpressionContext): Term {
+  return new Evaluation(bindings, context).evaluate(expression)
+}
+
+/**
+ * Tests an expression in a solution, as a FILTER does, taking an expression
+ * with no value to be false
+ * @param expression - The expression
+ * @param bindings - The solution, keyed by '?name'
+ * @param context - The factory of terms and the tests of EXISTS
+ */
+export function testExpression (expression: Expression, bindings: Bindings, context: ExpressionContext): boolean {
+  try {
+    return effectiveBooleanValue(evaluateExpression(expression, bindings, context))
+  } catch (e) {
+    if (e instanceof ExpressionError) {
+      return false
+    }
+    throw e
+  }
+}
+
+/**
+ * Gives the effective boolean value of a term, as in section 17.2.2
+ * @param term - The term
+ * @throws {ExpressionError} If the term has none, as an IRI has not
+ */
+export function effectiveBooleanValue (term: Term): boolean {
+  if (term.termType === 'Literal') {
+    const literal = term as Literal
+    const type = datatypeOf(literal)
+    if (type === xsd + 'boolean') {
+      return literal.value === 'true' || literal.value === '1'
+    }
+    if (isString(literal)) {
+      return literal.value.length > 0
+    }
+    if (numericType(literal)) {
+      if (!isValidNumber(literal)) {
+        return false
+      }
+      const value = numericValue(literal)
+      return value !== 0 && !isNaN(value)
+    }
+  }
+  throw new ExpressionError(`${term.value} has no boolean value`)
+}
+
+/**
+ * Tests whether two terms are equal, as the = operator does: literals by
+ * their values, and other terms as the same term
+ * @param a - The one term
+ * @param b - The other
+ * @throws {ExpressionError} If they are literals of types which can not be compared
+ */
+export function termsEqual (a: Term, b: Term): boolean {
+  if (a.termType !== 'Literal' || b.termType !== 'Literal') {
+    return a.equals(b)
+  }
+  const [x, y] = [a as Literal, b as Literal]
+  const [kindX, kindY] = [kindOf(x), kindOf(y)]
+  if (kindX && kindX === kindY) {
+    switch (kindX) {
+      case 'number':
+      case 'time':
+        return rangeValue(x)!.value === rangeValue(y)!.value
+      case 'boolean':
+        return effectiveBooleanValue(x) === effectiveBooleanValue(y)
+      case 'langString':
+        return x.value === y.value && x.language.toLowerCase() === y.language.toLowerCase()
+      default:
+        return x.value === y.value
+    }
+  }
+  if (x.value === y.value && datatypeOf(x) === datatypeOf(y)) {
+    return true
+  }
+  if (kindX && kindY) {
+    return false
+  }
+  throw new ExpressionError(`${x.value} and ${y.value} can not be compared`)
+}
+
+/**
+ * Compares two literals by their values, as the < operator does
+ * @param a - The one literal
+ * @param b - The other
+ * @returns A number less than, equal to or greater than 0, or NaN if either is NaN
+ * @throws {ExpressionError} If they are not literals of a type with an order
+ */
+export function compareValues (a: Term, b: Term): number {
+  if (a.termType === 'Literal' && b.termType === 'Literal') {
+    const [x, y] = [a as Literal, b as Literal]
+    const kind = kindOf(x)
+    if (kind && kind === kindOf(y)) {
+      switch (kind) {
+        case 'number':
+        case 'time':
+          return rangeValue(x)!.value - rangeValue(y)!.value
+        case 'boolean':
+          return Number(effectiveBooleanValue(x)) - Number(effectiveBooleanValue(y))
+        case 'string':
+          return x.value < y.value ? -1 : x.value > y.value ? 1 : 0
+      }
+    }
+  }
+  throw new ExpressionError(`${a.value} and ${b.value} have no order`)
+}
+
+/**
+ * Compares two terms in the order of ORDER BY, as in section 15.1: no term
+ * first, then blank nodes, then IRIs, then literals. Literals which may be
+ * compared are in the order of their values, and others in that of their
+ * kinds of value or datatypes, simple literals first, and then of their text.
+ * @param a - The one term, or undefined for a variable not bound
+ * @param b - The other
+ * @returns A number less than, equal to or greater than 0
+ */
+export function orderTerms (a: Term | undefined, b: Term | undefined): number {
+  const rank = (term?: Term) => !term ? 0 : term.termType === 'BlankNode' ? 1 : term.termType === 'NamedNode' ? 2 : 3
+  if (!a || !b || rank(a) !== rank(b)) {
+    return rank(a) - rank(b)
+  }
+  if (a.termType === 'Literal' && b.termType === 'Literal') {
+    try {
+      const order = compareValues(a, b)
+      if (!isNaN(order)) {
+        return order
+      }
+    } catch (e) {
+      if (!(e instanceof ExpressionError)) {
+        throw e
+      }
+    }
+    const [kindA, kindB] = [a, b].map(literal => kindOf(literal as Literal) || datatypeOf(literal as Literal))
+    if (kindA !== kindB) {
+      return kindA === 'string' ? -1 : kindB === 'string' ? 1 : kindA < kindB ? -1 : 1
+    }
+  }
+  const [textA, textB] = [a.value + '@' + ((a as Literal).language || ''), b.value + '@' + ((b as Literal).language || '')]
+  return textA < textB ? -1 : textA > textB ? 1 : 0
+}
+
+/**
+ * Gives the kind of value of a literal which may be compared with those of
+ * the same kind, or undefined for a literal of another type or not valid
+ */
+function kindOf (literal: Literal): string | undefined {
+  const type = datatypeOf(literal)
+  if (type === xsd + 'string') {
+    return 'string'
+  }
+  if (type === rdfLangString) {
+    return 'langString'
+  }
+  if (type === xsd + 'boolean') {
+    return /^(true|false|1|0)$/.test(literal.value) ? 'boolean' : undefined
+  }
+  const value = rangeValue(literal)
+  return value && value.kind
+}
+
+function datatypeOf (literal: Literal): string {
+  if (literal.language) {
+    return rdfLangString
+  }
+  return literal.datatype ? literal.datatype.value : xsd + 'string'
+}
+
+/** Whether a term is a simple literal, an xsd:string or a literal with a language */
+function isString (term: Term): boolean {
+  if (term.termType !== 'Literal') {
+    return false
+  }
+  const type = datatypeOf(term as Literal)
+  return type === xsd + 'string' || type === rdfLangString
+}
+
+/** Gives the one of integer, decimal, float and double a literal is, if it is numeric */
+function numericType (literal: Literal): string | undefined {
+  const type = datatypeOf(literal)
+  if (!type.startsWith(xsd)) {
+    return undefined
+  }
+  const name = type.slice(xsd.length)
+  return integerTypes.indexOf(name) >= 0 ? 'integer' : numericTypes.indexOf(name) >= 0 ? name : undefined
+}
+
+function isValidNumber (literal: Literal): boolean {
+  const type = numericType(literal)
+  const pattern = type === 'integer' ? integerPattern : type === 'decimal' ? decimalPattern : doublePattern
+  return !!type && pattern.test(literal.value.trim())
+}
+
+function numericValue (literal: Literal): number {
+  const value = literal.value.trim()
+  return value === 'INF' || value === '+INF' ? Infinity : value === '-INF' ? -Infinity : Number(value)
+}
+
+/**
+ * Evaluates the expressions of one solution
+ */
+class Evaluation {
+  private bindings: Bindings
+  private context: ExpressionContext
+  private factory: DataFactory
+  /** The blank nodes made by BNODE with a string, which are the same for the same string in a solution */
+  private blankNodes = new Map<string, BlankNode>()
+
+  constructor (bindings: Bindings, context: ExpressionContext) {
+    this.bindings = bindings
+    this.context = context
+    this.factory = context.factory
+  }
+
+  evaluate (expression: Expression): Term {
+    if ('termType' in expression) {
+      if (expression.termType === 'Variable') {
+        const value = this.bindings['?' + expression.value]
+        if (!value) {
+          throw new ExpressionError(`?${expression.value} is not bound`)
+        }
+        return value
+      }
+      return expression
+    }
+    switch (expression.type) {
+      case 'operator':
+        return this.operator(expression.operator, expression.args)
+      case 'functionCall':
+        return this.cast(expression.function, expression.args.map(arg => this.evaluate(arg)))
+      case 'exists':
+        return this.boolean(this.context.exists(expression.input, this.bindings) !== expression.not)
+      case 'aggregate':
+        throw new Error('Aggregates are only evaluated in groups')
+    }
+  }
+
+  private boolean (value: boolean): Literal {
+    return this.factory.literal(String(value), this.xsd('boolean'))
+  }
+
+  private xsd (name: string): NamedNode {
+    return this.factory.namedNode(xsd + name) as NamedNode
+  }
+
+  private number (value: number, type: string): Literal {
+    let lexical: string
+    if (type === 'integer') {
+      lexical = String(value)
+    } else if (type === 'decimal') {
+      lexical = Number.isInteger(value) ? value.toFixed(1) : String(value)
+    } else {
+      lexical = isNaN(value) ? 'NaN' : value === Infinity ? 'INF' : value === -Infinity ? '-INF' : String(value)
+    }
+    return this.factory.literal(lexical, this.xsd(type))
+  }
+
+  /** A literal with the value given and the language or datatype of another */
+  private stringLike (value: string, like: Literal): Literal {
+    return like.language ? this.factory.literal(value, like.language)
+      : datatypeOf(like) === xsd + 'string' && like.datatype ? this.factory.literal(value, like.datatype)
+      : this.factory.literal(value)
+  }
+
+  private string (term: Term, what = 'a string'): Literal {
+    if (!isString(term)) {
+      throw new ExpressionError(`${term.value} is not ${what}`)
+    }
+    return term as Literal
+  }
+
+  /** A literal which is a simple literal or an xsd:string */
+  private simple (term: Term): Literal {
+    const literal = this.string(term, 'a simple literal')
+    if (literal.language) {
+      throw new ExpressionError(`${term.value} has a language`)
+    }
+    return literal
+  }
+
+  private numeric (term: Term): { value: number, type: string } {
+    const type = term.termType === 'Literal' ? numericType(term as Literal) : undefined
+    if (!type || !isValidNumber(term as Literal)) {
+      throw new ExpressionError(`${term.value} is not a number`)
+    }
+    return { value: numericValue(term as Literal), type }
+  }
+
+  private dateTime (term: Term): RegExpExecArray {
+    const match = term.termType === 'Literal' && /#date(Time)?$/.test(datatypeOf(term as Literal))
+      ? dateTimePattern.exec(term.value) : null
+    if (!match) {
+      throw new ExpressionError(`${term.value} is not a dateTime`)
+    }
+    return match
+  }
+
+  /** Checks that the second of two strings may be compared with the first, as in section 17.4.3.1.1 */
+  private compatible (args: Term[]): [Literal, Literal] {
+    const [a, b] = [this.string(args[0]), this.string(args[1])]
+    if (b.language && b.language.toLowerCase() !== (a.language || '').toLowerCase()) {
+      throw new ExpressionError(`${a.value} and ${b.value} have other languages`)
+    }
+    return [a, b]
+  }
+
+  private operator (operator: string, expressions: Expression[]): Term {
+    switch (operator) {
+      case '||':
+      case '&&':
+        return this.logical(operator, expressions)
+      case 'bound': {
+        const variable = expressions[0] as Term
+        return this.boolean(!!this.bindings['?' + variable.value])
+      }
+      case 'if':
+        return effectiveBooleanValue(this.evaluate(expressions[0]))
+          ? this.evaluate(expressions[1]) : this.evaluate(expressions[2])
+      case 'coalesce':
+        for (const expression of expressions) {
+          try {
+            return this.evaluate(expression)
+          } catch (e) {
+            if (!(e instanceof ExpressionError)) {
+              throw e
+            }
+          }
+        }
+        throw new ExpressionError('COALESCE has no value')
+      case 'in':
+      case 'notin':
+        return this.boolean(this.isIn(expressions) === (operator === 'in'))
+    }
+    return this.call(operator, expressions.map(expression => this.evaluate(expression)))
+  }
+
+  private logical (operator: string, expressions: Expression[]): Literal {
+    const values = expressions.map(expression => {
+      try {
+        return effectiveBooleanValue(this.evaluate(expression))
+      } catch (e) {
+        if (e instanceof ExpressionError) {
+          return e
+        }
+        throw e
+      }
+    })
+    const decisive = operator === '||'
+    if (values.some(value => value === decisive)) {
+      return this.boolean(decisive)
+    }
+    const error = values.find(value => value instanceof ExpressionError)
+    if (error) {
+      throw error
+    }
+    return this.boolean(!decisive)
+  }
+
+  private isIn (expressions: Expression[]): boolean {
+    const value = this.evaluate(expressions[0])
+    let error: ExpressionError | undefined
+    for (const expression of expressions.slice(1)) {
+      try {
+        if (termsEqual(value, this.evaluate(expression))) {
+          return true
+        }
+      } catch (e) {
+        if (!(e instanceof ExpressionError)) {
+          throw e
+        }
+        error = e
+      }
+    }
+    if (error) {
+      throw error
+    }
+    return false
+  }
+
+  private arithmetic (operator: string, a: Term, b: Term): Literal {
+    const [x, y] = [this.numeric(a), this.numeric(b)]
+    let type = numericTypes[Math.max(numericTypes.indexOf(x.type), numericTypes.indexOf(y.type))]
+    if (operator === '/' && type === 'integer') {
+      type = 'decimal'
+    }
+    if (operator === '/' && y.value === 0 && (type === 'integer' || type === 'decimal')) {
+      throw new ExpressionError('Division by zero')
+    }
+    const value = operator === '+' ? x.value + y.value
+      : operator === '-' ? x.value - y.value
+      : operator === '*' ? x.value * y.value
+      : x.value / y.value
+    return this.number(value, type)
+  }
+
+  private call (name: string, args: Term[]): Term {
+    const [a, b] = args
+    switch (name) {
+      case '!':
+        return this.boolean(!effectiveBooleanValue(a))
+      case '=':
+        return this.boolean(termsEqual(a, b))
+      case '!=':
+        return this.boolean(!termsEqual(a, b))
+      case '<':
+        return this.boolean(compareValues(a, b) < 0)
+      case '>':
+        return this.boolean(compareValues(a, b) > 0)
+      case '<=':
+        return this.boolean(compareValues(a, b) <= 0)
+      case '>=':
+        return this.boolean(compareValues(a, b) >= 0)
+      case '+':
+      case '-':
+        if (args.length === 1) {
+          const { value, type } = this.numeric(a)
+          return this.number(name === '-' ? -value : value, type)
+        }
+        return this.arithmetic(name, a, b)
+      case '*':
+      case '/':
+        return this.arithmetic(name, a, b)
+      case 'str':
+        if (a.termType !== 'Literal' && a.termType !== 'NamedNode') {
+          throw new ExpressionError(`${a.value} has no string`)
+        }
+        return this.factory.literal(a.value)
+      case 'lang':
+        if (a.termType !== 'Literal') {
+          throw new ExpressionError(`${a.value} is not a literal`)
+        }
+        return this.factory.literal((a as Literal).language || '')
+      case 'langmatches': {
+        const [tag, range] = [this.simple(a).value.toLowerCase(), this.simple(b).value.toLowerCase()]
+        return this.boolean(range === '*' ? tag !== '' : tag === range || tag.startsWith(range + '-'))
+      }
+      case 'datatype':
+        if (a.termType !== 'Literal') {
+          throw new ExpressionError(`${a.value} is not a literal`)
+        }
+        return this.factory.namedNode(datatypeOf(a as Literal))
+      case 'iri': {
+        if (a.termType === 'NamedNode') {
+          return a
+        }
+        const iri = this.context.base ? Uri.join(this.simple(a).value, this.context.base) : this.simple(a).value
+        if (!Uri.protocol(iri)) {
+          throw new ExpressionError(`${iri} is not an absolute IRI`)
+        }
+        return this.factory.namedNode(iri)
+      }
+      case 'bnode': {
+        if (!a) {
+          return this.factory.blankNode()
+        }
+        const label = this.simple(a).value
+        if (!this.blankNodes.has(label)) {
+          this.blankNodes.set(label, this.factory.blankNode() as BlankNode)
+        }
+        return this.blankNodes.get(label)!
+      }
+      case 'rand':
+        return this.number(Math.random(), 'double')
+      case 'abs':
+      case 'ceil':
+      case 'floor':
+      case 'round': {
+        const { value, type } = this.numeric(a)
+        return this.number(Math[name](value), type)
+      }
+      case 'concat': {
+        const strings = args.map(arg => this.string(arg))
+        const value = strings.map(literal => literal.value).join('')
+        const first = strings[0]
+        return first && strings.every(literal => datatypeOf(literal) === datatypeOf(first) &&
+          (literal.language || '').toLowerCase() === (first.language || '').toLowerCase())
+          ? this.stringLike(value, first) : this.factory.literal(value)
+      }
+      case 'substr': {
+        const characters = Array.from(this.string(a).value)
+        const start = Math.round(this.numeric(b).value)
+        const end = args[2] ? start + Math.round(this.numeric(args[2]).value) : Infinity
+        return this.stringLike(characters.filter((_, i) => i + 1 >= start && i + 1 < end).join(''), a as Literal)
+      }
+      case 'strlen':
+        return this.number(Array.from(this.string(a).value).length, 'integer')
+      case 'replace':
+        return this.stringLike(this.string(a).value.replace(
+          this.regExp(this.simple(b).value, args[3] ? this.simple(args[3]).value : '', 'g'),
+          this.simple(args[2]).value), a as Literal)
+      case 'ucase':
+        return this.stringLike(this.string(a).value.toUpperCase(), a as Literal)
+      case 'lcase':
+        return this.stringLike(this.string(a).value.toLowerCase(), a as Literal)
+      case 'encode_for_uri':
+        return this.factory.literal(encodeURIComponent(this.string(a).value)
+          .replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase()))
+      case 'contains':
+      case 'strstarts':
+      case 'strends': {
+        const [x, y] = this.compatible(args)
+        return this.boolean(name === 'contains' ? x.value.includes(y.value)
+          : name === 'strstarts' ? x.value.startsWith(y.value) : x.value.endsWith(y.value))
+      }
+      case 'strbefore':
+      case 'strafter': {
+        const [x, y] = this.compatible(args)
+        const at = x.value.indexOf(y.value)
+        if (at < 0) {
+          return this.factory.literal('')
+        }
+        return this.stringLike(name === 'strbefore' ? x.value.slice(0, at) : x.value.slice(at + y.value.length), x)
+      }
+      case 'year':
+      case 'month':
+      case 'day':
+      case 'hours':
+      case 'minutes': {
+        const part = this.dateTime(a)[['year', 'month', 'day', 'hours', 'minutes'].indexOf(name) + 1]
+        return this.number(Number(part || 0), 'integer')
+      }
+      case 'seconds':
+        return this.number(Number(this.dateTime(a)[6] || 0), 'decimal')
+      case 'timezone': {
+        const zone = this.dateTime(a)[7]
+        if (!zone) {
+          throw new ExpressionError(`${a.value} has no time zone`)
+        }
+        if (zone === 'Z') {
+          return this.factory.literal('PT0S', this.xsd('dayTimeDuration'))
+        }
+        const [hours, minutes] = [Number(zone.slice(1, 3)), Number(zone.slice(4, 6))]
+        const duration = (zone[0] === '-' ? '-' : '') + 'PT' + (hours ? hours + 'H' : '') +
+          (minutes ? minutes + 'M' : '') + (hours || minutes ? '' : '0S')
+        return this.factory.literal(duration, this.xsd('dayTimeDuration'))
+      }
+      case 'tz':
+        return this.factory.literal(this.dateTime(a)[7] || '')
+      case 'now':
+        return this.factory.literal(this.context.now.toISOString(), this.xsd('dateTime'))
+      case 'uuid':
+        return this.factory.namedNode('urn:uuid:' + uuid())
+      case 'struuid':
+        return this.factory.literal(uuid())
+      case 'md5':
+      case 'sha1':
+      case 'sha256':
+      case 'sha384':
+      case 'sha512':
+        return this.factory.literal(hash(name as HashAlgorithm, this.simple(a).value))
+      case 'strlang':
+        return this.factory.literal(this.simple(a).value, this.simple(b).value)
+      case 'strdt':
+        if (b.termType !== 'NamedNode') {
+          throw new ExpressionError(`${b.value} is not an IRI`)
+        }
+        return this.factory.literal(this.simple(a).value, b as NamedNode)
+      case 'sameterm':
+        return this.boolean(a.equals(b))
+      case 'isiri':
+        return this.boolean(a.termType === 'NamedNode')
+      case 'isblank':
+        return this.boolean(a.termType === 'BlankNode')
+      case 'isliteral':
+        return this.boolean(a.termType === 'Literal')
+      case 'isnumeric':
+        return this.boolean(a.termType === 'Literal' && isValidNumber(a as Literal))
+      case 'regex':
+        return this.boolean(this.regExp(this.simple(b).value, args[2] ? this.simple(args[2]).value : '')
+          .test(this.string(a).value))
+    }
+    throw new ExpressionError(`The function ${name} is not known`)
+  }
+
+  /** Makes a regular expression with the flags of XPath, of which x takes out whitespace */
+  private regExp (pattern: string, flags: string, more = ''): RegExp {
+    if (/[^smix]/.test(flags)) {
+      throw new ExpressionError(`The flags ${flags} are not known`)
+    }
+    if (flags.includes('x')) {
+      pattern = pattern.replace(/\s+/g, '')
+    }
+    try {
+      return new RegExp(pattern, flags.replace('x', '') + more)
+    } catch (e) {
+      throw new ExpressionError(e.message)
+    }
+  }
+
+  /** Casts a term to an XSD type, as in section 17.5 */
+  private cast (type: NamedNode, args: Term[]): Term {
+    const [a] = args
+    if (args.length !== 1 || !type.value.startsWith(xsd)) {
+      throw new ExpressionError(`The function <${type.value}> is not known`)
+    }
+    const name = type.value.slice(xsd.length)
+    if (name === 'string') {
+      if (a.termType !== 'Literal' && a.termType !== 'NamedNode') {
+        throw new ExpressionError(`${a.value} can not be a string`)
+      }
+      return this.factory.literal(a.value, type)
+    }
+    if (a.termType !== 'Literal') {
+      throw new ExpressionError(`${a.value} is not a literal`)
+    }
+    const literal = a as Literal
+    const from = datatypeOf(literal) === xsd + 'boolean' ? 'boolean'
+      : numericType(literal) ? 'number'
+      : isString(literal) && !literal.language ? 'string'
+      : datatypeOf(literal).slice(xsd.length)
+    const lexical = literal.value.trim()
+    switch (name) {
+      case 'boolean':
+        if (from === 'boolean' || (from === 'string' && /^(true|false|1|0)$/.test(lexical))) {
+          return this.boolean(lexical === 'true' || lexical === '1')
+        }
+        if (from === 'number') {
+          return this.boolean(effectiveBooleanValue(literal))
+        }
+        break
+      case 'integer':
+      case 'decimal':
+      case 'float':
+      case 'double': {
+        if (from === 'boolean') {
+          return this.number(effectiveBooleanValue(literal) ? 1 : 0, name)
+        }
+        const pattern = name === 'integer' ? integerPattern : name === 'decimal' ? decimalPattern : doublePattern
+        if ((from === 'string' && pattern.test(lexical)) || (from === 'number' && isValidNumber(literal))) {
+          const value = numericValue(literal)
+          if ((name === 'integer' || name === 'decimal') && !isFinite(value)) {
+            break
+          }
+          return this.number(name === 'integer' ? Math.trunc(value) : value, name)
+        }
+        break
+      }
+      case 'dateTime':
+        if ((from === 'string' || from === 'dateTime') && dateTimePattern.test(lexical) && lexical.includes('T')) {
+          return this.factory.literal(lexical, type)
+        }
+        break
+    }
+    throw new ExpressionError(`${literal.value} can not be cast to ${name}`)
+  }
+}
+
+/** Gives a random version 4 UUID */
+function uuid (): string {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random() * 16 | 0
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16)
+  })
+}
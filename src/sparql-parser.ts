@@ -0,0 +1,1514 @@
+/* SPARQL 1.1 query parser
+ *
+ * A recursive descent parser of the SPARQL 1.1 query grammar, which gives the
+ * form of a query, its dataset, and the algebra expression of its pattern and
+ * solution modifiers, translated as in section 18.2 of the recommendation.
+ *
+ * Mistakes in a query are thrown as SPARQLSyntaxErrors with the line and
+ * column they are at, as are the rules of the recommendation on the scope of
+ * variables and blank nodes, and SPARQL Update requests, which are not parsed.
+ */
+
+/** @module sparql-parser */
+
+import CanonicalDataFactory from './factories/canonical-data-factory'
+import { DataFactory } from './factories/factory-types'
+import {
+  AggregateExpression,
+  Dataset,
+  Expression,
+  GroupCondition,
+  inScopeVariables,
+  Location,
+  Operation,
+  OrderCondition,
+  Path,
+  PropertyPath,
+  SparqlQuery,
+  Values
+} from './sparql-algebra'
+import { BlankNode, Literal, NamedNode, Quad, Term, Variable } from './tf-types'
+import * as Uri from './uri'
+
+const rdf = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+const xsd = 'http://www.w3.org/2001/XMLSchema#'
+
+// The terminals of the grammar, from section 19.8 of SPARQL 1.1
+const PN_CHARS_BASE = 'A-Za-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF' +
+  '\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}'
+const PN_CHARS_U = PN_CHARS_BASE + '_'
+const PN_CHARS = PN_CHARS_U + '\\-0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040'
+const PLX = '%[0-9A-Fa-f]{2}|\\\\[_~.\\-!$&\'()*+,;=/?#@%]'
+const PN_PREFIX = `[${PN_CHARS_BASE}](?:[${PN_CHARS}.]*[${PN_CHARS}])?`
+const PN_LOCAL = `(?:[${PN_CHARS_U}:0-9]|${PLX})(?:(?:[${PN_CHARS}.:]|${PLX})*(?:[${PN_CHARS}:]|${PLX}))?`
+const VARNAME = `[${PN_CHARS_U}0-9][${PN_CHARS_U}0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*`
+
+const terminals: Array<[TokenType, RegExp]> = [
+  ['iri', /<(?:[^<>"{}|^`\\\u0000- ]|\\u[0-9A-Fa-f]{4}|\\U[0-9A-Fa-f]{8})*>/y],
+  ['pname', new RegExp(`(?:${PN_PREFIX})?:(?:${PN_LOCAL})?`, 'uy')],
+  ['blank', new RegExp(`_:[${PN_CHARS_U}0-9](?:[${PN_CHARS}.]*[${PN_CHARS}])?`, 'uy')],
+  ['var', new RegExp(`[?$]${VARNAME}`, 'uy')],
+  ['lang', /@[a-zA-Z]+(?:-[a-zA-Z0-9]+)*/y],
+  ['double', /(?:[0-9]+\.[0-9]*|\.[0-9]+|[0-9]+)[eE][+-]?[0-9]+/y],
+  ['decimal', /[0-9]*\.[0-9]+/y],
+  ['integer', /[0-9]+/y],
+  ['name', /[A-Za-z_][A-Za-z0-9_]*/y],
+  ['punct', /\^\^|<=|>=|!=|&&|\|\||[{}()[\].,;*/|^?+\-!=<>]/y]
+]
+const space = /(?:\s|#[^\n\r]*)*/y
+
+type TokenType = 'iri' | 'pname' | 'blank' | 'var' | 'lang' | 'double' | 'decimal' | 'integer' |
+  'string' | 'name' | 'punct' | 'eof'
+
+interface Token {
+  type: TokenType
+  /** The text of the token, or for a string, its value */
+  value: string
+  /** The offsets of the start and end of the token in the query */
+  start: number
+  end: number
+  line: number
+  column: number
+}
+
+/** The number of arguments of the built-in functions, at least and at most */
+const builtIns: { [name: string]: [number, number] } = {
+  STR: [1, 1], LANG: [1, 1], LANGMATCHES: [2, 2], DATATYPE: [1, 1], IRI: [1, 1], URI: [1, 1],
+  BNODE: [0, 1], RAND: [0, 0], ABS: [1, 1], CEIL: [1, 1], FLOOR: [1, 1], ROUND: [1, 1],
+  CONCAT: [0, Infinity], SUBSTR: [2, 3], STRLEN: [1, 1], REPLACE: [3, 4], UCASE: [1, 1], LCASE: [1, 1],
+  ENCODE_FOR_URI: [1, 1], CONTAINS: [2, 2], STRSTARTS: [2, 2], STRENDS: [2, 2], STRBEFORE: [2, 2],
+  STRAFTER: [2, 2], YEAR: [1, 1], MONTH: [1, 1], DAY: [1, 1], HOURS: [1, 1], MINUTES: [1, 1],
+  SECONDS: [1, 1], TIMEZONE: [1, 1], TZ: [1, 1], NOW: [0, 0], UUID: [0, 0], STRUUID: [0, 0],
+  MD5: [1, 1], SHA1: [1, 1], SHA256: [1, 1], SHA384: [1, 1], SHA512: [1, 1], COALESCE: [0, Infinity],
+  IF: [3, 3], STRLANG: [2, 2], STRDT: [2, 2], SAMETERM: [2, 2], ISIRI: [1, 1], ISURI: [1, 1],
+  ISBLANK: [1, 1], ISLITERAL: [1, 1], ISNUMERIC: [1, 1], REGEX: [2, 3]
+}
+const aggregators = ['COUNT', 'SUM', 'MIN', 'MAX', 'AVG', 'SAMPLE', 'GROUP_CONCAT']
+const updateKeywords = ['INSERT', 'DELETE', 'LOAD', 'CLEAR', 'DROP', 'CREATE', 'ADD', 'MOVE', 'COPY', 'WITH']
+
+/**
+ * A mistake in the text of a query, or a part of it which is not supported
+ */
+export class SPARQLSyntaxError extends Error {
+  /** The line of the mistake, from 1 */
+  line: number
+  /** The column of the mistake, from 1 */
+  column: number
+
+  /**
+   * @param message - What is wrong
+   * @param location - Where it is
+   */
+  constructor (message: string, location: Location) {
+    super(`${message} at line ${location.line}, column ${location.column}`)
+    this.name = 'SPARQLSyntaxError'
+    this.line = location.line
+    this.column = location.column
+  }
+}
+
+/** The options of parsing a query */
+export interface SPARQLParseOptions {
+  /** The IRI which relative IRIs are relative to, unless the query has a BASE */
+  baseIRI?: string
+  /** Makes the terms of the query */
+  factory?: DataFactory
+  /** Prefixes to have before those the query declares */
+  prefixes?: { [prefix: string]: string }
+}
+
+/** The solution modifiers of a query */
+interface Modifiers {
+  group?: GroupCondition[]
+  having?: Expression[]
+  order?: OrderCondition[]
+  limit?: number
+  offset?: number
+  location?: Location
+}
+
+/** The SELECT clause of a query */
+interface Selection {
+  distinct: boolean
+  reduced: boolean
+  /** The variables selected, with the expression of each AS variable; none for * */
+  items: Array<{ variable: Variable, expression?: Expression, location: Location }>
+  location: Location
+}
+
+/** The triple patterns of a basic graph pattern, and those with property paths */
+interface TriplesRun {
+  patterns: Quad[]
+  paths: Path[]
+  /** The scope of the blank node labels of the basic graph pattern */
+  scope: number
+}
+
+/**
+ * Parses the text of a SPARQL 1.1 query
+ * @param text - The query
+ * @param options - The base IRI, the factory of terms and any prefixes
+ * @throws {SPARQLSyntaxError} If the query is not well formed, or is an update
+ */
+export default function parseSPARQL (text: string, options: SPARQLParseOptions = {}): SparqlQuery {
+  return new SPARQLParser(text, options).parseQuery()
+}
+
+/**
+ * Parses the text of a SPARQL 1.1 property path, such as 'foaf:knows+'
+ * @param text - The path
+ * @param options - The base IRI, the factory of terms and the prefixes of the path
+ * @throws {SPARQLSyntaxError} If the path is not well formed
+ */
+export function parsePropertyPath (text: string, options: SPARQLParseOptions = {}): PropertyPath {
+  return new SPARQLParser(text, options).parsePath()
+}
+
+class SPARQLParser {
+  private text: string
+  private tokens: Token[]
+  private pos = 0
+  private lineStarts: number[]
+  private factory: DataFactory
+  private base?: string
+  private prefixes: { [prefix: string]: string }
+  /** The blank nodes of the labels in patterns, with the basic graph pattern each is in */
+  private blankNodes = new Map<string, { node: BlankNode, scope: number }>()
+  /** The blank nodes of the labels in a CONSTRUCT template */
+  private templateBlankNodes: Map<string, BlankNode> | null = null
+  private scopes = 0
+  private scope = 0
+  private aggregatesAllowed = false
+  private inAggregate = false
+  private freshVariables = 0
+
+  constructor (text: string, options: SPARQLParseOptions) {
+    this.text = text
+    this.factory = options.factory || CanonicalDataFactory
+    this.base = options.baseIRI
+    this.prefixes = Object.assign({}, options.prefixes || {})
+    this.lineStarts = [0]
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') {
+        this.lineStarts.push(i + 1)
+      }
+    }
+    this.tokens = this.tokenize()
+  }
+
+  // Lexing
+
+  private locationOf (offset: number): Location {
+    let low = 0
+    let high = this.lineStarts.length - 1
+    while (low < high) {
+      const middle = (low + high + 1) >> 1
+      if (this.lineStarts[middle] <= offset) {
+        low = middle
+      } else {
+        high = middle - 1
+      }
+    }
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 }
+  }
+
+  private tokenize (): Token[] {
+    const text = this.text
+    const tokens: Token[] = []
+    const token = (type: TokenType, value: string, start: number, end: number): Token => {
+      const { line, column } = this.locationOf(start)
+      return { type, value, start, end, line, column }
+    }
+    let offset = 0
+    for (;;) {
+      space.lastIndex = offset
+      offset += space.exec(text)![0].length
+      if (offset >= text.length) {
+        tokens.push(token('eof', '', offset, offset))
+        return tokens
+      }
+      const quote = text[offset]
+      if (quote === '"' || quote === "'") {
+        const [value, end] = this.readString(offset)
+        tokens.push(token('string', value, offset, end))
+        offset = end
+        continue
+      }
+      let matched = false
+      for (const [type, pattern] of terminals) {
+        pattern.lastIndex = offset
+        const match = pattern.exec(text)
+        if (match) {
+          tokens.push(token(type, match[0], offset, offset + match[0].length))
+          offset += match[0].length
+          matched = true
+          break
+        }
+      }
+      if (!matched) {
+        throw new SPARQLSyntaxError(`Unexpected character '${String.fromCodePoint(text.codePointAt(offset)!)}'`,
+          this.locationOf(offset))
+      }
+    }
+  }
+
+  /**
+   * Reads a string literal, short or long, and gives its value and where it ends
+   */
+  private readString (start: number): [string, number] {
+    const text = this.text
+    const quote = text[start]
+    const long = text.startsWith(quote.repeat(3), start)
+    let i = start + (long ? 3 : 1)
+    let value = ''
+    for (;;) {
+      if (i >= text.length) {
+        throw new SPARQLSyntaxError('Unterminated string', this.locationOf(start))
+      }
+      const c = text[i]
+      if (long ? text.startsWith(quote.repeat(3), i) : c === quote) {
+        return [value, i + (long ? 3 : 1)]
+      }
+      if (!long && (c === '\n' || c === '\r')) {
+        throw new SPARQLSyntaxError('Line break in a string', this.locationOf(i))
+      }
+      if (c === '\\') {
+        const [unescaped, length] = this.unescape(i, 'tbnrf"\'\\')
+        value += unescaped
+        i += length
+      } else {
+        value += c
+        i++
+      }
+    }
+  }
+
+  /**
+   * Gives the character of an escape sequence, and its length
+   * @param i - Where the backslash is
+   * @param characters - The characters which may be escaped besides \u and \U
+   */
+  private unescape (i: number, characters: string): [string, number] {
+    const text = this.text
+    const c = text[i + 1]
+    if (c === 'u' || c === 'U') {
+      const hex = text.substr(i + 2, c === 'u' ? 4 : 8)
+      if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== (c === 'u' ? 4 : 8)) {
+        throw new SPARQLSyntaxError('Bad escape sequence', this.locationOf(i))
+      }
+      return [String.fromCodePoint(parseInt(hex, 16)), hex.length + 2]
+    }
+    if (c === undefined || characters.indexOf(c) < 0) {
+      throw new SPARQLSyntaxError('Bad escape sequence', this.locationOf(i))
+    }
+    const escapes = { t: '\t', b: '\b', n: '\n', r: '\r', f: '\f' }
+    return [escapes[c] || c, 2]
+  }
+
+  // Tokens
+
+  private peek (ahead = 0): Token {
+    return this.tokens[Math.min(this.pos + ahead, this.tokens.length - 1)]
+  }
+
+  private next (): Token {
+    const token = this.peek()
+    if (token.type !== 'eof') {
+      this.pos++
+    }
+    return token
+  }
+
+  private isKeyword (keyword: string, token = this.peek()): boolean {
+    return token.type === 'name' && token.value.toUpperCase() === keyword
+  }
+
+  private acceptKeyword (keyword: string): Token | null {
+    return this.isKeyword(keyword) ? this.next() : null
+  }
+
+  private expectKeyword (keyword: string): Token {
+    return this.acceptKeyword(keyword) || this.unexpected(keyword)
+  }
+
+  private isPunct (punct: string, token = this.peek()): boolean {
+    return token.type === 'punct' && token.value === punct
+  }
+
+  private acceptPunct (punct: string): Token | null {
+    return this.isPunct(punct) ? this.next() : null
+  }
+
+  private expectPunct (punct: string): Token {
+    return this.acceptPunct(punct) || this.unexpected(`'${punct}'`)
+  }
+
+  private error (message: string, token: Token | Location = this.peek()): never {
+    throw new SPARQLSyntaxError(message, { line: token.line, column: token.column })
+  }
+
+  private unexpected (expected: string): never {
+    const token = this.peek()
+    const found = token.type === 'eof' ? 'the end of the query'
+      : token.type === 'string' ? 'a string' : `'${token.value}'`
+    return this.error(`Expected ${expected} but found ${found}`, token)
+  }
+
+  private location (token: Token): Location {
+    return { line: token.line, column: token.column }
+  }
+
+  // Query forms
+
+  parseQuery (): SparqlQuery {
+    this.prologue()
+    const token = this.peek()
+    let query: SparqlQuery
+    if (this.isKeyword('SELECT')) {
+      query = this.selectQuery()
+    } else if (this.isKeyword('CONSTRUCT')) {
+      query = this.constructQuery()
+    } else if (this.isKeyword('DESCRIBE')) {
+      query = this.describeQuery()
+    } else if (this.isKeyword('ASK')) {
+      query = this.askQuery()
+    } else if (updateKeywords.some(keyword => this.isKeyword(keyword))) {
+      return this.error('SPARQL Update is not supported, only queries', token)
+    } else {
+      return this.unexpected('SELECT, CONSTRUCT, DESCRIBE or ASK')
+    }
+    if (this.peek().type !== 'eof') {
+      this.unexpected('the end of the query')
+    }
+    if (this.base) {
+      query.base = this.base
+    }
+    return query
+  }
+
+  parsePath (): PropertyPath {
+    const path = this.path()
+    if (this.peek().type !== 'eof') {
+      this.unexpected('the end of the path')
+    }
+    return path
+  }
+
+  private prologue (): void {
+    for (;;) {
+      if (this.acceptKeyword('BASE')) {
+        this.base = this.iriRef(this.expect('iri', 'an IRI'))
+      } else if (this.acceptKeyword('PREFIX')) {
+        const name = this.expect('pname', 'a prefix')
+        if (!name.value.endsWith(':') || name.value.indexOf(':') !== name.value.length - 1) {
+          this.error('Expected a prefix ending with \':\'', name)
+        }
+        this.prefixes[name.value.slice(0, -1)] = this.iriRef(this.expect('iri', 'an IRI'))
+      } else {
+        return
+      }
+    }
+  }
+
+  private expect (type: TokenType, expected: string): Token {
+    return this.peek().type === type ? this.next() : this.unexpected(expected)
+  }
+
+  private selectQuery (): SparqlQuery {
+    const selection = this.selectClause()
+    const dataset = this.datasetClause()
+    const pattern = this.whereClause()
+    const modifiers = this.solutionModifier()
+    const values = this.valuesClause()
+    const algebra = this.translateSelect(selection, pattern, modifiers, values)
+    let project = algebra
+    while (project.type !== 'project') {
+      project = (project as { input: Operation }).input
+    }
+    return Object.assign({
+      queryType: 'SELECT' as const,
+      location: selection.location,
+      prefixes: this.prefixes,
+      algebra,
+      variables: project.variables
+    }, dataset)
+  }
+
+  private subSelect (): Operation {
+    const selection = this.selectClause()
+    const pattern = this.whereClause()
+    const modifiers = this.solutionModifier()
+    const values = this.valuesClause()
+    return this.translateSelect(selection, pattern, modifiers, values)
+  }
+
+  private selectClause (): Selection {
+    const token = this.expectKeyword('SELECT')
+    const selection: Selection = {
+      distinct: !!this.acceptKeyword('DISTINCT'),
+      reduced: false,
+      items: [],
+      location: this.location(token)
+    }
+    if (!selection.distinct) {
+      selection.reduced = !!this.acceptKeyword('REDUCED')
+    }
+    if (this.acceptPunct('*')) {
+      return selection
+    }
+    for (;;) {
+      const start = this.peek()
+      if (start.type === 'var') {
+        selection.items.push({ variable: this.variable(this.next()), location: this.location(start) })
+      } else if (this.acceptPunct('(')) {
+        const expression = this.withAggregates(() => this.expression())
+        this.expectKeyword('AS')
+        const variable = this.variable(this.expect('var', 'a variable'))
+        this.expectPunct(')')
+        selection.items.push({ variable, expression, location: this.location(start) })
+      } else {
+        break
+      }
+    }
+    if (!selection.items.length) {
+      this.unexpected('variables or \'*\' to select')
+    }
+    return selection
+  }
+
+  private constructQuery (): SparqlQuery {
+    const token = this.expectKeyword('CONSTRUCT')
+    let template: Quad[]
+    let dataset: { dataset?: Dataset }
+    let pattern: Operation
+    if (this.isPunct('{')) {
+      template = this.constructTemplate()
+      dataset = this.datasetClause()
+      pattern = this.whereClause()
+    } else {
+      dataset = this.datasetClause()
+      this.expectKeyword('WHERE')
+      this.expectPunct('{')
+      const run = this.newRun()
+      while (!this.isPunct('}')) {
+        this.triplesSameSubject(run, false)
+        if (!this.acceptPunct('.')) {
+          break
+        }
+      }
+      this.expectPunct('}')
+      template = run.patterns
+      pattern = { type: 'bgp', patterns: run.patterns }
+    }
+    const modifiers = this.solutionModifier()
+    const values = this.valuesClause()
+    return Object.assign({
+      queryType: 'CONSTRUCT' as const,
+      location: this.location(token),
+      prefixes: this.prefixes,
+      algebra: this.translateModifiers(pattern, modifiers, values),
+      template
+    }, dataset)
+  }
+
+  private constructTemplate (): Quad[] {
+    this.expectPunct('{')
+    this.templateBlankNodes = new Map()
+    const run = this.newRun()
+    while (!this.isPunct('}')) {
+      this.triplesSameSubject(run, false)
+      if (!this.acceptPunct('.')) {
+        break
+      }
+    }
+    this.expectPunct('}')
+    this.templateBlankNodes = null
+    return run.patterns
+  }
+
+  private describeQuery (): SparqlQuery {
+    const token = this.expectKeyword('DESCRIBE')
+    let describe: Array<NamedNode | Variable> | null = []
+    if (this.acceptPunct('*')) {
+      describe = null
+    } else {
+      do {
+        const term = this.peek().type === 'var' ? this.variable(this.next()) : this.iri()
+        describe.push(term)
+      } while (this.peek().type === 'var' || this.startsIri())
+    }
+    const dataset = this.datasetClause()
+    const pattern: Operation = this.isKeyword('WHERE') || this.isPunct('{')
+      ? this.whereClause() : { type: 'bgp', patterns: [] }
+    const modifiers = this.solutionModifier()
+    const values = this.valuesClause()
+    let algebra = this.translateModifiers(pattern, modifiers, values, true)
+    if (!describe) {
+      describe = inScopeVariables(algebra)
+    }
+    const variables = describe.filter(term => term.termType === 'Variable') as Variable[]
+    algebra = this.slice({ type: 'project', input: algebra, variables }, modifiers)
+    return Object.assign({
+      queryType: 'DESCRIBE' as const,
+      location: this.location(token),
+      prefixes: this.prefixes,
+      algebra,
+      describe
+    }, dataset)
+  }
+
+  private askQuery (): SparqlQuery {
+    const token = this.expectKeyword('ASK')
+    const dataset = this.datasetClause()
+    const pattern = this.whereClause()
+    const modifiers = this.solutionModifier()
+    const values = this.valuesClause()
+    return Object.assign({
+      queryType: 'ASK' as const,
+      location: this.location(token),
+      prefixes: this.prefixes,
+      algebra: this.translateModifiers(pattern, modifiers, values)
+    }, dataset)
+  }
+
+  private datasetClause (): { dataset?: Dataset } {
+    const dataset: Dataset = { default: [], named: [] }
+    let any = false
+    while (this.acceptKeyword('FROM')) {
+      any = true
+      if (this.acceptKeyword('NAMED')) {
+        dataset.named.push(this.iri())
+      } else {
+        dataset.default.push(this.iri())
+      }
+    }
+    return any ? { dataset } : {}
+  }
+
+  private whereClause (): Operation {
+    this.acceptKeyword('WHERE')
+    return this.groupGraphPattern()
+  }
+
+  private solutionModifier (): Modifiers {
+    const modifiers: Modifiers = {}
+    if (this.isKeyword('GROUP')) {
+      modifiers.location = this.location(this.next())
+      this.expectKeyword('BY')
+      modifiers.group = []
+      do {
+        modifiers.group.push(this.groupCondition())
+      } while (this.startsConstraint() || this.peek().type === 'var' || this.isPunct('('))
+    }
+    if (this.acceptKeyword('HAVING')) {
+      modifiers.having = []
+      do {
+        modifiers.having.push(this.withAggregates(() => this.constraint()))
+      } while (this.startsConstraint())
+    }
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY')
+      modifiers.order = []
+      do {
+        modifiers.order.push(this.withAggregates(() => this.orderCondition()))
+      } while (this.startsConstraint() || this.peek().type === 'var' ||
+        this.isKeyword('ASC') || this.isKeyword('DESC'))
+    }
+    for (;;) {
+      if (modifiers.limit === undefined && this.acceptKeyword('LIMIT')) {
+        modifiers.limit = Number(this.expect('integer', 'an integer').value)
+      } else if (modifiers.offset === undefined && this.acceptKeyword('OFFSET')) {
+        modifiers.offset = Number(this.expect('integer', 'an integer').value)
+      } else {
+        return modifiers
+      }
+    }
+  }
+
+  private groupCondition (): GroupCondition {
+    if (this.peek().type === 'var') {
+      return { expression: this.variable(this.next()) }
+    }
+    if (this.acceptPunct('(')) {
+      const expression = this.expression()
+      const condition: GroupCondition = { expression }
+      if (this.acceptKeyword('AS')) {
+        condition.variable = this.variable(this.expect('var', 'a variable'))
+      }
+      this.expectPunct(')')
+      return condition
+    }
+    return { expression: this.constraint() }
+  }
+
+  private orderCondition (): OrderCondition {
+    const descending = !!this.acceptKeyword('DESC')
+    if (descending || this.acceptKeyword('ASC')) {
+      return { expression: this.bracketted(), descending }
+    }
+    if (this.peek().type === 'var') {
+      return { expression: this.variable(this.next()), descending }
+    }
+    return { expression: this.constraint(), descending }
+  }
+
+  /** Whether the next token starts a bracketted expression, a built-in call or a function call */
+  private startsConstraint (): boolean {
+    const token = this.peek()
+    return this.isPunct('(') || this.startsIri() ||
+      (token.type === 'name' && this.isFunctionName(token.value.toUpperCase()))
+  }
+
+  private isFunctionName (name: string): boolean {
+    return name in builtIns || aggregators.indexOf(name) >= 0 ||
+      name === 'BOUND' || name === 'EXISTS' || name === 'NOT'
+  }
+
+  private constraint (): Expression {
+    if (this.isPunct('(')) {
+      return this.bracketted()
+    }
+    if (this.startsIri()) {
+      const token = this.peek()
+      const expression = this.iriOrFunction()
+      if ('termType' in expression) {
+        this.error('Expected a function call', token)
+      }
+      return expression
+    }
+    if (this.peek().type === 'name') {
+      return this.builtInCall()
+    }
+    return this.unexpected('a constraint')
+  }
+
+  private valuesClause (): Values | null {
+    return this.isKeyword('VALUES') ? this.inlineData() : null
+  }
+
+  // Graph patterns
+
+  private groupGraphPattern (): Operation {
+    this.expectPunct('{')
+    const pattern = this.isKeyword('SELECT') ? this.subSelect() : this.groupGraphPatternSub()
+    this.expectPunct('}')
+    return pattern
+  }
+
+  private newRun (): TriplesRun {
+    this.scope = ++this.scopes
+    return { patterns: [], paths: [], scope: this.scope }
+  }
+
+  /**
+   * Parses the elements of a group and translates them, as in section 18.2.2.6
+   */
+  private groupGraphPatternSub (): Operation {
+    let group: Operation | null = null
+    const filters: Expression[] = []
+    let filterLocation: Location | undefined
+    let run: TriplesRun | null = null
+    const flush = () => {
+      if (run) {
+        group = this.join(group, this.triplesOperation(run))
+        run = null
+      }
+    }
+    while (!this.isPunct('}')) {
+      const token = this.peek()
+      if (this.startsTriples()) {
+        if (!run) {
+          run = this.newRun()
+        }
+        this.scope = run.scope
+        this.triplesSameSubject(run, true)
+        if (!this.acceptPunct('.') && !this.isPunct('}') && !this.startsNotTriples()) {
+          this.unexpected('\'.\' or \'}\'')
+        }
+        continue
+      }
+      if (this.acceptKeyword('FILTER')) {
+        filterLocation = filterLocation || this.location(token)
+        filters.push(this.constraint())
+        this.acceptPunct('.')
+        continue
+      }
+      flush()
+      const location = this.location(token)
+      if (this.acceptKeyword('OPTIONAL')) {
+        const optional = this.groupGraphPattern()
+        group = optional.type === 'filter'
+          ? { type: 'leftJoin', left: group || this.empty(), right: optional.input, expression: optional.expression, location }
+          : { type: 'leftJoin', left: group || this.empty(), right: optional, location }
+      } else if (this.acceptKeyword('MINUS')) {
+        group = { type: 'minus', left: group || this.empty(), right: this.groupGraphPattern(), location }
+      } else if (this.acceptKeyword('BIND')) {
+        this.expectPunct('(')
+        const expression = this.expression()
+        this.expectKeyword('AS')
+        const variableToken = this.expect('var', 'a variable')
+        const variable = this.variable(variableToken)
+        this.expectPunct(')')
+        if (group && inScopeVariables(group).some(v => v.value === variable.value)) {
+          this.error(`The variable ?${variable.value} of BIND is already in scope`, variableToken)
+        }
+        group = { type: 'extend', input: group || this.empty(), variable, expression, location }
+      } else if (this.isKeyword('VALUES')) {
+        group = this.join(group, this.inlineData())
+      } else if (this.acceptKeyword('GRAPH')) {
+        const name = this.peek().type === 'var' ? this.variable(this.next()) : this.iri()
+        group = this.join(group, { type: 'graph', name, input: this.groupGraphPattern(), location })
+      } else if (this.acceptKeyword('SERVICE')) {
+        const silent = !!this.acceptKeyword('SILENT')
+        const name = this.peek().type === 'var' ? this.variable(this.next()) : this.iri()
+        group = this.join(group, { type: 'service', name, silent, input: this.groupGraphPattern(), location })
+      } else if (this.isPunct('{')) {
+        let union = this.groupGraphPattern()
+        while (this.isKeyword('UNION')) {
+          const unionLocation = this.location(this.next())
+          union = { type: 'union', left: union, right: this.groupGraphPattern(), location: unionLocation }
+        }
+        group = this.join(group, union)
+      } else {
+        this.unexpected('a triple pattern, a graph pattern or \'}\'')
+      }
+      this.acceptPunct('.')
+    }
+    flush()
+    let result: Operation = group || this.empty()
+    if (filters.length) {
+      result = { type: 'filter', input: result, expression: this.conjunction(filters), location: filterLocation }
+    }
+    return result
+  }
+
+  private empty (): Operation {
+    return { type: 'bgp', patterns: [] }
+  }
+
+  private join (left: Operation | null, right: Operation): Operation {
+    return left ? { type: 'join', left, right } : right
+  }
+
+  private conjunction (expressions: Expression[]): Expression {
+    return expressions.reduce((left, right) => ({ type: 'operator', operator: '&&', args: [left, right] }))
+  }
+
+  private triplesOperation (run: TriplesRun): Operation {
+    let operation: Operation | null = run.patterns.length || !run.paths.length
+      ? { type: 'bgp', patterns: run.patterns } : null
+    for (const path of run.paths) {
+      operation = this.join(operation, path)
+    }
+    return operation!
+  }
+
+  private startsNotTriples (): boolean {
+    return this.isPunct('{') || ['OPTIONAL', 'MINUS', 'GRAPH', 'SERVICE', 'FILTER', 'BIND', 'VALUES']
+      .some(keyword => this.isKeyword(keyword))
+  }
+
+  private startsTriples (): boolean {
+    const token = this.peek()
+    return ['var', 'iri', 'pname', 'blank', 'string', 'integer', 'decimal', 'double'].indexOf(token.type) >= 0 ||
+      this.isPunct('[') || this.isPunct('(') || this.isPunct('+') || this.isPunct('-') ||
+      this.isKeyword('TRUE') || this.isKeyword('FALSE')
+  }
+
+  private inlineData (): Values {
+    const location = this.location(this.expectKeyword('VALUES'))
+    const variables: Variable[] = []
+    const bindings: Array<{ [variable: string]: Term }> = []
+    const value = (): Term | undefined => {
+      if (this.acceptKeyword('UNDEF')) {
+        return undefined
+      }
+      if (this.startsIri()) {
+        return this.iri()
+      }
+      const term = this.varOrTerm()
+      if (term.termType !== 'Literal') {
+        this.error('Expected an IRI, a literal or UNDEF', this.tokens[this.pos - 1])
+      }
+      return term
+    }
+    const row = (values: Array<Term | undefined>) => {
+      const binding = {}
+      values.forEach((term, i) => {
+        if (term) {
+          binding[variables[i].toString()] = term
+        }
+      })
+      bindings.push(binding)
+    }
+    if (this.peek().type === 'var') {
+      variables.push(this.variable(this.next()))
+      this.expectPunct('{')
+      while (!this.acceptPunct('}')) {
+        row([value()])
+      }
+    } else {
+      this.expectPunct('(')
+      while (!this.acceptPunct(')')) {
+        variables.push(this.variable(this.expect('var', 'a variable')))
+      }
+      this.expectPunct('{')
+      while (!this.acceptPunct('}')) {
+        const start = this.expectPunct('(')
+        const values: Array<Term | undefined> = []
+        while (!this.acceptPunct(')')) {
+          values.push(value())
+        }
+        if (values.length !== variables.length) {
+          this.error(`Expected ${variables.length} values`, start)
+        }
+        row(values)
+      }
+    }
+    return { type: 'values', variables, bindings, location }
+  }
+
+  // Triples
+
+  /**
+   * Parses the triples with the same subject, into a run of triple patterns
+   * @param paths - Whether property paths are allowed
+   */
+  private triplesSameSubject (run: TriplesRun, paths: boolean): void {
+    const start = this.peek()
+    const subject = this.graphNode(run, paths)
+    const node = this.isPunct('[', start) || this.isPunct('(', start)
+    if (!node || this.startsVerb(paths)) {
+      this.propertyList(subject, run, paths)
+    }
+  }
+
+  private startsVerb (paths: boolean): boolean {
+    const token = this.peek()
+    return token.type === 'var' || this.startsIri() || this.isKeyword('A') && token.value === 'a' ||
+      (paths && (this.isPunct('^') || this.isPunct('!') || this.isPunct('(')))
+  }
+
+  private propertyList (subject: Term, run: TriplesRun, paths: boolean): void {
+    for (;;) {
+      const token = this.peek()
+      let verb: Variable | PropertyPath
+      if (token.type === 'var') {
+        verb = this.variable(this.next())
+      } else if (paths) {
+        verb = this.path()
+      } else if (token.type === 'name' && token.value === 'a') {
+        this.next()
+        verb = this.factory.namedNode(rdf + 'type') as NamedNode
+      } else {
+        verb = this.iri()
+      }
+      do {
+        const object = this.graphNode(run, paths)
+        this.addPath(subject, verb, object, run, this.location(token))
+      } while (this.acceptPunct(','))
+      if (!this.acceptPunct(';')) {
+        return
+      }
+      while (this.acceptPunct(';')) {}
+      if (!this.startsVerb(paths)) {
+        return
+      }
+    }
+  }
+
+  /**
+   * Adds the triple patterns for a property path between two nodes, as in
+   * section 18.2.2.4, with blank nodes for the nodes between the steps of a
+   * sequence
+   */
+  private addPath (subject: Term, path: Variable | PropertyPath, object: Term, run: TriplesRun,
+    location: Location): void {
+    if ((path as Term).termType === 'NamedNode' || (path as Term).termType === 'Variable') {
+      run.patterns.push(this.factory.quad(subject as any, path as any, object as any) as Quad)
+      return
+    }
+    const complex = path as Exclude<PropertyPath, NamedNode>
+    if (complex.type === 'inverse') {
+      this.addPath(object, complex.path, subject, run, location)
+    } else if (complex.type === 'sequence') {
+      let node = subject
+      complex.items.forEach((item, i) => {
+        const next = i === complex.items.length - 1 ? object : this.factory.blankNode() as BlankNode
+        this.addPath(node, item, next, run, location)
+        node = next
+      })
+    } else {
+      run.paths.push({ type: 'path', subject, path: complex, object, location })
+    }
+  }
+
+  /**
+   * Parses a node of a triple: a term, or a blank node property list or a
+   * collection, whose triples are added to the run
+   */
+  private graphNode (run: TriplesRun, paths: boolean): Term {
+    if (this.acceptPunct('[')) {
+      const node = this.factory.blankNode() as BlankNode
+      if (!this.acceptPunct(']')) {
+        this.propertyList(node, run, paths)
+        this.expectPunct(']')
+      }
+      return node
+    }
+    if (this.acceptPunct('(')) {
+      const items: Term[] = []
+      while (!this.acceptPunct(')')) {
+        items.push(this.graphNode(run, paths))
+      }
+      let list: Term = this.factory.namedNode(rdf + 'nil') as NamedNode
+      for (let i = items.length - 1; i >= 0; i--) {
+        const node = this.factory.blankNode() as BlankNode
+        run.patterns.push(this.factory.quad(node, this.factory.namedNode(rdf + 'first'), items[i] as any) as Quad)
+        run.patterns.push(this.factory.quad(node, this.factory.namedNode(rdf + 'rest'), list as any) as Quad)
+        list = node
+      }
+      return list
+    }
+    return this.varOrTerm()
+  }
+
+  private varOrTerm (): Term {
+    const token = this.peek()
+    switch (token.type) {
+      case 'var':
+        return this.variable(this.next())
+      case 'iri':
+      case 'pname':
+        return this.iri()
+      case 'blank':
+        return this.blankNode(this.next())
+      case 'string':
+        return this.rdfLiteral()
+      case 'integer':
+      case 'decimal':
+      case 'double':
+        return this.numericLiteral(this.next(), '')
+      case 'punct': {
+        const number = this.peek(1)
+        if ((token.value === '+' || token.value === '-') && number.start === token.end &&
+          ['integer', 'decimal', 'double'].indexOf(number.type) >= 0) {
+          this.next()
+          return this.numericLiteral(this.next(), token.value)
+        }
+        break
+      }
+      case 'name':
+        if (this.isKeyword('TRUE') || this.isKeyword('FALSE')) {
+          return this.factory.literal(this.next().value.toLowerCase(), this.factory.namedNode(xsd + 'boolean')) as Literal
+        }
+    }
+    return this.unexpected('a variable or a term')
+  }
+
+  // Property paths
+
+  private path (): PropertyPath {
+    const items = [this.pathSequence()]
+    while (this.acceptPunct('|')) {
+      items.push(this.pathSequence())
+    }
+    return items.length === 1 ? items[0] : { type: 'alternative', items }
+  }
+
+  private pathSequence (): PropertyPath {
+    const items = [this.pathEltOrInverse()]
+    while (this.acceptPunct('/')) {
+      items.push(this.pathEltOrInverse())
+    }
+    return items.length === 1 ? items[0] : { type: 'sequence', items }
+  }
+
+  private pathEltOrInverse (): PropertyPath {
+    if (this.acceptPunct('^')) {
+      return { type: 'inverse', path: this.pathElt() }
+    }
+    return this.pathElt()
+  }
+
+  private pathElt (): PropertyPath {
+    const path = this.pathPrimary()
+    if (this.acceptPunct('*')) {
+      return { type: 'zeroOrMore', path }
+    }
+    if (this.acceptPunct('+')) {
+      return { type: 'oneOrMore', path }
+    }
+    if (this.acceptPunct('?')) {
+      return { type: 'zeroOrOne', path }
+    }
+    return path
+  }
+
+  private pathPrimary (): PropertyPath {
+    if (this.acceptPunct('(')) {
+      const path = this.path()
+      this.expectPunct(')')
+      return path
+    }
+    if (this.acceptPunct('!')) {
+      const negated: PropertyPath = { type: 'negated', iris: [], inverseIris: [] }
+      const one = () => {
+        const inverse = !!this.acceptPunct('^')
+        ;(inverse ? negated.inverseIris : negated.iris).push(this.iriOrA())
+      }
+      if (this.acceptPunct('(')) {
+        if (!this.acceptPunct(')')) {
+          do {
+            one()
+          } while (this.acceptPunct('|'))
+          this.expectPunct(')')
+        }
+      } else {
+        one()
+      }
+      return negated
+    }
+    return this.iriOrA()
+  }
+
+  private iriOrA (): NamedNode {
+    const token = this.peek()
+    if (token.type === 'name' && token.value === 'a') {
+      this.next()
+      return this.factory.namedNode(rdf + 'type') as NamedNode
+    }
+    if (!this.startsIri()) {
+      this.unexpected('a property path')
+    }
+    return this.iri()
+  }
+
+  // Expressions
+
+  private withAggregates<T> (parse: () => T): T {
+    const allowed = this.aggregatesAllowed
+    this.aggregatesAllowed = true
+    try {
+      return parse()
+    } finally {
+      this.aggregatesAllowed = allowed
+    }
+  }
+
+  private expression (): Expression {
+    let left = this.conditionalAnd()
+    while (this.acceptPunct('||')) {
+      left = { type: 'operator', operator: '||', args: [left, this.conditionalAnd()] }
+    }
+    return left
+  }
+
+  private conditionalAnd (): Expression {
+    let left = this.relational()
+    while (this.acceptPunct('&&')) {
+      left = { type: 'operator', operator: '&&', args: [left, this.relational()] }
+    }
+    return left
+  }
+
+  private relational (): Expression {
+    const left = this.additive()
+    const token = this.peek()
+    if (token.type === 'punct' && ['=', '!=', '<', '>', '<=', '>='].indexOf(token.value) >= 0) {
+      this.next()
+      return { type: 'operator', operator: token.value, args: [left, this.additive()] }
+    }
+    if (this.acceptKeyword('IN')) {
+      return { type: 'operator', operator: 'in', args: [left, ...this.expressionList()] }
+    }
+    if (this.isKeyword('NOT') && this.isKeyword('IN', this.peek(1))) {
+      this.next()
+      this.next()
+      return { type: 'operator', operator: 'notin', args: [left, ...this.expressionList()] }
+    }
+    return left
+  }
+
+  private additive (): Expression {
+    let left = this.multiplicative()
+    for (;;) {
+      const token = this.peek()
+      if (this.isPunct('+') || this.isPunct('-')) {
+        this.next()
+        left = { type: 'operator', operator: token.value, args: [left, this.multiplicative()] }
+      } else {
+        return left
+      }
+    }
+  }
+
+  private multiplicative (): Expression {
+    let left = this.unary()
+    for (;;) {
+      const token = this.peek()
+      if (this.isPunct('*') || this.isPunct('/')) {
+        this.next()
+        left = { type: 'operator', operator: token.value, args: [left, this.unary()] }
+      } else {
+        return left
+      }
+    }
+  }
+
+  private unary (): Expression {
+    const token = this.peek()
+    if (this.acceptPunct('!')) {
+      return { type: 'operator', operator: '!', args: [this.primary()] }
+    }
+    if (this.isPunct('+') || this.isPunct('-')) {
+      const number = this.peek(1)
+      if (number.start === token.end && ['integer', 'decimal', 'double'].indexOf(number.type) >= 0) {
+        return this.varOrTerm() as Literal
+      }
+      this.next()
+      return { type: 'operator', operator: token.value, args: [this.primary()] }
+    }
+    return this.primary()
+  }
+
+  private primary (): Expression {
+    const token = this.peek()
+    if (this.isPunct('(')) {
+      return this.bracketted()
+    }
+    if (this.startsIri()) {
+      return this.iriOrFunction()
+    }
+    if (token.type === 'name' && !this.isKeyword('TRUE') && !this.isKeyword('FALSE')) {
+      return this.builtInCall()
+    }
+    return this.varOrTerm() as Expression
+  }
+
+  private bracketted (): Expression {
+    this.expectPunct('(')
+    const expression = this.expression()
+    this.expectPunct(')')
+    return expression
+  }
+
+  private expressionList (): Expression[] {
+    const args: Expression[] = []
+    this.expectPunct('(')
+    if (this.acceptPunct(')')) {
+      return args
+    }
+    do {
+      args.push(this.expression())
+    } while (this.acceptPunct(','))
+    this.expectPunct(')')
+    return args
+  }
+
+  private iriOrFunction (): Expression {
+    const iri = this.iri()
+    if (!this.isPunct('(')) {
+      return iri
+    }
+    this.next()
+    const args: Expression[] = []
+    if (!this.acceptPunct(')')) {
+      if (this.isKeyword('DISTINCT')) {
+        this.error('DISTINCT is only allowed in aggregates')
+      }
+      do {
+        args.push(this.expression())
+      } while (this.acceptPunct(','))
+      this.expectPunct(')')
+    }
+    return { type: 'functionCall', function: iri, args }
+  }
+
+  private builtInCall (): Expression {
+    const token = this.next()
+    const name = token.value.toUpperCase()
+    if (aggregators.indexOf(name) >= 0) {
+      return this.aggregate(token, name)
+    }
+    if (name === 'EXISTS') {
+      return { type: 'exists', not: false, input: this.groupGraphPattern() }
+    }
+    if (name === 'NOT') {
+      this.expectKeyword('EXISTS')
+      return { type: 'exists', not: true, input: this.groupGraphPattern() }
+    }
+    if (name === 'BOUND') {
+      this.expectPunct('(')
+      const variable = this.variable(this.expect('var', 'a variable'))
+      this.expectPunct(')')
+      return { type: 'operator', operator: 'bound', args: [variable] }
+    }
+    if (!(name in builtIns)) {
+      return this.error(`Unknown function ${token.value}`, token)
+    }
+    const args = this.expressionList()
+    const [least, most] = builtIns[name]
+    if (args.length < least || args.length > most) {
+      const number = least === most ? `${least}` : most === Infinity ? `at least ${least}` : `${least} to ${most}`
+      this.error(`${name} takes ${number} argument${number === '1' ? '' : 's'}`, token)
+    }
+    const operator = name === 'URI' ? 'iri' : name === 'ISURI' ? 'isiri' : name.toLowerCase()
+    return { type: 'operator', operator, args }
+  }
+
+  private aggregate (token: Token, name: string): AggregateExpression {
+    if (!this.aggregatesAllowed) {
+      this.error('Aggregates are only allowed in SELECT, HAVING and ORDER BY', token)
+    }
+    if (this.inAggregate) {
+      this.error('Aggregates cannot be nested', token)
+    }
+    this.inAggregate = true
+    try {
+      this.expectPunct('(')
+      const distinct = !!this.acceptKeyword('DISTINCT')
+      let expression: Expression | null = null
+      if (name !== 'COUNT' || !this.acceptPunct('*')) {
+        expression = this.expression()
+      }
+      const aggregate: AggregateExpression = { type: 'aggregate', aggregator: name.toLowerCase(), distinct, expression }
+      if (name === 'GROUP_CONCAT' && this.acceptPunct(';')) {
+        this.expectKeyword('SEPARATOR')
+        this.expectPunct('=')
+        aggregate.separator = this.expect('string', 'a string').value
+      }
+      this.expectPunct(')')
+      return aggregate
+    } finally {
+      this.inAggregate = false
+    }
+  }
+
+  // Terms
+
+  private startsIri (): boolean {
+    const type = this.peek().type
+    return type === 'iri' || type === 'pname'
+  }
+
+  private iri (): NamedNode {
+    const token = this.peek()
+    if (token.type === 'iri') {
+      return this.factory.namedNode(this.iriRef(this.next())) as NamedNode
+    }
+    if (token.type !== 'pname') {
+      return this.unexpected('an IRI')
+    }
+    this.next()
+    const colon = token.value.indexOf(':')
+    const prefix = token.value.slice(0, colon)
+    if (!(prefix in this.prefixes)) {
+      this.error(`Unknown prefix '${prefix}:'`, token)
+    }
+    const local = token.value.slice(colon + 1).replace(/\\(.)/g, '$1')
+    return this.factory.namedNode(this.prefixes[prefix] + local) as NamedNode
+  }
+
+  /** Gives the IRI of an IRI reference, relative to the base */
+  private iriRef (token: Token): string {
+    let iri = ''
+    for (let i = token.start + 1; i < token.end - 1;) {
+      if (this.text[i] === '\\') {
+        const [unescaped, length] = this.unescape(i, '')
+        iri += unescaped
+        i += length
+      } else {
+        iri += this.text[i++]
+      }
+    }
+    if (this.base) {
+      return Uri.join(iri, this.base)
+    }
+    if (!/^[A-Za-z][A-Za-z0-9+.-]*:/.test(iri)) {
+      this.error(`The IRI <${iri}> is relative, and there is no base IRI`, token)
+    }
+    return iri
+  }
+
+  private rdfLiteral (): Literal {
+    const value = this.expect('string', 'a string').value
+    if (this.peek().type === 'lang') {
+      return this.factory.literal(value, this.next().value.slice(1)) as Literal
+    }
+    if (this.acceptPunct('^^')) {
+      return this.factory.literal(value, this.iri()) as Literal
+    }
+    return this.factory.literal(value) as Literal
+  }
+
+  private numericLiteral (token: Token, sign: string): Literal {
+    const datatype = { integer: 'integer', decimal: 'decimal', double: 'double' }[token.type]
+    return this.factory.literal(sign + token.value, this.factory.namedNode(xsd + datatype)) as Literal
+  }
+
+  private variable (token: Token): Variable {
+    return this.factory.variable!(token.value.slice(1)) as Variable
+  }
+
+  private blankNode (token: Token): BlankNode {
+    const label = token.value.slice(2)
+    if (this.templateBlankNodes) {
+      let node = this.templateBlankNodes.get(label)
+      if (!node) {
+        node = this.factory.blankNode() as BlankNode
+        this.templateBlankNodes.set(label, node)
+      }
+      return node
+    }
+    const known = this.blankNodes.get(label)
+    if (known) {
+      if (known.scope !== this.scope) {
+        this.error(`The blank node _:${label} is in more than one basic graph pattern`, token)
+      }
+      return known.node
+    }
+    const node = this.factory.blankNode() as BlankNode
+    this.blankNodes.set(label, { node, scope: this.scope })
+    return node
+  }
+
+  // Translation of a query level, as in section 18.2.4
+
+  private translateSelect (selection: Selection, pattern: Operation, modifiers: Modifiers,
+    values: Values | null): Operation {
+    const aggregates: Array<{ variable: Variable, aggregate: AggregateExpression }> = []
+    const replace = (expression: Expression) => this.replaceAggregates(expression, aggregates)
+    const items = selection.items.map(item => item.expression
+      ? Object.assign({}, item, { expression: replace(item.expression) }) : item)
+    const having = modifiers.having && modifiers.having.map(replace)
+    const order = modifiers.order && modifiers.order.map(condition =>
+      Object.assign({}, condition, { expression: replace(condition.expression) }))
+    let algebra = pattern
+    const grouped = !!modifiers.group || aggregates.length > 0
+    if (grouped) {
+      const conditions = modifiers.group || []
+      algebra = { type: 'group', input: algebra, conditions, aggregates, location: modifiers.location }
+      if (!items.length) {
+        this.error('SELECT * is not allowed with GROUP BY or aggregates', selection.location)
+      }
+      const keys = new Set(inScopeVariables(algebra).map(v => v.value))
+      for (const item of items) {
+        const free = item.expression ? this.freeVariables(item.expression) : [item.variable]
+        const ungrouped = free.find(v => !keys.has(v.value))
+        if (ungrouped) {
+          this.error(`The variable ?${ungrouped.value} is selected but not grouped`, item.location)
+        }
+        keys.add(item.variable.value)
+      }
+    }
+    if (having && having.length) {
+      algebra = { type: 'filter', input: algebra, expression: this.conjunction(having) }
+    }
+    if (values) {
+      algebra = { type: 'join', left: algebra, right: values }
+    }
+    const selected = new Set<string>()
+    for (const item of items) {
+      if (item.expression) {
+        if (selected.has(item.variable.value) ||
+          inScopeVariables(algebra).some(v => v.value === item.variable.value)) {
+          this.error(`The variable ?${item.variable.value} is already in scope`, item.location)
+        }
+        algebra = { type: 'extend', input: algebra, variable: item.variable, expression: item.expression,
+          location: item.location }
+      }
+      selected.add(item.variable.value)
+    }
+    if (order && order.length) {
+      algebra = { type: 'orderBy', input: algebra, conditions: order }
+    }
+    let variables = items.map(item => item.variable)
+    if (!items.length) {
+      variables = inScopeVariables(algebra)
+    }
+    variables = variables.filter((v, i) => variables.findIndex(w => w.value === v.value) === i)
+    algebra = { type: 'project', input: algebra, variables }
+    if (selection.distinct) {
+      algebra = { type: 'distinct', input: algebra }
+    } else if (selection.reduced) {
+      algebra = { type: 'reduced', input: algebra }
+    }
+    return this.slice(algebra, modifiers)
+  }
+
+  /**
+   * Translates the solution modifiers of a query which is not a SELECT
+   * @param unsliced - Whether to leave out LIMIT and OFFSET, which are after the projection of a DESCRIBE
+   */
+  private translateModifiers (pattern: Operation, modifiers: Modifiers, values: Values | null,
+    unsliced = false): Operation {
+    const aggregates: Array<{ variable: Variable, aggregate: AggregateExpression }> = []
+    const having = modifiers.having && modifiers.having.map(e => this.replaceAggregates(e, aggregates))
+    const order = modifiers.order && modifiers.order.map(condition =>
+      Object.assign({}, condition, { expression: this.replaceAggregates(condition.expression, aggregates) }))
+    let algebra = pattern
+    if (modifiers.group || aggregates.length) {
+      algebra = { type: 'group', input: algebra, conditions: modifiers.group || [], aggregates,
+        location: modifiers.location }
+    }
+    if (having && having.length) {
+      algebra = { type: 'filter', input: algebra, expression: this.conjunction(having) }
+    }
+    if (values) {
+      algebra = { type: 'join', left: algebra, right: values }
+    }
+    if (order && order.length) {
+      algebra = { type: 'orderBy', input: algebra, conditions: order }
+    }
+    return unsliced ? algebra : this.slice(algebra, modifiers)
+  }
+
+  private slice (algebra: Operation, modifiers: Modifiers): Operation {
+    if (modifiers.limit === undefined && modifiers.offset === undefined) {
+      return algebra
+    }
+    const slice: Operation = { type: 'slice', input: algebra, start: modifiers.offset || 0 }
+    if (modifiers.limit !== undefined) {
+      slice.length = modifiers.limit
+    }
+    return slice
+  }
+
+  /**
+   * Gives an expression with each aggregate in it replaced by a new variable,
+   * which the aggregate is bound to
+   */
+  private replaceAggregates (expression: Expression,
+    aggregates: Array<{ variable: Variable, aggregate: AggregateExpression }>): Expression {
+    if ('termType' in expression) {
+      return expression
+    }
+    switch (expression.type) {
+      case 'aggregate': {
+        // Not a name a variable in a query can have
+        const variable = this.factory.variable!(`agg-${this.freshVariables++}`) as Variable
+        aggregates.push({ variable, aggregate: expression })
+        return variable
+      }
+      case 'operator':
+      case 'functionCall':
+        return Object.assign({}, expression, {
+          args: expression.args.map(arg => this.replaceAggregates(arg, aggregates))
+        })
+      default:
+        return expression
+    }
+  }
+
+  /** Gives the variables in an expression, besides those of the patterns of EXISTS */
+  private freeVariables (expression: Expression): Variable[] {
+    if ('termType' in expression) {
+      return expression.termType === 'Variable' ? [expression as Variable] : []
+    }
+    if (expression.type === 'operator' || expression.type === 'functionCall') {
+      return ([] as Variable[]).concat(...expression.args.map(arg => this.freeVariables(arg)))
+    }
+    return []
+  }
+}
@@ -1,3 +1,4 @@
+import ClassOrder from './class-order'
 import Node from './node-internal'
 import {
   Bindings,
@@ -6,11 +7,18 @@ import {
   PredicateType,
   SubjectType,
   DefaultGraphTermType,
+  QuadTermType,
 } from './types'
 import { defaultGraphNode } from './utils/default-graph-uri'
 import { Quad_Graph, Quad_Object, Quad_Predicate, Quad, Quad_Subject, Term } from './tf-types'
 
-/** A Statement represents an RDF Triple or Quad. */
+/**
+ * A Statement represents an RDF Triple or Quad.
+ *
+ * A statement is also a term, of type 'Quad' as in RDF/JS, so that it can be
+ * the subject or object of another statement: a quoted triple of RDF-star.
+ * A quoted triple has no graph, so it is made with the default graph.
+ */
 export default class Statement implements Quad<SubjectType, PredicateType, ObjectType, GraphType> {
   /** The subject of the triple.  What the Statement is about. */
   subject: SubjectType
@@ -56,6 +64,21 @@ export default class Statement implements Quad<SubjectType, PredicateType, Objec
     this.graph = graph == undefined ? defaultGraphNode : Node.fromValue(graph) // property currently used by rdflib
   }
 
+  /** The type of term a statement is, when quoted in another */
+  get termType (): typeof QuadTermType {
+    return QuadTermType
+  }
+
+  /** The value of a statement as a term, which is always the empty string */
+  get value (): string {
+    return ''
+  }
+
+  /** The class order of a statement as a term */
+  get classOrder (): number {
+    return ClassOrder.Quad
+  }
+
   /** @deprecated use {graph} instead */
   get why () {
     return this.graph
@@ -69,7 +92,10 @@ export default class Statement implements Quad<SubjectType, PredicateType, Objec
    * Checks whether two statements are the same
    * @param other - The other statement
    */
-  equals (other: Quad): boolean {
+  equals (other: Quad | Term): boolean {
+    if (!other || !('subject' in other)) {
+      return false
+    }
     return (
       other.subject.equals(this.subject) &&
       other.predicate.equals(this.predicate) &&
@@ -78,6 +104,21 @@ export default class Statement implements Quad<SubjectType, PredicateType, Objec
     )
   }
 
+  /**
+   * Compares this statement with a term, as Node.compareTerm does,
+   * and with another statement by their subjects, predicates and objects
+   * @param other - The other term
+   */
+  compareTerm (other: Node | Statement): number {
+    if (this.classOrder !== other.classOrder) {
+      return this.classOrder < other.classOrder ? -1 : +1
+    }
+    const that = other as Statement
+    return (this.subject as Node).compareTerm(that.subject as Node) ||
+      (this.predicate as Node).compareTerm(that.predicate as Node) ||
+      (this.object as Node).compareTerm(that.object as Node)
+  }
+
   /**
    * Creates a statement with the bindings substituted
    * @param bindings The bindings
@@ -96,9 +137,9 @@ export default class Statement implements Quad<SubjectType, PredicateType, Objec
   /** Creates a canonical string representation of this statement. */
   toCanonical (): string {
     let terms = [
-      this.subject.toCanonical(),
+      quotedOr(this.subject, 'toCanonical'),
       this.predicate.toCanonical(),
-      this.object.toCanonical()
+      quotedOr(this.object, 'toCanonical')
     ]
     if (this.graph && this.graph.termType !== DefaultGraphTermType) {
         terms.push(this.graph.toCanonical())
@@ -109,24 +150,43 @@ export default class Statement implements Quad<SubjectType, PredicateType, Objec
   /** Creates a n-triples string representation of this statement */
   toNT (): string {
     return [
-      this.subject.toNT(),
+      quotedOr(this.subject, 'toNT'),
       this.predicate.toNT(),
-      this.object.toNT(),
+      quotedOr(this.object, 'toNT'),
     ].join(' ') + ' .'
   }
 
   /** Creates a n-quads string representation of this statement */
   toNQ (): string {
     return [
-      this.subject.toNT(),
+      quotedOr(this.subject, 'toNT'),
       this.predicate.toNT(),
-      this.object.toNT(),
+      quotedOr(this.object, 'toNT'),
       this.graph.toNT(),
     ].join(' ') + ' .'
   }
 
+  /** Creates the n-triples-star string representation of this statement as a quoted triple */
+  toQuotedNT (): string {
+    return '<< ' + [
+      quotedOr(this.subject, 'toNT'),
+      this.predicate.toNT(),
+      quotedOr(this.object, 'toNT'),
+    ].join(' ') + ' >>'
+  }
+
   /** Creates a string representation of this statement */
   toString (): string {
     return this.toNT()
   }
 }
+
+/**
+ * Gives a quoted triple in n-triples-star, or calls the method of any other term
+ */
+function quotedOr (term: Term, method: 'toNT' | 'toCanonical'): string {
+  if (term.termType === QuadTermType) {
+    return (term as unknown as Statement).toQuotedNT()
+  }
+  return term[method]()
+}
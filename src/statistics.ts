@@ -0,0 +1,298 @@
+/* Statistics of the statements in a store
+ *
+ * Counts of statements by predicate, by class and by graph, and of the
+ * distinct subjects and objects, kept up to date as statements are added and
+ * removed, so that they can be had without scanning. They give cardinality
+ * estimates for planning queries, and VoID descriptions of datasets.
+ *
+ * Distinct nodes are counted by the reference count of each, so removing a
+ * statement takes its subject out of the count only when no other statement
+ * has it as subject. Nodes are counted as they were added: nodes smushed
+ * together since are still counted apart.
+ */
+
+/** @module statistics */
+
+import { Indexable } from './factories/factory-types'
+import { Quad, Quad_Graph, Quad_Object, Quad_Predicate, Quad_Subject, RdfJsDataFactory, Term } from './tf-types'
+
+const rdfType = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+const voidNamespace = 'http://rdfs.org/ns/void#'
+const xsdInteger = 'http://www.w3.org/2001/XMLSchema#integer'
+
+/** The statistics of the statements with a predicate */
+export interface PredicateStatistics {
+  /** The number of statements with the predicate */
+  triples: number
+  /** The number of distinct subjects of those statements */
+  distinctSubjects: number
+  /** The number of distinct objects of those statements */
+  distinctObjects: number
+}
+
+/** Reference counts of nodes by id */
+type Counts = Map<Indexable, number>
+
+interface PredicatePartition {
+  term: Term
+  triples: number
+  subjects: Counts
+  objects: Counts
+}
+
+interface ClassPartition {
+  term: Term
+  entities: Counts
+}
+
+interface GraphPartition {
+  term: Term
+  triples: number
+}
+
+/** Adds n to the count of a key, dropping the key when its count reaches 0 */
+function count (counts: Counts, key: Indexable, n: number): void {
+  const value = (counts.get(key) || 0) + n
+  if (value > 0) {
+    counts.set(key, value)
+  } else {
+    counts.delete(key)
+  }
+}
+
+/**
+ * Statistics of a set of statements.
+ *
+ * An IndexedFormula keeps these for all of its statements as its statistics.
+ */
+export default class Statistics {
+  /** The number of statements */
+  triples = 0
+  private id: (term: Term) => Indexable
+  private subjects: Counts = new Map()
+  private objects: Counts = new Map()
+  private predicatePartitions = new Map<Indexable, PredicatePartition>()
+  private classPartitions = new Map<Indexable, ClassPartition>()
+  private graphPartitions = new Map<Indexable, GraphPartition>()
+
+  /**
+   * @param id - Gives the id of a term, by which nodes are told apart
+   */
+  constructor (id: (term: Term) => Indexable) {
+    this.id = id
+  }
+
+  /**
+   * Gives the statistics of some statements
+   * @param statements - The statements
+   * @param id - Gives the id of a term, by which nodes are told apart
+   */
+  static of (statements: ReadonlyArray<Quad>, id: (term: Term) => Indexable): Statistics {
+    const statistics = new Statistics(id)
+    statements.forEach(st => statistics.add(st))
+    return statistics
+  }
+
+  /**
+   * Counts a statement added
+   * @param st - The statement
+   */
+  add (st: Quad): void {
+    this.count(st, 1)
+  }
+
+  /**
+   * Counts a statement removed
+   * @param st - The statement
+   */
+  remove (st: Quad): void {
+    this.count(st, -1)
+  }
+
+  /** The number of distinct subjects */
+  get distinctSubjects (): number {
+    return this.subjects.size
+  }
+
+  /** The number of distinct objects */
+  get distinctObjects (): number {
+    return this.objects.size
+  }
+
+  /** The predicates used */
+  properties (): Term[] {
+    return Array.from(this.predicatePartitions.values()).map(partition => partition.term)
+  }
+
+  /** The classes which have instances */
+  classes (): Term[] {
+    return Array.from(this.classPartitions.values()).map(partition => partition.term)
+  }
+
+  /** The graphs which have statements */
+  graphs (): Term[] {
+    return Array.from(this.graphPartitions.values()).map(partition => partition.term)
+  }
+
+  /**
+   * Gives the statistics of the statements with a predicate
+   * @param predicate - The predicate
+   */
+  predicate (predicate: Quad_Predicate): PredicateStatistics {
+    const partition = this.predicatePartitions.get(this.id(predicate))
+    return {
+      triples: partition ? partition.triples : 0,
+      distinctSubjects: partition ? partition.subjects.size : 0,
+      distinctObjects: partition ? partition.objects.size : 0
+    }
+  }
+
+  /**
+   * Gives the number of distinct instances of a class, by rdf:type
+   * @param cls - The class
+   */
+  instances (cls: Term): number {
+    const partition = this.classPartitions.get(this.id(cls))
+    return partition ? partition.entities.size : 0
+  }
+
+  /**
+   * Gives the number of statements in a graph
+   * @param graph - The graph
+   */
+  graphTriples (graph: Quad_Graph): number {
+    const partition = this.graphPartitions.get(this.id(graph))
+    return partition ? partition.triples : 0
+  }
+
+  /**
+   * Estimates the number of statements which match a pattern, taking the
+   * positions given to be independent. Exact for a predicate alone, for the
+   * instances of a class, and for a graph alone.
+   * @param subj - A node for the subject, or if null, a wildcard
+   * @param pred - A node for the predicate, or if null, a wildcard
+   * @param obj - A node for the object, or if null, a wildcard
+   * @param why - A node for the graph, or if null, a wildcard
+   */
+  estimate (
+    subj?: Quad_Subject | null,
+    pred?: Quad_Predicate | null,
+    obj?: Quad_Object | null,
+    why?: Quad_Graph | null
+  ): number {
+    let estimate: number
+    if (pred) {
+      const stats = this.predicate(pred)
+      if (pred.value === rdfType && obj) {
+        estimate = this.instances(obj)
+        if (subj) {
+          estimate = Math.min(estimate, 1)
+        }
+      } else {
+        estimate = stats.triples
+        if (subj) {
+          estimate /= stats.distinctSubjects || 1
+        }
+        if (obj) {
+          estimate /= stats.distinctObjects || 1
+        }
+      }
+    } else {
+      estimate = this.triples
+      if (subj) {
+        estimate /= this.distinctSubjects || 1
+      }
+      if (obj) {
+        estimate /= this.distinctObjects || 1
+      }
+    }
+    if (why) {
+      estimate = subj || pred || obj
+        ? estimate * this.graphTriples(why) / (this.triples || 1)
+        : this.graphTriples(why)
+    }
+    return Math.ceil(estimate)
+  }
+
+  /**
+   * Describes the statements as a VoID dataset, with a property partition for
+   * each predicate and a class partition for each class.
+   * @param dataset - The node for the dataset
+   * @param factory - Makes the terms and statements
+   * @param why - The graph of the statements describing the dataset
+   */
+  describe (dataset: Quad_Subject, factory: RdfJsDataFactory, why?: Quad_Graph): Quad[] {
+    const voidTerm = (name: string) => factory.namedNode(voidNamespace + name)
+    const integer = (n: number) => factory.literal(String(n), factory.namedNode(xsdInteger))
+    const graph = why || factory.defaultGraph()
+    const result: Quad[] = []
+    const state = (s: Quad_Subject, p: string, o: Quad_Object) => {
+      result.push(factory.quad(s, voidTerm(p), o, graph))
+    }
+    result.push(factory.quad(dataset, factory.namedNode(rdfType), voidTerm('Dataset'), graph))
+    state(dataset, 'triples', integer(this.triples))
+    state(dataset, 'distinctSubjects', integer(this.distinctSubjects))
+    state(dataset, 'distinctObjects', integer(this.distinctObjects))
+    state(dataset, 'properties', integer(this.predicatePartitions.size))
+    state(dataset, 'classes', integer(this.classPartitions.size))
+    this.predicatePartitions.forEach(partition => {
+      const part = factory.blankNode()
+      state(dataset, 'propertyPartition', part)
+      state(part, 'property', partition.term as Quad_Object)
+      state(part, 'triples', integer(partition.triples))
+      state(part, 'distinctSubjects', integer(partition.subjects.size))
+      state(part, 'distinctObjects', integer(partition.objects.size))
+    })
+    this.classPartitions.forEach(partition => {
+      const part = factory.blankNode()
+      state(dataset, 'classPartition', part)
+      state(part, 'class', partition.term as Quad_Object)
+      state(part, 'entities', integer(partition.entities.size))
+    })
+    return result
+  }
+
+  private count (st: Quad, n: number): void {
+    const subject = this.id(st.subject)
+    const object = this.id(st.object)
+    this.triples += n
+    count(this.subjects, subject, n)
+    count(this.objects, object, n)
+
+    const predicate = this.id(st.predicate)
+    let partition = this.predicatePartitions.get(predicate)
+    if (!partition) {
+      partition = { term: st.predicate, triples: 0, subjects: new Map(), objects: new Map() }
+      this.predicatePartitions.set(predicate, partition)
+    }
+    partition.triples += n
+    count(partition.subjects, subject, n)
+    count(partition.objects, object, n)
+    if (!partition.triples) {
+      this.predicatePartitions.delete(predicate)
+    }
+
+    if (st.predicate.value === rdfType) {
+      let cls = this.classPartitions.get(object)
+      if (!cls) {
+        cls = { term: st.object, entities: new Map() }
+        this.classPartitions.set(object, cls)
+      }
+      count(cls.entities, subject, n)
+      if (!cls.entities.size) {
+        this.classPartitions.delete(object)
+      }
+    }
+
+    const graph = this.id(st.graph)
+    let graphPartition = this.graphPartitions.get(graph)
+    if (!graphPartition) {
+      graphPartition = { term: st.graph, triples: 0 }
+      this.graphPartitions.set(graph, graphPartition)
+    }
+    graphPartition.triples += n
+    if (!graphPartition.triples) {
+      this.graphPartitions.delete(graph)
+    }
+  }
+}
@@ -0,0 +1,411 @@
+/* Storage backends for IndexedFormula
+ *
+ * The store keeps its statements, and the indexes on them, in a backend.
+ * The store decides what is added and removed, running the features and
+ * callbacks, and the backend keeps and finds the statements.
+ *
+ * MemoryBackend keeps them in arrays, as the store always did. CompactStorage
+ * keeps them as integer tuples, and AppendLogBackend keeps them in another
+ * backend and a log file as well, so that they outlast the process.
+ */
+
+/** @module storage-backend */
+
+import { Indexable } from './factories/factory-types'
+import IndexedFormula from './store'
+import { RDFArrayRemove } from './utils-js'
+import { Quad, Quad_Graph, Quad_Object, Quad_Predicate, Quad_Subject, Term } from './tf-types'
+import Node from './node'
+
+/**
+ * Statements by term, like the indexes of an IndexedFormula:
+ * view[id] gives the statements with the term of that id in a position
+ */
+export type IndexView = { [id: string]: Quad[] }
+
+/** Statements indexed on two positions: index[hash of first][hash of second] */
+export type CompositeIndex = { [k: string]: { [k: string]: Quad[] } }
+
+/**
+ * Saves container[key] for the open transaction of a store, the first time it is
+ * changed, so that a rollback can put it back. Does nothing outside transactions.
+ */
+export type Journal = (container: object, key: Indexable) => void
+
+/**
+ * Keeps a step which undoes a change for the open transaction of a store, to be
+ * taken on a rollback after the later changes are undone. Does nothing outside
+ * transactions.
+ */
+export type UndoLog = (step: () => void) => void
+
+/**
+ * Where an IndexedFormula keeps its statements
+ */
+export interface StorageBackend {
+  /** All the statements, which the store also gives as its statements */
+  readonly statements: Quad[]
+  /** The statements by subject, predicate, object and graph id */
+  readonly index: [IndexView, IndexView, IndexView, IndexView]
+  /** The composite indexes kept, by name, if the backend keeps any */
+  readonly compositeIndex?: { [name: string]: CompositeIndex }
+  /** The number of statements */
+  readonly length: number
+
+  /**
+   * Puts the backend under a store. Called once, when the store is made,
+   * before anything else.
+   * @param store - The store
+   * @param journal - Saves a value to be put back if the open transaction is rolled back
+   * @param undoLog - Keeps a step to undo a change if the open transaction is rolled back
+   */
+  attach (store: IndexedFormula, journal: Journal, undoLog: UndoLog): void
+
+  /**
+   * Loads into the store what the backend stored before, once the store is ready.
+   * The statements are added to the store as any others are.
+   */
+  load? (): void
+
+  /**
+   * Adds a statement which is not in the backend yet
+   * @param st - The statement
+   */
+  add (st: Quad): void
+
+  /**
+   * Removes a statement, if it is in the backend
+   * @param st - The statement
+   */
+  remove (st: Quad): void
+
+  /**
+   * Finds the statements matching a pattern, as IndexedFormula.statementsMatching
+   * @param subject - The subject, or a wildcard if null
+   * @param predicate - The predicate, or a wildcard if null
+   * @param object - The object, or a wildcard if null
+   * @param graph - The graph, or a wildcard if null
+   * @param justOne - Whether to stop at the first match
+   */
+  match (
+    subject?: Quad_Subject | null,
+    predicate?: Quad_Predicate | null,
+    object?: Quad_Object | null,
+    graph?: Quad_Graph | null,
+    justOne?: boolean
+  ): Quad[]
+
+  /**
+   * Moves the statements about one node to another, which it was found to be
+   * the same as. Backends which cannot do this do not smush nodes.
+   * @param big - The node which is now known as small
+   * @param small - The node to keep
+   */
+  merge? (big: Term, small: Term): void
+
+  /** Called when the store begins a transaction. May throw if transactions are not supported */
+  begin? (): void
+  /** Called when the store commits a transaction */
+  commit? (): void
+  /** Called when the store rolls back a transaction, after the journal has been put back */
+  rollback? (): void
+
+  /** Releases what the backend holds open, such as files */
+  close? (): void
+}
+
+/** The options for a MemoryBackend */
+export interface MemoryBackendOptions {
+  /** Composite indexes to maintain, or true for all of them */
+  compositeIndexes?: boolean | string[]
+  /** Function to remove statements from the arrays with */
+  rdfArrayRemove?: (arr: Quad[], q: Quad) => void
+}
+
+/**
+ * The statement positions (0 subject, 1 predicate, 2 object, 3 graph)
+ * covered by each of the composite indexes
+ */
+export const compositeIndexPositions: { [name: string]: [number, number] } = {
+  SP: [0, 1],
+  PO: [1, 2],
+  OS: [2, 0],
+  SG: [0, 3],
+  PG: [1, 3],
+  OG: [2, 3]
+}
+
+/**
+ * Keeps statements in memory, in an array, with an index on each position
+ * from the store's id of the canonical term to the statements with it
+ */
+export class MemoryBackend implements StorageBackend {
+  statements: Quad[] = []
+  index: [IndexView, IndexView, IndexView, IndexView]
+  compositeIndex: { [name: string]: CompositeIndex } = {}
+
+  /** The store the backend is under */
+  private store!: IndexedFormula
+  private journal: Journal = () => {}
+  private undoLog: UndoLog = () => {}
+  private rdfArrayRemove: (arr: Quad[], q: Quad) => void
+
+  /**
+   * @param opts - The options
+   * @param [opts.compositeIndexes] - Two-position indexes ('SP', 'PO', 'OS', 'SG', 'PG', 'OG') to keep, or true for all
+   * @param [opts.rdfArrayRemove] - Function which removes statements from the arrays
+   */
+  constructor (opts: MemoryBackendOptions = {}) {
+    // Arrays, as the store has always had, though they are used as dictionaries
+    this.index = [[], [], [], []] as any
+    const composites = opts.compositeIndexes === true
+      ? Object.keys(compositeIndexPositions)
+      : opts.compositeIndexes || []
+    for (const name of composites) {
+      if (!compositeIndexPositions[name]) {
+        throw new Error(`Unknown composite index '${name}'`)
+      }
+      this.compositeIndex[name] = {}
+    }
+    this.rdfArrayRemove = opts.rdfArrayRemove || RDFArrayRemove
+  }
+
+  get length (): number {
+    return this.statements.length
+  }
+
+  attach (store: IndexedFormula, journal: Journal, undoLog: UndoLog): void {
+    this.store = store
+    this.journal = journal
+    this.undoLog = undoLog
+  }
+
+  add (st: Quad): void {
+    const hash = this.hash(st)
+    for (var i = 0; i < 4; i++) {
+      var ix = this.index[i]
+      var h = hash[i]
+      if (!ix[h]) {
+        this.journal(ix, h)
+        ix[h] = []
+      }
+      this.push(ix[h], st) // Set of things with this as subject, etc
+    }
+    for (const name in this.compositeIndex) {
+      const [a, b] = compositeIndexPositions[name]
+      const cix = this.compositeIndex[name]
+      if (!cix[hash[a]]) {
+        this.journal(cix, hash[a])
+        cix[hash[a]] = {}
+      }
+      if (!cix[hash[a]][hash[b]]) {
+        this.journal(cix[hash[a]], hash[b])
+        cix[hash[a]][hash[b]] = []
+      }
+      this.push(cix[hash[a]][hash[b]], st)
+    }
+    this.push(this.statements, st)
+  }
+
+  remove (st: Quad): void {
+    const hash = this.hash(st)
+    for (var p = 0; p < 4; p++) {
+      var h = hash[p]
+      if (!this.index[p][h]) {
+        // log.warn ("Statement removal: no index '+p+': "+st)
+      } else {
+        this.removeFrom(this.index[p][h], st)
+      }
+    }
+    for (const name in this.compositeIndex) {
+      const [a, b] = compositeIndexPositions[name]
+      const inner = this.compositeIndex[name][hash[a]]
+      if (inner && inner[hash[b]]) {
+        this.removeFrom(inner[hash[b]], st)
+      }
+    }
+    this.removeFrom(this.statements, st)
+  }
+
+  match (
+    subj?: Quad_Subject | null,
+    pred?: Quad_Predicate | null,
+    obj?: Quad_Object | null,
+    why?: Quad_Graph | null,
+    justOne?: boolean
+  ): Quad[] {
+    const store = this.store
+    var pat = [ subj, pred, obj, why ]
+    var pattern: Term[] = []
+    var hash: Indexable[] = []
+    var wild: number[] = [] // wildcards
+    var given: number[] = [] // Not wild
+    var p: number
+    var list
+    for (p = 0; p < 4; p++) {
+      pattern[p] = store.canon(Node.fromValue(pat[p]))
+      if (!pattern[p]) {
+        wild.push(p)
+      } else {
+        given.push(p)
+        hash[p] = store.id(pattern[p])
+      }
+    }
+    if (given.length === 0) {
+      return this.statements
+    }
+    if (given.length === 1) { // Easy too, we have an index for that
+      p = given[0]
+      list = this.index[p][hash[p]]
+      if (list && justOne) {
+        if (list.length > 1) {
+          list = list.slice(0, 1)
+        }
+      }
+      list = list || []
+      return list
+    }
+    // Now given.length is 2, 3 or 4.
+    // We hope that the scale-free nature of the data will mean we tend to get
+    // a short index in there somewhere!
+    var best = 1e10 // really bad
+    var possibles: Quad[] = []
+    var covered: number[] = [] // The positions the chosen index already matches
+    var i
+    for (i = 0; i < given.length; i++) {
+      p = given[i] // Which part we are dealing with
+      list = this.index[p][hash[p]]
+      if (!list) {
+        return [] // No occurrences
+      }
+      if (list.length < best) {
+        best = list.length
+        possibles = list
+        covered = [p]
+      }
+    }
+    // A composite index on two of the given positions is usually shorter still
+    for (const name in this.compositeIndex) {
+      const [a, b] = compositeIndexPositions[name]
+      if (!pattern[a] || !pattern[b]) {
+        continue
+      }
+      const inner = this.compositeIndex[name][hash[a]]
+      list = inner && inner[hash[b]]
+      if (!list) {
+        return [] // No occurrences
+      }
+      if (list.length < best) {
+        best = list.length
+        possibles = list
+        covered = [a, b]
+      }
+    }
+    // Ok, we have picked the shortest index but now we have to filter it
+    var check = given.filter(p => covered.indexOf(p) < 0)
+    var results: Quad[] = []
+    var parts = [ 'subject', 'predicate', 'object', 'why' ]
+    for (var j = 0; j < possibles.length; j++) {
+      var st: Quad | null = possibles[j]
+
+      for (i = 0; i < check.length; i++) { // for each position to be checked
+        p = check[i]
+        if (!store.canon(st[parts[p]]).equals(pattern[p])) {
+          st = null
+          break
+        }
+      }
+      if (st != null) {
+        results.push(st)
+        if (justOne) break
+      }
+    }
+    return results
+  }
+
+  merge (big: Term, small: Term): void {
+    var oldhash = this.store.id(big)
+    var newhash = this.store.id(small)
+    var journal = this.journal
+    var moveIndex = function (ix) {
+      var oldlist = ix[oldhash]
+      if (!oldlist) {
+        return // none to move
+      }
+      journal(ix, oldhash)
+      journal(ix, newhash)
+      var newlist = ix[newhash]
+      if (!newlist) {
+        ix[newhash] = oldlist
+      } else {
+        ix[newhash] = oldlist.concat(newlist)
+      }
+      delete ix[oldhash]
+    }
+    var moveCompositeIndex = function (cix: CompositeIndex) {
+      var oldInner = cix[oldhash]
+      if (oldInner) {
+        journal(cix, oldhash)
+        journal(cix, newhash)
+        var newInner = cix[newhash]
+        if (!newInner) {
+          cix[newhash] = oldInner
+        } else {
+          for (var k in oldInner) {
+            journal(newInner, k)
+            newInner[k] = newInner[k] ? oldInner[k].concat(newInner[k]) : oldInner[k]
+          }
+        }
+        delete cix[oldhash]
+      }
+      for (var first in cix) {
+        moveIndex(cix[first])
+      }
+    }
+    // the canonical one carries all the indexes
+    for (var i = 0; i < 4; i++) {
+      moveIndex(this.index[i])
+    }
+    for (const name in this.compositeIndex) {
+      moveCompositeIndex(this.compositeIndex[name])
+    }
+  }
+
+  /**
+   * Adds a statement to the end of a list, which a rollback takes off again
+   */
+  private push (list: Quad[], st: Quad): void {
+    list.push(st)
+    this.undoLog(() => { list.pop() })
+  }
+
+  /**
+   * Removes a statement from a list. In a transaction, the statement is found
+   * here rather than by rdfArrayRemove, so that a rollback can put it back where
+   * it was.
+   */
+  private removeFrom (list: Quad[], st: Quad): void {
+    let at = -1
+    if (this.store.inTransaction) {
+      at = list.indexOf(st)
+      if (at < 0) {
+        at = list.findIndex(other => other.subject.equals(st.subject) && other.predicate.equals(st.predicate) &&
+          other.object.equals(st.object) && other.graph.equals(st.graph))
+      }
+    }
+    if (at < 0) {
+      this.rdfArrayRemove(list, st)
+      return
+    }
+    const [removed] = list.splice(at, 1)
+    this.undoLog(() => { list.splice(at, 0, removed) })
+  }
+
+  /**
+   * The ids of the canonical terms of a statement
+   */
+  private hash (st: Quad): Indexable[] {
+    return [st.subject, st.predicate, st.object, st.graph]
+      .map(term => this.store.id(this.store.canon(term)))
+  }
+}
@@ -23,24 +23,41 @@ import Formula, { FormulaOpts } from './formula'
 import { ArrayIndexOf } from './utils'
 import { RDFArrayRemove } from './utils-js'
 import {
+  isFormula,
   isRDFlibObject,
   isStore,
   isGraph,
   isPredicate,
   isQuad,
+  isQuotedTriple,
   isSubject
 } from './utils/terms'
 import Node from './node'
 import Variable from './variable'
 import { Query, indexedFormulaQuery } from './query'
+import SPARQLToQuery, { knownPrefixes } from './sparql-to-query'
+import { parsePropertyPath } from './sparql-parser'
+import { Operation } from './sparql-algebra'
 import UpdateManager from './update-manager'
 import {
   Bindings,
+  QuadTermType,
+  VariableTermType,
 } from './types'
 import Statement from './statement'
 import { Indexable } from './factories/factory-types'
+import createInterningDataFactory from './factories/interning-data-factory'
+import CompactStorage from './compact-storage'
+import { CompositeIndex, MemoryBackend, StorageBackend } from './storage-backend'
 import NamedNode from './named-node'
 import Fetcher from './fetcher'
+import { GraphDiff } from './diff'
+import Entailment, { inferenceGraphURI, OwlFeature, owlRules, rdfsRules } from './entailment'
+import Snapshot, { StatementChange } from './snapshot'
+import Skolemizer from './skolem'
+import Statistics from './statistics'
+import TextIndex, { SearchOptions, SearchResult } from './text-index'
+import RangeIndex, { RangeBound, RangeOptions } from './range-index'
 import {
   BlankNode,
   Quad_Graph,
@@ -54,7 +71,60 @@ import {
 
 const owlNamespaceURI = 'http://www.w3.org/2002/07/owl#'
 
-type FeaturesType = Array<('sameAs' | 'InverseFunctionalProperty' | 'FunctionalProperty')> | undefined
+/**
+ * The SPARQL evaluator, which with its expressions is loaded when a query first
+ * needs it rather than with the store
+ */
+function sparqlEvaluator (): typeof import('./sparql-evaluator') {
+  return require('./sparql-evaluator')
+}
+
+/** The features which smush nodes together, which needs a storage backend which can merge nodes */
+const smushingFeatures = ['sameAs', 'InverseFunctionalProperty', 'FunctionalProperty']
+
+type FeaturesType = Array<('sameAs' | 'InverseFunctionalProperty' | 'FunctionalProperty' | 'RDFS' | OwlFeature)> | undefined
+
+/** The events an IndexedFormula emits, and what their listeners are called with */
+export interface StoreEventMap {
+  /** A statement was added to the store */
+  added: Quad
+  /** A statement was removed from the store */
+  removed: Quad
+  /** Two nodes were found to be the same, and `from` is now known as `to` */
+  merged: { from: Term, to: Term }
+}
+
+/** A pattern of statements, where a missing or null part is a wildcard */
+export interface StatementPattern {
+  subject?: Quad_Subject | null
+  predicate?: Quad_Predicate | null
+  object?: Quad_Object | null
+  graph?: Quad_Graph | null
+}
+
+interface StoreListener {
+  listener: (event: any) => void
+  filter?: StatementPattern
+}
+
+/**
+ * What undoes the changes of a transaction: the steps which undo each change, in
+ * the order the changes were made, and the keys of the containers whose values
+ * have been saved, by container
+ */
+interface TransactionJournal {
+  undo: Array<() => void>
+  saved: Map<object, Set<Indexable>>
+}
+
+/** The features which are done by OWL entailment */
+const owlFeatures: OwlFeature[] = [
+  'inverseOf',
+  'SymmetricProperty',
+  'TransitiveProperty',
+  'equivalentClass',
+  'equivalentProperty'
+]
 
 export { defaultGraphURI }
 // var link_ns = 'http://www.w3.org/2007/ont/link#'
@@ -113,6 +183,48 @@ function handleRDFType (
   return done // statement given is not needed if true
 }
 
+/** The parts of a quoted triple */
+const tripleParts = ['subject', 'predicate', 'object']
+
+/**
+ * Whether a quoted triple has variables in it, at any depth
+ */
+function hasVariables (term: Term): boolean {
+  return tripleParts.some(part => {
+    const t = term[part] as Term
+    return t.termType === VariableTermType || (t.termType === QuadTermType && hasVariables(t))
+  })
+}
+
+/**
+ * Whether a term matches a pattern, in which variables inside quoted triples
+ * match anything, but the same thing wherever the same variable is
+ * @param formula - The store, whose smushed nodes are the same
+ * @param pattern - The pattern
+ * @param term - The term
+ * @param bindings - What the variables met so far matched, by name
+ */
+function matchesQuoted (
+  formula: IndexedFormula,
+  pattern: Term,
+  term: Term,
+  bindings: { [name: string]: Term }
+): boolean {
+  if (pattern.termType === VariableTermType) {
+    const bound = bindings[pattern.value]
+    if (!bound) {
+      bindings[pattern.value] = term
+      return true
+    }
+    return formula.id(formula.canon(bound)) === formula.id(formula.canon(term))
+  }
+  if (pattern.termType === QuadTermType) {
+    return term.termType === QuadTermType &&
+      tripleParts.every(part => matchesQuoted(formula, pattern[part], term[part], bindings))
+  }
+  return formula.id(formula.canon(pattern)) === formula.id(formula.canon(term))
+}
+
 /**
  * Indexed Formula aka Store
  */
@@ -151,55 +263,136 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     Quad[],
     Quad[]
   ]
+  /** Optional two-position indexes by name, e.g. compositeIndex.SP[subject][predicate] */
+  compositeIndex: { [name: string]: CompositeIndex }
   features: FeaturesType
+  /** The graph in which inferred triples are kept */
+  inferenceGraph: Quad_Graph
+  /** Keeps the inferred triples up to date, if any reasoning feature is on */
+  entailment?: Entailment
+  /** Where the statements and their indexes are kept */
+  backend: StorageBackend
+  /** The number of statements added and removed so far, which snapshots are taken at */
+  version = 0
+  /** Counts of the statements by predicate, class and graph, if the store was made with the statistics option */
+  statistics?: Statistics
+  /** The full-text index of the literals, if the store was made with the textIndex option */
+  textIndex?: TextIndex
+  /** The ordered index of typed literals, if the store was made with the rangeIndex option */
+  rangeIndex?: RangeIndex
+  /** The skolem IRIs of blank nodes, once a document has been skolemized */
+  skolemizer?: Skolemizer
   static handleRDFType: Function
   _universalVariables?: TFNamedNode[]
   _existentialVariables?: BlankNode[]
 
-  /** Function to remove quads from the store arrays with */
+  /** Function to remove quads from the arrays of the memory backend with */
   private rdfArrayRemove: (arr: Quad[], q: Quad) => void
   /** Callbacks which are triggered after a statement has been added to the store */
   private dataCallbacks?: Array<(q: Quad) => void>
+  /** What undoes everything changed since begin(), while a transaction is open */
+  private journal?: TransactionJournal
+  /** Statements added in the open transaction, whose data callbacks wait for commit() */
+  private pendingCallbacks?: Quad[]
+  /** Events of the open transaction, which are emitted on commit() */
+  private pendingEvents?: Array<[keyof StoreEventMap, any]>
+  /** Event listeners by event type */
+  private listeners: { [type: string]: StoreListener[] } = {}
+  /** The snapshots not yet released */
+  private snapshots = new Set<Snapshot>()
+  /** The changes the snapshots and the open transaction may need, oldest first */
+  private changes: StatementChange[] = []
+  /** The version when the open transaction was begun */
+  private versionAtBegin = 0
 
   /**
    * Creates a new formula
    * @param features - What sort of autmatic processing to do? Array of string
    * @param features.sameAs - Smush together A and B nodes whenever { A sameAs B }
+   * @param features.RDFS - Infer triples by RDFS subClassOf, subPropertyOf, domain and range,
+   *  into the inference graph, keeping them up to date as statements are added and removed
+   * @param features.inverseOf - Infer { B q A } from { A p B } whenever { p owl:inverseOf q }
+   * @param features.SymmetricProperty - Infer { B p A } from { A p B } whenever { p a owl:SymmetricProperty }
+   * @param features.TransitiveProperty - Infer { A p C } from { A p B . B p C } whenever { p a owl:TransitiveProperty }
+   * @param features.equivalentClass - Infer { A a D } from { A a C } whenever { C owl:equivalentClass D }
+   * @param features.equivalentProperty - Infer { A q B } from { A p B } whenever { p owl:equivalentProperty q }
    * @param opts
    * @param [opts.rdfFactory] - The data factory that should be used by the store
-   * @param [opts.rdfArrayRemove] - Function which removes statements from the store
+   * @param [opts.rdfArrayRemove] - Function which removes statements from the arrays of the memory backend
    * @param [opts.dataCallback] - Callback when a statement is added to the store, will not trigger when adding duplicates
+   * @param [opts.compositeIndexes] - Two-position indexes ('SP', 'PO', 'OS', 'SG', 'PG', 'OG') to keep, or true for all
+   * @param [opts.inferenceGraph] - The graph for inferred triples, by default <chrome:theInferences>
+   * @param [opts.compact] - Keep statements as integer tuples, to take less memory.
+   *  The data factory, by default a new interning one, must support identity and reversible ids.
+   *  Statements are made afresh when asked for, so `statements` and the indexes are read-only copies.
+   *  Smushing features, composite indexes and transactions are not available.
+   * @param [opts.backend] - Where to keep the statements, by default in memory, see StorageBackend
+   * @param [opts.statistics] - Keep counts of the statements by predicate, class and graph, for estimate()
+   * @param [opts.textIndex] - Keep a full-text index of the literals, for search()
+   * @param [opts.rangeIndex] - Keep an ordered index of numeric, date and dateTime literals, for range()
    */
   constructor (features?: FeaturesType, opts: FormulaOpts = {}) {
-    super(undefined, undefined, undefined, undefined, opts)
+    super(undefined, undefined, undefined, undefined, opts.compact && !opts.rdfFactory
+      ? { ...opts, rdfFactory: createInterningDataFactory() }
+      : opts)
 
     this.propertyActions = {}
     this.classActions = {}
     this.redirections = []
     this.aliases = []
     this.HTTPRedirects = []
-    this.subjectIndex = []
-    this.predicateIndex = []
-    this.objectIndex = []
-    this.whyIndex = []
-    this.index = [
-      this.subjectIndex,
-      this.predicateIndex,
-      this.objectIndex,
-      this.whyIndex
-    ]
+    if (opts.compositeIndexes && (opts.compact || opts.backend)) {
+      throw new Error('Composite indexes are only kept by the memory backend')
+    }
+    this.rdfArrayRemove = opts.rdfArrayRemove || RDFArrayRemove
+    this.backend = opts.backend || (opts.compact
+      ? new CompactStorage()
+      : new MemoryBackend({ compositeIndexes: opts.compositeIndexes, rdfArrayRemove: this.rdfArrayRemove }))
+    this.backend.attach(this, this.saveForRollback.bind(this), this.undoOnRollback.bind(this))
+    const backend = this.backend
+    Object.defineProperty(this, 'statements', {
+      get: () => backend.statements,
+      set: (statements: Quad[]) => { (backend as any).statements = statements },
+      enumerable: true,
+      configurable: true
+    })
+    this.index = backend.index as any
+    ;[this.subjectIndex, this.predicateIndex, this.objectIndex, this.whyIndex] = this.index
+    this.compositeIndex = backend.compositeIndex || {}
     this.namespaces = {} // Dictionary of namespace prefixes
-    this.features = features || [
+    if (!backend.merge && features && features.some(feature => smushingFeatures.indexOf(feature) >= 0)) {
+      throw new Error('Smushing features are not supported by the storage backend')
+    }
+    this.features = features || (backend.merge ? [
       'sameAs',
       'InverseFunctionalProperty',
       'FunctionalProperty',
-    ]
-    this.rdfArrayRemove = opts.rdfArrayRemove || RDFArrayRemove
+    ] : [])
     if (opts.dataCallback) {
       this.dataCallbacks = [opts.dataCallback]
     }
 
+    this.inferenceGraph = opts.inferenceGraph || this.rdfFactory.namedNode(inferenceGraphURI)
+    if (this.features.some(feature => feature === 'RDFS' || owlFeatures.indexOf(feature as OwlFeature) >= 0)) {
+      this.entailment = new Entailment(this, this.inferenceGraph)
+    }
+    if (ArrayIndexOf(this.features, 'RDFS') >= 0) {
+      this.entailment!.addRules(rdfsRules(this.rdfFactory))
+    }
+
     this.initPropertyActions(this.features)
+    if (opts.statistics) {
+      this.statistics = new Statistics(term => this.id(term))
+    }
+    if (opts.textIndex) {
+      this.textIndex = new TextIndex(term => this.id(term))
+    }
+    if (opts.rangeIndex) {
+      this.rangeIndex = new RangeIndex(term => this.id(term))
+    }
+    if (backend.load) {
+      backend.load()
+    }
   }
 
   /**
@@ -234,34 +427,353 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     this.dataCallbacks.push(cb)
   }
 
+  /**
+   * Listens for changes to the store.
+   *
+   * 'added' and 'removed' are called with the statement concerned, on every path
+   * which changes the statements, and 'merged' is called when two nodes are smushed
+   * together by equate(). In a transaction, events are held back until it is
+   * committed, and dropped if it is rolled back.
+   *
+   * @param type - The type of event
+   * @param listener - Function to call with the event
+   * @param filter - Only call the listener for statements in this graph, or which
+   *  match this pattern. Not applicable to 'merged'.
+   * @returns A function which removes the listener again
+   */
+  on<K extends keyof StoreEventMap> (
+    type: K,
+    listener: (event: StoreEventMap[K]) => void,
+    filter?: Quad_Graph | StatementPattern
+  ): () => void {
+    if (!this.listeners[type]) {
+      this.listeners[type] = []
+    }
+    this.listeners[type].push({
+      listener,
+      filter: filter && isGraph(filter) ? { graph: filter } : filter as StatementPattern
+    })
+    return () => this.off(type, listener)
+  }
+
+  /**
+   * Removes an event listener which was added with on()
+   * @param type - The type of event
+   * @param listener - The listener to remove
+   */
+  off<K extends keyof StoreEventMap> (type: K, listener: (event: StoreEventMap[K]) => void): void {
+    const listeners = this.listeners[type]
+    if (!listeners) {
+      return
+    }
+    this.listeners[type] = listeners.filter(l => l.listener !== listener)
+  }
+
+  /**
+   * Whether a transaction has been begun and not yet committed or rolled back
+   */
+  get inTransaction (): boolean {
+    return !!this.journal
+  }
+
+  /**
+   * Begins a transaction.
+   *
+   * Changes made until commit() or rollback() are applied to the store straight
+   * away, so they are visible to queries, but data callbacks are held back until
+   * commit() and rollback() restores the store as it was before this call.
+   * Transactions do not nest.
+   */
+  begin (): void {
+    if (this.journal) {
+      throw new Error('A transaction is already in progress on this store')
+    }
+    if (this.backend.begin) {
+      this.backend.begin()
+    }
+    this.journal = { undo: [], saved: new Map() }
+    this.versionAtBegin = this.version
+    this.pendingCallbacks = []
+    this.pendingEvents = []
+  }
+
+  /**
+   * Commits the open transaction, calls the data callbacks for the statements
+   * it added which are still in the store, and emits its events.
+   */
+  commit (): void {
+    if (!this.journal) {
+      throw new Error('No transaction in progress to commit')
+    }
+    const added = this.pendingCallbacks!
+    const events = this.pendingEvents!
+    this.journal = undefined
+    this.pendingCallbacks = undefined
+    this.pendingEvents = undefined
+    if (this.backend.commit) {
+      this.backend.commit()
+    }
+    this.trimChanges()
+    if (this.dataCallbacks) {
+      for (const st of added) {
+        if (!this.holds(st.subject, st.predicate, st.object, st.graph)) {
+          continue // Removed again within the transaction
+        }
+        for (const callback of this.dataCallbacks) {
+          callback(st)
+        }
+      }
+    }
+    for (const [type, event] of events) {
+      this.emit(type, event)
+    }
+  }
+
+  /**
+   * Abandons the open transaction, undoing all of its additions, removals and
+   * smushing of nodes. Data callbacks are not called.
+   * Note that a fetcher which was told about smushed nodes is not told again.
+   */
+  rollback (): void {
+    if (!this.journal) {
+      throw new Error('No transaction in progress to roll back')
+    }
+    // Each step is taken off as it is done, so that if one fails, the
+    // transaction is still open, and a rollback again goes on from there
+    const undo = this.journal.undo
+    while (undo.length) {
+      undo[undo.length - 1]()
+      undo.pop()
+    }
+    if (this.backend.rollback) {
+      this.backend.rollback()
+    }
+    this.journal = undefined
+    this.pendingCallbacks = undefined
+    this.pendingEvents = undefined
+    // Snapshots and statistics see the undoing as changes, so that snapshots stay as they were
+    for (const change of this.changesSince(this.versionAtBegin).reverse()) {
+      this.recordChange(!change.added, change.statement)
+    }
+    this.trimChanges()
+  }
+
+  /**
+   * Runs a function in a transaction, which is committed if the function returns
+   * and rolled back if it throws. If the function returns a promise, the
+   * transaction ends when the promise settles.
+   *
+   * @param fn - The function making the changes, called with this store
+   * @returns Whatever the function returned
+   */
+  transaction<T> (fn: (store: IndexedFormula) => T): T {
+    this.begin()
+    let result: T
+    try {
+      result = fn(this)
+    } catch (err) {
+      this.rollback()
+      throw err
+    }
+    if (result && typeof (result as any).then === 'function') {
+      return (result as any).then(
+        (value) => {
+          this.commit()
+          return value
+        },
+        (err) => {
+          this.rollback()
+          throw err
+        }
+      )
+    }
+    this.commit()
+    return result
+  }
+
+  /**
+   * Calls the listeners for an event, or holds it back until the open
+   * transaction is committed
+   */
+  private emit<K extends keyof StoreEventMap> (type: K, event: StoreEventMap[K]): void {
+    if (this.pendingEvents) {
+      this.pendingEvents.push([type, event])
+      return
+    }
+    const listeners = this.listeners[type]
+    if (!listeners || !listeners.length) {
+      return
+    }
+    for (const { listener, filter } of listeners.slice()) {
+      if (!filter || type === 'merged' || this.matchesPattern(event as Quad, filter)) {
+        listener(event)
+      }
+    }
+  }
+
+  /**
+   * Whether a statement matches a pattern, taking smushed nodes into account
+   */
+  private matchesPattern (st: Quad, pattern: StatementPattern): boolean {
+    const parts = ['subject', 'predicate', 'object', 'graph']
+    for (const part of parts) {
+      const term = pattern[part]
+      if (term && this.id(this.canon(term)) !== this.id(this.canon(st[part]))) {
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * Takes a read-only snapshot of the statements as they are now, which stays
+   * as it is while the store changes. Nothing is copied, but the store keeps the
+   * changes made after it until it is released, so release it when done.
+   * The smushing of nodes is not undone in a snapshot.
+   */
+  snapshot (): Snapshot {
+    const snapshot = new Snapshot(this, this.version)
+    this.snapshots.add(snapshot)
+    return snapshot
+  }
+
+  /**
+   * Stops keeping the changes a snapshot needs. Called by snapshot.release().
+   * @param snapshot - The snapshot
+   */
+  releaseSnapshot (snapshot: Snapshot): void {
+    this.snapshots.delete(snapshot)
+    this.trimChanges()
+  }
+
+  /**
+   * The statements added and removed after a version, oldest first, as far
+   * as they are kept: while snapshots are held or a transaction is open
+   * @param version - A version of the store
+   */
+  changesSince (version: number): StatementChange[] {
+    const changes = this.changes
+    let low = 0
+    let high = changes.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (changes[middle].version <= version) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    return changes.slice(low)
+  }
+
+  /**
+   * Counts a change to the statements, in the statistics and the optional
+   * indexes, and keeps it if anything may need it
+   */
+  private recordChange (added: boolean, statement: Quad): void {
+    this.version++
+    for (const index of [this.statistics, this.textIndex, this.rangeIndex]) {
+      if (index) {
+        added ? index.add(statement) : index.remove(statement)
+      }
+    }
+    if (this.snapshots.size || this.journal) {
+      this.changes.push({ version: this.version, added, statement })
+    }
+  }
+
+  /**
+   * Drops the changes which neither the snapshots nor the open transaction need
+   */
+  private trimChanges (): void {
+    let oldest = this.journal ? this.versionAtBegin : Infinity
+    this.snapshots.forEach(snapshot => {
+      oldest = Math.min(oldest, snapshot.version)
+    })
+    this.changes = oldest === Infinity ? [] : this.changesSince(oldest)
+  }
+
+  /**
+   * Saves container[key] the first time it is changed in the open transaction,
+   * so that rollback() can put it back. An array is saved with a copy of its
+   * contents, to be put back in place. Does nothing outside transactions.
+   */
+  private saveForRollback (container: object, key: Indexable): void {
+    if (!this.journal) {
+      return
+    }
+    let saved = this.journal.saved.get(container)
+    if (!saved) {
+      saved = new Set()
+      this.journal.saved.set(container, saved)
+    }
+    if (saved.has(key)) {
+      return
+    }
+    saved.add(key)
+    const had = Object.prototype.hasOwnProperty.call(container, key)
+    const value = container[key]
+    const contents = Array.isArray(value) ? value.slice() : undefined
+    this.journal.undo.push(() => {
+      if (!had) {
+        delete container[key]
+        return
+      }
+      if (contents) {
+        value.length = 0
+        for (const item of contents) {
+          value.push(item)
+        }
+      }
+      container[key] = value
+    })
+  }
+
+  /**
+   * Keeps a step which undoes a change, to be taken if the open transaction is
+   * rolled back, after undoing the later changes. Does nothing outside transactions.
+   */
+  private undoOnRollback (step: () => void): void {
+    if (this.journal) {
+      this.journal.undo.push(step)
+    }
+  }
+
   /**
    * Apply a set of statements to be deleted and to be inserted
    *
-   * @param patch - The set of statements to be deleted and to be inserted
+   * @param patch - The set of statements to be deleted and to be inserted,
+   *  as formulas or arrays of statements, or the { deletions, insertions } of a diff
    * @param target - The name of the document to patch
    * @param patchCallback - Callback to be called when patching is complete
    */
   applyPatch(
     patch: {
-        delete?: ReadonlyArray<Statement>,
-        patch?: ReadonlyArray<Statement>,
+        delete?: Formula | ReadonlyArray<Statement>,
+        insert?: Formula | ReadonlyArray<Statement>,
         where?: any
-    },
+    } | GraphDiff,
     target: TFNamedNode,
     patchCallback: (errorString?: string) => void
   ): void {
     var targetKB = this
     var ds
     var binding: Bindings | null = null
+    if ('deletions' in patch) {
+      patch = { delete: patch.deletions, insert: patch.insertions }
+    }
+    const { delete: deletions, insert: insertions, where } = patch
+
+    function statementsOf (part: Formula | ReadonlyArray<Statement>): Statement[] {
+      if (part instanceof Array) {
+        return binding ? part.map(st => st.substitute(binding!)) : part.slice()
+      }
+      return (binding ? (part as Formula).substitute(binding) : part as Formula).statements as Statement[]
+    }
 
     function doPatch (onDonePatch: (errorString?: string) => void) {
-      if (patch['delete']) {
-        ds = patch['delete']
-        // console.log(bindingDebug(binding))
-        // console.log('ds before substitute: ' + ds)
-        if (binding) ds = ds.substitute(binding)
-        // console.log('applyPatch: delete: ' + ds)
-        ds = ds.statements as Statement[]
+      if (deletions) {
+        ds = statementsOf(deletions)
         var bad: Quad[] = []
         var ds2 = ds.map(function (st: Quad) { // Find the actual statemnts in the store
           var sts = targetKB.statementsMatching(st.subject, st.predicate, st.object, target)
@@ -283,22 +795,19 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
           targetKB.remove(st)
         })
       }
-      if (patch['insert']) {
+      if (insertions) {
         // log.info("doPatch insert "+patch['insert'])
-        ds = patch['insert']
-        if (binding) ds = ds.substitute(binding)
-        ds = ds.statements
+        ds = statementsOf(insertions)
         ds.map(function (st: Quad) {
-          st.graph = target
-          targetKB.add(st.subject, st.predicate, st.object, st.graph)
+          targetKB.add(st.subject, st.predicate, st.object, target)
         })
       }
       onDonePatch()
     }
-    if (patch.where) {
+    if (where) {
       // log.info("Processing WHERE: " + patch.where + '\n')
       var query = new Query('patch')
-      query.pat = patch.where
+      query.pat = where
       query.pat.statements.map(function (st) {
         st.graph = target
       })
@@ -316,7 +825,7 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
         targetKB.fetcher,
         function onDone () {
           if (bindingsFound.length === 0) {
-            return patchCallback('No match found to be patched:' + patch.where)
+            return patchCallback('No match found to be patched:' + where)
           }
           if (bindingsFound.length > 1) {
             return patchCallback('Patch ambiguous. No patch done.')
@@ -373,12 +882,43 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
         }
       ] // FP => handleFP, do add to index
     }
+    const owl = owlRules(this.rdfFactory)
+    for (const feature of owlFeatures) {
+      if (ArrayIndexOf(features, feature) < 0) {
+        continue
+      }
+      const rule = owl[feature]
+      this.entailment!.addRules([rule])
+      // Infers from each statement with the property, or of the class, as it is added
+      const infer = function (formula: IndexedFormula, subj, pred, obj) {
+        formula.entailment!.inferBeforeAdding([subj, pred, obj], rule.consequences(formula, subj, pred, obj))
+        return false
+      }
+      const schemaTerm = this.rdfFactory.namedNode(owlNamespaceURI + feature)
+      if (feature === 'SymmetricProperty' || feature === 'TransitiveProperty') {
+        this.classActions[this.id(schemaTerm)] = [
+          function (formula: IndexedFormula, subj) {
+            formula.addActionOnce(formula.propertyActions, subj, infer)
+            return false
+          }
+        ] // p a owl:SymmetricProperty => infer from { s p o }, do add to index
+      } else {
+        const actions = feature === 'equivalentClass' ? this.classActions : this.propertyActions
+        this.propertyActions[this.id(schemaTerm)] = [
+          function (formula: IndexedFormula, subj, pred, obj) {
+            formula.addActionOnce(actions, subj, infer)
+            formula.addActionOnce(actions, obj, infer)
+            return false
+          }
+        ] // p owl:inverseOf q => infer from { s p o } and { s q o }, do add to index
+      }
+    }
   }
 
   /** @deprecated Use {add} instead */
   addStatement (st: Quad): number {
     this.add(st.subject, st.predicate, st.object, st.graph)
-    return this.statements.length
+    return this.length
   }
 
   /**
@@ -421,15 +961,22 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
       subj = this.rdfFactory.namedNode(subj)
     }
     pred = Node.fromValue(pred)
-    const objNode = Node.fromValue(obj) as Term
+    let objNode = Node.fromValue(obj) as Term
     why = Node.fromValue(why)
-    if (!isSubject(subj)) {
+    if (isQuotedTriple(subj)) {
+      subj = this.asTriple(subj) as any
+    }
+    if (isQuotedTriple(objNode)) {
+      objNode = this.asTriple(objNode)
+    }
+    // N3 formulas, as in rules, are allowed as subject and object
+    if (!isSubject(subj) && !isFormula(subj)) {
       throw new Error('Subject is not a subject type')
     }
     if (!isPredicate(pred)) {
       throw new Error(`Predicate ${pred} is not a predicate type`)
     }
-    if (!isRDFlibObject(objNode)) {
+    if (!isRDFlibObject(objNode) && !isFormula(objNode)) {
       throw new Error(`Object ${objNode} is not an object type`)
     }
     if (!isGraph(why)) {
@@ -458,31 +1005,20 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     // if (done) return this.rdfFactory.quad(subj, pred, obj, why)
     // Don't put it in the store
     // still return this statement for owl:sameAs input
-    var hash = [
-      this.id(this.canon(subj)),
-      predHash,
-      this.id(this.canon(objNode)),
-      this.id(this.canon(why))
-    ]
     // @ts-ignore this will fail if you pass a collection and the factory does not allow Collections
     st = this.rdfFactory.quad(subj, pred, objNode, why)
-    for (i = 0; i < 4; i++) {
-      var ix = this.index[i]
-      var h = hash[i]
-      if (!ix[h]) {
-        ix[h] = []
-      }
-      ix[h].push(st) // Set of things with this as subject, etc
-    }
-
     // log.debug("ADDING    {"+subj+" "+pred+" "+objNode+"} "+why)
-    this.statements.push(st)
+    this.backend.add(st)
+    this.recordChange(true, st)
 
-    if (this.dataCallbacks) {
+    if (this.pendingCallbacks) {
+      this.pendingCallbacks.push(st) // Called back on commit
+    } else if (this.dataCallbacks) {
       for (const callback of this.dataCallbacks) {
         callback(st)
       }
     }
+    this.emit('added', st)
 
     return st
   }
@@ -495,6 +1031,9 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     if (!term) {
       return term
     }
+    if (term.termType === QuadTermType) {
+      return this.asTriple(term) // Quoted triples are not smushed
+    }
     var y = this.redirections[this.id(term)]
     if (!y) {
       return term
@@ -675,7 +1214,7 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
    * @returns {Number}
    */
   get length (): number {
-    return this.statements.length
+    return this.backend.length
   }
 
   /**
@@ -739,6 +1278,7 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
   ): boolean {
     // log.debug("newPropertyAction:  "+pred)
     var hash = this.id(pred)
+    this.saveForRollback(this.propertyActions, hash)
     if (!this.propertyActions[hash]) {
       this.propertyActions[hash] = []
     }
@@ -752,6 +1292,28 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     return done
   }
 
+  /**
+   * Adds an action to those of a class or property, unless it is there already.
+   * Property actions are added with newPropertyAction()
+   * @param actions - The class or property actions
+   * @param term - The class or property
+   * @param action - The action
+   */
+  private addActionOnce (actions: { [k: string]: Function[] }, term: Term, action: Function): void {
+    const hash = this.id(term)
+    if (actions[hash] && ArrayIndexOf(actions[hash], action) >= 0) {
+      return
+    }
+    if (actions === this.propertyActions) {
+      if (isPredicate(term)) {
+        this.newPropertyAction(term, action as any)
+      }
+      return
+    }
+    this.saveForRollback(actions, hash)
+    actions[hash] = (actions[hash] || []).concat([action])
+  }
+
   /**
    * Creates a new universal node
    * Universals are Variables
@@ -823,6 +1385,99 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     return results
   }
 
+  /**
+   * Query this store, giving a promise of the bindings
+   *
+   * @param myQuery The query to be run, or the text of a SPARQL query
+   */
+  queryAsync(myQuery: Query | string): Promise<Bindings[]> {
+    return new Promise((resolve, reject) => {
+      const query = this.queryOfForm(myQuery, 'SELECT')
+      if (!query.algebra) {
+        const results: Bindings[] = []
+        this.query(query, bindings => { results.push(bindings) }, null, () => resolve(results))
+        return
+      }
+      setTimeout(() => {
+        try {
+          resolve(this.querySync(query))
+        } catch (err) {
+          reject(err)
+        }
+      }, 0)
+    })
+  }
+
+  /**
+   * Gives the distinct nodes which a SPARQL property path leads to from a node,
+   * with the same evaluation as queries
+   *
+   * @param subject The node the path starts from
+   * @param path The property path, such as 'foaf:knows+' or '^ldp:contains', with the namespace prefixes of this store,
+   *   and those which SPARQL queries may use without declaring them, rdf, rdfs, foaf and ldp, unless the store has
+   *   those prefixes for other namespaces
+   * @param doc The document to follow the path in, or null for all of them
+   * @throws {SPARQLSyntaxError} If the path is not well formed
+   */
+  eachPath(subject: Quad_Subject, path: string, doc?: Quad_Graph | null): Term[] {
+    const end = new Variable('end')
+    const input: Operation = {
+      type: 'path',
+      subject,
+      path: parsePropertyPath(path, { factory: this.rdfFactory, prefixes: { ...knownPrefixes, ...this.namespaces } }),
+      object: end
+    }
+    const algebra: Operation = { type: 'distinct', input: doc ? { type: 'graph', name: doc as NamedNode, input } : input }
+    // The evaluator takes the methods of Formula, whose signatures are narrower than those here
+    return sparqlEvaluator().default(this as unknown as Formula, algebra).map(solution => solution['?end'])
+  }
+
+  /**
+   * Tests whether an ASK query has any solution in this store
+   *
+   * @param myQuery The query, or the text of a SPARQL ASK query
+   */
+  ask(myQuery: Query | string): boolean {
+    const query = this.queryOfForm(myQuery, 'ASK')
+    if (!query.algebra) {
+      return this.querySync(query).length > 0
+    }
+    return sparqlEvaluator().default(this as unknown as Formula, query.algebra, { base: query.base }).length > 0
+  }
+
+  /**
+   * Makes the triples of the template of a CONSTRUCT query for each of its
+   * solutions in this store, with new blank nodes for each solution
+   *
+   * @param myQuery The query, or the text of a SPARQL CONSTRUCT query
+   * @returns A new formula of the triples
+   */
+  construct(myQuery: Query | string): Formula {
+    const query = this.queryOfForm(myQuery, 'CONSTRUCT')
+    return sparqlEvaluator().construct(this as unknown as Formula, query.algebra, query.template, { base: query.base })
+  }
+
+  /**
+   * Gives the statements of this store about the resources of a DESCRIBE query,
+   * as connectedStatements does
+   *
+   * @param myQuery The query, or the text of a SPARQL DESCRIBE query
+   * @returns A new formula of the statements
+   */
+  describe(myQuery: Query | string): Formula {
+    const query = this.queryOfForm(myQuery, 'DESCRIBE')
+    return sparqlEvaluator().describe(this as unknown as Formula, query.algebra, query.describe, { base: query.base })
+  }
+
+  /** Gives the query of a query or its text, checking it is of the given form */
+  private queryOfForm(myQuery: Query | string, queryType: string): Query {
+    const query: Query = typeof myQuery === 'string' ? SPARQLToQuery(myQuery, true, this) : myQuery
+    if (query.queryType !== queryType) {
+      throw new Error(`The query form is ${query.queryType}, not ${queryType}`)
+    }
+    return query
+  }
+
   /**
    * Removes one or multiple statement(s) from this formula
    * @param st - A Statement or array of Statements to remove
@@ -854,6 +1509,9 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     for (var i = 0; i < sts.length; i++) {
       this.removeStatement(sts[i])
     }
+    if (this.skolemizer) {
+      this.skolemizer.forget(doc)
+    }
     return this
   }
 
@@ -897,8 +1555,9 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     object?: Quad_Object | null,
     graph?: Quad_Graph | null
   ): IndexedFormula {
+    // A copy, as the statements may be an index which the removals change
     this.removeStatements(
-      this.statementsMatching(subject, predicate, object, graph)
+      this.statementsMatching(subject, predicate, object, graph).slice()
     )
     return this
   }
@@ -912,17 +1571,12 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
    */
   removeStatement(st: Quad): IndexedFormula {
     // log.debug("entering remove w/ st=" + st)
-    var term = [ st.subject, st.predicate, st.object, st.graph ]
-    for (var p = 0; p < 4; p++) {
-      var c = this.canon(term[p])
-      var h = this.id(c)
-      if (!this.index[p][h]) {
-        // log.warn ("Statement removal: no index '+p+': "+st)
-      } else {
-        this.rdfArrayRemove(this.index[p][h], st)
-      }
+    const length = this.backend.length
+    this.backend.remove(st)
+    if (this.backend.length < length) {
+      this.recordChange(false, st)
+      this.emit('removed', st)
     }
-    this.rdfArrayRemove(this.statements, st)
     return this
   }
 
@@ -941,14 +1595,20 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
    * Replace big with small, obsoleted with obsoleting.
    */
   replaceWith (big: Quad_Subject, small: Quad_Subject): boolean {
+    if (!this.backend.merge) {
+      throw new Error('Smushing nodes is not supported by the storage backend')
+    }
     // log.debug("Replacing "+big+" with "+small) // this.id(@@
     var oldhash = this.id(big)
     var newhash = this.id(small)
+    var saveForRollback = this.saveForRollback.bind(this)
     var moveIndex = function (ix) {
       var oldlist = ix[oldhash]
       if (!oldlist) {
         return // none to move
       }
+      saveForRollback(ix, oldhash)
+      saveForRollback(ix, newhash)
       var newlist = ix[newhash]
       if (!newlist) {
         ix[newhash] = oldlist
@@ -958,18 +1618,20 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
       delete ix[oldhash]
     }
     // the canonical one carries all the indexes
-    for (var i = 0; i < 4; i++) {
-      moveIndex(this.index[i])
-    }
+    this.backend.merge(big, small)
+    var i: number
+    this.saveForRollback(this.redirections, oldhash)
     this.redirections[oldhash] = small
     if (big.value) {
       // @@JAMBO: must update redirections,aliases from sub-items, too.
+      this.saveForRollback(this.aliases, newhash)
       if (!this.aliases[newhash]) {
         this.aliases[newhash] = []
       }
       this.aliases[newhash].push(big) // Back link
       if (this.aliases[oldhash]) {
         for (i = 0; i < this.aliases[oldhash].length; i++) {
+          this.saveForRollback(this.redirections, this.id(this.aliases[oldhash][i]))
           this.redirections[this.id(this.aliases[oldhash][i])] = small
           this.aliases[newhash].push(this.aliases[oldhash][i])
         }
@@ -982,6 +1644,7 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     }
     moveIndex(this.classActions)
     moveIndex(this.propertyActions)
+    this.emit('merged', { from: big, to: small })
     // log.debug("Equate done. "+big+" to be known as "+small)
     return true // true means the statement does not need to be put in
   }
@@ -1024,9 +1687,112 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     if (prefix.slice(0, 2) === 'ns' || prefix.slice(0, 7) === 'default') {
       return
     }
+    this.saveForRollback(this.namespaces, prefix)
     this.namespaces[prefix] = nsuri
   }
 
+  /**
+   * Estimates the number of statements which match a pattern, from the
+   * statistics of the store rather than by searching it. Without the
+   * statistics option, the statements are counted.
+   * @param subj - A node for the subject, or if null, a wildcard
+   * @param pred - A node for the predicate, or if null, a wildcard
+   * @param obj - A node for the object, or if null, a wildcard
+   * @param why - A node for the graph, or if null, a wildcard
+   */
+  estimate (
+    subj?: Quad_Subject | null,
+    pred?: Quad_Predicate | null,
+    obj?: Quad_Object | null,
+    why?: Quad_Graph | null
+  ): number {
+    if (!this.statistics) {
+      return this.statementsMatching(subj, pred, obj, why).length
+    }
+    return this.statistics.estimate(subj, pred, obj, why)
+  }
+
+  /**
+   * Finds the statements with a predicate whose object is a numeric, date or
+   * dateTime literal with a value in a range. Numbers are only in a range of
+   * numbers, and dates and dateTimes in a range of times.
+   * Without the range index, the statements of the predicate are searched.
+   * @param pred - The predicate
+   * @param min - The least value, or null for no least
+   * @param max - The greatest value, or null for no greatest
+   * @param options - The options of the lookup
+   * @param [options.minExclusive] - Whether to leave out values equal to the minimum
+   * @param [options.maxExclusive] - Whether to leave out values equal to the maximum
+   * @param [options.graph] - The graph of the statements, by default any
+   * @returns The statements, in order of value
+   */
+  range (
+    pred: Quad_Predicate,
+    min?: RangeBound | null,
+    max?: RangeBound | null,
+    options: RangeOptions = {}
+  ): Quad[] {
+    const index = this.rangeIndex ||
+      RangeIndex.of(this.statementsMatching(null, pred, null, options.graph), term => this.id(term))
+    return index.range(pred, min, max, options)
+  }
+
+  /**
+   * Searches the literals of the store for some words, with the text index
+   * @param text - The words to search for, all of which a literal must have
+   * @param options - The options of the search
+   * @param [options.language] - The language of the text, which words are found by
+   * @param [options.prefix] - Whether the last word may be the start of a longer word
+   * @param [options.predicates] - The predicates of the statements to search, by default all
+   * @param [options.graphs] - The graphs of the statements to search, by default all
+   * @param [options.limit] - The greatest number of results to give
+   * @returns The subjects of the statements found, best first, with those statements
+   */
+  search (text: string, options?: SearchOptions): SearchResult[] {
+    if (!this.textIndex) {
+      throw new Error('The store has no text index: make it with the textIndex option')
+    }
+    return this.textIndex.search(text, options)
+  }
+
+  /**
+   * Describes a document loaded into the store as a VoID dataset
+   * @param doc - The document
+   * @param why - The graph of the description, by default the default graph
+   * @returns The statements of the description, which are not added to the store
+   */
+  voidDescription (doc: NamedNode, why?: Quad_Graph): Quad[] {
+    const sts = this.statementsMatching(null, null, null, doc)
+    return Statistics.of(sts, term => this.id(term)).describe(doc, this.rdfFactory, why)
+  }
+
+  /**
+   * Replaces the blank nodes in a document with skolem IRIs under
+   * /.well-known/genid/, so that they can be named like other nodes.
+   * The serializer writes the blank nodes back in place of the IRIs, and
+   * patches identify them as blank nodes, unless the server has the IRIs.
+   * @param doc - The document
+   * @param serverHasIRIs - Whether the copy of the document on its server has
+   *   the skolem IRIs, as when the server minted them or the document was
+   *   written with them, so that patches name the nodes by their IRIs
+   * @returns The number of blank nodes replaced
+   */
+  skolemize (doc: Quad_Graph, serverHasIRIs?: boolean): number {
+    this.skolemizer = this.skolemizer || new Skolemizer(this)
+    return this.skolemizer.skolemize(doc, serverHasIRIs)
+  }
+
+  /**
+   * Puts back the blank nodes of a skolemized document in place of the skolem IRIs
+   * @param doc - The document
+   */
+  deskolemize (doc: Quad_Graph): IndexedFormula {
+    if (this.skolemizer) {
+      this.skolemizer.deskolemize(doc)
+    }
+    return this
+  }
+
   /** Search the Store
    *
    * ALL CONVENIENCE LOOKUP FUNCTIONS RELY ON THIS!
@@ -1045,77 +1811,50 @@ export default class IndexedFormula extends Formula { // IN future - allow pass
     justOne?: boolean
   ): Quad[] {
     // log.debug("Matching {"+subj+" "+pred+" "+obj+"}")
-    var pat = [ subj, pred, obj, why ]
-    var pattern: Term[] = []
-    var hash: Indexable[] = []
-    var wild: number[] = [] // wildcards
-    var given: number[] = [] // Not wild
-    var p: number
-    var list
-    for (p = 0; p < 4; p++) {
-      pattern[p] = this.canon(Node.fromValue(pat[p]))
-      if (!pattern[p]) {
-        wild.push(p)
-      } else {
-        given.push(p)
-        hash[p] = this.id(pattern[p])
-      }
-    }
-    if (given.length === 0) {
-      return this.statements
-    }
-    if (given.length === 1) { // Easy too, we have an index for that
-      p = given[0]
-      list = this.index[p][hash[p]]
-      if (list && justOne) {
-        if (list.length > 1) {
-          list = list.slice(0, 1)
+    const pattern: Array<Term | null | undefined> = [subj, pred, obj, why]
+    const quoted: Term[] = [] // Quoted triples with variables, matched by filtering
+    for (let p = 0; p < 4; p++) {
+      const term = pattern[p]
+      if (term && term.termType === QuadTermType) {
+        if (hasVariables(term)) {
+          quoted[p] = term
+          pattern[p] = null
+        } else {
+          pattern[p] = this.canon(term)
         }
       }
-      list = list || []
-      return list
-    }
-    // Now given.length is 2, 3 or 4.
-    // We hope that the scale-free nature of the data will mean we tend to get
-    // a short index in there somewhere!
-    var best = 1e10 // really bad
-    var iBest
-    var i
-    for (i = 0; i < given.length; i++) {
-      p = given[i] // Which part we are dealing with
-      list = this.index[p][hash[p]]
-      if (!list) {
-        return [] // No occurrences
-      }
-      if (list.length < best) {
-        best = list.length
-        iBest = i // (not p!)
-      }
     }
-    // Ok, we have picked the shortest index but now we have to filter it
-    var pBest = given[iBest]
-    var possibles: Quad[] = this.index[pBest][hash[pBest]]
-    var check = given.slice(0, iBest).concat(given.slice(iBest + 1)) // remove iBest
-    var results: Quad[] = []
-    var parts = [ 'subject', 'predicate', 'object', 'why' ]
-    for (var j = 0; j < possibles.length; j++) {
-      var st: Quad | null = possibles[j]
-
-      for (i = 0; i < check.length; i++) { // for each position to be checked
-        p = check[i]
-        if (!this.canon(st[parts[p]]).equals(pattern[p])) {
-          st = null
+    if (!quoted.length) {
+      return this.backend.match(pattern[0] as any, pattern[1] as any, pattern[2] as any, pattern[3] as any, justOne)
+    }
+    const parts = ['subject', 'predicate', 'object', 'graph']
+    const results: Quad[] = []
+    for (const st of this.backend.match(pattern[0] as any, pattern[1] as any, pattern[2] as any, pattern[3] as any)) {
+      const bindings = {}
+      if (quoted.every((term, p) => matchesQuoted(this, term, st[parts[p]], bindings))) {
+        results.push(st)
+        if (justOne) {
           break
         }
       }
-      if (st != null) {
-        results.push(st)
-        if (justOne) break
-      }
     }
     return results
   }
 
+  /**
+   * Gives a statement used as a term as a quoted triple, which is in the
+   * default graph of the data factory
+   * @param term - The statement
+   */
+  private asTriple (term: Term): Term {
+    const triple = term as unknown as Quad
+    const defaultGraph = this.rdfFactory.defaultGraph()
+    if (triple.graph.termType === defaultGraph.termType && triple.graph.value === defaultGraph.value) {
+      return term
+    }
+    return this.rdfFactory.quad(triple.subject, triple.predicate, triple.object) as unknown as Term
+  }
+
   /**
    * A list of all the URIs by which this thing is known
    * @param term
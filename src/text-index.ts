@@ -0,0 +1,269 @@
+/* Full-text index of the literals in a store
+ *
+ * An inverted index from the words in string literals to the statements which
+ * have them as object, kept up to date as statements are added and removed.
+ *
+ * Words are found according to the language of the literal: they are lower
+ * cased by the rules of the language and their accents are taken off, and in
+ * Chinese, Japanese and Korean, which are not written with spaces between
+ * words, each character is a word. A search finds the statements whose
+ * literal has all the words searched for, and ranks the subjects of those
+ * statements by how many of the words, and how rare ones, they have.
+ */
+
+/** @module text-index */
+
+import { Indexable } from './factories/factory-types'
+import { Literal, Quad, Term } from './tf-types'
+
+const xsdString = 'http://www.w3.org/2001/XMLSchema#string'
+const langString = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString'
+
+/** Letters and digits, with the marks which go with them */
+const wordPattern = /[\p{L}\p{N}][\p{L}\p{N}\p{M}]*/gu
+/** The scripts written without spaces between words */
+const ideographic = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u
+const ideographicLanguages = ['zh', 'ja', 'ko']
+
+/** The options of a search */
+export interface SearchOptions {
+  /** The language of the text searched for, which words are found by */
+  language?: string
+  /** Whether the last word searched for may be the start of a longer word */
+  prefix?: boolean
+  /** The predicates of the statements to search, by default all */
+  predicates?: Term[]
+  /** The graphs of the statements to search, by default all */
+  graphs?: Term[]
+  /** The greatest number of results to give */
+  limit?: number
+}
+
+/** A subject found by a search */
+export interface SearchResult {
+  subject: Term
+  /** How well the subject matches, higher for better matches */
+  score: number
+  /** The statements of the subject with the words searched for, best first */
+  statements: Quad[]
+}
+
+interface IndexedStatement {
+  statement: Quad
+  /** The number of words in the literal */
+  length: number
+  /** The number of times each word is in the literal */
+  words: Map<string, number>
+}
+
+/**
+ * Gives the words in some text, lower case and without accents
+ * @param text - The text
+ * @param language - The language tag of the text, if known
+ */
+export function tokenize (text: string, language?: string): string[] {
+  const primary = (language || '').toLowerCase().split('-')[0]
+  let lower: string
+  try {
+    lower = text.toLocaleLowerCase(language || undefined)
+  } catch (e) { // Not a well-formed language tag
+    lower = text.toLowerCase()
+  }
+  const words: string[] = []
+  for (const match of lower.normalize('NFD').match(wordPattern) || []) {
+    const word = match.replace(/\p{M}/gu, '').normalize('NFC')
+    if (ideographicLanguages.indexOf(primary) >= 0 || ideographic.test(word)) {
+      Array.from(word).forEach(character => words.push(character))
+    } else {
+      words.push(word)
+    }
+  }
+  return words
+}
+
+/**
+ * Whether a term is a literal of text, a plain or language tagged string
+ */
+function isText (term: Term): term is Literal {
+  return term.termType === 'Literal' &&
+    (!(term as Literal).datatype || (term as Literal).datatype.value === xsdString ||
+      (term as Literal).datatype.value === langString)
+}
+
+/**
+ * An inverted index of the words in the literal objects of statements.
+ *
+ * An IndexedFormula made with the textIndex option keeps one of all of its statements.
+ */
+export default class TextIndex {
+  /** The statements with each word, by the key of the statement */
+  private postings = new Map<string, Set<string>>()
+  /** The statements indexed, by key */
+  private statements = new Map<string, IndexedStatement>()
+  /** The words indexed in order, for finding words by prefix, or null if out of date */
+  private vocabulary: string[] | null = null
+  private id: (term: Term) => Indexable
+
+  /**
+   * @param id - Gives the id of a term, by which statements are told apart
+   */
+  constructor (id: (term: Term) => Indexable) {
+    this.id = id
+  }
+
+  /** The number of statements indexed */
+  get size (): number {
+    return this.statements.size
+  }
+
+  /**
+   * Indexes a statement, if it has a literal of text as object
+   * @param st - The statement
+   */
+  add (st: Quad): void {
+    if (!isText(st.object)) {
+      return
+    }
+    const key = this.key(st)
+    if (this.statements.has(key)) {
+      return
+    }
+    const tokens = tokenize(st.object.value, st.object.language)
+    const words = new Map<string, number>()
+    tokens.forEach(word => words.set(word, (words.get(word) || 0) + 1))
+    this.statements.set(key, { statement: st, length: tokens.length, words })
+    words.forEach((n, word) => {
+      let posting = this.postings.get(word)
+      if (!posting) {
+        posting = new Set()
+        this.postings.set(word, posting)
+        this.vocabulary = null
+      }
+      posting.add(key)
+    })
+  }
+
+  /**
+   * Takes a statement out of the index
+   * @param st - The statement
+   */
+  remove (st: Quad): void {
+    if (!isText(st.object)) {
+      return
+    }
+    const key = this.key(st)
+    const indexed = this.statements.get(key)
+    if (!indexed) {
+      return
+    }
+    this.statements.delete(key)
+    indexed.words.forEach((n, word) => {
+      const posting = this.postings.get(word)!
+      posting.delete(key)
+      if (!posting.size) {
+        this.postings.delete(word)
+        this.vocabulary = null
+      }
+    })
+  }
+
+  /**
+   * Searches for the subjects of statements whose literal has all of the
+   * words of some text
+   * @param text - The words to search for
+   * @param options - The options of the search
+   * @returns The subjects found, best first
+   */
+  search (text: string, options: SearchOptions = {}): SearchResult[] {
+    const words = tokenize(text, options.language)
+    if (!words.length) {
+      return []
+    }
+    // The words of the index each word searched for stands for, and the statements which have them
+    const matches = words.map((word, i) => {
+      const expansions = options.prefix && i === words.length - 1 ? this.wordsStartingWith(word) : [word]
+      const keys = new Set<string>()
+      expansions.forEach(expansion => {
+        const posting = this.postings.get(expansion)
+        if (posting) {
+          posting.forEach(key => keys.add(key))
+        }
+      })
+      return { expansions, keys }
+    })
+    matches.sort((a, b) => a.keys.size - b.keys.size)
+    const predicates = options.predicates && options.predicates.map(term => this.id(term))
+    const graphs = options.graphs && options.graphs.map(term => this.id(term))
+
+    const results = new Map<Indexable, SearchResult & { scores: number[] }>()
+    matches[0].keys.forEach(key => {
+      if (!matches.every(match => match.keys.has(key))) {
+        return
+      }
+      const { statement, length, words: counts } = this.statements.get(key)!
+      if ((predicates && predicates.indexOf(this.id(statement.predicate)) < 0) ||
+        (graphs && graphs.indexOf(this.id(statement.graph)) < 0)) {
+        return
+      }
+      // TF-IDF, with the frequency of a word in a literal relative to the length of the literal
+      let score = 0
+      for (const match of matches) {
+        const frequency = match.expansions.reduce((sum, word) => sum + (counts.get(word) || 0), 0)
+        score += frequency * Math.log(1 + this.statements.size / match.keys.size)
+      }
+      score /= Math.sqrt(length)
+      const subject = this.id(statement.subject)
+      let result = results.get(subject)
+      if (!result) {
+        result = { subject: statement.subject, score: 0, statements: [], scores: [] }
+        results.set(subject, result)
+      }
+      result.score += score
+      result.statements.push(statement)
+      result.scores.push(score)
+    })
+
+    const ranked = Array.from(results.values()).map(({ subject, score, statements, scores }) => ({
+      subject,
+      score,
+      statements: statements
+        .map((statement, i) => ({ statement, score: scores[i] }))
+        .sort((a, b) => b.score - a.score)
+        .map(scored => scored.statement)
+    }))
+    ranked.sort((a, b) => b.score - a.score || (a.subject.value < b.subject.value ? -1 : 1))
+    return options.limit !== undefined ? ranked.slice(0, options.limit) : ranked
+  }
+
+  /**
+   * Gives the words of the index which start with a prefix
+   */
+  private wordsStartingWith (prefix: string): string[] {
+    if (!this.vocabulary) {
+      this.vocabulary = Array.from(this.postings.keys()).sort()
+    }
+    const vocabulary = this.vocabulary
+    let low = 0
+    let high = vocabulary.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (vocabulary[middle] < prefix) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    const words: string[] = []
+    for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(prefix); i++) {
+      words.push(vocabulary[i])
+    }
+    return words
+  }
+
+  /**
+   * The key of a statement, by the ids of its terms
+   */
+  private key (st: Quad): string {
+    return [st.subject, st.predicate, st.object, st.graph].map(term => this.id(term)).join(' ')
+  }
+}
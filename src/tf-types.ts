@@ -1,9 +1,11 @@
+import { EventEmitter } from 'events'
 import { SupportTable } from './factories/factory-types'
 import {
   BlankNodeTermType,
   DefaultGraphTermType,
   LiteralTermType,
   NamedNodeTermType,
+  QuadTermType,
   VariableTermType,
 } from './types'
 
@@ -57,6 +59,17 @@ export interface Quad<
   graph: G
 }
 
+/**
+ * RDF/JS spec Quad used as a term, as the subject or object of another:
+ * a quoted triple of RDF-star. Its graph is the default graph.
+ * @link https://rdf.js.org/data-model-spec/#quad-interface
+ */
+export interface QuotedTriple extends Term, Quad {
+  termType: typeof QuadTermType
+  /** Always the empty string */
+  value: string
+}
+
 /**
  * RDF/JS spec Literal
  * @link https://rdf.js.org/data-model-spec/#literal-interface
@@ -168,6 +181,62 @@ export type Quad_Subject = NamedNode | BlankNode | Variable
 /** A RDF/JS spec Predicate */
 export type Quad_Predicate = NamedNode | Variable
 /** A RDF/JS spec Object */
-export type Quad_Object = NamedNode | BlankNode | Literal | Variable | Term
+export type Quad_Object = NamedNode | BlankNode | Literal | Variable | QuotedTriple | Term
 /** A RDF/JS spec Graph */
 export type Quad_Graph = NamedNode | DefaultGraph | BlankNode | Variable
+
+/**
+ * RDF/JS spec Stream
+ * A stream of quads, read with read() or by listening for 'data' and 'end' events.
+ * @link https://rdf.js.org/stream-spec/#stream-interface
+ */
+export interface Stream<Q extends Quad = Quad> extends EventEmitter {
+  /** Returns the next quad, or null if none is available yet */
+  read (): Q | null
+}
+
+/**
+ * RDF/JS spec Source
+ * @link https://rdf.js.org/stream-spec/#source-interface
+ */
+export interface Source<Q extends Quad = Quad> {
+  /** Returns a stream of the quads which match the pattern, where null is a wildcard */
+  match (
+    subject?: Term | null,
+    predicate?: Term | null,
+    object?: Term | null,
+    graph?: Term | null
+  ): Stream<Q>
+}
+
+/**
+ * RDF/JS spec Sink
+ * @link https://rdf.js.org/stream-spec/#sink-interface
+ */
+export interface Sink<InputStream extends EventEmitter = Stream, OutputEmitter extends EventEmitter = EventEmitter> {
+  /** Consumes the stream, and emits 'end' or 'error' on the returned emitter */
+  import (stream: InputStream): OutputEmitter
+}
+
+/**
+ * RDF/JS spec DatasetCore
+ * @link https://rdf.js.org/dataset-spec/#datasetcore-interface
+ */
+export interface DatasetCore<Q extends Quad = Quad> {
+  /** The number of quads in the dataset */
+  readonly size: number
+  /** Adds the quad to the dataset, unless it is already there */
+  add (quad: Q): this
+  /** Removes the quad from the dataset, if it is there */
+  delete (quad: Q): this
+  /** Whether the dataset includes the quad */
+  has (quad: Q): boolean
+  /** Returns a new dataset of the quads which match the pattern, where null is a wildcard */
+  match (
+    subject?: Term | null,
+    predicate?: Term | null,
+    object?: Term | null,
+    graph?: Term | null
+  ): DatasetCore<Q>
+  [Symbol.iterator] (): Iterator<Q>
+}
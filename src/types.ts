@@ -17,6 +17,8 @@ export const BlankNodeTermType = "BlankNode" as const
 export const LiteralTermType = "Literal" as const
 export const VariableTermType = "Variable" as const
 export const DefaultGraphTermType = "DefaultGraph" as const
+/** A statement used as a term, a quoted triple of RDF-star */
+export const QuadTermType = "Quad" as const
 // Non-RDF/JS types:
 export const CollectionTermType = "Collection" as const
 export const EmptyTermType = "Empty" as const
@@ -27,6 +29,7 @@ export type TermType = typeof NamedNodeTermType
   | typeof LiteralTermType
   | typeof VariableTermType
   | typeof DefaultGraphTermType
+  | typeof QuadTermType
   | typeof CollectionTermType
   | typeof EmptyTermType
   | typeof GraphTermType
@@ -76,7 +79,7 @@ export type SubjectType = RDFlibBlankNode | RDFlibNamedNode | RDFlibVariable
 /** An RDF/JS Predicate */
 export type PredicateType = RDFlibNamedNode | RDFlibVariable
 /** An RDF/JS Object */
-export type ObjectType = RDFlibNamedNode | RDFlibLiteral | Collection | RDFlibBlankNode | RDFlibVariable | Empty
+export type ObjectType = RDFlibNamedNode | RDFlibLiteral | Collection | RDFlibBlankNode | RDFlibVariable | Empty | Statement
 /** An RDF/JS Graph */
 export type GraphType = RDFlibDefaultGraph | RDFlibNamedNode | RDFlibVariable // | Formula
 
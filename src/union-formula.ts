@@ -0,0 +1,99 @@
+/* Union views of formulas
+ *
+ * A union formula presents the statements of several formulas, or of some of
+ * the graphs of a formula, as one formula, without copying them. It is
+ * searched and queried as a store is, by searching each of the formulas in
+ * turn, so it always shows what they have now.
+ */
+
+/** @module union-formula */
+
+import CanonicalDataFactory from './factories/canonical-data-factory'
+import Formula, { FormulaOpts } from './formula'
+import ReadOnlyFormula from './read-only-formula'
+import { Quad, Quad_Graph, Quad_Object, Quad_Predicate, Quad_Subject } from './tf-types'
+
+/** A formula in a union, or only some of its graphs */
+export interface UnionSource {
+  formula: Formula
+  /** The graphs of the formula in the union, by default all of them */
+  graphs?: Quad_Graph[]
+}
+
+/**
+ * A read-only view of the statements of several formulas as one formula.
+ *
+ * A statement which is in more than one of the formulas is in the union once,
+ * told apart by the canonical ids of its terms, as the formulas may each have
+ * their own ids.
+ * Nodes smushed in one formula are not smushed in the others.
+ */
+export default class UnionFormula extends ReadOnlyFormula {
+  /** The formulas in the union, with the graphs of each */
+  sources: UnionSource[]
+  /** No nodes are smushed in the union itself */
+  redirections: any[] = []
+
+  /**
+   * @param sources - The formulas, or formulas with some of their graphs, in the union
+   * @param opts - The options, of which the rdfFactory is by default that of the first formula
+   */
+  constructor (sources: Array<Formula | UnionSource>, opts: FormulaOpts = {}) {
+    super('A union of formulas', {
+      rdfFactory: opts.rdfFactory || (sources.length ? sourceOf(sources[0]).formula.rdfFactory : undefined)
+    })
+    this.sources = sources.map(sourceOf)
+  }
+
+  /**
+   * Searches the formulas of the union
+   * @param subj - A node to search for as subject, or if null, a wildcard
+   * @param pred - A node to search for as predicate, or if null, a wildcard
+   * @param obj - A node to search for as object, or if null, a wildcard
+   * @param why - A node to search for as graph, or if null, a wildcard
+   * @param justOne - flag - stop when found one rather than get all of them?
+   * @returns A new array of the statements which match
+   */
+  statementsMatching (
+    subj?: Quad_Subject | null,
+    pred?: Quad_Predicate | null,
+    obj?: Quad_Object | null,
+    why?: Quad_Graph | null,
+    justOne?: boolean
+  ): Quad[] {
+    const results: Quad[] = []
+    const seen = new Set<string>()
+    let sources = 0
+    for (const { formula, graphs } of this.sources) {
+      const searched = !graphs ? [why]
+        : why ? graphs.filter(graph => graph.equals(why))
+        : graphs
+      for (const graph of searched) {
+        const found = formula.statementsMatching(subj, pred, obj, graph, justOne)
+        if (!found.length) {
+          continue
+        }
+        if (justOne) {
+          return [found[0]]
+        }
+        sources++
+        for (const st of found) {
+          const key = [st.subject, st.predicate, st.object, st.graph]
+            .map(term => CanonicalDataFactory.id(term)).join(' ')
+          if (sources === 1 || !seen.has(key)) {
+            results.push(st)
+          }
+          seen.add(key)
+        }
+      }
+    }
+    return results
+  }
+}
+
+/**
+ * Gives a formula in a union as a source with all of its graphs
+ */
+function sourceOf (source: Formula | UnionSource): UnionSource {
+  return source instanceof Formula ? { formula: source } : source
+}
@@ -202,11 +202,33 @@ export default class UpdateManager {
   }
 
   anonymize (obj) {
+    const node = this.serverBlankNode(obj)
+    if (node) { // A skolem IRI which the server has as a blank node
+      return this.mentioned(obj) ? '?' + node.value : '_:' + node.value
+    }
     return (obj.toNT().substr(0, 2) === '_:' && this.mentioned(obj))
       ? '?' + obj.toNT().substr(2)
       : obj.toNT()
   }
 
+  /**
+   * The blank node which a skolem IRI of the store stands for in the copy of
+   * its document on the server, unless that copy has the IRI
+   * @private
+   */
+  serverBlankNode (x): BlankNode | undefined {
+    const skolemizer = this.store.skolemizer
+    return skolemizer && x.termType === 'NamedNode' ? skolemizer.serverBlankNode(x) : undefined
+  }
+
+  /**
+   * Whether a node is blank on the server: a blank node, or a skolem IRI which stands for one
+   * @private
+   */
+  isServerBlank (x): boolean {
+    return isBlankNode(x) || !!this.serverBlankNode(x)
+  }
+
   anonymizeNT (stmt: Quad) {
     return this.anonymize(stmt.subject) + ' ' +
       this.anonymize(stmt.predicate) + ' ' +
@@ -214,13 +236,12 @@ export default class UpdateManager {
   }
 
   /**
-   * Returns a list of all bnodes occurring in a statement
+   * Returns a list of all bnodes occurring in a statement, with the skolem IRIs
+   * which stand for them
    * @private
    */
   statementBnodes (st: Quad): BlankNode[] {
-    return [st.subject, st.predicate, st.object].filter(function (x) {
-      return isBlankNode(x)
-    }) as BlankNode[]
+    return [st.subject, st.predicate, st.object].filter(x => this.isServerBlank(x)) as BlankNode[]
   }
 
   /**
@@ -274,7 +295,7 @@ export default class UpdateManager {
     for (let i = 0; i < sts.length; i++) {
       if (this.fps[sts[i].predicate.value]) {
         y = sts[i].subject
-        if (!y.isBlank) {
+        if (!this.isServerBlank(y)) {
           return [ sts[i] ]
         }
         if (depth) {
@@ -290,7 +311,7 @@ export default class UpdateManager {
     for (let i = 0; i < sts.length; i++) {
       if (this.ifps[sts[i].predicate.value]) {
         y = sts[i].object
-        if (!y.isBlank) {
+        if (!this.isServerBlank(y)) {
           return [ sts[i] ]
         }
         if (depth) {
@@ -506,6 +527,17 @@ export default class UpdateManager {
     }
   }
 
+  /**
+   * Tests whether a document has patches pending, or a live subscription to
+   * its changes, so that the fetcher must not unload it from the store
+   * @param doc - The document
+   */
+  isPinned (doc: NamedNode): boolean {
+    var control = this.patchControl[doc.value]
+    return !!control && (control.pendingUpstream > 0 || 'upstreamCount' in control ||
+      !!(control.downstreamChangeListeners && control.downstreamChangeListeners.length))
+  }
+
   /**
    * We want to start counting websocket notifications
    * to distinguish the ones from others from our own.
@@ -684,6 +716,8 @@ export default class UpdateManager {
   /**
    * This high-level function updates the local store iff the web is changed successfully.
    * Deletions, insertions may be undefined or single statements or lists or formulae (may contain bnodes which can be indirectly identified by a where clause).
+   * In a document which the store has skolemized, bnodes are sent as their skolem IRIs instead, in a plain data patch,
+   * if the server has the IRIs too (see IndexedFormula.skolemize). Otherwise the IRIs stand for bnodes as above.
    * The `why` property of each statement must be the same and give the web document to be updated.
    * @param deletions - Statement or statements to be deleted.
    * @param insertions - Statement or statements to be inserted.
@@ -757,6 +791,15 @@ export default class UpdateManager {
         })
       })
 
+      if (kb.skolemizer && kb.skolemizer.isSkolemized(doc)) {
+        // Blank nodes in a skolemized document are named by their skolem IRIs.
+        // The patch needs no WHERE clause to identify them if the server has
+        // the IRIs too; otherwise they are sent as the blank nodes they stand for.
+        const skolemizer = kb.skolemizer
+        ds = ds.map(st => skolemizer.skolemizeStatement(st, true))
+        is = is.map(st => skolemizer.skolemizeStatement(st, true))
+      }
+
       var protocol = this.editable(doc.value, kb)
       if (protocol === false) {
         throw new Error('Update: Can\'t make changes in uneditable ' + doc)
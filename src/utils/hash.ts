@@ -0,0 +1,39 @@
+// Hashes of text, for canonicalization and the hash functions of SPARQL
+//
+// Node's crypto module is loaded when a hash is first asked for, rather than
+// imported, so that browser bundles need not have it. Where it is not there,
+// as in browsers, a hash function must be set to hash at all.
+
+/** The hash algorithms asked for, by their names in Node's crypto module */
+export type HashAlgorithm = 'md5' | 'sha1' | 'sha256' | 'sha384' | 'sha512'
+
+/** Gives the hash of some text, UTF-8 encoded, in lower case hex */
+export type HashFunction = (algorithm: HashAlgorithm, text: string) => string
+
+let hashFunction: HashFunction | undefined
+
+/**
+ * Sets the function which gives hashes, in place of Node's crypto module
+ * @param fn - The function, or undefined for Node's crypto module again
+ */
+export function setHashFunction (fn: HashFunction | undefined): void {
+  hashFunction = fn
+}
+
+/**
+ * Gives the hash of some text
+ * @param algorithm - The algorithm
+ * @param text - The text, which is UTF-8 encoded
+ * @returns The hash in lower case hex
+ * @throws {Error} If no hash function was set and Node's crypto module is not there
+ */
+export default function hash (algorithm: HashAlgorithm, text: string): string {
+  if (!hashFunction) {
+    const crypto = require('crypto')
+    if (!crypto || !crypto.createHash) {
+      throw new Error('No hash function: set one with setHashFunction where Node\'s crypto module is not there')
+    }
+    hashFunction = (algorithm, text) => crypto.createHash(algorithm).update(text, 'utf8').digest('hex')
+  }
+  return hashFunction!(algorithm, text)
+}
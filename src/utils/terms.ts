@@ -1,6 +1,9 @@
 import {
   ObjectType, CollectionTermType, NamedNodeTermType, VariableTermType, BlankNodeTermType, LiteralTermType, DefaultGraphTermType,
+  GraphTermType,
+  QuadTermType,
 } from '../types'
+import Formula from '../formula'
 import Collection from '../collection'
 import IndexedFormula from '../store'
 import Statement from '../statement'
@@ -13,6 +16,7 @@ import {
   Quad_Predicate,
   Quad,
   Quad_Subject,
+  QuotedTriple,
   Term,
   Variable,
 } from '../tf-types'
@@ -27,21 +31,32 @@ export function isStore(obj): obj is IndexedFormula {
   return typeof obj === 'object' && obj !== null && 'statements' in obj
 }
 
+/** TypeGuard for RDFLib Formulas, which N3 uses as terms */
+export function isFormula(obj: any): obj is Formula {
+  return isTerm(obj)
+    && (obj as Term).termType === GraphTermType
+}
+
 /** TypeGuard for RDFLib Collections */
 export function isCollection(obj: any): obj is Collection<any> {
   return isTerm(obj)
     && (obj as Term).termType === CollectionTermType
 }
 
-/** TypeGuard for valid RDFlib Object types, also allows Collections */
+/** TypeGuard for valid RDFlib Object types, also allows Collections and quoted triples */
 export function isRDFlibObject(obj: any): obj is ObjectType {
-  return obj && Object.prototype.hasOwnProperty.call(obj, 'termType') && (
+  return obj && (isQuotedTriple(obj) || Object.prototype.hasOwnProperty.call(obj, 'termType') && (
     obj.termType === NamedNodeTermType ||
     obj.termType === VariableTermType ||
     obj.termType === BlankNodeTermType ||
     obj.termType === CollectionTermType ||
     obj.termType === LiteralTermType
-  )
+  ))
+}
+
+/** TypeGuard for RDF-star quoted triples, statements used as terms */
+export function isQuotedTriple(obj: any): obj is QuotedTriple {
+  return isTerm(obj) && obj.termType === QuadTermType
 }
 
 /** TypeGuard for RDFLib Variables */
@@ -81,12 +96,13 @@ export function isBlankNode(obj: any): obj is BlankNode {
   return isTerm(obj) && 'termType' in obj && obj.termType === 'BlankNode'
 }
 
-/** TypeGuard for valid RDF/JS spec Subject types */
+/** TypeGuard for valid RDF/JS spec Subject types, including quoted triples */
 export function isSubject(obj: any): obj is Quad_Subject {
   return isTerm(obj) && (
     obj.termType === NamedNodeTermType ||
     obj.termType === VariableTermType ||
-    obj.termType === BlankNodeTermType
+    obj.termType === BlankNodeTermType ||
+    obj.termType === QuadTermType
   )
 }
 
@@ -98,13 +114,14 @@ export function isPredicate(obj: any): obj is Quad_Predicate {
   )
 }
 
-/** TypeGuard for valid RDF/JS spec Object types */
+/** TypeGuard for valid RDF/JS spec Object types, including quoted triples */
 export function isRDFObject(obj: any): obj is Quad_Object {
   return isTerm(obj) && (
     obj.termType === NamedNodeTermType ||
     obj.termType === VariableTermType ||
     obj.termType === BlankNodeTermType ||
-    obj.termType === LiteralTermType
+    obj.termType === LiteralTermType ||
+    obj.termType === QuadTermType
   )
 }
 
@@ -0,0 +1,136 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import { canonicalize, canonicalDigest, isomorphic } from '../../src/canonicalize'
+import { setHashFunction } from '../../src/utils/hash'
+import IndexedFormula from '../../src/store'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('canonicalize', () => {
+  const { blankNode, literal, namedNode, quad } = DataFactory
+  const vocab = name => namedNode('http://example.org/vocab#' + name)
+
+  // A cycle of three blank nodes, which can only be told apart by their paths
+  function chain (labels) {
+    const [a, b, c] = labels.map(l => blankNode(l))
+    return [
+      quad(a, vocab('next'), b),
+      quad(a, vocab('prev'), c),
+      quad(b, vocab('next'), c),
+      quad(b, vocab('prev'), a),
+      quad(c, vocab('next'), a),
+      quad(c, vocab('prev'), b)
+    ]
+  }
+
+  it('labels blank nodes with unique first degree hashes', () => {
+    const p = namedNode('http://example.com/#p')
+    const u = namedNode('http://example.com/#u')
+    const e0 = blankNode('e0')
+    const e1 = blankNode('e1')
+    const quads = [
+      quad(p, namedNode('http://example.com/#q'), e0),
+      quad(p, namedNode('http://example.com/#r'), e1),
+      quad(e0, namedNode('http://example.com/#s'), u),
+      quad(e1, namedNode('http://example.com/#t'), u)
+    ]
+    expect(canonicalize(quads)).to.eq(
+      '<http://example.com/#p> <http://example.com/#q> _:c14n0 .\n' +
+      '<http://example.com/#p> <http://example.com/#r> _:c14n1 .\n' +
+      '_:c14n0 <http://example.com/#s> <http://example.com/#u> .\n' +
+      '_:c14n1 <http://example.com/#t> <http://example.com/#u> .\n'
+    )
+  })
+
+  it('labels blank nodes which share a first degree hash', () => {
+    expect(canonicalize(chain(['e0', 'e1', 'e2']))).to.eq(
+      '_:c14n0 <http://example.org/vocab#next> _:c14n2 .\n' +
+      '_:c14n0 <http://example.org/vocab#prev> _:c14n1 .\n' +
+      '_:c14n1 <http://example.org/vocab#next> _:c14n0 .\n' +
+      '_:c14n1 <http://example.org/vocab#prev> _:c14n2 .\n' +
+      '_:c14n2 <http://example.org/vocab#next> _:c14n1 .\n' +
+      '_:c14n2 <http://example.org/vocab#prev> _:c14n0 .\n'
+    )
+  })
+
+  it('handles named graphs and literals', () => {
+    const g = blankNode('g')
+    const b = blankNode('b')
+    const quads = [
+      quad(blankNode('a'), namedNode('http://ex.org/p'), literal('x\ny', 'en'), g),
+      quad(g, namedNode('http://ex.org/p'), b),
+      quad(b, namedNode('http://ex.org/q'), literal('1', namedNode('http://www.w3.org/2001/XMLSchema#integer')))
+    ]
+    expect(canonicalize(quads)).to.eq(
+      '_:c14n0 <http://ex.org/p> "x\\ny"@en _:c14n1 .\n' +
+      '_:c14n1 <http://ex.org/p> _:c14n2 .\n' +
+      '_:c14n2 <http://ex.org/q> "1"^^<http://www.w3.org/2001/XMLSchema#integer> .\n'
+    )
+  })
+
+  it('escapes control characters', () => {
+    const quads = [quad(namedNode('http://ex.org/s'), namedNode('http://ex.org/p'), literal('a\tb\u0001'))]
+    expect(canonicalize(quads)).to.eq('<http://ex.org/s> <http://ex.org/p> "a\\tb\\u0001" .\n')
+  })
+
+  it('canonicalizes a formula, or one graph of it', () => {
+    const doc = namedNode('https://example.com/doc')
+    const store = new IndexedFormula()
+    chain(['x', 'y', 'z']).forEach(q => store.add(q.subject, q.predicate, q.object, doc))
+    store.add(namedNode('https://example.com/a'), vocab('next'), literal('other'))
+
+    expect(canonicalize(store, doc)).to.eq(canonicalize(chain(['e0', 'e1', 'e2'])))
+    expect(canonicalize(store).split('\n')).to.have.length(8)
+    expect(canonicalize(store)).to.include('<https://example.com/doc> .')
+  })
+
+  it('gives up on too much work', () => {
+    expect(() => canonicalize(chain(['a', 'b', 'c']), null, { maxCalls: 1 })).to.throw('gave up')
+  })
+
+  describe('isomorphic', () => {
+    it('ignores blank node labels', () => {
+      expect(isomorphic(chain(['a', 'b', 'c']), chain(['x', 'z', 'y']))).to.be.true()
+    })
+
+    it('tells different graphs apart', () => {
+      const other = chain(['a', 'b', 'c'])
+      other[0] = quad(blankNode('a'), vocab('next'), blankNode('a'))
+      expect(isomorphic(chain(['a', 'b', 'c']), other)).to.be.false()
+    })
+
+    it('compares two documents in one store', () => {
+      const doc1 = namedNode('https://example.com/doc1')
+      const doc2 = namedNode('https://example.com/doc2')
+      const store = new IndexedFormula()
+      chain(['a', 'b', 'c']).forEach(q => store.add(q.subject, q.predicate, q.object, doc1))
+      chain(['x', 'y', 'z']).forEach(q => store.add(q.subject, q.predicate, q.object, doc2))
+      expect(isomorphic(store, store, doc1, doc2)).to.be.true()
+    })
+  })
+
+  describe('canonicalDigest', () => {
+    it('is the same for isomorphic graphs', () => {
+      const digest = canonicalDigest(chain(['a', 'b', 'c']))
+      expect(digest).to.match(/^[0-9a-f]{64}$/)
+      expect(canonicalDigest(chain(['q', 'r', 's']))).to.eq(digest)
+      expect(canonicalDigest([])).to.not.eq(digest)
+    })
+
+    it('hashes with the hash function set', () => {
+      const digest = canonicalDigest(chain(['a', 'b', 'c']))
+      const asked = []
+      setHashFunction((algorithm, text) => {
+        asked.push(algorithm)
+        return String(text.length)
+      })
+      try {
+        expect(canonicalDigest([])).to.eq('0')
+        expect(asked).to.eql(['sha256'])
+      } finally {
+        setHashFunction(undefined)
+      }
+      expect(canonicalDigest(chain(['a', 'b', 'c']))).to.eq(digest)
+    })
+  })
+})
@@ -0,0 +1,173 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import { doc, ex, load } from './fixtures'
+import IndexedFormula from '../../src/store'
+import CompactStorage from '../../src/compact-storage'
+import serialize from '../../src/serialize'
+import Statement from '../../src/statement'
+import Variable from '../../src/variable'
+import { Query } from '../../src/query'
+import createInterningDataFactory from '../../src/factories/interning-data-factory'
+import { Feature } from '../../src/factories/factory-types'
+import CanonicalDataFactory from '../../src/factories/canonical-data-factory'
+
+describe('compact storage', () => {
+  const { namedNode, literal } = CanonicalDataFactory
+  describe('interning data factory', () => {
+    const factory = createInterningDataFactory()
+
+    it('supports identity and reversibleId', () => {
+      expect(factory.supports[Feature.identity]).to.be.true()
+      expect(factory.supports[Feature.reversibleId]).to.be.true()
+    })
+
+    it('gives the same instance for the same term', () => {
+      expect(factory.namedNode('https://example.com/a')).to.equal(factory.namedNode('https://example.com/a'))
+      expect(factory.literal('x', 'en')).to.equal(factory.literal('x', 'en'))
+      expect(factory.literal('x', 'en')).not.to.equal(factory.literal('x', 'fr'))
+      expect(factory.blankNode('b1')).to.equal(factory.blankNode('b1'))
+    })
+
+    it('gives integer ids which map back to the terms', () => {
+      const term = factory.literal('1', factory.namedNode('http://www.w3.org/2001/XMLSchema#integer'))
+      const id = factory.id(term)
+      expect(id).to.be.a('number')
+      expect(factory.fromId(id)).to.equal(term)
+      expect(factory.id(literal('1', namedNode('http://www.w3.org/2001/XMLSchema#integer')))).to.equal(id)
+    })
+
+    it('looks terms up without interning them', () => {
+      const size = factory.size
+      expect(factory.lookup(namedNode('https://example.com/never'))).to.be.undefined()
+      expect(factory.size).to.equal(size)
+      expect(factory.lookupKey('<https://example.com/a>')).to.equal(factory.id(namedNode('https://example.com/a')))
+    })
+
+    it('throws on an unknown id', () => {
+      expect(() => factory.fromId(1e6)).to.throw('No term has the id 1000000')
+    })
+  })
+
+  describe('IndexedFormula with the compact option', () => {
+    let store
+    beforeEach(() => {
+      store = load(`
+        :a :knows :b, :c ; :name "A" .
+        :b :knows :c ; :name "B" .
+      `, { store: new IndexedFormula(undefined, { compact: true }) })
+    })
+
+    it('stores the statements as integer tuples', () => {
+      expect(store.backend).to.be.an.instanceof(CompactStorage)
+      expect(store.length).to.equal(5)
+      expect(store.id(ex('a'))).to.be.a('number')
+    })
+
+    it('returns Statement objects from statementsMatching', () => {
+      const sts = store.statementsMatching(ex('a'), ex('knows'))
+      expect(sts).to.have.length(2)
+      sts.forEach(st => expect(st).to.be.an.instanceof(Statement))
+      expect(sts.map(st => st.object.value).sort()).to.eql([ex('b').value, ex('c').value])
+      expect(sts[0].graph.equals(doc)).to.be.true()
+    })
+
+    it('matches on any positions', () => {
+      expect(store.statementsMatching(null, ex('knows'), ex('c'))).to.have.length(2)
+      expect(store.statementsMatching(null, null, null, doc)).to.have.length(5)
+      expect(store.statementsMatching(null, ex('nothing'))).to.eql([])
+      expect(store.statementsMatching(ex('a'), null, null, null, true)).to.have.length(1)
+      expect(store.statements).to.have.length(5)
+    })
+
+    it('supports the convenience lookups', () => {
+      expect(store.any(ex('b'), ex('name')).value).to.equal('B')
+      expect(store.each(null, ex('knows'), ex('c')).map(x => x.value).sort())
+        .to.eql([ex('a').value, ex('b').value])
+      expect(store.holds(ex('a'), ex('knows'), ex('b'))).to.be.true()
+      expect(store.mentionsURI(ex('a').value)).to.be.true()
+      expect(store.mentionsURI(ex('z').value)).to.be.false()
+    })
+
+    it('ignores duplicates', () => {
+      expect(store.add(ex('a'), ex('knows'), ex('b'), doc)).to.be.null()
+      expect(store.length).to.equal(5)
+    })
+
+    it('removes statements and reuses their rows', () => {
+      store.remove(store.statementsMatching(ex('a'), ex('name'))[0])
+      expect(store.length).to.equal(4)
+      expect(store.holds(ex('a'), ex('name'), null)).to.be.false()
+      store.removeMatches(ex('b'))
+      expect(store.length).to.equal(2)
+      store.add(ex('d'), ex('knows'), ex('a'), doc)
+      expect(store.length).to.equal(3)
+      expect(store.each(ex('d'), ex('knows')).map(x => x.value)).to.eql([ex('a').value])
+    })
+
+    it('keeps its indexes right through removals in any order', () => {
+      const memory = new IndexedFormula()
+      for (let i = 0; i < 40; i++) {
+        for (const kb of [store, memory]) {
+          kb.add(ex('s' + i % 7), ex('p' + i % 3), ex('o' + i % 5), doc)
+        }
+      }
+      for (const i of [3, 0, 39, 17, 4, 28, 9]) {
+        for (const kb of [store, memory]) {
+          kb.removeMatches(ex('s' + i % 7), ex('p' + i % 3), ex('o' + i % 5))
+        }
+      }
+      const keys = sts => sts.map(st => st.toNT()).sort()
+      expect(store.addStatement(new Statement(ex('s9'), ex('p'), ex('o'), doc))).to.equal(store.length)
+      memory.add(ex('s9'), ex('p'), ex('o'), doc)
+      for (const term of ['s0', 's2', 's9', 'p0', 'p1', 'o0', 'o4']) {
+        for (const pattern of [[ex(term)], [null, ex(term)], [null, null, ex(term)]]) {
+          expect(keys(store.statementsMatching(...pattern))).to.eql(keys(memory.statementsMatching(...pattern)))
+        }
+      }
+    })
+
+    it('emits events for changes', () => {
+      const events = []
+      store.on('added', st => events.push('+' + st.object.value))
+      store.on('removed', st => events.push('-' + st.object.value))
+      store.add(ex('d'), ex('name'), literal('D'), doc)
+      store.removeDocument(doc)
+      expect(events[0]).to.equal('+D')
+      expect(events).to.have.length(7)
+      expect(store.length).to.equal(0)
+    })
+
+    it('runs queries', () => {
+      const query = new Query('knows')
+      const x = new Variable('x')
+      const y = new Variable('y')
+      query.pat.add(x, ex('knows'), y)
+      query.pat.add(y, ex('name'), literal('B'))
+      const results = store.querySync(query)
+      expect(results).to.have.length(1)
+      expect(results[0]['?x'].equals(ex('a'))).to.be.true()
+    })
+
+    it('serializes', () => {
+      const text = serialize(doc, store, doc.value, 'text/turtle')
+      expect(text).to.include(':a :knows :b, :c')
+    })
+
+    it('keeps inferred triples with RDFS', () => {
+      const rdfs = load(`
+        :knows rdfs:domain :Person .
+        :a :knows :b .
+      `, { store: new IndexedFormula(['RDFS'], { compact: true }) })
+      expect(rdfs.holds(ex('a'), namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type'), ex('Person'))).to.be.true()
+    })
+
+    it('turns down what it does not support', () => {
+      expect(() => new IndexedFormula(['sameAs'], { compact: true })).to.throw('Smushing features')
+      expect(() => new IndexedFormula([], { compact: true, compositeIndexes: true })).to.throw('Composite indexes')
+      expect(() => new IndexedFormula([], { compact: true, rdfFactory: CanonicalDataFactory }))
+        .to.throw('identity and reversible ids')
+      expect(() => store.begin()).to.throw('Transactions are not supported')
+    })
+  })
+})
@@ -0,0 +1,186 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import { Readable } from 'stream'
+import { DataFactory as N3DataFactory } from 'n3'
+
+import Dataset, { StoreSource } from '../../src/dataset'
+import IndexedFormula from '../../src/store'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+function readAll (stream) {
+  return new Promise((resolve, reject) => {
+    const quads = []
+    stream.on('data', quad => quads.push(quad))
+    stream.on('end', () => resolve(quads))
+    stream.on('error', reject)
+  })
+}
+
+describe('Dataset', () => {
+  const ex = name => DataFactory.namedNode('https://example.com/' + name)
+  const g0 = ex('graph0')
+  const quad1 = DataFactory.quad(ex('s1'), ex('p1'), ex('o1'), g0)
+  const quad2 = DataFactory.quad(ex('s1'), ex('p2'), DataFactory.literal('two', 'en'), g0)
+  const quad3 = DataFactory.quad(ex('s2'), ex('p1'), DataFactory.blankNode('b3'), ex('graph1'))
+
+  describe('DatasetCore', () => {
+    it('starts empty', () => {
+      const dataset = new Dataset()
+      expect(dataset.size).to.eq(0)
+      expect([...dataset]).to.eql([])
+    })
+
+    it('wraps an existing store', () => {
+      const store = new IndexedFormula()
+      store.add(quad1)
+      const dataset = new Dataset(store)
+      expect(dataset.store).to.eq(store)
+      expect(dataset.size).to.eq(1)
+      expect(dataset.has(quad1)).to.be.true()
+    })
+
+    it('adds quads once', () => {
+      const dataset = new Dataset()
+      expect(dataset.add(quad1)).to.eq(dataset)
+      dataset.add(quad1)
+      dataset.add(quad2)
+      expect(dataset.size).to.eq(2)
+      expect(dataset.has(quad1)).to.be.true()
+      expect(dataset.has(quad2)).to.be.true()
+      expect(dataset.has(quad3)).to.be.false()
+    })
+
+    it('keeps owl:sameAs quads', () => {
+      const dataset = new Dataset()
+      const sameAs = DataFactory.quad(ex('a'), DataFactory.namedNode('http://www.w3.org/2002/07/owl#sameAs'), ex('b'))
+      dataset.add(sameAs)
+      expect(dataset.has(sameAs)).to.be.true()
+    })
+
+    it('deletes quads', () => {
+      const dataset = new Dataset()
+      dataset.add(quad1).add(quad2)
+      expect(dataset.delete(quad1)).to.eq(dataset)
+      expect(dataset.size).to.eq(1)
+      expect(dataset.has(quad1)).to.be.false()
+    })
+
+    it('ignores deleting a quad it does not have', () => {
+      const dataset = new Dataset()
+      dataset.add(quad1)
+      dataset.delete(quad2)
+      expect(dataset.size).to.eq(1)
+    })
+
+    it('tells quads in different graphs apart', () => {
+      const dataset = new Dataset()
+      dataset.add(quad1)
+      expect(dataset.has(DataFactory.quad(ex('s1'), ex('p1'), ex('o1'), ex('graph1')))).to.be.false()
+    })
+
+    it('matches on each position', () => {
+      const dataset = new Dataset()
+      dataset.add(quad1).add(quad2).add(quad3)
+
+      expect(dataset.match().size).to.eq(3)
+      expect(dataset.match(ex('s1')).size).to.eq(2)
+      expect(dataset.match(null, ex('p1')).size).to.eq(2)
+      expect(dataset.match(null, null, DataFactory.literal('two', 'en')).size).to.eq(1)
+      expect(dataset.match(null, null, null, ex('graph1')).size).to.eq(1)
+      expect(dataset.match(ex('s1'), ex('p1'), ex('o1'), g0).size).to.eq(1)
+      expect(dataset.match(ex('s3')).size).to.eq(0)
+    })
+
+    it('returns a new dataset from match', () => {
+      const dataset = new Dataset()
+      dataset.add(quad1).add(quad2)
+      const matches = dataset.match(ex('s1'))
+      expect(matches).to.be.an.instanceOf(Dataset)
+      matches.delete(quad1)
+      expect(dataset.has(quad1)).to.be.true()
+    })
+
+    it('is iterable', () => {
+      const dataset = new Dataset()
+      dataset.add(quad1).add(quad2)
+      const quads = []
+      for (const quad of dataset) {
+        quads.push(quad)
+        dataset.delete(quad)
+      }
+      expect(quads).to.have.length(2)
+      expect(dataset.size).to.eq(0)
+    })
+
+    it('accepts quads from another factory', () => {
+      const { namedNode, literal, quad, defaultGraph } = N3DataFactory
+      const dataset = new Dataset()
+      const q = quad(
+        namedNode('https://example.com/s1'),
+        namedNode('https://example.com/p1'),
+        literal('1', namedNode('http://www.w3.org/2001/XMLSchema#integer')),
+        defaultGraph()
+      )
+      dataset.add(q)
+      expect(dataset.has(q)).to.be.true()
+      expect(dataset.match(namedNode('https://example.com/s1')).size).to.eq(1)
+      dataset.delete(q)
+      expect(dataset.size).to.eq(0)
+    })
+  })
+
+  describe('Sink', () => {
+    it('imports a stream', async () => {
+      const dataset = new Dataset()
+      const emitter = dataset.import(Readable.from([quad1, quad2]))
+      await new Promise(resolve => emitter.on('end', resolve))
+      expect(dataset.size).to.eq(2)
+    })
+
+    it('passes on stream errors', async () => {
+      const dataset = new Dataset()
+      const stream = new Readable({ objectMode: true, read () {} })
+      const emitter = dataset.import(stream)
+      const error = new Promise(resolve => emitter.on('error', resolve))
+      stream.emit('error', new Error('broken'))
+      expect((await error).message).to.eq('broken')
+    })
+  })
+})
+
+describe('StoreSource', () => {
+  const ex = name => DataFactory.namedNode('https://example.com/' + name)
+  const quad1 = DataFactory.quad(ex('s1'), ex('p1'), ex('o1'))
+  const quad2 = DataFactory.quad(ex('s2'), ex('p1'), ex('o2'))
+
+  it('streams matching quads', async () => {
+    const store = new IndexedFormula()
+    store.add([quad1, quad2])
+    const source = new StoreSource(store)
+
+    expect(await readAll(source.match())).to.have.length(2)
+    const matches = await readAll(source.match(ex('s2')))
+    expect(matches).to.have.length(1)
+    expect(matches[0].object.value).to.eq('https://example.com/o2')
+  })
+
+  it('can be read with read()', (done) => {
+    const store = new IndexedFormula()
+    store.add(quad1)
+    const stream = new StoreSource(store).match()
+    stream.on('readable', () => {
+      const quad = stream.read()
+      if (quad) {
+        expect(quad.subject.value).to.eq('https://example.com/s1')
+        done()
+      }
+    })
+  })
+
+  it('imports a stream into the store', async () => {
+    const store = new IndexedFormula()
+    const emitter = new StoreSource(store).import(Readable.from([quad1]))
+    await new Promise(resolve => emitter.on('end', resolve))
+    expect(store.holds(quad1)).to.be.true()
+  })
+})
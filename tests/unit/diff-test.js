@@ -0,0 +1,118 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import { doc, ex, load } from './fixtures'
+import diff from '../../src/diff'
+import UpdateManager from '../../src/update-manager'
+import { isomorphic } from '../../src/canonicalize'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('diff', () => {
+  const { namedNode, literal } = DataFactory
+
+  function lines (statements) {
+    return statements.map(st => st.subject.termType === 'BlankNode'
+      ? `_ ${st.predicate.value} ${st.object.value}`
+      : `${st.subject.value} ${st.predicate.value} ${st.object.value}`)
+  }
+
+  it('finds nothing between the same graphs', () => {
+    const a = load(':a :p :b; :q [ :r 1; :s ( 1 2 ) ].')
+    const b = load(':a :p :b; :q [ :r 1; :s ( 1 2 ) ].')
+    expect(diff(a, b)).to.eql({ deletions: [], insertions: [] })
+  })
+
+  it('finds statements deleted and inserted', () => {
+    const a = load(':a :p :b, :c. :d :p "x".')
+    const b = load(':a :p :b, :e. :d :p "y".')
+    const { deletions, insertions } = diff(a, b)
+    expect(lines(deletions)).to.have.members([`${ex('a').value} ${ex('p').value} ${ex('c').value}`, `${ex('d').value} ${ex('p').value} x`])
+    expect(lines(insertions)).to.have.members([`${ex('a').value} ${ex('p').value} ${ex('e').value}`, `${ex('d').value} ${ex('p').value} y`])
+    expect(deletions.every(st => a.holds(st.subject, st.predicate, st.object, st.graph))).to.be.true()
+  })
+
+  it('matches blank node subgraphs whatever their labels', () => {
+    const a = load(':a :address _:x. _:x :city "Paris"; :zip "75001".')
+    const b = load(':a :address _:other. _:other :zip "75001"; :city "Paris".')
+    expect(diff(a, b)).to.eql({ deletions: [], insertions: [] })
+  })
+
+  it('replaces a changed blank node subgraph as a whole', () => {
+    const a = load(':a :address [ :city "Paris"; :zip "75001" ]; :tel [ :number "1" ].')
+    const b = load(':a :address [ :city "Paris"; :zip "75002" ]; :tel [ :number "1" ].')
+    const { deletions, insertions } = diff(a, b)
+    expect(deletions).to.have.length(3)
+    expect(insertions).to.have.length(3)
+    expect(deletions.map(st => st.object.value)).to.include('75001')
+    expect(insertions.map(st => st.object.value)).to.include('75002')
+    expect(deletions.some(st => st.predicate.equals(ex('number')))).to.be.false()
+  })
+
+  it('compares two graphs in one store, putting the insertions in the first', () => {
+    const other = namedNode('https://example.com/test/other')
+    const store = load(':a :p :b, :c. :a :q [ :r 1 ].')
+    load(':a :p :b, :d. :a :q [ :r 1 ].', { store, graph: other })
+    const { deletions, insertions } = diff(store, store, doc, other)
+    expect(deletions).to.have.length(1)
+    expect(deletions[0].object.equals(ex('c'))).to.be.true()
+    expect(insertions).to.have.length(1)
+    expect(insertions[0].object.equals(ex('d'))).to.be.true()
+    expect(insertions[0].graph.equals(doc)).to.be.true()
+  })
+
+  it('gives a patch which applyPatch applies', done => {
+    const a = load(':a :p :b, :c; :q [ :r 1 ].')
+    const b = load(':a :p :b, :d; :q [ :r 2 ].')
+    a.applyPatch(diff(a, b, doc), doc, err => {
+      expect(err).to.be.undefined()
+      expect(isomorphic(a, b)).to.be.true()
+      done()
+    })
+  })
+
+  it('gives new statements, which applying to another graph leaves as they are', done => {
+    const other = namedNode('https://example.com/test/other')
+    const a = load(':a :p :b.', { graph: other })
+    const b = load(':a :p :c.')
+    const patch = diff(a, b)
+    expect(patch.insertions[0]).not.to.equal(b.statements[0])
+    a.applyPatch(patch, other, err => {
+      expect(err).to.be.undefined()
+      expect(a.holds(ex('a'), ex('p'), ex('c'), other)).to.be.true()
+      expect(b.holds(ex('a'), ex('p'), ex('c'), doc)).to.be.true()
+      expect(b.holds(ex('a'), ex('p'), ex('c'), other)).to.be.false()
+      done()
+    })
+  })
+
+  it('gives deletions and insertions which UpdateManager.update takes', done => {
+    const updater = new UpdateManager()
+    const store = updater.store
+    load(':a :p :b, :c.', { store })
+    const edited = load(':a :p :b, :d.')
+    const webOperation = sinon.stub(store.fetcher, 'webOperation')
+      .resolves({ ok: true, status: 200, statusText: 'OK' })
+    sinon.stub(updater, 'editable').returns('SPARQL')
+    const { deletions, insertions } = diff(store, edited, doc)
+    updater.update(deletions, insertions, (uri, ok, body) => {
+      expect(ok, body).to.be.true()
+      const query = webOperation.firstCall.args[2].body
+      expect(query).to.contain('DELETE DATA')
+      expect(query).to.contain(`<${ex('c').value}>`)
+      expect(query).to.contain('INSERT DATA')
+      expect(query).to.contain(`<${ex('d').value}>`)
+      expect(store.holds(ex('a'), ex('p'), ex('d'), doc)).to.be.true()
+      expect(store.holds(ex('a'), ex('p'), ex('c'), doc)).to.be.false()
+      done()
+    })
+  })
+
+  it('ignores statements in other graphs when graphs are given', () => {
+    const store = load(':a :p "one".')
+    store.add(ex('a'), ex('p'), literal('elsewhere'), namedNode('https://example.com/test/meta'))
+    const edited = load(':a :p "two".')
+    const { deletions } = diff(store, edited, doc)
+    expect(deletions.map(st => st.object.value)).to.eql(['one'])
+  })
+})
@@ -0,0 +1,244 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import IndexedFormula from '../../src/store'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+import Entailment, { inferenceGraphURI, rdfsRules } from '../../src/entailment'
+
+describe('RDFS entailment', () => {
+  const { namedNode, literal } = DataFactory
+  const ex = name => namedNode('http://example.org/#' + name)
+  const RDFS = name => namedNode('http://www.w3.org/2000/01/rdf-schema#' + name)
+  const type = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type')
+  const doc = namedNode('http://example.org/')
+  const inferences = namedNode(inferenceGraphURI)
+
+  function newStore (opts) {
+    return new IndexedFormula(['RDFS'], opts)
+  }
+
+  it('is not done without the feature', () => {
+    const store = new IndexedFormula()
+    store.add(ex('Cat'), RDFS('subClassOf'), ex('Animal'), doc)
+    store.add(ex('tom'), type, ex('Cat'), doc)
+    expect(store.holds(ex('tom'), type, ex('Animal'))).to.be.false()
+  })
+
+  it('infers the types of instances of subclasses into the inference graph', () => {
+    const store = newStore()
+    store.add(ex('Cat'), RDFS('subClassOf'), ex('Mammal'), doc)
+    store.add(ex('Mammal'), RDFS('subClassOf'), ex('Animal'), doc)
+    store.add(ex('tom'), type, ex('Cat'), doc)
+    expect(store.holds(ex('Cat'), RDFS('subClassOf'), ex('Animal'), inferences)).to.be.true()
+    expect(store.holds(ex('tom'), type, ex('Mammal'), inferences)).to.be.true()
+    expect(store.holds(ex('tom'), type, ex('Animal'), inferences)).to.be.true()
+    expect(store.each(ex('tom'), type).map(t => t.value)).to.have.members([
+      ex('Cat').value, ex('Mammal').value, ex('Animal').value
+    ])
+  })
+
+  it('infers from data already in the store when attached', () => {
+    const store = new IndexedFormula()
+    store.add(ex('Cat'), RDFS('subClassOf'), ex('Animal'), doc)
+    store.add(ex('tom'), type, ex('Cat'), doc)
+    const entailment = new Entailment(store, inferences, rdfsRules(DataFactory))
+    expect(store.holds(ex('tom'), type, ex('Animal'), inferences)).to.be.true()
+    entailment.detach()
+    store.add(ex('felix'), type, ex('Cat'), doc)
+    expect(store.holds(ex('felix'), type, ex('Animal'))).to.be.false()
+  })
+
+  it('infers by subPropertyOf, domain and range', () => {
+    const store = newStore()
+    store.add(ex('mother'), RDFS('subPropertyOf'), ex('parent'), doc)
+    store.add(ex('parent'), RDFS('domain'), ex('Person'), doc)
+    store.add(ex('parent'), RDFS('range'), ex('Person'), doc)
+    store.add(ex('alice'), ex('mother'), ex('carol'), doc)
+    expect(store.holds(ex('alice'), ex('parent'), ex('carol'), inferences)).to.be.true()
+    expect(store.holds(ex('alice'), type, ex('Person'), inferences)).to.be.true()
+    expect(store.holds(ex('carol'), type, ex('Person'), inferences)).to.be.true()
+  })
+
+  it('does not give literals types', () => {
+    const store = newStore()
+    store.add(ex('name'), RDFS('range'), ex('Name'), doc)
+    store.add(ex('alice'), ex('name'), literal('Alice'), doc)
+    expect(store.statementsMatching(null, type, ex('Name'))).to.have.length(0)
+  })
+
+  it('does not infer what is already asserted', () => {
+    const store = newStore()
+    store.add(ex('tom'), type, ex('Animal'), doc)
+    store.add(ex('Cat'), RDFS('subClassOf'), ex('Animal'), doc)
+    store.add(ex('tom'), type, ex('Cat'), doc)
+    expect(store.statementsMatching(ex('tom'), type, ex('Animal'))).to.have.length(1)
+    expect(store.holds(ex('tom'), type, ex('Animal'), inferences)).to.be.false()
+  })
+
+  it('infers a triple again when the asserted copy is removed', () => {
+    const store = newStore()
+    store.add(ex('tom'), type, ex('Animal'), doc)
+    store.add(ex('Cat'), RDFS('subClassOf'), ex('Animal'), doc)
+    store.add(ex('tom'), type, ex('Cat'), doc)
+    store.removeMatches(ex('tom'), type, ex('Animal'), doc)
+    expect(store.holds(ex('tom'), type, ex('Animal'), inferences)).to.be.true()
+  })
+
+  it('retracts inferences when their premises are removed', () => {
+    const store = newStore()
+    store.add(ex('Cat'), RDFS('subClassOf'), ex('Mammal'), doc)
+    store.add(ex('Mammal'), RDFS('subClassOf'), ex('Animal'), doc)
+    store.add(ex('tom'), type, ex('Cat'), doc)
+    store.removeMatches(ex('Mammal'), RDFS('subClassOf'), ex('Animal'), doc)
+    expect(store.holds(ex('tom'), type, ex('Mammal'))).to.be.true()
+    expect(store.holds(ex('tom'), type, ex('Animal'))).to.be.false()
+    expect(store.holds(ex('Cat'), RDFS('subClassOf'), ex('Animal'))).to.be.false()
+  })
+
+  it('keeps inferences which still follow another way', () => {
+    const store = newStore()
+    store.add(ex('Cat'), RDFS('subClassOf'), ex('Animal'), doc)
+    store.add(ex('Pet'), RDFS('subClassOf'), ex('Animal'), doc)
+    store.add(ex('tom'), type, ex('Cat'), doc)
+    store.add(ex('tom'), type, ex('Pet'), doc)
+    store.removeMatches(ex('tom'), type, ex('Cat'), doc)
+    expect(store.holds(ex('tom'), type, ex('Animal'), inferences)).to.be.true()
+  })
+
+  it('retracts inferences from cycles of subclasses', () => {
+    const store = newStore()
+    store.add(ex('A'), RDFS('subClassOf'), ex('B'), doc)
+    store.add(ex('B'), RDFS('subClassOf'), ex('A'), doc)
+    store.add(ex('x'), type, ex('A'), doc)
+    expect(store.holds(ex('x'), type, ex('B'))).to.be.true()
+    store.removeMatches(ex('B'), RDFS('subClassOf'), ex('A'), doc)
+    expect(store.holds(ex('x'), type, ex('B'))).to.be.true()
+    store.removeMatches(ex('A'), RDFS('subClassOf'), ex('B'), doc)
+    expect(store.holds(ex('x'), type, ex('B'))).to.be.false()
+    expect(store.statementsMatching(null, null, null, inferences)).to.have.length(0)
+  })
+
+  it('uses the inference graph given in the options', () => {
+    const graph = ex('inferred')
+    const store = newStore({ inferenceGraph: graph })
+    store.add(ex('Cat'), RDFS('subClassOf'), ex('Animal'), doc)
+    store.add(ex('tom'), type, ex('Cat'), doc)
+    expect(store.holds(ex('tom'), type, ex('Animal'), graph)).to.be.true()
+    expect(store.entailment.isInferred(store.anyStatementMatching(ex('tom'), type, ex('Animal')))).to.be.true()
+  })
+})
+
+describe('OWL entailment', () => {
+  const { namedNode } = DataFactory
+  const ex = name => namedNode('http://example.org/#' + name)
+  const OWL = name => namedNode('http://www.w3.org/2002/07/owl#' + name)
+  const type = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type')
+  const doc = namedNode('http://example.org/')
+  const inferences = namedNode(inferenceGraphURI)
+  const values = nodes => nodes.map(node => node.value)
+
+  it('infers inverses', () => {
+    const store = new IndexedFormula(['inverseOf'])
+    store.add(ex('parent'), OWL('inverseOf'), ex('child'), doc)
+    store.add(ex('alice'), ex('parent'), ex('bob'), doc)
+    store.add(ex('dave'), ex('child'), ex('carol'), doc)
+    expect(values(store.each(ex('bob'), ex('child')))).to.eql([ex('alice').value])
+    expect(values(store.each(ex('carol'), ex('parent')))).to.eql([ex('dave').value])
+    expect(store.holds(ex('bob'), ex('child'), ex('alice'), inferences)).to.be.true()
+    expect(store.statementsMatching(null, null, null, inferences)).to.have.length(2)
+  })
+
+  it('infers from statements added before the schema', () => {
+    const store = new IndexedFormula(['inverseOf', 'SymmetricProperty'])
+    store.add(ex('alice'), ex('parent'), ex('bob'), doc)
+    store.add(ex('alice'), ex('knows'), ex('carol'), doc)
+    store.add(ex('parent'), OWL('inverseOf'), ex('child'), doc)
+    store.add(ex('knows'), type, OWL('SymmetricProperty'), doc)
+    expect(store.holds(ex('bob'), ex('child'), ex('alice'))).to.be.true()
+    expect(store.holds(ex('carol'), ex('knows'), ex('alice'))).to.be.true()
+  })
+
+  it('infers symmetric statements once', () => {
+    const store = new IndexedFormula(['SymmetricProperty'])
+    store.add(ex('knows'), type, OWL('SymmetricProperty'), doc)
+    store.add(ex('knows'), type, OWL('SymmetricProperty'), ex('other'))
+    store.add(ex('alice'), ex('knows'), ex('bob'), doc)
+    expect(values(store.each(ex('bob'), ex('knows')))).to.eql([ex('alice').value])
+    expect(store.statementsMatching(null, ex('knows'))).to.have.length(2)
+    expect(store.holds(ex('alice'), ex('knows'), ex('alice'))).to.be.false()
+  })
+
+  it('infers the transitive closure', () => {
+    const store = new IndexedFormula(['TransitiveProperty'])
+    store.add(ex('partOf'), type, OWL('TransitiveProperty'), doc)
+    store.add(ex('a'), ex('partOf'), ex('b'), doc)
+    store.add(ex('c'), ex('partOf'), ex('d'), doc)
+    store.add(ex('b'), ex('partOf'), ex('c'), doc)
+    expect(values(store.each(ex('a'), ex('partOf')))).to.have.members(values([ex('b'), ex('c'), ex('d')]))
+    expect(values(store.each(null, ex('partOf'), ex('d')))).to.have.members(values([ex('a'), ex('b'), ex('c')]))
+  })
+
+  it('infers by equivalent classes and properties', () => {
+    const store = new IndexedFormula(['equivalentClass', 'equivalentProperty'])
+    store.add(ex('Person'), OWL('equivalentClass'), ex('Human'), doc)
+    store.add(ex('name'), OWL('equivalentProperty'), ex('label'), doc)
+    store.add(ex('alice'), type, ex('Human'), doc)
+    store.add(ex('alice'), ex('name'), ex('Alice'), doc)
+    expect(store.holds(ex('alice'), type, ex('Person'), inferences)).to.be.true()
+    expect(store.holds(ex('alice'), ex('label'), ex('Alice'), inferences)).to.be.true()
+    expect(store.statementsMatching(null, null, null, inferences)).to.have.length(2)
+  })
+
+  it('retracts inferences when their premises are removed', () => {
+    const store = new IndexedFormula(['inverseOf', 'SymmetricProperty', 'TransitiveProperty'])
+    store.add(ex('parent'), OWL('inverseOf'), ex('child'), doc)
+    store.add(ex('knows'), type, OWL('SymmetricProperty'), doc)
+    store.add(ex('partOf'), type, OWL('TransitiveProperty'), doc)
+    store.add(ex('alice'), ex('parent'), ex('bob'), doc)
+    store.add(ex('alice'), ex('knows'), ex('carol'), doc)
+    store.add(ex('a'), ex('partOf'), ex('b'), doc)
+    store.add(ex('b'), ex('partOf'), ex('c'), doc)
+    store.add(ex('c'), ex('partOf'), ex('d'), doc)
+
+    store.removeMatches(ex('alice'), ex('parent'), ex('bob'))
+    expect(store.each(ex('bob'), ex('child'))).to.have.length(0)
+    store.removeMatches(ex('alice'), ex('knows'), ex('carol'))
+    expect(store.each(ex('carol'), ex('knows'))).to.have.length(0)
+    store.removeMatches(ex('b'), ex('partOf'), ex('c'))
+    expect(values(store.each(ex('a'), ex('partOf')))).to.eql([ex('b').value])
+    expect(values(store.each(ex('b'), ex('partOf')))).to.eql([])
+  })
+
+  it('retracts inferences when the schema is removed', () => {
+    const store = new IndexedFormula(['SymmetricProperty', 'equivalentClass'])
+    store.add(ex('knows'), type, OWL('SymmetricProperty'), doc)
+    store.add(ex('Person'), OWL('equivalentClass'), ex('Human'), doc)
+    store.add(ex('alice'), ex('knows'), ex('bob'), doc)
+    store.add(ex('alice'), type, ex('Human'), doc)
+    store.removeMatches(ex('knows'), type, OWL('SymmetricProperty'))
+    store.removeMatches(ex('Person'), OWL('equivalentClass'), ex('Human'))
+    expect(store.statementsMatching(null, null, null, inferences)).to.have.length(0)
+    store.add(ex('carol'), ex('knows'), ex('dave'), doc)
+    store.add(ex('carol'), type, ex('Person'), doc)
+    expect(store.statementsMatching(null, null, null, inferences)).to.have.length(0)
+  })
+
+  it('keeps inferences which still follow another way', () => {
+    const store = new IndexedFormula(['inverseOf', 'equivalentProperty'])
+    store.add(ex('parent'), OWL('inverseOf'), ex('child'), doc)
+    store.add(ex('mother'), OWL('equivalentProperty'), ex('parent'), doc)
+    store.add(ex('alice'), ex('parent'), ex('bob'), doc)
+    store.add(ex('alice'), ex('mother'), ex('bob'), doc)
+    store.removeMatches(ex('alice'), ex('parent'), ex('bob'), doc)
+    expect(store.holds(ex('alice'), ex('parent'), ex('bob'), inferences)).to.be.true()
+    expect(store.holds(ex('bob'), ex('child'), ex('alice'), inferences)).to.be.true()
+  })
+
+  it('works together with RDFS', () => {
+    const store = new IndexedFormula(['RDFS', 'equivalentClass'])
+    store.add(ex('Person'), OWL('equivalentClass'), ex('Human'), doc)
+    store.add(ex('Person'), namedNode('http://www.w3.org/2000/01/rdf-schema#subClassOf'), ex('Agent'), doc)
+    store.add(ex('alice'), type, ex('Human'), doc)
+    expect(store.holds(ex('alice'), type, ex('Agent'), inferences)).to.be.true()
+  })
+})
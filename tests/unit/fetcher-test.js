@@ -566,6 +566,111 @@ describe('Fetcher', () => {
     })
   })
 
+  describe('memory budget', () => {
+    let fetcher, kb
+    const doc = name => 'https://example.com/budget/' + name + '.ttl'
+    const turtle = n => Array.from({ length: n }, (_, i) => `<#s${i}> <#p> ${i} .`).join('\n')
+
+    function serve (name, n) {
+      nock('https://example.com').get('/budget/' + name + '.ttl')
+        .reply(200, turtle(n), { 'Content-Type': 'text/turtle' })
+    }
+
+    function loaded (name) {
+      return kb.holds(null, null, null, kb.sym(doc(name)))
+    }
+
+    beforeEach(() => {
+      kb = rdf.graph()
+      fetcher = new Fetcher(kb, { memoryBudget: 5 })
+      serve('a', 2)
+      serve('b', 2)
+      serve('c', 2)
+    })
+
+    afterEach(() => {
+      nock.cleanAll()
+    })
+
+    it('unloads the least recently used documents when over budget', () => {
+      return fetcher.load(doc('a'))
+        .then(() => fetcher.load(doc('b')))
+        .then(() => fetcher.load(doc('a'))) // Already loaded, but used
+        .then(() => fetcher.load(doc('c')))
+        .then(() => {
+          expect(loaded('a')).to.be.true()
+          expect(loaded('b')).to.be.false()
+          expect(loaded('c')).to.be.true()
+          expect(fetcher.getState(doc('b'))).to.equal('unrequested')
+          expect(Array.from(fetcher.recentlyUsed.keys())).to.eql([doc('a'), doc('c')])
+          serve('b', 2)
+          return fetcher.load(doc('b'))
+        })
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(loaded('b')).to.be.true()
+          expect(loaded('a')).to.be.false() // Fetched again, then a was the least recently used
+        })
+    })
+
+    it('counts the statements of each document once, as it is loaded', () => {
+      return fetcher.load(doc('a'))
+        .then(() => fetcher.load(doc('b')))
+        .then(() => {
+          expect(Array.from(fetcher.recentlyUsed.values())).to.eql([2, 2])
+          fetcher.touch(doc('a')) // Used since it was loaded
+          sinon.spy(kb, 'statementsMatching')
+          return fetcher.load(doc('c'))
+        })
+        .then(() => {
+          const counted = kb.statementsMatching.args.map(args => args[3] && args[3].value)
+          expect(counted).to.not.include(doc('a'))
+          expect(loaded('a')).to.be.true()
+          expect(loaded('b')).to.be.false()
+          expect(Array.from(fetcher.recentlyUsed.entries())).to.eql([[doc('a'), 2], [doc('c'), 2]])
+        })
+    })
+
+    it('keeps the document loaded last even if it alone is over budget', () => {
+      serve('big', 8)
+      return fetcher.load(doc('a'))
+        .then(() => fetcher.load(doc('big')))
+        .then(() => {
+          expect(loaded('a')).to.be.false()
+          expect(loaded('big')).to.be.true()
+        })
+    })
+
+    it('never unloads documents with pending patches or subscriptions', () => {
+      const updater = new rdf.UpdateManager(kb)
+      return fetcher.load(doc('a'))
+        .then(() => fetcher.load(doc('b')))
+        .then(() => {
+          updater.patchControlFor(kb.sym(doc('a'))).pendingUpstream = 1
+          updater.addDownstreamChangeListener(kb.sym(doc('b')), () => {})
+          expect(fetcher.isPinned(doc('a'))).to.be.true()
+          expect(fetcher.isPinned(doc('b'))).to.be.true()
+          return fetcher.load(doc('c'))
+        })
+        .then(() => {
+          expect(loaded('a')).to.be.true()
+          expect(loaded('b')).to.be.true()
+          updater.patchControlFor(kb.sym(doc('a'))).pendingUpstream = 0
+          expect(fetcher.evict()).to.eql([doc('a')])
+          expect(loaded('a')).to.be.false()
+        })
+    })
+
+    it('keeps everything without a budget', () => {
+      fetcher.memoryBudget = undefined
+      return fetcher.load([doc('a'), doc('b'), doc('c')])
+        .then(() => {
+          expect(loaded('a') && loaded('b') && loaded('c')).to.be.true()
+          expect(fetcher.evict()).to.eql([])
+        })
+    })
+  })
+
   describe('createContainer', () => {
     it('should invoke webOperation with the right options')
   })
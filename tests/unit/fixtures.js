@@ -0,0 +1,33 @@
+/* Fixtures shared by the unit tests of stores
+ *
+ * A document, the terms of its namespace, and a loader of RDF text into a
+ * store, as the graph of the document unless another is given.
+ */
+import IndexedFormula from '../../src/store'
+import parse from '../../src/parse'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+export const doc = DataFactory.namedNode('https://example.com/test/doc')
+
+export const ex = name => DataFactory.namedNode(doc.value + '#' + name)
+
+/** The prefixes which Turtle and N3 loaded have, with ':' for the terms of ex */
+export const prefixes = `@prefix : <${doc.value}#>.
+@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>.
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#>.
+@prefix owl: <http://www.w3.org/2002/07/owl#>.
+@prefix sh: <http://www.w3.org/ns/shacl#>.
+`
+
+/**
+ * Parses RDF text into a store
+ * @param text - Turtle, or text of the content type given
+ * @param options - The store, a new one unless given, the graph, and the content type
+ * @returns The store
+ */
+export function load (text, { store = new IndexedFormula(), graph = doc, contentType = 'text/turtle' } = {}) {
+  const withPrefixes = contentType === 'text/turtle' || contentType === 'text/n3'
+  parse(withPrefixes ? prefixes + text : text, store, graph.value, contentType)
+  return store
+}
@@ -98,6 +98,322 @@ describe('IndexedFormula', () => {
     })
   })
 
+  describe('composite indexes', () => {
+    it ('are not kept by default', () => {
+      const store = new IndexedFormula()
+      expect(store.compositeIndex).to.eql({})
+    })
+
+    it ('can all be enabled', () => {
+      const store = new IndexedFormula(undefined, { compositeIndexes: true })
+      expect(Object.keys(store.compositeIndex).sort()).to.eql(['OG', 'OS', 'PG', 'PO', 'SG', 'SP'])
+    })
+
+    it ('rejects unknown index names', () => {
+      expect(() => new IndexedFormula(undefined, { compositeIndexes: ['XY'] })).to.throw('XY')
+    })
+
+    it ('are kept up to date by add and remove', () => {
+      const store = new IndexedFormula(undefined, { compositeIndexes: ['SP', 'PO'] })
+      store.add([triple1, triple4])
+      const id = term => store.rdfFactory.id(term)
+
+      expect(store.compositeIndex.SP[id(s1)][id(p1)]).to.have.length(1)
+      expect(store.compositeIndex.SP[id(s1)][id(p2)]).to.have.length(1)
+      expect(store.compositeIndex.PO[id(p2)][id(o3)]).to.have.length(1)
+
+      store.remove(triple4)
+      expect(store.compositeIndex.SP[id(s1)][id(p2)]).to.have.length(0)
+      expect(store.compositeIndex.PO[id(p2)][id(o3)]).to.have.length(0)
+    })
+
+    it ('give the same matches as the single indexes', () => {
+      const plain = new IndexedFormula()
+      const indexed = new IndexedFormula(undefined, { compositeIndexes: true })
+      const triples = [ triple1, triple2, triple3, triple4 ]
+      plain.addAll(triples)
+      indexed.addAll(triples)
+      const patterns = [
+        [s1, p2, null, null],
+        [null, p2, o3, null],
+        [s1, null, o1, null],
+        [s1, p1, o1, null],
+        [s1, null, null, plain.rdfFactory.defaultGraph()],
+        [s2, p1, null, null]
+      ]
+      patterns.forEach(([s, p, o, g]) => {
+        expect(indexed.statementsMatching(s, p, o, g)).to.eql(plain.statementsMatching(s, p, o, g))
+      })
+    })
+
+    it ('follow smushed nodes', () => {
+      const store = new IndexedFormula(undefined, { compositeIndexes: ['SP'] })
+      store.add(s2, p1, o1)
+      store.add(s3, p1, o2)
+      store.equate(s2, s3)
+
+      expect(store.statementsMatching(s3, p1)).to.have.length(2)
+      expect(store.statementsMatching(s2, p1)).to.have.length(2)
+    })
+  })
+
+  describe('transactions', () => {
+    const sameAs = NamedNode.fromValue('http://www.w3.org/2002/07/owl#sameAs')
+
+    it ('keeps the changes on commit', () => {
+      const store = new IndexedFormula()
+      store.add(triple1)
+      store.begin()
+      expect(store.inTransaction).to.be.true()
+      store.add(triple2)
+      store.remove(triple1)
+      store.commit()
+
+      expect(store.inTransaction).to.be.false()
+      expect(store.holds(triple1)).to.be.false()
+      expect(store.holds(triple2)).to.be.true()
+    })
+
+    it ('restores the store on rollback', () => {
+      const store = new IndexedFormula(undefined, { compositeIndexes: true })
+      store.add([triple1, triple2])
+      const statements = store.statements
+      store.begin()
+      store.add(triple3)
+      store.remove(triple1)
+      expect(store.holds(triple3)).to.be.true()
+      store.rollback()
+
+      expect(store.statements).to.equal(statements)
+      expect(store.statements).to.eql([triple1, triple2])
+      expect(store.holds(triple3)).to.be.false()
+      expect(store.subjectIndex[store.rdfFactory.id(s3)]).to.be.undefined()
+      expect(store.match(s1, p1)).to.have.length(1)
+      expect(store.match(null, p3, o3)).to.have.length(0)
+    })
+
+    it ('puts removed statements back where they were on rollback', () => {
+      const store = new IndexedFormula(undefined, { compositeIndexes: true })
+      store.add([triple1, triple4, triple2, triple3])
+      const bySubject = store.subjectIndex[store.rdfFactory.id(s1)]
+      store.begin()
+      store.remove(triple4)
+      store.add(s1, p3, o1)
+      store.remove(triple2)
+      store.add(triple4)
+      store.rollback()
+
+      expect(store.statements).to.eql([triple1, triple4, triple2, triple3])
+      expect(store.subjectIndex[store.rdfFactory.id(s1)]).to.equal(bySubject)
+      expect(bySubject).to.eql([triple1, triple4])
+      expect(store.match(s1, p3)).to.have.length(0)
+    })
+
+    it ('undoes smushing on rollback', () => {
+      const store = new IndexedFormula()
+      store.add(s2, p1, o1)
+      store.add(s3, p2, o2)
+      store.begin()
+      store.add(s2, sameAs, s3)
+      expect(store.sameThings(s2, s3)).to.be.true()
+      store.rollback()
+
+      expect(store.sameThings(s2, s3)).to.be.false()
+      expect(store.redirections).to.eql([])
+      expect(store.aliases).to.eql([])
+      expect(store.statements).to.have.length(2)
+      expect(store.match(s2)).to.have.length(1)
+      expect(store.match(s3)).to.have.length(1)
+    })
+
+    it ('calls the data callbacks only on commit', () => {
+      const added = []
+      const store = new IndexedFormula(undefined, { dataCallback: st => added.push(st) })
+      store.begin()
+      store.add(triple1)
+      store.add(triple2)
+      store.remove(triple2)
+      expect(added).to.have.length(0)
+      store.commit()
+
+      expect(added).to.have.length(1)
+      expect(added[0].subject).to.eq(s1)
+    })
+
+    it ('does not call the data callbacks on rollback', () => {
+      const added = []
+      const store = new IndexedFormula(undefined, { dataCallback: st => added.push(st) })
+      store.begin()
+      store.add(triple1)
+      store.rollback()
+
+      expect(added).to.have.length(0)
+    })
+
+    it ('does not nest', () => {
+      const store = new IndexedFormula()
+      store.begin()
+      expect(() => store.begin()).to.throw('already in progress')
+      expect(() => new IndexedFormula().commit()).to.throw('No transaction')
+      expect(() => new IndexedFormula().rollback()).to.throw('No transaction')
+    })
+
+    describe('transaction()', () => {
+      it ('commits when the function returns', () => {
+        const store = new IndexedFormula()
+        const result = store.transaction(kb => {
+          kb.add(triple1)
+          return 42
+        })
+
+        expect(result).to.eq(42)
+        expect(store.inTransaction).to.be.false()
+        expect(store.holds(triple1)).to.be.true()
+      })
+
+      it ('rolls back when the function throws', () => {
+        const store = new IndexedFormula()
+        store.add(triple1)
+        expect(() => store.transaction(kb => {
+          kb.add(triple2)
+          kb.remove(triple3) // not in the store
+        })).to.throw('not on store')
+
+        expect(store.inTransaction).to.be.false()
+        expect(store.statements).to.eql([triple1])
+      })
+
+      it ('waits for a returned promise', async () => {
+        const store = new IndexedFormula()
+        await store.transaction(async kb => {
+          kb.add(triple1)
+        })
+        expect(store.holds(triple1)).to.be.true()
+
+        try {
+          await store.transaction(async kb => {
+            kb.add(triple2)
+            throw new Error('invalid')
+          })
+          expect(true).to.be.false()
+        } catch (e) {
+          expect(e.message).to.eq('invalid')
+        }
+        expect(store.inTransaction).to.be.false()
+        expect(store.holds(triple2)).to.be.false()
+      })
+    })
+  })
+
+  describe('events', () => {
+    const sameAs = NamedNode.fromValue('http://www.w3.org/2002/07/owl#sameAs')
+
+    it ('are emitted for additions', () => {
+      const store = new IndexedFormula()
+      const added = []
+      store.on('added', st => added.push(st))
+      store.add(triple1)
+      store.add(triple1)
+
+      expect(added).to.have.length(1)
+      expect(added[0].subject).to.eq(s1)
+    })
+
+    it ('are emitted for every kind of removal', () => {
+      const store = new IndexedFormula()
+      const removed = []
+      store.on('removed', st => removed.push(st))
+      store.add(s1, p1, o1, g0)
+      store.add(s2, p2, o2, g0)
+      store.add(s3, p3, o3)
+      store.add(s1, p2, o3)
+
+      store.remove(DataFactory.quad(s1, p1, o1, g0))
+      expect(removed).to.have.length(1)
+      store.removeMatches(s1)
+      expect(removed).to.have.length(2)
+      store.removeDocument(g0)
+      expect(removed).to.have.length(3)
+      store.removeMany(s3)
+      expect(removed).to.have.length(4)
+      expect(store.statements).to.have.length(0)
+    })
+
+    it ('are emitted when nodes are merged', () => {
+      const store = new IndexedFormula()
+      const merged = []
+      store.on('merged', e => merged.push(e))
+      store.add(s2, sameAs, s3)
+
+      expect(merged).to.have.length(1)
+      expect(merged[0].from).to.eq(s3)
+      expect(merged[0].to).to.eq(s2)
+    })
+
+    it ('can be unsubscribed from', () => {
+      const store = new IndexedFormula()
+      let count = 0
+      const listener = () => count++
+      const unsubscribe = store.on('added', listener)
+      store.add(triple1)
+      unsubscribe()
+      store.add(triple2)
+      expect(count).to.eq(1)
+
+      store.on('removed', listener)
+      store.off('removed', listener)
+      store.remove(triple1)
+      expect(count).to.eq(1)
+    })
+
+    it ('can be filtered by graph', () => {
+      const store = new IndexedFormula()
+      const added = []
+      store.on('added', st => added.push(st), g0)
+      store.add(s1, p1, o1)
+      store.add(s1, p1, o1, g0)
+
+      expect(added).to.have.length(1)
+      expect(added[0].graph).to.eq(g0)
+    })
+
+    it ('can be filtered by pattern', () => {
+      const store = new IndexedFormula()
+      const added = []
+      store.on('added', st => added.push(st), { subject: s1, predicate: p2 })
+      store.add([triple1, triple2, triple4])
+
+      expect(added).to.have.length(1)
+      expect(added[0].object).to.eq(o3)
+    })
+
+    it ('are held back until a transaction is committed', () => {
+      const store = new IndexedFormula()
+      const events = []
+      store.on('added', st => events.push(['added', st]))
+      store.on('removed', st => events.push(['removed', st]))
+      store.transaction(kb => {
+        kb.add(triple1)
+        kb.add(triple2)
+        kb.remove(triple1)
+        expect(events).to.have.length(0)
+      })
+
+      expect(events.map(e => e[0])).to.eql(['added', 'added', 'removed'])
+    })
+
+    it ('are dropped when a transaction is rolled back', () => {
+      const store = new IndexedFormula()
+      let count = 0
+      store.on('added', () => count++)
+      store.begin()
+      store.add(triple1)
+      store.rollback()
+
+      expect(count).to.eq(0)
+    })
+  })
+
   describe('addStatement', () => {
     it ('is not inherited', () => {
       const store = new IndexedFormula()
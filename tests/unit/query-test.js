@@ -373,3 +373,33 @@ describe('Synchronous Query', () => {
 
   })
 })
+
+describe('SPARQL queries on a store with a fetcher', () => {
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it('follows links to the documents of the terms matched', done => {
+    const kb = rdf.graph()
+    const fetcher = new rdf.Fetcher(kb)
+    const name = rdf.sym('http://xmlns.com/foaf/0.1/name')
+    const aliceDoc = rdf.sym('https://example.com/alice')
+    kb.add(rdf.sym('https://example.com/alice#i'), rdf.sym('http://xmlns.com/foaf/0.1/knows'),
+      rdf.sym('https://example.com/bob#me'), aliceDoc)
+    kb.add(rdf.sym('https://example.com/alice#i'), name, 'Alice', aliceDoc)
+    kb.add(rdf.sym('https://example.com/alice#carol'), name, 'Carol', aliceDoc)
+    fetcher.requested[aliceDoc.value] = 'done'
+    nock('https://example.com').get('/bob')
+      .reply(200, '<#me> <http://xmlns.com/foaf/0.1/name> "Bob" .', { 'Content-Type': 'text/turtle' })
+    const query = rdf.SPARQLToQuery(`SELECT ?n WHERE {
+      <https://example.com/alice#i> <http://xmlns.com/foaf/0.1/knows> ?p . ?p <http://xmlns.com/foaf/0.1/name> ?n
+    }`, true, kb)
+    const names = []
+    kb.query(query, bindings => {
+      names.push(bindings['?n'].value)
+    }, null, () => {
+      expect(names).to.eql(['Bob'])
+      done()
+    })
+  })
+})
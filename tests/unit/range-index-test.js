@@ -0,0 +1,133 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import { ex, load } from './fixtures'
+import IndexedFormula from '../../src/store'
+import SPARQLToQuery from '../../src/sparql-to-query'
+import { Query } from '../../src/query'
+import Variable from '../../src/variable'
+import { RangeConstraint, rangeValue } from '../../src/range-index'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('range index', () => {
+  const { namedNode, literal } = DataFactory
+  const xsd = name => namedNode('http://www.w3.org/2001/XMLSchema#' + name)
+  const other = namedNode('https://example.com/test/other')
+  const data = `
+    :book :price 12.5 ; :published "2019-05-01"^^xsd:date .
+    :pen :price 2 ; :published "2020-01-15T10:00:00Z"^^xsd:dateTime .
+    :lamp :price 100 ; :published "2020-01-15"^^xsd:date .
+    :desk :price "250"^^xsd:int ; :published "2021-03-01T00:00:00+02:00"^^xsd:dateTime .
+    :gift :price "free" .
+  `
+  let store
+
+  function loadData (opts = { rangeIndex: true }) {
+    return load(data, { store: new IndexedFormula(undefined, opts) })
+  }
+
+  function subjects (sts) {
+    return sts.map(st => st.subject.value.split('#')[1])
+  }
+
+  beforeEach(() => {
+    store = loadData()
+  })
+
+  it('gives the values of numeric and time literals', () => {
+    expect(rangeValue(literal('12.5', xsd('decimal')))).to.eql({ kind: 'number', value: 12.5 })
+    expect(rangeValue(literal('-INF', xsd('double')))).to.eql({ kind: 'number', value: -Infinity })
+    expect(rangeValue(literal('2020-01-15', xsd('date')))).to.eql({ kind: 'time', value: Date.UTC(2020, 0, 15) })
+    expect(rangeValue(literal('2020-01-15T10:00:00+01:00', xsd('dateTime'))).value).to.equal(Date.UTC(2020, 0, 15, 9))
+    expect(rangeValue(literal('ten', xsd('integer')))).to.be.undefined()
+    expect(rangeValue(literal('12'))).to.be.undefined()
+    expect(rangeValue(ex('a'))).to.be.undefined()
+  })
+
+  it('finds statements with values in a range, in order', () => {
+    expect(subjects(store.range(ex('price'), 2, 100))).to.eql(['pen', 'book', 'lamp'])
+    expect(subjects(store.range(ex('price'), 2, 100, { minExclusive: true, maxExclusive: true }))).to.eql(['book'])
+    expect(subjects(store.range(ex('price'), null, literal('12.5', xsd('double'))))).to.eql(['pen', 'book'])
+    expect(subjects(store.range(ex('price'), 0))).to.eql(['pen', 'book', 'lamp', 'desk'])
+    expect(subjects(store.range(ex('price')))).to.eql(['pen', 'book', 'lamp', 'desk'])
+    expect(store.range(ex('price'), literal('cheap'))).to.eql([])
+  })
+
+  it('finds dates and dateTimes in a range of times', () => {
+    const from = new Date(Date.UTC(2020, 0, 1))
+    expect(subjects(store.range(ex('published'), from))).to.eql(['lamp', 'pen', 'desk'])
+    expect(subjects(store.range(ex('published'), literal('2020-01-15', xsd('date')), literal('2020-12-31', xsd('date')))))
+      .to.eql(['lamp', 'pen'])
+    expect(store.range(ex('published'), 0, 10000000000000)).to.eql([]) // Numbers are not times
+  })
+
+  it('keeps up with statements added and removed', () => {
+    store.add(ex('cup'), ex('price'), literal('5', xsd('integer')), other)
+    store.removeMatches(ex('book'))
+    expect(subjects(store.range(ex('price'), 2, 100))).to.eql(['pen', 'cup', 'lamp'])
+    expect(subjects(store.range(ex('price'), 2, 100, { graph: other }))).to.eql(['cup'])
+    store.begin()
+    store.removeMatches(ex('pen'))
+    store.rollback()
+    expect(subjects(store.range(ex('price'), 2, 2))).to.eql(['pen'])
+  })
+
+  it('sorts statements added out of order, removed before being sorted', () => {
+    store.add(ex('mug'), ex('price'), literal('7', xsd('integer')), other)
+    store.add(ex('cup'), ex('price'), literal('5', xsd('integer')), other)
+    store.add(ex('pot'), ex('price'), literal('3', xsd('integer')), other)
+    store.removeMatches(ex('mug'))
+    expect(subjects(store.range(ex('price'), 2, 20))).to.eql(['pen', 'pot', 'cup', 'book'])
+    store.removeMatches(ex('cup'))
+    expect(subjects(store.range(ex('price'), 2, 20))).to.eql(['pen', 'pot', 'book'])
+  })
+
+  it('gives the same without the index', () => {
+    const plain = loadData({})
+    expect(plain.rangeIndex).to.be.undefined()
+    expect(subjects(plain.range(ex('price'), 2, 100))).to.eql(['pen', 'book', 'lamp'])
+    expect(subjects(plain.range(ex('published'), new Date(Date.UTC(2020, 0, 1))))).to.eql(['lamp', 'pen', 'desk'])
+    expect(subjects(plain.range(ex('price')))).to.eql(['pen', 'book', 'lamp', 'desk'])
+  })
+
+  describe('in queries', () => {
+    function results (query, kb = store) {
+      return kb.querySync(query).map(bindings => bindings['?thing'].value.split('#')[1]).sort()
+    }
+
+    it('narrows down matches by a range constraint', () => {
+      const query = new Query('cheap')
+      const thing = new Variable('thing')
+      const price = new Variable('price')
+      query.pat.add(thing, ex('price'), price)
+      query.pat.constraints[price] = new RangeConstraint(null, 20)
+      let ranged = 0
+      const range = store.range.bind(store)
+      store.range = (...args) => {
+        ranged++
+        return range(...args)
+      }
+      expect(results(query)).to.eql(['book', 'pen'])
+      expect(ranged).to.be.greaterThan(0)
+      expect(results(query, loadData({}))).to.eql(['book', 'pen'])
+    })
+
+    it('takes ranges from SPARQL FILTER comparisons', () => {
+      const query = SPARQLToQuery(`
+        PREFIX : <https://example.com/test/doc#>
+        SELECT ?thing WHERE { ?thing :price ?price . FILTER (?price >= 12.5) FILTER (?price < 250) }
+      `, false, store)
+      expect(query.pat.constraints['?price'].describe('?price')).to.equal(
+        '?price >= "12.5"^^<http://www.w3.org/2001/XMLSchema#decimal> && ?price < "250"^^<http://www.w3.org/2001/XMLSchema#integer>')
+      expect(results(query)).to.eql(['book', 'lamp'])
+    })
+
+    it('tests values of other kinds as out of range', () => {
+      const constraint = new RangeConstraint(literal('2020-01-01', xsd('date')), null)
+      expect(constraint.test(literal('2020-06-01T00:00:00Z', xsd('dateTime')))).to.be.true()
+      expect(constraint.test(literal('2019-06-01', xsd('date')))).to.be.false()
+      expect(constraint.test(literal('3000', xsd('integer')))).to.be.false()
+      expect(constraint.test(literal('2021'))).to.be.false()
+    })
+  })
+})
@@ -0,0 +1,171 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import { doc, ex, load } from './fixtures'
+import IndexedFormula from '../../src/store'
+import Statement from '../../src/statement'
+import serialize from '../../src/serialize'
+import { Query } from '../../src/query'
+import Variable from '../../src/variable'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+import CanonicalDataFactory from '../../src/factories/canonical-data-factory'
+import { isQuotedTriple, isSubject, isRDFObject } from '../../src/utils/terms'
+
+describe('RDF-star quoted triples', () => {
+  const { literal, quad } = DataFactory
+  const triple = (s, p, o) => DataFactory.triple(s, p, o)
+
+  describe('terms', () => {
+    const quoted = triple(ex('a'), ex('knows'), ex('b'))
+
+    it('are statements of term type Quad', () => {
+      expect(quoted.termType).to.equal('Quad')
+      expect(quoted.value).to.equal('')
+      expect(isQuotedTriple(quoted)).to.be.true()
+      expect(isSubject(quoted)).to.be.true()
+      expect(isRDFObject(quoted)).to.be.true()
+      expect(isQuotedTriple(ex('a'))).to.be.false()
+    })
+
+    it('compare with other terms', () => {
+      expect(quoted.equals(triple(ex('a'), ex('knows'), ex('b')))).to.be.true()
+      expect(quoted.equals(ex('a'))).to.be.false()
+      expect(ex('a').equals(quoted)).to.be.false()
+      expect(quoted.compareTerm(triple(ex('a'), ex('knows'), ex('c')))).to.equal(-1)
+      expect(ex('a').compareTerm(quoted)).to.equal(-1)
+    })
+
+    it('have ids and N-Triples-star forms', () => {
+      const st = quad(quoted, ex('source'), ex('web'), doc)
+      expect(CanonicalDataFactory.termToNQ(quoted)).to.equal(
+        '<< <https://example.com/test/doc#a> <https://example.com/test/doc#knows> <https://example.com/test/doc#b> >>')
+      expect(st.toNT()).to.equal(
+        '<< <https://example.com/test/doc#a> <https://example.com/test/doc#knows> <https://example.com/test/doc#b> >>' +
+        ' <https://example.com/test/doc#source> <https://example.com/test/doc#web> .')
+      expect(CanonicalDataFactory.id(quoted)).to.equal(CanonicalDataFactory.id(triple(ex('a'), ex('knows'), ex('b'))))
+      expect(CanonicalDataFactory.id(quoted)).not.to.equal(CanonicalDataFactory.id(triple(ex('a'), ex('knows'), ex('c'))))
+    })
+  })
+
+  describe('in a store', () => {
+    let store
+    beforeEach(() => {
+      store = load(`
+        << :a :knows :b >> :source :web ; :confidence 0.8 .
+        << :a :knows :c >> :source :book .
+        :d :says << :a :knows << :b :knows :c >> >> .
+      `)
+    })
+
+    it('are indexed as subjects and objects', () => {
+      const about = store.statementsMatching(triple(ex('a'), ex('knows'), ex('b')))
+      expect(about).to.have.length(2)
+      expect(store.any(triple(ex('a'), ex('knows'), ex('c')), ex('source')).equals(ex('book'))).to.be.true()
+      expect(store.holds(ex('d'), ex('says'), triple(ex('a'), ex('knows'), triple(ex('b'), ex('knows'), ex('c'))))).to.be.true()
+      expect(store.holds(ex('a'), ex('knows'), ex('b'))).to.be.false() // Quoted, not asserted
+    })
+
+    it('are the same whatever graph the statement was in', () => {
+      const asserted = quad(ex('a'), ex('knows'), ex('b'), doc)
+      expect(store.any(asserted, ex('source')).equals(ex('web'))).to.be.true()
+      store.add(quad(ex('e'), ex('knows'), ex('f'), doc), ex('source'), ex('web'), doc)
+      const st = store.statementsMatching(null, null, ex('web')).filter(st => st.subject.subject.equals(ex('e')))[0]
+      expect(st.subject.graph.equals(DataFactory.defaultGraph())).to.be.true()
+    })
+
+    it('match patterns with variables inside quoted triples', () => {
+      const x = new Variable('x')
+      const y = new Variable('y')
+      expect(store.statementsMatching(triple(ex('a'), ex('knows'), x), ex('source'))).to.have.length(2)
+      expect(store.each(triple(x, ex('knows'), ex('c')), ex('source'))).to.have.length(1)
+      expect(store.statementsMatching(triple(x, ex('knows'), x))).to.have.length(0)
+      expect(store.each(ex('d'), ex('says'), triple(ex('a'), ex('knows'), triple(x, y, ex('c'))))).to.have.length(1)
+      expect(store.statementsMatching(triple(x, ex('knows'), y), null, null, null, true)).to.have.length(1)
+    })
+
+    it('are removed as other terms', () => {
+      store.removeMatches(triple(ex('a'), ex('knows'), ex('b')))
+      expect(store.statementsMatching(triple(ex('a'), ex('knows'), new Variable('x')))).to.have.length(1)
+      expect(store.length).to.equal(2)
+    })
+
+    it('bind variables inside quoted triples in queries', () => {
+      const query = new Query('sources')
+      const who = new Variable('who')
+      const source = new Variable('source')
+      query.pat.add(triple(ex('a'), ex('knows'), who), ex('source'), source)
+      const results = store.querySync(query)
+        .map(bindings => bindings['?who'].value + ' ' + bindings['?source'].value)
+        .sort()
+      expect(results).to.eql([
+        ex('b').value + ' ' + ex('web').value,
+        ex('c').value + ' ' + ex('book').value
+      ])
+    })
+
+    it('are kept in compact storage', () => {
+      const compact = load(`
+        << :a :knows _:b >> :source :web .
+      `, { store: new IndexedFormula(undefined, { compact: true }) })
+      const st = compact.statementsMatching(null, ex('source'))[0]
+      expect(st.subject).to.be.an.instanceof(Statement)
+      expect(st.subject.object.termType).to.equal('BlankNode')
+      expect(compact.holds(triple(ex('a'), ex('knows'), st.subject.object), ex('source'), ex('web'))).to.be.true()
+    })
+  })
+
+  describe('Turtle-star and N-Triples-star', () => {
+    it('parse annotations as statements about the asserted triple', () => {
+      const store = load(':a :knows :b {| :source :web ; :since 2020 |}, :c .')
+      expect(store.holds(ex('a'), ex('knows'), ex('b'))).to.be.true()
+      expect(store.holds(ex('a'), ex('knows'), ex('c'))).to.be.true()
+      expect(store.any(triple(ex('a'), ex('knows'), ex('b')), ex('since')).value).to.equal('2020')
+      expect(store.statementsMatching(triple(ex('a'), ex('knows'), ex('c')))).to.have.length(0)
+    })
+
+    it('parse literals and blank nodes in quoted triples', () => {
+      const store = load('<< _:x :name "X"@en >> :source [ :name "Y" ] .')
+      const st = store.statementsMatching(null, ex('source'))[0]
+      expect(st.subject.subject.termType).to.equal('BlankNode')
+      expect(st.subject.object.equals(literal('X', 'en'))).to.be.true()
+      expect(store.any(st.object, ex('name')).value).to.equal('Y')
+    })
+
+    it('reports a quoted triple left open', () => {
+      expect(() => load('<< :a :knows :b :source :web .')).to.throw("'>>' expected")
+    })
+
+    it('parse N-Triples-star', () => {
+      const store = load('<< <https://example.com/a> <https://example.com/p> "o" >> <https://example.com/q> _:b .\n',
+        { contentType: 'application/n-triples' })
+      expect(store.length).to.equal(1)
+      expect(store.statements[0].subject.object.value).to.equal('o')
+    })
+
+    it('round-trip through Turtle-star', () => {
+      const store = load(`
+        << :a :knows :b >> :source :web .
+        :d :says << _:e :knows << :b :knows "C" >> >> .
+        _:e :name "E" .
+      `)
+      const text = serialize(doc, store, doc.value, 'text/turtle')
+      expect(text).to.include('<< :a :knows :b >> :source :web')
+      const again = load(text)
+      expect(again.length).to.equal(store.length)
+      const said = again.any(ex('d'), ex('says'))
+      expect(said.object.object.equals(literal('C'))).to.be.true()
+      expect(again.any(said.subject, ex('name')).value).to.equal('E')
+    })
+
+    it('round-trip through N-Triples-star', () => {
+      const store = load('<< :a :knows :b >> :source << :c :knows :d >> .')
+      const text = serialize(doc, store, doc.value, 'application/n-triples')
+      expect(text).to.equal(
+        '<< <https://example.com/test/doc#a> <https://example.com/test/doc#knows> <https://example.com/test/doc#b> >> ' +
+        '<https://example.com/test/doc#source> ' +
+        '<< <https://example.com/test/doc#c> <https://example.com/test/doc#knows> <https://example.com/test/doc#d> >> .\n')
+      const again = load(text, { contentType: 'application/n-triples' })
+      expect(again.holds(store.statements[0].subject, ex('source'), store.statements[0].object)).to.be.true()
+    })
+  })
+})
@@ -0,0 +1,143 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import IndexedFormula from '../../src/store'
+import parse from '../../src/parse'
+import Reasoner from '../../src/reasoner'
+import Fetcher from '../../src/fetcher'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+import { inferenceGraphURI } from '../../src/entailment'
+
+describe('Reasoner', () => {
+  const { namedNode, literal } = DataFactory
+  const ex = name => namedNode('http://example.org/#' + name)
+  const type = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type')
+  const base = 'http://example.org/rules'
+  const prefixes = '@prefix : <http://example.org/#>.\n'
+
+  function load (n3) {
+    const store = new IndexedFormula()
+    parse(prefixes + n3, store, base, 'text/n3')
+    return store
+  }
+
+  it('finds the rules in the store', () => {
+    const store = load(`
+      { ?x a :Man } => { ?x a :Mortal }.
+      :socrates a :Man.`)
+    const rules = new Reasoner(store).rules()
+    expect(rules).to.have.length(1)
+    expect(rules[0].antecedent.statements).to.have.length(1)
+    expect(rules[0].consequent.statements[0].object.equals(ex('Mortal'))).to.be.true()
+  })
+
+  it('asserts the consequents into the inference graph', () => {
+    const store = load(`
+      { ?x a :Man } => { ?x a :Mortal }.
+      :socrates a :Man.
+      :plato a :Man.`)
+    const result = new Reasoner(store).run()
+    expect(result.fixpoint).to.be.true()
+    expect(result.added).to.have.length(2)
+    expect(store.holds(ex('socrates'), type, ex('Mortal'), namedNode(inferenceGraphURI))).to.be.true()
+    expect(store.holds(ex('plato'), type, ex('Mortal'), namedNode(inferenceGraphURI))).to.be.true()
+  })
+
+  it('chains rules until nothing more follows', () => {
+    const store = load(`
+      { ?x :parent ?y } => { ?x :ancestor ?y }.
+      { ?x :parent ?y. ?y :ancestor ?z } => { ?x :ancestor ?z }.
+      :a :parent :b. :b :parent :c. :c :parent :d.`)
+    const result = new Reasoner(store).run()
+    expect(result.fixpoint).to.be.true()
+    expect(store.each(ex('a'), ex('ancestor')).map(x => x.value)).to.have.members(
+      [ex('b'), ex('c'), ex('d')].map(x => x.value))
+    expect(result.added).to.have.length(6)
+    expect(new Reasoner(store).run().added).to.have.length(0)
+  })
+
+  it('uses the graph given', () => {
+    const store = load(`
+      { ?x a :Man } => { ?x a :Mortal }.
+      :socrates a :Man.`)
+    new Reasoner(store, { graph: ex('derived') }).run()
+    expect(store.holds(ex('socrates'), type, ex('Mortal'), ex('derived'))).to.be.true()
+  })
+
+  it('stops at the iteration limit', () => {
+    const store = load(`
+      { ?x :parent ?y } => { ?x :ancestor ?y }.
+      { ?x :parent ?y. ?y :ancestor ?z } => { ?x :ancestor ?z }.
+      :a :parent :b. :b :parent :c. :c :parent :d.`)
+    const result = new Reasoner(store, { maxIterations: 1 }).run()
+    expect(result.fixpoint).to.be.false()
+    expect(result.iterations).to.equal(1)
+    expect(store.holds(ex('a'), ex('ancestor'), ex('d'))).to.be.false()
+  })
+
+  it('matches blank nodes and @forAll names in the antecedent as variables', () => {
+    const store = load(`
+      @forAll :y.
+      { :y a :Dog } => { :y a :Animal }.
+      { [] :owns ?pet } => { ?pet a :Pet }.
+      :rex a :Dog.
+      :alice :owns :rex.`)
+    new Reasoner(store).run()
+    expect(store.holds(ex('rex'), type, ex('Animal'))).to.be.true()
+    expect(store.holds(ex('rex'), type, ex('Pet'))).to.be.true()
+  })
+
+  it('makes new blank nodes for those in the consequent once per match', () => {
+    const store = load(`
+      { ?x a :Person } => { ?x :name [ a :Name ] }.
+      :alice a :Person.`)
+    const result = new Reasoner(store).run()
+    expect(result.fixpoint).to.be.true()
+    const names = store.each(ex('alice'), ex('name'))
+    expect(names).to.have.length(1)
+    expect(names[0].termType).to.equal('BlankNode')
+    expect(store.holds(names[0], type, ex('Name'))).to.be.true()
+  })
+
+  it('does not assert literals as subjects', () => {
+    const store = load(`
+      { ?x :name ?n } => { ?n :nameOf ?x }.
+      :alice :name "Alice".`)
+    const result = new Reasoner(store).run()
+    expect(result.added).to.have.length(0)
+    expect(store.holds(literal('Alice'), ex('nameOf'), ex('alice'))).to.be.false()
+  })
+
+  it('fires a rule added between runs for bindings another rule fired for', () => {
+    const store = load(`
+      { ?x a :Man } => { ?x a :Mortal }.
+      :socrates a :Man.`)
+    const reasoner = new Reasoner(store)
+    reasoner.run()
+    store.removeMatches(null, namedNode('http://www.w3.org/2000/10/swap/log#implies'))
+    parse(prefixes + '{ ?x a :Man } => { ?x a :Thinker }.', store, base, 'text/n3')
+    const result = reasoner.run()
+    expect(result.added).to.have.length(1)
+    expect(store.holds(ex('socrates'), type, ex('Thinker'))).to.be.true()
+  })
+
+  it('matches rules without fetching, leaving the fetcher of the store alone', () => {
+    const store = load(`
+      { ?x a :Man } => { ?x a :Mortal }.
+      :socrates a :Man.`)
+    const fetcher = new Fetcher(store)
+    const fetch = sinon.stub(fetcher, 'nowOrWhenFetched')
+    const querySync = store.querySync.bind(store)
+    const fetchers = []
+    store.querySync = query => {
+      fetchers.push(store.fetcher)
+      return querySync(query)
+    }
+    new Reasoner(store).run()
+    expect(store.holds(ex('socrates'), type, ex('Mortal'))).to.be.true()
+    expect(fetchers).to.not.be.empty()
+    fetchers.forEach(f => expect(f).to.equal(fetcher))
+    expect(fetch.called).to.be.false()
+  })
+})
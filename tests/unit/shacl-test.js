@@ -0,0 +1,207 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import { ex, load } from './fixtures'
+import Formula from '../../src/formula'
+import Validator, { validate } from '../../src/shacl'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('SHACL validation', () => {
+  const { namedNode } = DataFactory
+  const sh = name => namedNode('http://www.w3.org/ns/shacl#' + name)
+  const rdfType = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type')
+
+  function components (report) {
+    return report.results.map(r => r.sourceConstraintComponent.value.replace(sh('').value, ''))
+  }
+
+  const personShape = `
+    :PersonShape a sh:NodeShape;
+      sh:targetClass :Person;
+      sh:property [
+        sh:path :name;
+        sh:minCount 1;
+        sh:maxCount 1;
+        sh:datatype xsd:string
+      ], [
+        sh:path :age;
+        sh:datatype xsd:integer;
+        sh:minInclusive 0;
+        sh:maxExclusive 150
+      ], [
+        sh:path :email;
+        sh:pattern "^[^@]+@[^@]+$"
+      ], [
+        sh:path :status;
+        sh:in ( "active" "retired" )
+      ], [
+        sh:path :knows;
+        sh:class :Person
+      ].
+  `
+
+  it('reports conforming data', () => {
+    const shapes = load(personShape)
+    const data = load(`
+      :alice a :Person; :name "Alice"; :age 30; :email "alice@example.org"; :status "active".
+      :bob a :Person; :name "Bob"; :knows :alice.
+    `)
+    const report = validate(data, shapes)
+    expect(report.conforms).to.be.true()
+    expect(report.results).to.have.length(0)
+    expect(report.formula.holds(report.node, rdfType, sh('ValidationReport'))).to.be.true()
+    expect(report.formula.any(report.node, sh('conforms')).value).to.equal('true')
+  })
+
+  it('reports cardinality, datatype, range, pattern, in and class violations', () => {
+    const shapes = load(personShape)
+    const data = load(`
+      :carol a :Person; :age "old"; :email "nowhere"; :status "lost"; :knows :rex.
+      :dave a :Person; :name "Dave", "David"; :age 200.
+      :rex a :Dog.
+    `)
+    const report = validate(data, shapes)
+    expect(report.conforms).to.be.false()
+    expect(components(report)).to.have.members([
+      'MinCountConstraintComponent', // carol has no name
+      'DatatypeConstraintComponent', // carol's age
+      'MinInclusiveConstraintComponent', // "old" can't be compared
+      'MaxExclusiveConstraintComponent',
+      'PatternConstraintComponent',
+      'InConstraintComponent',
+      'ClassConstraintComponent',
+      'MaxCountConstraintComponent', // dave has two names
+      'MaxExclusiveConstraintComponent' // dave is too old
+    ])
+    const pattern = report.results.find(r => r.sourceConstraintComponent.equals(sh('PatternConstraintComponent')))
+    expect(pattern.focusNode.equals(ex('carol'))).to.be.true()
+    expect(pattern.resultPath.equals(ex('email'))).to.be.true()
+    expect(pattern.value.value).to.equal('nowhere')
+    expect(pattern.resultSeverity.equals(sh('Violation'))).to.be.true()
+  })
+
+  it('writes the results into the report formula', () => {
+    const shapes = load(personShape)
+    const data = load(':carol a :Person.')
+    const formula = new Formula()
+    const report = validate(data, shapes, { report: formula })
+    expect(report.formula).to.equal(formula)
+    expect(formula.any(report.node, sh('conforms')).value).to.equal('false')
+    const result = formula.any(report.node, sh('result'))
+    expect(formula.holds(result, rdfType, sh('ValidationResult'))).to.be.true()
+    expect(formula.any(result, sh('focusNode')).equals(ex('carol'))).to.be.true()
+    expect(formula.any(result, sh('resultPath')).equals(ex('name'))).to.be.true()
+    expect(formula.any(result, sh('sourceConstraintComponent')).equals(sh('MinCountConstraintComponent'))).to.be.true()
+    expect(formula.any(result, sh('resultMessage')).value).to.equal('Fewer than 1 values')
+  })
+
+  it('finds focus nodes by each kind of target', () => {
+    const store = load(`
+      :NodeTarget a sh:NodeShape; sh:targetNode :a; sh:nodeKind sh:BlankNode.
+      :SubjectsTarget a sh:NodeShape; sh:targetSubjectsOf :p; sh:nodeKind sh:BlankNode.
+      :ObjectsTarget a sh:NodeShape; sh:targetObjectsOf :p; sh:nodeKind sh:Literal.
+      :Thing a rdfs:Class, sh:NodeShape; sh:nodeKind sh:BlankNode.
+      :Gadget rdfs:subClassOf :Thing.
+      :b :p :c.
+      :d a :Gadget.
+    `)
+    const report = validate(store)
+    expect(report.results.map(r => r.focusNode.value)).to.have.members([
+      ex('a').value, ex('b').value, ex('c').value, ex('d').value
+    ])
+  })
+
+  it('follows property paths', () => {
+    const shapes = load(`
+      :S a sh:NodeShape; sh:targetNode :a;
+        sh:property [ sh:path ( :p :q ); sh:minCount 2 ],
+          [ sh:path [ sh:inversePath :p ]; sh:hasValue :z ],
+          [ sh:path [ sh:oneOrMorePath :next ]; sh:maxCount 2 ],
+          [ sh:path [ sh:alternativePath ( :p :next ) ]; sh:minCount 3 ].
+    `)
+    const data = load(`
+      :a :p :b, :c. :b :q :d. :c :q :d.
+      :z :p :a.
+      :a :next :n1. :n1 :next :n2. :n2 :next :n3.
+    `)
+    const report = validate(data, shapes)
+    expect(components(report)).to.have.members([
+      'MinCountConstraintComponent', // ( :p :q ) reaches only :d
+      'MaxCountConstraintComponent' // :n1, :n2 and :n3
+    ])
+    const sequence = report.results.find(r => r.sourceConstraintComponent.equals(sh('MinCountConstraintComponent')))
+    const path = report.formula.any(report.formula.any(report.node, sh('result')), sh('resultPath'))
+    expect(sequence.resultPath.termType).to.not.equal('NamedNode')
+    expect(path).to.exist()
+  })
+
+  it('checks logical and shape-based constraints', () => {
+    const store = load(`
+      :Named sh:property [ sh:path :name; sh:minCount 1 ].
+      :Aged sh:property [ sh:path :age; sh:minCount 1 ].
+      :S a sh:NodeShape; sh:targetClass :Person;
+        sh:or ( :Named :Aged );
+        sh:not :Aged;
+        sh:property [ sh:path :friend; sh:node :Named ].
+      :alice a :Person; :name "Alice"; :friend :bob.
+      :bob :age 3.
+      :carol a :Person.
+    `)
+    const report = validate(store)
+    const byNode = {}
+    report.results.forEach(r => {
+      byNode[r.focusNode.value] = (byNode[r.focusNode.value] || []).concat(components({ results: [r] }))
+    })
+    expect(byNode[ex('alice').value]).to.eql(['NodeConstraintComponent']) // bob has no name
+    expect(byNode[ex('carol').value]).to.eql(['OrConstraintComponent'])
+    expect(byNode[ex('bob').value]).to.be.undefined()
+    const shapes = new Validator(store)
+    expect(shapes.conforms(store, ex('bob'), ex('Aged'))).to.be.true()
+    expect(shapes.conforms(store, ex('bob'), ex('Named'))).to.be.false()
+  })
+
+  it('checks closed shapes, languages and property pairs', () => {
+    const store = load(`
+      :S a sh:NodeShape; sh:targetNode :x;
+        sh:closed true; sh:ignoredProperties ( :ignored );
+        sh:property [ sh:path :label; sh:languageIn ( "en" ); sh:uniqueLang true ],
+          [ sh:path :start; sh:lessThan :end ],
+          [ sh:path :a; sh:disjoint :b ].
+      :x :label "one"@en-GB, "two"@en, "three"@EN, "drei"@de;
+        :start 5; :end 3;
+        :a :v; :b :v;
+        :ignored 1; :other 2.
+    `)
+    const report = validate(store)
+    expect(components(report)).to.have.members([
+      'ClosedConstraintComponent', // :end
+      'ClosedConstraintComponent', // :b
+      'ClosedConstraintComponent', // :other
+      'LanguageInConstraintComponent',
+      'UniqueLangConstraintComponent',
+      'LessThanConstraintComponent',
+      'DisjointConstraintComponent'
+    ])
+  })
+
+  it('uses the severity and message of the shape, and skips deactivated shapes', () => {
+    const store = load(`
+      :S a sh:NodeShape; sh:targetNode :x;
+        sh:property [ sh:path :p; sh:minCount 1; sh:severity sh:Warning; sh:message "Needs a p" ],
+          [ sh:path :q; sh:minCount 1; sh:deactivated true ].
+    `)
+    const report = validate(store)
+    expect(report.results).to.have.length(1)
+    expect(report.results[0].resultSeverity.equals(sh('Warning'))).to.be.true()
+    expect(report.results[0].resultMessage).to.equal('Needs a p')
+  })
+
+  it('stops at recursive shapes', () => {
+    const store = load(`
+      :S a sh:NodeShape; sh:targetNode :a;
+        sh:property [ sh:path :knows; sh:node :S ].
+      :a :knows :b. :b :knows :a.
+    `)
+    expect(validate(store).conforms).to.be.true()
+  })
+})
@@ -0,0 +1,140 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import { doc, ex, load } from './fixtures'
+import serialize from '../../src/serialize'
+import UpdateManager from '../../src/update-manager'
+import { isSkolemIRI } from '../../src/skolem'
+import { isomorphic } from '../../src/canonicalize'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('skolemization', () => {
+  const { namedNode, literal, blankNode, quad } = DataFactory
+  const other = namedNode('https://example.com/test/other')
+  const turtle = ':a :knows [ :name "B" ; :knows [ :name "C" ] ] .'
+
+  it('replaces the blank nodes of a document with genid IRIs on its host', () => {
+    const store = load(turtle)
+    const original = load(turtle)
+    expect(store.skolemize(doc)).to.equal(2)
+    expect(store.length).to.equal(4)
+    expect(store.statements.some(st => st.subject.termType === 'BlankNode' ||
+      st.object.termType === 'BlankNode')).to.be.false()
+    const b = store.any(ex('a'), ex('knows'))
+    expect(b.value).to.match(/^https:\/\/example\.com\/\.well-known\/genid\/test\/doc\/b\d+$/)
+    expect(isSkolemIRI(b)).to.be.true()
+    expect(isSkolemIRI(ex('a'))).to.be.false()
+    expect(store.any(b, ex('name')).value).to.equal('B')
+    expect(store.skolemize(doc)).to.equal(0)
+    store.deskolemize(doc)
+    expect(isomorphic(store, original)).to.be.true()
+  })
+
+  it('scopes the IRIs to the document', () => {
+    const store = load(turtle)
+    const node = store.any(ex('a'), ex('knows'))
+    store.add(node, ex('seenIn'), other, other)
+    store.skolemize(doc)
+    store.skolemize(other)
+    const inOther = store.any(null, ex('seenIn'), other, other)
+    expect(inOther.value).to.contain('/.well-known/genid/test/other/')
+    expect(store.skolemizer.blankNode(inOther)).to.equal(node)
+    expect(store.skolemizer.skolemIRI(node, doc).equals(store.any(ex('a'), ex('knows')))).to.be.true()
+  })
+
+  it('writes the blank nodes back when serializing', () => {
+    const store = load(turtle)
+    store.skolemize(doc)
+    for (const contentType of ['text/turtle', 'application/n-triples']) {
+      const text = serialize(doc, store, doc.value, contentType)
+      expect(text).not.to.contain('genid')
+      const again = load(text, { contentType })
+      expect(isomorphic(again, load(turtle)), contentType).to.be.true()
+    }
+    expect(serialize(doc, store, doc.value, 'application/rdf+xml')).not.to.contain('genid')
+  })
+
+  it('leaves skolem IRIs which it did not mint as they are', () => {
+    const store = load(`<https://example.com/.well-known/genid/x> <https://example.com/p> [] .`)
+    store.skolemize(doc)
+    const text = serialize(doc, store, doc.value, 'application/n-triples')
+    expect(text).to.match(/^<https:\/\/example\.com\/\.well-known\/genid\/x> <https:\/\/example\.com\/p> _:/)
+  })
+
+  it('forgets the IRIs of a document removed from the store', () => {
+    const store = load(turtle)
+    store.skolemize(doc)
+    const b = store.any(ex('a'), ex('knows'))
+    store.removeDocument(doc)
+    expect(store.skolemizer.isSkolemized(doc)).to.be.false()
+    expect(store.skolemizer.blankNode(b)).to.be.undefined()
+  })
+
+  describe('in updates', () => {
+    let updater, store, webOperation
+
+    beforeEach(() => {
+      updater = new UpdateManager()
+      store = updater.store
+      load(turtle, { store })
+      webOperation = sinon.stub(store.fetcher, 'webOperation')
+        .resolves({ ok: true, status: 200, statusText: 'OK' })
+      sinon.stub(updater, 'editable').returns('SPARQL')
+    })
+
+    it('sends blank nodes as skolem IRIs in a data patch to servers which have the IRIs', done => {
+      const b = store.any(ex('a'), ex('knows'))
+      const deletion = store.statementsMatching(b, ex('name'))[0]
+      store.skolemize(doc, true)
+      const fresh = blankNode()
+      const insertions = [quad(b, ex('name'), literal('Bee'), doc), quad(b, ex('knows'), fresh, doc)]
+      updater.update([deletion], insertions, (uri, ok, body) => {
+        expect(ok, body).to.be.true()
+        const query = webOperation.firstCall.args[2].body
+        const iri = store.skolemizer.skolemIRI(b, doc)
+        expect(query).to.contain('DELETE DATA')
+        expect(query).to.contain('INSERT DATA')
+        expect(query).not.to.contain('WHERE')
+        expect(query).to.contain(`<${iri.value}> <${ex('name').value}> "B" .`)
+        expect(query).not.to.contain('_:')
+        expect(store.any(iri, ex('name')).value).to.equal('Bee')
+        expect(isSkolemIRI(store.any(iri, ex('knows')))).to.be.true()
+        done()
+      })
+    })
+
+    it('sends the blank nodes which skolem IRIs stand for to other servers', done => {
+      const b = store.any(ex('a'), ex('knows'))
+      store.skolemize(doc)
+      const iri = store.skolemizer.skolemIRI(b, doc)
+      const insertions = [quad(iri, ex('name'), literal('Bee'), doc), quad(iri, ex('knows'), blankNode(), doc)]
+      updater.update(store.statementsMatching(iri, ex('name')), insertions, (uri, ok, body) => {
+        expect(ok, body).to.be.true()
+        const query = webOperation.firstCall.args[2].body
+        expect(query).not.to.contain('genid')
+        expect(query).to.contain(`WHERE { <${ex('a').value}> <${ex('knows').value}> ?${b.value} .`)
+        expect(query).to.contain(`?${b.value} <${ex('name').value}> "B" .`)
+        expect(query).to.match(new RegExp(`\\?${b.value} <${ex('knows').value}> _:`))
+        expect(store.any(iri, ex('name')).value).to.equal('Bee')
+        done()
+      })
+    })
+
+    it('writes the skolem IRIs of documents whose servers have them', () => {
+      store.skolemize(doc, true)
+      expect(serialize(doc, store, doc.value, 'application/n-triples')).to.contain('genid')
+      store.removeDocument(doc)
+      expect(store.skolemizer.serverHasIRIs(doc)).to.be.false()
+    })
+
+    it('identifies blank nodes by a WHERE clause in documents not skolemized', done => {
+      const b = store.any(ex('a'), ex('knows'))
+      updater.update(store.statementsMatching(b, ex('name')), [], (uri, ok, body) => {
+        expect(ok, body).to.be.true()
+        expect(webOperation.firstCall.args[2].body).to.contain('WHERE')
+        done()
+      })
+    })
+  })
+})
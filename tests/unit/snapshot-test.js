@@ -0,0 +1,107 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import { doc, ex, load } from './fixtures'
+import Snapshot from '../../src/snapshot'
+import { Query } from '../../src/query'
+import Variable from '../../src/variable'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('store snapshots', () => {
+  const { literal, quad } = DataFactory
+  let store
+
+  beforeEach(() => {
+    store = load(`
+      :a :knows :b, :c ; :name "A" .
+      :b :knows :c ; :name "B" .
+    `)
+  })
+
+  function names (terms) {
+    return terms.map(term => term.value).sort()
+  }
+
+  it('is a read-only formula of the statements when it was taken', () => {
+    const snapshot = store.snapshot()
+    expect(snapshot).to.be.an.instanceof(Snapshot)
+    expect(snapshot.length).to.equal(5)
+    expect(snapshot.statements).to.have.length(5)
+    expect(() => snapshot.add(ex('a'), ex('knows'), ex('d'), doc)).to.throw('A snapshot of a store is read-only')
+    expect(store.length).to.equal(5)
+  })
+
+  it('does not see changes made after it was taken', () => {
+    const snapshot = store.snapshot()
+    store.add(ex('a'), ex('knows'), ex('d'), doc)
+    store.removeMatches(ex('b'))
+    store.remove(quad(ex('a'), ex('knows'), ex('c'), doc))
+
+    expect(names(store.each(ex('a'), ex('knows')))).to.eql([ex('b').value, ex('d').value])
+    expect(names(snapshot.each(ex('a'), ex('knows')))).to.eql([ex('b').value, ex('c').value])
+    expect(snapshot.any(ex('b'), ex('name')).value).to.equal('B')
+    expect(snapshot.holds(ex('a'), ex('knows'), ex('d'))).to.be.false()
+    expect(snapshot.statementsMatching(null, ex('knows'))).to.have.length(3)
+    expect(snapshot.statementsMatching(null, null, null, doc, true)).to.have.length(1)
+    expect(snapshot.length).to.equal(5)
+  })
+
+  it('keeps a statement removed and added again once', () => {
+    const snapshot = store.snapshot()
+    const st = store.statementsMatching(ex('a'), ex('name'))[0]
+    store.remove(st)
+    store.add(st)
+    store.add(ex('a'), ex('name'), literal('Another'), doc)
+    store.remove(quad(ex('a'), ex('name'), literal('Another'), doc))
+    expect(snapshot.statementsMatching(ex('a'), ex('name'))).to.have.length(1)
+    expect(snapshot.length).to.equal(5)
+  })
+
+  it('gives arrays which do not change with the store', () => {
+    const snapshot = store.snapshot()
+    const knows = snapshot.statementsMatching(null, ex('knows'))
+    store.add(ex('c'), ex('knows'), ex('a'), doc)
+    expect(knows).to.have.length(3)
+  })
+
+  it('runs queries', () => {
+    const snapshot = store.snapshot()
+    store.removeMatches(null, ex('name'), literal('B'))
+    const query = new Query('knows')
+    const x = new Variable('x')
+    const y = new Variable('y')
+    query.pat.add(x, ex('knows'), y)
+    query.pat.add(y, ex('name'), literal('B'))
+    expect(store.querySync(query)).to.have.length(0)
+    const results = snapshot.querySync(query)
+    expect(results).to.have.length(1)
+    expect(results[0]['?x'].equals(ex('a'))).to.be.true()
+  })
+
+  it('stays as it was through a transaction rolled back', () => {
+    store.begin()
+    store.add(ex('a'), ex('knows'), ex('d'), doc)
+    const during = store.snapshot()
+    store.removeMatches(ex('a'))
+    store.rollback()
+    expect(store.holds(ex('a'), ex('knows'), ex('d'))).to.be.false()
+    expect(during.holds(ex('a'), ex('knows'), ex('d'))).to.be.true()
+    expect(during.length).to.equal(6)
+  })
+
+  it('lets the store drop its changes once released', () => {
+    const first = store.snapshot()
+    store.add(ex('a'), ex('knows'), ex('d'), doc)
+    const second = store.snapshot()
+    store.add(ex('a'), ex('knows'), ex('e'), doc)
+    expect(store.changesSince(first.version)).to.have.length(2)
+    first.release()
+    expect(store.changesSince(0)).to.have.length(1)
+    expect(second.each(ex('a'), ex('knows'))).to.have.length(3)
+    second.release()
+    expect(store.changesSince(0)).to.eql([])
+    expect(() => second.statementsMatching()).to.throw('released')
+    store.add(ex('a'), ex('knows'), ex('f'), doc)
+    expect(store.changesSince(0)).to.eql([])
+  })
+})
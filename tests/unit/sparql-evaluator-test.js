@@ -0,0 +1,278 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import { doc, ex, load } from './fixtures'
+import IndexedFormula from '../../src/store'
+import UnionFormula from '../../src/union-formula'
+import SPARQLToQuery from '../../src/sparql-to-query'
+import parseSPARQL from '../../src/sparql-parser'
+import evaluateAlgebra from '../../src/sparql-evaluator'
+import { setHashFunction } from '../../src/utils/hash'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('SPARQL evaluation', () => {
+  const { namedNode } = DataFactory
+  const nicknames = namedNode('https://example.com/test/nicknames')
+  let store
+
+  beforeEach(() => {
+    store = new IndexedFormula(undefined, { rangeIndex: true })
+    load(`
+      :alice :name "Alice" ; :age 30 ; :knows :bob, :carol ; :email <mailto:alice@example.com> .
+      :bob :name "Bob" ; :age 25 .
+      :carol :name "Carol"@en ; :knows :alice .
+    `, { store })
+    load(`:bob :nick "bobby" .`, { store, graph: nicknames })
+  })
+
+  function select (text, kb = store) {
+    const query = SPARQLToQuery('PREFIX : <https://example.com/test/doc#>\n' + text, true, kb)
+    return kb.querySync(query).map(bindings => {
+      const row = {}
+      Object.keys(bindings).sort().forEach(key => {
+        row[key.slice(1)] = bindings[key].value.replace('https://example.com/test/doc#', '')
+      })
+      return row
+    })
+  }
+
+  it('matches basic graph patterns, with blank nodes as variables', () => {
+    expect(select('SELECT ?who WHERE { ?who :knows [ :name "Bob" ] }')).to.eql([{ who: 'alice' }])
+    expect(select('SELECT * WHERE { ?x :knows ?y . ?y :knows ?x }')).to.eql([
+      { x: 'alice', y: 'carol' },
+      { x: 'carol', y: 'alice' }
+    ])
+  })
+
+  it('gives the solutions of UNION and MINUS', () => {
+    expect(select('SELECT ?n WHERE { { ?x :name ?n } UNION { ?x :nick ?n } }').map(row => row.n))
+      .to.eql(['Alice', 'Bob', 'Carol', 'bobby'])
+    expect(select('SELECT ?x WHERE { ?x :name ?n MINUS { ?x :age ?a } }')).to.eql([{ x: 'carol' }])
+    expect(select('SELECT ?x WHERE { ?x :name ?n MINUS { ?y :age ?a } }')).to.have.length(3)
+  })
+
+  it('extends solutions with BIND and VALUES, and filters them', () => {
+    expect(select('SELECT ?x ?double WHERE { ?x :age ?a BIND (?a * 2 AS ?double) FILTER (?double > 55) }'))
+      .to.eql([{ x: 'alice', double: '60' }])
+    expect(select('SELECT ?x WHERE { VALUES ?a { 25 40 } ?x :age ?a }')).to.eql([{ x: 'bob' }])
+    expect(select('SELECT ?x ?l WHERE { ?x :name ?n BIND (LANG(?n) AS ?l) FILTER (?l != "") }'))
+      .to.eql([{ x: 'carol', l: 'en' }])
+    expect(select('SELECT ?x WHERE { ?x :name ?n FILTER (regex(?n, "^b", "i") || ?n = "Carol"@EN) }'))
+      .to.eql([{ x: 'bob' }, { x: 'carol' }])
+  })
+
+  it('keeps the solutions which optional parts do not match, nested or not', () => {
+    expect(select(`SELECT ?x ?e ?k ?age WHERE {
+        ?x :name ?n
+        OPTIONAL { ?x :email ?e }
+        OPTIONAL { ?x :knows ?k OPTIONAL { ?k :age ?age } }
+      }`)).to.eql([
+      { x: 'alice', e: 'mailto:alice@example.com', k: 'bob', age: '25' },
+      { x: 'alice', e: 'mailto:alice@example.com', k: 'carol' },
+      { x: 'bob' },
+      { x: 'carol', k: 'alice', age: '30' }
+    ])
+    expect(select('SELECT ?x ?k WHERE { ?x :age ?a OPTIONAL { ?x :knows ?k FILTER (?a > 26) } }'))
+      .to.eql([{ x: 'alice', k: 'bob' }, { x: 'alice', k: 'carol' }, { x: 'bob' }])
+  })
+
+  it('tests EXISTS and NOT EXISTS with the bindings of each solution', () => {
+    expect(select('SELECT ?x WHERE { ?x :name ?n FILTER EXISTS { ?x :knows ?y FILTER (?y != ?x) } }'))
+      .to.eql([{ x: 'alice' }, { x: 'carol' }])
+    expect(select('SELECT ?x WHERE { ?x :name ?n FILTER NOT EXISTS { ?y :knows ?x } }')).to.eql([])
+    expect(select('SELECT ?x WHERE { ?x :name ?n FILTER NOT EXISTS { ?x :knows :alice } }'))
+      .to.eql([{ x: 'alice' }, { x: 'bob' }])
+  })
+
+  it('matches in named graphs', () => {
+    expect(select('SELECT ?g ?n WHERE { GRAPH ?g { ?x :nick ?n } }')).to.eql([{ g: nicknames.value, n: 'bobby' }])
+    expect(select(`SELECT ?n WHERE { GRAPH <${doc.value}> { ?x :nick ?n } }`)).to.eql([])
+    expect(select(`SELECT ?x WHERE { GRAPH ?g { ?x :name ?n } FILTER (?g = <${doc.value}>) }`)).to.have.length(3)
+  })
+
+  it('joins subqueries by the variables they select', () => {
+    expect(select('SELECT ?x ?n WHERE { ?x :name ?n { SELECT ?x WHERE { ?x :knows ?y . ?y :age 25 } } }'))
+      .to.eql([{ x: 'alice', n: 'Alice' }])
+  })
+
+  it('groups solutions, with aggregates of each group', () => {
+    load(`
+      :alice :team :red . :bob :team :red . :carol :team :blue .
+    `, { store })
+    expect(select(`SELECT ?team (COUNT(?x) AS ?members) (SUM(?age) AS ?total) (AVG(?age) AS ?average)
+        (MIN(?name) AS ?first) (MAX(?age) AS ?oldest) (GROUP_CONCAT(?age; SEPARATOR = "+") AS ?ages)
+      WHERE { ?x :team ?team ; :name ?name OPTIONAL { ?x :age ?age } }
+      GROUP BY ?team ORDER BY ?team`)).to.eql([
+      { team: 'blue', members: '1', total: '0', average: '0', first: 'Carol', ages: '' },
+      { team: 'red', members: '2', total: '55', average: '27.5', first: 'Alice', oldest: '30', ages: '30+25' }
+    ])
+    expect(select('SELECT (COUNT(*) AS ?n) (COUNT(DISTINCT ?team) AS ?teams) WHERE { ?x :team ?team }'))
+      .to.eql([{ n: '3', teams: '2' }])
+    expect(select('SELECT (COUNT(*) AS ?n) WHERE { ?x :team :green }')).to.eql([{ n: '0' }])
+    expect(select('SELECT ?team WHERE { ?x :team ?team } GROUP BY ?team HAVING (COUNT(?x) > 1)'))
+      .to.eql([{ team: 'red' }])
+  })
+
+  it('orders, slices and leaves out duplicate solutions', () => {
+    expect(select('SELECT ?x WHERE { ?x :name ?n } ORDER BY DESC(?n)')).to.eql([{ x: 'carol' }, { x: 'bob' }, { x: 'alice' }])
+    expect(select('SELECT ?x ?a WHERE { ?x :name ?n OPTIONAL { ?x :age ?a } } ORDER BY ?a LIMIT 2 OFFSET 1'))
+      .to.eql([{ x: 'bob', a: '25' }, { x: 'alice', a: '30' }])
+    expect(select('SELECT DISTINCT ?x WHERE { ?x :knows ?y }')).to.eql([{ x: 'alice' }, { x: 'carol' }])
+    expect(select('SELECT ?x WHERE { ?x :knows ?y } GROUP BY ?x ORDER BY DESC(COUNT(?y))'))
+      .to.eql([{ x: 'alice' }, { x: 'carol' }])
+  })
+
+  it('orders terms of different types as SPARQL does', () => {
+    load(`
+      :v :is 2, 10.5, "b", "a"@en, "A", :iri, [], "2020-01-01"^^<http://www.w3.org/2001/XMLSchema#date> .
+    `, { store })
+    const values = select('SELECT ?v WHERE { :v :is ?v } ORDER BY ?v').map(row => row.v)
+    expect(values.slice(1)).to.eql(['iri', 'A', 'b', 'a', '2', '10.5', '2020-01-01'])
+  })
+
+  it('leaves IRIs of relative strings without a base unbound', () => {
+    expect(select('SELECT ?x ?i WHERE { ?x :age 25 BIND (IRI("friends") AS ?i) }')).to.eql([{ x: 'bob' }])
+    expect(select('SELECT ?x WHERE { ?x :age ?a FILTER (IRI("friends") = :friends) }')).to.eql([])
+    expect(select('BASE <https://example.com/test/doc> SELECT ?i WHERE { :bob :age 25 BIND (IRI("#friends") AS ?i) }'))
+      .to.eql([{ i: 'friends' }])
+  })
+
+  it('hashes strings, with the hash function set if any', () => {
+    expect(select('SELECT ?h WHERE { BIND (MD5("abc") AS ?h) }')).to.eql([{ h: '900150983cd24fb0d6963f7d28e17f72' }])
+    setHashFunction((algorithm, text) => algorithm + ':' + text)
+    try {
+      expect(select('SELECT ?h WHERE { BIND (SHA1("abc") AS ?h) }')).to.eql([{ h: 'sha1:abc' }])
+    } finally {
+      setHashFunction(undefined)
+    }
+  })
+
+  it('compares quoted triples as whole terms', () => {
+    const triple = (s, p, o) => DataFactory.triple(s, p, o)
+    store.add(triple(ex('alice'), ex('knows'), ex('bob')), ex('since'), ex('y2019'), doc)
+    store.add(triple(ex('alice'), ex('knows'), ex('carol')), ex('since'), ex('y2020'), doc)
+    expect(select('SELECT * WHERE { ?a :since ?x . ?b :since ?y FILTER (?a = ?b) }')).to.have.length(2)
+    expect(select('SELECT * WHERE { ?a :since ?x . ?b :since ?y FILTER (?a != ?b) }')).to.have.length(2)
+  })
+
+  it('finds the statements in a range of values with the range index', () => {
+    let ranged = 0
+    const range = store.range.bind(store)
+    store.range = (...args) => {
+      ranged++
+      return range(...args)
+    }
+    expect(select('SELECT ?x WHERE { ?x :age ?a FILTER (?a >= 26 && ?a < 100) }')).to.eql([{ x: 'alice' }])
+    expect(ranged).to.equal(1)
+  })
+
+  it('evaluates the algebra of a query over other formulas', () => {
+    const union = new UnionFormula([{ formula: store, graphs: [nicknames] }])
+    expect(select('SELECT ?x ?n WHERE { ?x :nick ?n OPTIONAL { ?x :age ?a } }', union)).to.eql([{ x: 'bob', n: 'bobby' }])
+    const { algebra } = parseSPARQL('SELECT ?x WHERE { ?x <https://example.com/test/doc#age> 25 }')
+    expect(evaluateAlgebra(store, algebra)[0]['?x'].equals(ex('bob'))).to.be.true()
+  })
+
+  it('follows property paths', () => {
+    load(`
+      :bob :knows :dave . :dave :knows :bob . :dave :name "Dave" .
+      :alice :parent :eve . :eve :name "Eve" .
+    `, { store })
+    const names = text => select(text).map(row => row.n).sort()
+    expect(names('SELECT ?n WHERE { :alice :knows/:name ?n }')).to.eql(['Bob', 'Carol'])
+    expect(names('SELECT ?n WHERE { :alice :knows+/:name ?n }')).to.eql(['Alice', 'Bob', 'Carol', 'Dave'])
+    expect(names('SELECT ?n WHERE { :bob :knows*/:name ?n }')).to.eql(['Bob', 'Dave'])
+    expect(names('SELECT ?n WHERE { :alice :knows?/:name ?n }')).to.eql(['Alice', 'Bob', 'Carol'])
+    expect(names('SELECT ?n WHERE { ?x (:knows|:parent) :eve ; :name ?n }')).to.eql(['Alice'])
+    expect(names('SELECT ?n WHERE { :eve ^(:knows|:parent)/:name ?n }')).to.eql(['Alice'])
+    expect(names('SELECT ?n WHERE { ?x ^:knows+ :dave ; :name ?n }')).to.eql(['Bob', 'Dave'])
+    expect(names('SELECT ?n WHERE { :dave ^:knows+ ?x . ?x :name ?n }')).to.eql(['Alice', 'Bob', 'Carol', 'Dave'])
+    expect(select('SELECT ?x WHERE { ?x :knows+ ?x } ORDER BY ?x')).to.eql([
+      { x: 'alice' }, { x: 'bob' }, { x: 'carol' }, { x: 'dave' }
+    ])
+    expect(select('SELECT ?x WHERE { :alice !(:name|:age|:knows|^:knows) ?x }')).to.eql([
+      { x: 'mailto:alice@example.com' }, { x: 'eve' }
+    ])
+    expect(select('SELECT ?x WHERE { :alice !^:parent ?x }')).to.eql([{ x: 'carol' }])
+    expect(select('SELECT ?x ?y WHERE { ?x :name "Eve" OPTIONAL { ?y :parent/:name "Eve" } }'))
+      .to.eql([{ x: 'eve', y: 'alice' }])
+    expect(select('SELECT ?x WHERE { ?x :age ?a FILTER NOT EXISTS { ?x :knows* :eve } }')).to.have.length(2)
+  })
+
+  it('gives the nodes which a path leads to', () => {
+    store.setPrefixForURI('ex', 'https://example.com/test/doc#')
+    load(`:bob :knows :dave .`, { store, graph: nicknames })
+    const ends = (path, graph) => store.eachPath(ex('carol'), path, graph).map(node => node.value.replace('https://example.com/test/doc#', ''))
+    expect(ends('ex:knows+')).to.eql(['alice', 'bob', 'carol', 'dave'])
+    expect(ends('ex:knows+', doc)).to.eql(['alice', 'bob', 'carol'])
+    expect(ends('^ex:knows')).to.eql(['alice'])
+    expect(ends('ex:knows/ex:knows/ex:name')).to.eql(['Bob', 'Carol'])
+    expect(() => store.eachPath(ex('carol'), 'ex:knows+ ex:name')).to.throw('the end of the path')
+  })
+
+  it('follows paths with the well known prefixes in a store without them, as queries do', () => {
+    const kb = new IndexedFormula()
+    const subClassOf = namedNode('http://www.w3.org/2000/01/rdf-schema#subClassOf')
+    kb.add(ex('Cat'), subClassOf, ex('Mammal'), doc)
+    kb.add(ex('Mammal'), subClassOf, ex('Animal'), doc)
+    kb.add(ex('tom'), namedNode('http://xmlns.com/foaf/0.1/knows'), ex('jerry'), doc)
+    expect(kb.namespaces).to.not.have.property('rdfs')
+    const names = nodes => nodes.map(node => node.value.replace('https://example.com/test/doc#', ''))
+    expect(names(kb.eachPath(ex('Cat'), 'rdfs:subClassOf*'))).to.eql(['Cat', 'Mammal', 'Animal'])
+    expect(names(kb.eachPath(ex('jerry'), '^foaf:knows'))).to.eql(['tom'])
+    expect(select('SELECT ?x WHERE { ?x ^foaf:knows :tom }', kb)).to.eql([{ x: 'jerry' }])
+    expect(select('SELECT ?c WHERE { :Cat rdfs:subClassOf+ ?c }', kb)).to.eql([{ c: 'Mammal' }, { c: 'Animal' }])
+  })
+
+  it('constructs a formula of the template for each solution', () => {
+    const made = store.construct(`PREFIX : <https://example.com/test/doc#>
+      CONSTRUCT { ?y :knownBy ?x . ?x :card _:c . _:c :name ?n } WHERE { ?x :knows ?y OPTIONAL { ?x :age ?n } }`)
+    expect(made.holds(ex('bob'), ex('knownBy'), ex('alice'))).to.be.true()
+    expect(made.holds(ex('alice'), ex('knownBy'), ex('carol'))).to.be.true()
+    const cards = made.each(ex('alice'), ex('card'))
+    expect(cards).to.have.length(2)
+    expect(cards[0].equals(cards[1])).to.be.false()
+    expect(made.each(ex('carol'), ex('card'))).to.have.length(1)
+    expect(made.statements).to.have.length(8)
+    expect(store.holds(ex('bob'), ex('knownBy'), ex('alice'))).to.be.false()
+    expect(store.construct('CONSTRUCT WHERE { ?x <https://example.com/test/doc#age> ?a }').statements).to.have.length(2)
+  })
+
+  it('asks whether a query has solutions', () => {
+    expect(store.ask('PREFIX : <https://example.com/test/doc#> ASK { :bob :nick ?n }')).to.be.true()
+    expect(store.ask('PREFIX : <https://example.com/test/doc#> ASK { :bob :knows ?x }')).to.be.false()
+    expect(store.ask('PREFIX : <https://example.com/test/doc#> ASK { ?x :age ?a FILTER (?a > 29) }')).to.be.true()
+    expect(() => store.ask('SELECT * WHERE { ?s ?p ?o }')).to.throw('The query form is SELECT, not ASK')
+  })
+
+  it('describes resources with their connected statements', () => {
+    load(`
+      :bob :address [ :city "Paris" ] .
+    `, { store })
+    const about = store.describe(`PREFIX : <https://example.com/test/doc#> DESCRIBE :bob`)
+    expect(about.statements).to.have.length(6)
+    expect(about.any(null, ex('city'))).to.exist()
+    expect(about.holds(ex('alice'), ex('knows'), ex('bob'))).to.be.true()
+    const people = store.describe(`PREFIX : <https://example.com/test/doc#> DESCRIBE ?x WHERE { ?x :age 30 }`)
+    expect(people.each(ex('alice'), ex('knows'))).to.have.length(2)
+    expect(people.holds(ex('bob'), ex('nick'))).to.be.false()
+  })
+
+  it('answers queries with a promise', async () => {
+    const results = await store.queryAsync('PREFIX : <https://example.com/test/doc#> SELECT ?x WHERE { ?x :age ?a FILTER (?a < 28) }')
+    expect(results.map(bindings => bindings['?x'].value)).to.eql([ex('bob').value])
+    let error
+    await store.queryAsync('SELECT ?x WHERE { ?x').catch(e => { error = e })
+    expect(error.message).to.include('at line 1, column 21')
+  })
+
+  it('answers queries asynchronously through query', done => {
+    const results = []
+    store.query(SPARQLToQuery('PREFIX : <https://example.com/test/doc#> SELECT ?n WHERE { ?x :nick ?n }', true, store),
+      bindings => results.push(bindings['?n'].value), null, () => {
+        expect(results).to.eql(['bobby'])
+        done()
+      })
+    expect(results).to.eql([])
+  })
+})
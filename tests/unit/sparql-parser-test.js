@@ -0,0 +1,162 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import IndexedFormula from '../../src/store'
+import parseSPARQL, { SPARQLSyntaxError } from '../../src/sparql-parser'
+import { inScopeVariables } from '../../src/sparql-algebra'
+import SPARQLToQuery from '../../src/sparql-to-query'
+
+describe('parseSPARQL', () => {
+  const ex = 'http://example.com/#'
+  const xsd = 'http://www.w3.org/2001/XMLSchema#'
+
+  function errorOf (text) {
+    try {
+      parseSPARQL(text)
+    } catch (e) {
+      expect(e).to.be.an.instanceof(SPARQLSyntaxError)
+      return e
+    }
+    throw new Error('Expected a syntax error')
+  }
+
+  it('parses the prologue and the syntaxes of terms', () => {
+    const query = parseSPARQL(`BASE <http://example.com/>
+      PREFIX : <#>
+      SELECT ?s WHERE { ?s :p <thing>, "x"@en, 'y'^^:t, 3.5, -2, 1e3, true ; a :C ; :q [ :r _:b ] }`)
+    expect(query.queryType).to.equal('SELECT')
+    expect(query.base).to.equal('http://example.com/')
+    expect(query.prefixes).to.eql({ '': ex })
+    const patterns = query.algebra.input.patterns
+    expect(patterns.map(st => st.object.termType === 'Literal'
+      ? [st.object.value, st.object.language || st.object.datatype.value] : st.object.value)).to.eql([
+      'http://example.com/thing',
+      ['x', 'en'],
+      ['y', ex + 't'],
+      ['3.5', xsd + 'decimal'],
+      ['-2', xsd + 'integer'],
+      ['1e3', xsd + 'double'],
+      ['true', xsd + 'boolean'],
+      ex + 'C',
+      patterns[8].object.value,
+      patterns[9].object.value
+    ])
+    expect(patterns[7].predicate.value).to.equal('http://www.w3.org/1999/02/22-rdf-syntax-ns#type')
+    expect(patterns[8].subject.termType).to.equal('BlankNode')
+    expect(patterns[8].subject.equals(patterns[9].object)).to.be.true()
+  })
+
+  it('translates graph patterns to the algebra', () => {
+    const { algebra } = parseSPARQL(`PREFIX : <${ex}>
+      SELECT * WHERE {
+        ?s :p ?o
+        OPTIONAL { ?o :label ?l FILTER (lang(?l) = "en") }
+        { ?s :q ?r } UNION { ?s :r ?r }
+        MINUS { ?s :hidden true }
+        BIND (?r + 1 AS ?next)
+        FILTER (?o != :nothing)
+      }`)
+    expect(algebra.type).to.equal('project')
+    const filter = algebra.input
+    expect(filter.type).to.equal('filter')
+    expect(filter.expression.operator).to.equal('!=')
+    const extend = filter.input
+    expect(extend.type).to.equal('extend')
+    expect(extend.variable.value).to.equal('next')
+    expect(extend.input.type).to.equal('minus')
+    const join = extend.input.left
+    expect(join.type).to.equal('join')
+    expect(join.right.type).to.equal('union')
+    expect(join.left.type).to.equal('leftJoin')
+    expect(join.left.expression.args[0]).to.eql({ type: 'operator', operator: 'lang', args: [join.left.right.patterns[0].object] })
+    expect(inScopeVariables(algebra.input).map(v => v.value)).to.eql(['s', 'o', 'l', 'r', 'next'])
+    expect(algebra.variables.map(v => v.value)).to.eql(['s', 'o', 'l', 'r', 'next'])
+  })
+
+  it('translates aggregates and solution modifiers', () => {
+    const { algebra } = parseSPARQL(`PREFIX : <${ex}>
+      SELECT DISTINCT ?c (COUNT(?s) AS ?n) WHERE { ?s a ?c }
+      GROUP BY ?c HAVING (COUNT(?s) > 1) ORDER BY DESC(?n) LIMIT 5 OFFSET 2`)
+    const types = []
+    for (let op = algebra; op; op = op.input) {
+      types.push(op.type)
+    }
+    expect(types).to.eql(['slice', 'distinct', 'project', 'orderBy', 'extend', 'filter', 'group', 'bgp'])
+    expect(algebra).to.include({ start: 2, length: 5 })
+    const group = algebra.input.input.input.input.input.input
+    expect(group.conditions[0].expression.value).to.equal('c')
+    expect(group.aggregates.map(({ aggregate }) => aggregate.aggregator)).to.eql(['count', 'count'])
+    expect(algebra.input.input.input.input.expression.equals(group.aggregates[0].variable)).to.be.true()
+  })
+
+  it('parses property paths', () => {
+    const { algebra } = parseSPARQL(`PREFIX : <${ex}>
+      SELECT ?s WHERE { ?s :p/^:q ?o . ?o (:r|:s)* ?x . ?x !(:t|^:u) ?y }`)
+    const [bgp, alternative, negated] = [algebra.input.left.left, algebra.input.left.right, algebra.input.right]
+    expect(bgp.patterns).to.have.length(2)
+    expect(bgp.patterns[1].subject.value).to.equal('o')
+    expect(bgp.patterns[1].predicate.value).to.equal(ex + 'q')
+    expect(alternative.path.type).to.equal('zeroOrMore')
+    expect(alternative.path.path.items.map(iri => iri.value)).to.eql([ex + 'r', ex + 's'])
+    expect(negated.path.iris.map(iri => iri.value)).to.eql([ex + 't'])
+    expect(negated.path.inverseIris.map(iri => iri.value)).to.eql([ex + 'u'])
+  })
+
+  it('parses the other forms of query', () => {
+    const construct = parseSPARQL(`PREFIX : <${ex}> CONSTRUCT { ?s :knows ?o } FROM <${ex}doc> WHERE { ?o :knows ?s }`)
+    expect(construct.queryType).to.equal('CONSTRUCT')
+    expect(construct.template[0].predicate.value).to.equal(ex + 'knows')
+    expect(construct.dataset.default.map(iri => iri.value)).to.eql([ex + 'doc'])
+    expect(parseSPARQL(`ASK { <${ex}a> ?p ?o }`).queryType).to.equal('ASK')
+    expect(parseSPARQL(`DESCRIBE <${ex}a>`).describe.map(iri => iri.value)).to.eql([ex + 'a'])
+  })
+
+  it('gives the line and column of mistakes', () => {
+    const e = errorOf('SELECT ?x WHERE {\n  ?x ?y \n}')
+    expect(e.line).to.equal(3)
+    expect(e.column).to.equal(1)
+    expect(e.message).to.match(/at line 3, column 1$/)
+    expect(errorOf('SELECT ?x WHERE { ?x undeclared:p ?y }').message).to.include('undeclared')
+    expect(errorOf('SELECT * WHERE { <a> ?p ?o }').message).to.include('relative')
+    expect(errorOf('INSERT DATA { <a> <b> <c> }').message).to.include('SPARQL Update is not supported')
+  })
+
+  it('follows the rules on the scope of variables', () => {
+    expect(errorOf('SELECT ?s WHERE { ?s ?p ?o BIND (1 AS ?o) }').column).to.equal(39)
+    expect(errorOf('SELECT ?s ?o WHERE { ?s ?p ?o } GROUP BY ?s').message).to.include('?o is selected but not grouped')
+    expect(errorOf('SELECT ?s WHERE { ?s ?p ?o FILTER (COUNT(?o) > 1) }').message).to.include('Aggregates are only allowed')
+    expect(errorOf('SELECT ?s WHERE { _:b ?p ?o . OPTIONAL { _:b ?q ?r } }').message).to.include('_:b')
+  })
+})
+
+describe('SPARQLToQuery', () => {
+  const kb = new IndexedFormula()
+
+  it('makes a query of a pattern with optional parts and filters', () => {
+    const query = SPARQLToQuery(`PREFIX : <http://example.com/#>
+      SELECT ?s ?r WHERE { ?s :p ?o OPTIONAL { ?o :q ?r FILTER regex(?r, "^a", "i") } FILTER (?o = :x) }`, true, kb)
+    expect(query.vars.map(v => v.toString())).to.eql(['?s', '?r'])
+    expect(query.pat.statements).to.have.length(1)
+    expect(query.pat.constraints['?o'].describe('?o')).to.equal('?o = <http://example.com/#x>')
+    expect(query.pat.optional[0].constraints['?r'].describe('?r')).to.equal("REGEX(?r, '^a', 'i')")
+  })
+
+  it('leaves the pattern empty for queries which are more than a pattern', () => {
+    const query = SPARQLToQuery('PREFIX : <http://example.com/#>\nSELECT ?s WHERE { { ?s :p ?o } UNION { ?s :q ?o } }', true, kb)
+    expect(query.algebra.input.type).to.equal('union')
+    expect(query.pat.statements).to.eql([])
+  })
+
+  it('keeps property paths in the algebra', () => {
+    const query = SPARQLToQuery('PREFIX : <http://example.com/#>\nSELECT ?s WHERE { ?s :p+ ?o }', true, kb)
+    expect(query.algebra.input.type).to.equal('path')
+    expect(query.pat.statements).to.eql([])
+  })
+
+  it('throws on the parts of queries which are not supported', () => {
+    expect(() => SPARQLToQuery('SELECT ?s WHERE {\n  SERVICE <http://example.com/sparql> { ?s ?p ?o }\n}', true, kb))
+      .to.throw(SPARQLSyntaxError, 'SERVICE is not supported by the query engine at line 2, column 3')
+    expect(() => SPARQLToQuery('ASK FROM <http://example.com/doc> { ?s ?p ?o }', true, kb))
+      .to.throw(SPARQLSyntaxError, 'FROM is not supported')
+  })
+})
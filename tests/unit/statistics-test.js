@@ -0,0 +1,112 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import { doc, ex, load } from './fixtures'
+import IndexedFormula from '../../src/store'
+import Statistics from '../../src/statistics'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('store statistics', () => {
+  const { namedNode } = DataFactory
+  const other = namedNode('https://example.com/test/other')
+  const type = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type')
+  const voidTerm = name => namedNode('http://rdfs.org/ns/void#' + name)
+  let store
+
+  beforeEach(() => {
+    store = load(`
+      :a a :Person ; :knows :b, :c ; :name "A" .
+      :b a :Person, :Agent ; :knows :c .
+      :c a :Agent .
+    `, { store: new IndexedFormula(undefined, { statistics: true }) })
+    load(':a a :Person ; :knows :d .', { store, graph: other })
+  })
+
+  it('counts statements by predicate, with distinct subjects and objects', () => {
+    const { statistics } = store
+    expect(statistics.triples).to.equal(10)
+    expect(statistics.distinctSubjects).to.equal(3)
+    expect(statistics.distinctObjects).to.equal(6)
+    expect(statistics.predicate(ex('knows'))).to.eql({ triples: 4, distinctSubjects: 2, distinctObjects: 3 })
+    expect(statistics.predicate(ex('nothing'))).to.eql({ triples: 0, distinctSubjects: 0, distinctObjects: 0 })
+    expect(statistics.properties().map(p => p.value).sort()).to.eql([
+      type.value, ex('knows').value, ex('name').value
+    ].sort())
+  })
+
+  it('counts the distinct instances of classes and the statements in graphs', () => {
+    const { statistics } = store
+    expect(statistics.instances(ex('Person'))).to.equal(2)
+    expect(statistics.instances(ex('Agent'))).to.equal(2)
+    expect(statistics.classes()).to.have.length(2)
+    expect(statistics.graphTriples(doc)).to.equal(8)
+    expect(statistics.graphTriples(other)).to.equal(2)
+    expect(statistics.graphs()).to.have.length(2)
+  })
+
+  it('keeps up with statements removed', () => {
+    store.removeMatches(ex('a'), null, null, other)
+    store.removeMatches(null, type, ex('Agent'))
+    const { statistics } = store
+    expect(statistics.triples).to.equal(6)
+    expect(statistics.instances(ex('Person'))).to.equal(2)
+    expect(statistics.instances(ex('Agent'))).to.equal(0)
+    expect(statistics.classes()).to.have.length(1)
+    expect(statistics.graphs()).to.have.length(1)
+    expect(statistics.predicate(ex('knows')).distinctObjects).to.equal(2)
+    expect(statistics.distinctSubjects).to.equal(2)
+  })
+
+  it('is put back by a rollback', () => {
+    const before = store.statistics.predicate(ex('knows'))
+    store.begin()
+    store.add(ex('c'), ex('knows'), ex('e'), doc)
+    store.removeMatches(ex('a'), ex('knows'))
+    store.rollback()
+    expect(store.statistics.predicate(ex('knows'))).to.eql(before)
+    expect(store.statistics.triples).to.equal(10)
+  })
+
+  it('estimates the number of statements matching a pattern', () => {
+    expect(store.estimate()).to.equal(10)
+    expect(store.estimate(null, ex('knows'))).to.equal(4)
+    expect(store.estimate(ex('a'), ex('knows'))).to.equal(2)
+    expect(store.estimate(null, type, ex('Person'))).to.equal(2)
+    expect(store.estimate(ex('b'), type, ex('Person'))).to.equal(1)
+    expect(store.estimate(null, ex('nothing'))).to.equal(0)
+    expect(store.estimate(null, null, null, other)).to.equal(2)
+    expect(store.estimate(ex('a'))).to.be.within(1, 10)
+  })
+
+  it('counts the statements matching a pattern for estimates without the statistics option', () => {
+    const plain = load(':a :knows :b, :c ; :name "A" .')
+    expect(plain.statistics).to.be.undefined()
+    expect(plain.estimate(null, ex('knows'))).to.equal(2)
+    expect(plain.estimate(ex('a'))).to.equal(3)
+  })
+
+  it('describes a document as a VoID dataset', () => {
+    const description = new IndexedFormula()
+    description.add(store.voidDescription(doc))
+    const value = (s, p) => description.any(s, voidTerm(p)).value
+    expect(description.holds(doc, type, voidTerm('Dataset'))).to.be.true()
+    expect(value(doc, 'triples')).to.equal('8')
+    expect(value(doc, 'distinctSubjects')).to.equal('3')
+    expect(value(doc, 'properties')).to.equal('3')
+    expect(value(doc, 'classes')).to.equal('2')
+    const knows = description.any(null, voidTerm('property'), ex('knows'))
+    expect(description.holds(doc, voidTerm('propertyPartition'), knows)).to.be.true()
+    expect(value(knows, 'triples')).to.equal('3')
+    expect(value(knows, 'distinctObjects')).to.equal('2')
+    const agents = description.any(null, voidTerm('class'), ex('Agent'))
+    expect(value(agents, 'entities')).to.equal('2')
+    expect(description.any(doc, voidTerm('triples')).datatype.value)
+      .to.equal('http://www.w3.org/2001/XMLSchema#integer')
+  })
+
+  it('can be had for any statements', () => {
+    const statistics = Statistics.of(store.statementsMatching(null, ex('knows')), term => store.id(term))
+    expect(statistics.triples).to.equal(4)
+    expect(statistics.distinctObjects).to.equal(3)
+  })
+})
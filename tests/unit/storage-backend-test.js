@@ -0,0 +1,172 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { doc, ex, load } from './fixtures'
+import IndexedFormula from '../../src/store'
+import { MemoryBackend } from '../../src/storage-backend'
+import AppendLogBackend from '../../src/append-log-backend'
+import CompactStorage from '../../src/compact-storage'
+import { Query } from '../../src/query'
+import Variable from '../../src/variable'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('storage backends', () => {
+  const { namedNode, literal, blankNode } = DataFactory
+
+  describe('MemoryBackend', () => {
+    it('is the default backend', () => {
+      const store = new IndexedFormula()
+      expect(store.backend).to.be.an.instanceof(MemoryBackend)
+      expect(store.statements).to.equal(store.backend.statements)
+      expect(store.index).to.equal(store.backend.index)
+    })
+
+    it('can be given, with composite indexes', () => {
+      const backend = new MemoryBackend({ compositeIndexes: ['SP'] })
+      const store = load(':a :p :b, :c.', { store: new IndexedFormula(undefined, { backend }) })
+      expect(store.compositeIndex).to.equal(backend.compositeIndex)
+      expect(store.compositeIndex.SP[store.id(ex('a'))][store.id(ex('p'))]).to.have.length(2)
+      expect(() => new IndexedFormula(undefined, { backend, compositeIndexes: true }))
+        .to.throw('Composite indexes are only kept by the memory backend')
+    })
+  })
+
+  it('tells of the removal of statements which were in the backend only', () => {
+    const store = load(':a :p :b.', { store: new IndexedFormula(undefined, { compact: true }) })
+    const removed = []
+    store.on('removed', st => removed.push(st))
+    store.removeStatement(DataFactory.quad(ex('a'), ex('p'), ex('c'), doc))
+    store.removeStatement(store.statements[0])
+    expect(removed.map(st => st.object.value)).to.eql([ex('b').value])
+  })
+
+  describe('AppendLogBackend', () => {
+    let dir, file
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rdflib-log-'))
+      file = path.join(dir, 'store.log')
+    })
+    afterEach(() => {
+      fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)))
+      fs.rmdirSync(dir)
+    })
+
+    function open (opts = {}, features = undefined) {
+      return new IndexedFormula(features, { backend: new AppendLogBackend(file, opts) })
+    }
+    function lines () {
+      return fs.readFileSync(file, 'utf8').split('\n').filter(line => line)
+    }
+
+    it('logs additions and removals', () => {
+      const store = open()
+      store.add(ex('a'), ex('p'), literal('one\ntwo "quoted"'), doc)
+      store.add(ex('a'), ex('q'), ex('b'), doc)
+      store.remove(store.statementsMatching(ex('a'), ex('q'))[0])
+      store.backend.close()
+      expect(lines()).to.eql([
+        '+ <https://example.com/test/doc#a> <https://example.com/test/doc#p> "one\\ntwo \\"quoted\\"" <https://example.com/test/doc> .',
+        '+ <https://example.com/test/doc#a> <https://example.com/test/doc#q> <https://example.com/test/doc#b> <https://example.com/test/doc> .',
+        '- <https://example.com/test/doc#a> <https://example.com/test/doc#q> <https://example.com/test/doc#b> <https://example.com/test/doc> .'
+      ])
+    })
+
+    it('replays the log into a new store', () => {
+      const first = load(`
+        :a :p "A"@en, 1 ; :q [ :r :c ] .
+        :d :p :e .
+      `, { store: open() })
+      first.removeMatches(ex('d'))
+      first.add(ex('f'), ex('p'), ex('g'))
+      first.backend.close()
+
+      const second = open()
+      expect(second.length).to.equal(first.length)
+      expect(second.holds(ex('a'), ex('p'), literal('A', 'en'), doc)).to.be.true()
+      expect(second.holds(ex('a'), ex('p'), literal('1', namedNode('http://www.w3.org/2001/XMLSchema#integer')))).to.be.true()
+      expect(second.holds(ex('d'), ex('p'), ex('e'))).to.be.false()
+      expect(second.holds(ex('f'), ex('p'), ex('g'), DataFactory.defaultGraph())).to.be.true()
+      const bnode = second.any(ex('a'), ex('q'))
+      expect(bnode.termType).to.equal('BlankNode')
+      expect(bnode.equals(first.any(ex('a'), ex('q')))).to.be.true()
+      expect(second.any(bnode, ex('r')).equals(ex('c'))).to.be.true()
+      expect(second.estimate(null, ex('p'))).to.equal(first.estimate(null, ex('p')))
+      second.backend.close()
+    })
+
+    it('keeps working under the query engine', () => {
+      load(':a :p :b. :b :p :c.', { store: open() }).backend.close()
+      const store = open()
+      const query = new Query('chain')
+      const x = new Variable('x')
+      query.pat.add(ex('a'), ex('p'), x)
+      query.pat.add(x, ex('p'), ex('c'))
+      expect(store.querySync(query).map(bindings => bindings['?x'].value)).to.eql([ex('b').value])
+      store.backend.close()
+    })
+
+    it('logs transactions when they are committed only', () => {
+      const store = open()
+      store.transaction(kb => kb.add(ex('a'), ex('p'), ex('b'), doc))
+      expect(() => store.transaction(kb => {
+        kb.add(ex('a'), ex('p'), ex('c'), doc)
+        expect(lines()).to.have.length(1)
+        throw new Error('Changed my mind')
+      })).to.throw('Changed my mind')
+      store.backend.close()
+      expect(lines()).to.have.length(1)
+      expect(open().length).to.equal(1)
+    })
+
+    it('compacts the log once it outgrows the statements', () => {
+      const store = open({ compactAfter: 3 })
+      const st = DataFactory.quad(ex('a'), ex('p'), ex('b'), doc)
+      store.add(st)
+      store.remove(st)
+      store.add(st)
+      expect(lines()).to.have.length(3)
+      store.remove(st) // Four lines for no statements
+      expect(lines()).to.eql([])
+      store.add(ex('c'), ex('p'), ex('d'), doc)
+      expect(lines()).to.eql([
+        '+ <https://example.com/test/doc#c> <https://example.com/test/doc#p> <https://example.com/test/doc#d> <https://example.com/test/doc> .'
+      ])
+      store.backend.close()
+      expect(open().length).to.equal(1)
+    })
+
+    it('drops a last line cut short', () => {
+      load(':a :p :b.', { store: open() }).backend.close()
+      fs.appendFileSync(file, '+ <https://example.com/test/doc#c> <https://exa')
+      const store = open()
+      expect(store.length).to.equal(1)
+      expect(lines()).to.have.length(1)
+      store.backend.close()
+    })
+
+    it('keeps the statements in the backend it is given', () => {
+      const store = new IndexedFormula(undefined, {
+        backend: new AppendLogBackend(file, { backend: new CompactStorage() }),
+        compact: true
+      })
+      expect(store.backend.inner).to.be.an.instanceof(CompactStorage)
+      store.add(ex('a'), ex('p'), blankNode('b1'), doc)
+      store.backend.close()
+      const again = new IndexedFormula(undefined, {
+        backend: new AppendLogBackend(file, { backend: new CompactStorage() }),
+        compact: true
+      })
+      expect(again.any(ex('a'), ex('p')).value).to.equal('b1')
+    })
+
+    it('throws on changes after it is closed', () => {
+      const store = open()
+      store.backend.close()
+      expect(() => store.add(ex('a'), ex('p'), ex('b'), doc)).to.throw('is not open')
+      expect(store.length).to.equal(0)
+    })
+  })
+})
@@ -0,0 +1,89 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import { doc, ex, load } from './fixtures'
+import IndexedFormula from '../../src/store'
+import { tokenize } from '../../src/text-index'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('full-text index', () => {
+  const { namedNode, literal } = DataFactory
+  const other = namedNode('https://example.com/test/other')
+  const rdfs = name => namedNode('http://www.w3.org/2000/01/rdf-schema#' + name)
+  let store
+
+  beforeEach(() => {
+    store = load(`
+      :paris rdfs:label "Paris"@en, "Paris"@fr ; rdfs:comment "The capital city of France, a city of light."@en .
+      :lyon rdfs:label "Lyon" ; rdfs:comment "A city in France."@en ; :population 500000 .
+      :cafe rdfs:label "Café de Flore"@fr .
+      :tokyo rdfs:label "東京都"@ja .
+    `, { store: new IndexedFormula(undefined, { textIndex: true }) })
+    load(':istanbul rdfs:label "İstanbul"@tr ; rdfs:comment "Not the capital city."@en .', { store, graph: other })
+  })
+
+  function subjects (results) {
+    return results.map(result => result.subject.value)
+  }
+
+  it('finds words according to the language', () => {
+    expect(tokenize('The Capital-City, 2020!')).to.eql(['the', 'capital', 'city', '2020'])
+    expect(tokenize('Café Crème', 'fr')).to.eql(['cafe', 'creme'])
+    expect(tokenize('東京都', 'ja')).to.eql(['東', '京', '都'])
+    expect(tokenize('ISTANBUL', 'not a tag')).to.eql(['istanbul'])
+  })
+
+  it('ranks the subjects with all the words searched for', () => {
+    const results = store.search('city France')
+    // The shorter literal is the better match
+    expect(subjects(results)).to.eql([ex('lyon').value, ex('paris').value])
+    expect(results[0].score).to.be.greaterThan(results[1].score)
+    expect(results[1].statements).to.have.length(1)
+    expect(results[1].statements[0].predicate.equals(rdfs('comment'))).to.be.true()
+    expect(store.search('city Germany')).to.eql([])
+    expect(store.search('   ')).to.eql([])
+  })
+
+  it('matches whatever the case and accents', () => {
+    expect(subjects(store.search('CAFE de flore'))).to.eql([ex('cafe').value])
+    expect(subjects(store.search('istanbul'))).to.eql([ex('istanbul').value])
+    expect(subjects(store.search('東京'))).to.eql([ex('tokyo').value])
+  })
+
+  it('matches the last word as a prefix if asked', () => {
+    expect(store.search('capital ci')).to.eql([])
+    expect(subjects(store.search('capital ci', { prefix: true })).sort()).to.eql([ex('istanbul').value, ex('paris').value])
+    expect(subjects(store.search('pa', { prefix: true }))).to.eql([ex('paris').value])
+  })
+
+  it('filters by predicate and graph', () => {
+    expect(subjects(store.search('city', { predicates: [rdfs('label')] }))).to.eql([])
+    expect(subjects(store.search('capital', { graphs: [other] }))).to.eql([ex('istanbul').value])
+    expect(subjects(store.search('city', { graphs: [doc], limit: 1 }))).to.eql([ex('paris').value])
+  })
+
+  it('gives all the matching statements of a subject', () => {
+    const [result] = store.search('paris')
+    expect(result.statements).to.have.length(2)
+    expect(result.statements.map(st => st.object.language).sort()).to.eql(['en', 'fr'])
+  })
+
+  it('keeps up with statements added and removed', () => {
+    store.add(ex('lyon'), rdfs('comment'), literal('Capital of the Gauls', 'en'), doc)
+    expect(subjects(store.search('capital', { graphs: [doc] })).sort()).to.eql([ex('lyon').value, ex('paris').value])
+    store.removeMatches(ex('paris'))
+    expect(subjects(store.search('capital'))).to.eql([ex('lyon').value, ex('istanbul').value].sort())
+    expect(store.search('light')).to.eql([])
+    expect(store.search('ligh', { prefix: true })).to.eql([])
+    store.begin()
+    store.removeMatches(ex('lyon'))
+    store.rollback()
+    expect(subjects(store.search('lyon'))).to.eql([ex('lyon').value])
+  })
+
+  it('is only kept when asked for', () => {
+    const plain = new IndexedFormula()
+    expect(plain.textIndex).to.be.undefined()
+    expect(() => plain.search('city')).to.throw('no text index')
+  })
+})
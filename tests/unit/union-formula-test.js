@@ -0,0 +1,89 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+
+import { doc, ex, load } from './fixtures'
+import UnionFormula from '../../src/union-formula'
+import SPARQLToQuery from '../../src/sparql-to-query'
+import DataFactory from '../../src/factories/rdflib-data-factory'
+
+describe('UnionFormula', () => {
+  const { namedNode, literal } = DataFactory
+  const ontology = doc
+  const profile = namedNode('https://example.com/test/profile')
+  const notes = namedNode('https://example.com/test/notes')
+  const rdf = name => namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#' + name)
+  const rdfs = name => namedNode('http://www.w3.org/2000/01/rdf-schema#' + name)
+  let shared, session, union
+
+  beforeEach(() => {
+    shared = load(`
+      :Person rdfs:label "Person" .
+      :Cat rdfs:label "Cat" ; rdfs:subClassOf :Animal .
+    `)
+    session = load(`
+      <#me> a :Person ; :owns <#tom> .
+      <#tom> a :Cat .
+    `, { graph: profile })
+    load(`
+      <profile#tom> :name "Tom" .
+    `, { store: session, graph: notes })
+    union = new UnionFormula([shared, session])
+  })
+
+  it('finds statements in all of the formulas', () => {
+    const me = namedNode(profile.value + '#me')
+    expect(union.statementsMatching(null, rdfs('label'))).to.have.length(2)
+    expect(union.statementsMatching(null, rdf('type'))).to.have.length(2)
+    expect(union.length).to.equal(7)
+    expect(union.statements).to.have.length(7)
+    expect(union.each(me, rdf('type')).map(type => union.any(type, rdfs('label')).value)).to.eql(['Person'])
+    expect(union.holds(ex('Cat'), rdfs('subClassOf'), ex('Animal'))).to.be.true()
+    expect(union.holds(me, ex('owns'), namedNode(profile.value + '#tom'), profile)).to.be.true()
+    expect(union.holds(ex('Cat'), rdfs('subClassOf'), ex('Person'))).to.be.false()
+  })
+
+  it('shows what the formulas have now', () => {
+    session.add(ex('Cat'), rdfs('comment'), literal('Purrs'), profile)
+    expect(union.any(ex('Cat'), rdfs('comment')).value).to.equal('Purrs')
+    shared.removeMatches(ex('Cat'))
+    expect(union.holds(ex('Cat'), rdfs('label'))).to.be.false()
+  })
+
+  it('gives a statement in more than one formula once', () => {
+    session.add(ex('Cat'), rdfs('label'), literal('Cat'), ontology)
+    expect(union.statementsMatching(ex('Cat'), rdfs('label'))).to.have.length(1)
+    expect(union.length).to.equal(7)
+    session.add(ex('Cat'), rdfs('label'), literal('Cat'), profile)
+    expect(union.statementsMatching(ex('Cat'), rdfs('label'))).to.have.length(2)
+  })
+
+  it('can have only some graphs of a formula', () => {
+    const view = new UnionFormula([shared, { formula: session, graphs: [notes] }])
+    expect(view.length).to.equal(4)
+    expect(view.any(namedNode(profile.value + '#tom'), ex('name')).value).to.equal('Tom')
+    expect(view.holds(null, rdf('type'))).to.be.false()
+    expect(view.statementsMatching(null, null, null, profile)).to.eql([])
+    expect(view.statementsMatching(null, null, null, notes)).to.have.length(1)
+    const two = new UnionFormula([{ formula: session, graphs: [profile, notes] }])
+    expect(two.length).to.equal(4)
+  })
+
+  it('is queried across the formulas', () => {
+    const query = SPARQLToQuery(`
+      PREFIX : <${doc.value}#>
+      PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+      SELECT ?pet ?label WHERE { ?owner :owns ?pet . ?pet a ?class . ?class rdfs:label ?label . }
+    `, false, union)
+    const results = union.querySync(query)
+    expect(results).to.have.length(1)
+    expect(results[0]['?pet'].value).to.equal(profile.value + '#tom')
+    expect(results[0]['?label'].value).to.equal('Cat')
+    expect(session.querySync(query)).to.eql([])
+  })
+
+  it('is read-only', () => {
+    expect(() => union.add(ex('Dog'), rdfs('label'), literal('Dog'), ontology)).to.throw('A union of formulas is read-only')
+    expect(() => { union.statements = [] }).to.throw('read-only')
+    expect(shared.holds(ex('Dog'))).to.be.false()
+  })
+})
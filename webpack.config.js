@@ -42,6 +42,7 @@ module.exports = (env, args) => {
     externals: {
       '@trust/webcrypto': 'crypto',
       'child_process': 'null',
+      'crypto': 'null',
       'node-fetch': 'fetch',
       'text-encoding': 'TextEncoder',
       'whatwg-url': 'window',